@@ -7,6 +7,22 @@ const paperEngine = require("../services/paperEngine");
 const fyersService = require("../services/fyersService");
 const webhookService = require("../services/webhookService");
 const marketData = require("../services/marketData");
+const chargesService = require("../services/chargesService");
+const paperAccount = require("../services/paperAccount");
+const pnlLedger = require("../services/pnlLedger");
+const squareOffService = require("../services/squareOffService");
+const gttService = require("../services/gttService");
+const marketCalendar = require("../services/marketCalendar");
+const slippageService = require("../services/slippageService");
+const backtestEngine = require("../services/backtestEngine");
+const simulationService = require("../services/simulationService");
+const corporateActionService = require("../services/corporateActionService");
+const dataProviders = require("../services/dataProviders");
+const candleService = require("../services/candleService");
+const historyService = require("../services/historyService");
+
+const ORDER_STATES = ['new', 'working', 'partial', 'filled', 'cancelled', 'rejected', 'expired'];
+const GTT_STATES = ['active', 'triggered', 'cancelled', 'expired', 'failed'];
 
 class TradingAPI {
   constructor() {
@@ -62,8 +78,15 @@ class TradingAPI {
     app.post("/api/orders/:id/cancel", this.cancelOrder.bind(this));
     app.post("/api/orders/:id/modify", this.modifyOrder.bind(this));
 
+    // GTT endpoints
+    app.get("/api/gtt", this.getGttOrders.bind(this));
+    app.post("/api/gtt", this.createGttOrder.bind(this));
+    app.post("/api/gtt/:id/modify", this.modifyGttOrder.bind(this));
+    app.post("/api/gtt/:id/cancel", this.cancelGttOrder.bind(this));
+
     // Execution endpoints
     app.get("/api/executions", this.getExecutions.bind(this));
+    app.get("/api/trades", this.getTrades.bind(this));
 
     // Position endpoints
     app.get("/api/positions", this.getPositions.bind(this));
@@ -74,10 +97,27 @@ class TradingAPI {
     // Symbol metadata endpoints
     app.get("/api/symbols/meta", this.getSymbolMeta.bind(this));
 
+    // Market calendar endpoints
+    app.get("/api/market/status", this.getMarketStatus.bind(this));
+    app.get("/api/candles", this.getCandles.bind(this));
+    app.get("/api/history", this.getHistory.bind(this));
+
+    // Corporate action endpoints
+    app.get("/api/corporate-actions", this.getCorporateActions.bind(this));
+    app.get("/api/corporate-actions/adjustments", this.getCorporateActionAdjustments.bind(this));
+
     // Settings endpoints
     app.get("/api/settings/webhook", this.getWebhookSettings.bind(this));
     app.post("/api/settings/webhook/rotate", this.rotateWebhookCredentials.bind(this));
     app.post("/api/settings", this.updateSettings.bind(this));
+    app.get("/api/settings/charges", this.getChargeSettings.bind(this));
+    app.post("/api/settings/charges", this.updateChargeSettings.bind(this));
+    app.get("/api/settings/square-off", this.getSquareOffSettings.bind(this));
+    app.post("/api/settings/square-off", this.updateSquareOffSettings.bind(this));
+    app.get("/api/settings/slippage", this.getSlippageSettings.bind(this));
+    app.post("/api/settings/slippage", this.updateSlippageSettings.bind(this));
+    app.get("/api/watchlist", this.getWatchlist.bind(this));
+    app.post("/api/watchlist", this.updateWatchlist.bind(this));
 
     // Strategy endpoints
     app.get("/api/strategies", this.getStrategies.bind(this));
@@ -94,6 +134,17 @@ class TradingAPI {
     app.post("/api/simulation/stop", this.stopSimulation.bind(this));
     app.post("/api/simulation/reset", this.resetSimulation.bind(this));
     app.get("/api/simulation/status", this.getSimulationStatus.bind(this));
+    app.get("/api/simulation", this.getSimulations.bind(this));
+    app.get("/api/simulation/compare", this.compareSimulations.bind(this));
+    app.get("/api/simulation/:id", this.getSimulation.bind(this));
+
+    // Backtest endpoints
+    app.get("/api/backtests", this.getBacktests.bind(this));
+    app.post("/api/backtests", this.runBacktest.bind(this));
+    app.post("/api/backtests/replay", this.replayAlerts.bind(this));
+    app.get("/api/backtests/data", this.getBacktestData.bind(this));
+    app.get("/api/backtests/:id", this.getBacktest.bind(this));
+    app.delete("/api/backtests/:id", this.deleteBacktest.bind(this));
 
     // Health and stats endpoints
     app.get("/api/trading/health", this.getTradingHealth.bind(this));
@@ -118,8 +169,14 @@ class TradingAPI {
     }
 
     try {
-      const orderData = req.body;
       const userId = req.user.id;
+      const orderData = { ...req.body };
+
+      // Paper orders always go to the active simulation run
+      delete orderData.simulationId;
+      if ((orderData.mode || 'paper') === 'paper') {
+        orderData.simulationId = await paperAccount.getActiveSimulationId(userId);
+      }
 
       // Get user access token
       const token = await prisma.fyersToken.findFirst({
@@ -172,12 +229,24 @@ class TradingAPI {
     }
 
     try {
-      const { mode, state, limit = 50, offset = 0 } = req.query;
+      const { mode, state, simulationId, limit = 50, offset = 0 } = req.query;
       const userId = req.user.id;
 
       const where = { userId };
       if (mode) where.mode = mode;
-      if (state) where.state = state;
+      if (simulationId) where.simulationId = simulationId;
+      if (state) {
+        // Accepts one state or a comma-separated list, e.g. ?state=cancelled,expired
+        const states = String(state).split(',').map(s => s.trim()).filter(Boolean);
+        const invalid = states.filter(s => !ORDER_STATES.includes(s));
+        if (invalid.length > 0) {
+          return res.status(400).json({
+            error: `Invalid order state: ${invalid.join(', ')}`,
+            validStates: ORDER_STATES
+          });
+        }
+        where.state = states.length === 1 ? states[0] : { in: states };
+      }
 
       const orders = await prisma.order.findMany({
         where,
@@ -216,7 +285,13 @@ class TradingAPI {
         include: {
           strategy: true,
           alert: true,
-          executions: true
+          executions: true,
+          parent: {
+            include: { children: true }
+          },
+          children: {
+            include: { executions: true }
+          }
         }
       });
 
@@ -310,6 +385,159 @@ class TradingAPI {
     }
   }
 
+  /**
+   * Get GTT orders for user
+   */
+  async getGttOrders(req, res) {
+    if (!req.user) {
+      return res.status(401).json({ error: "Not authenticated" });
+    }
+
+    try {
+      const { mode, state, limit = 50, offset = 0 } = req.query;
+      const userId = req.user.id;
+
+      // Paper GTTs come from one simulation run: ?simulationId= or the active one
+      const simulationId = await simulationService.resolveRunId(userId, req.query.simulationId);
+      if (!simulationId) {
+        return res.status(404).json({ error: "Simulation not found" });
+      }
+      const where = { userId };
+      if (mode) where.mode = mode;
+      if (mode === 'paper') where.simulationId = simulationId;
+      else if (!mode) where.OR = [{ mode: { not: 'paper' } }, { simulationId }];
+      if (state) {
+        if (!GTT_STATES.includes(state)) {
+          return res.status(400).json({ error: `Invalid GTT state: ${state}`, validStates: GTT_STATES });
+        }
+        where.state = state;
+      }
+
+      const gtts = await prisma.gttOrder.findMany({
+        where,
+        include: { order: true },
+        orderBy: { createdAt: 'desc' },
+        take: parseInt(limit),
+        skip: parseInt(offset)
+      });
+
+      res.json({ gtts });
+
+    } catch (error) {
+      console.error("Error fetching GTT orders:", error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  /**
+   * Create a GTT order
+   */
+  async createGttOrder(req, res) {
+    if (!req.user) {
+      return res.status(401).json({ error: "Not authenticated" });
+    }
+
+    try {
+      const userId = req.user.id;
+
+      const token = await prisma.fyersToken.findFirst({
+        where: { userId, appId: process.env.FYERS_APP_ID }
+      });
+
+      if (!token) {
+        return res.status(401).json({ error: "No Fyers access token found" });
+      }
+
+      const { gtt, errors } = await gttService.createGtt(req.body, userId, token.accessToken);
+
+      if (!gtt) {
+        return res.status(400).json({ error: "GTT validation failed", details: errors });
+      }
+
+      res.json({ success: true, gtt });
+
+    } catch (error) {
+      console.error("Error creating GTT order:", error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  /**
+   * Modify an active GTT order
+   */
+  async modifyGttOrder(req, res) {
+    if (!req.user) {
+      return res.status(401).json({ error: "Not authenticated" });
+    }
+
+    try {
+      const { id } = req.params;
+      const userId = req.user.id;
+
+      const existing = await prisma.gttOrder.findFirst({
+        where: { id, userId }
+      });
+
+      if (!existing) {
+        return res.status(404).json({ error: "GTT not found" });
+      }
+
+      const token = await prisma.fyersToken.findFirst({
+        where: { userId, appId: process.env.FYERS_APP_ID }
+      });
+
+      if (!token) {
+        return res.status(401).json({ error: "No Fyers access token found" });
+      }
+
+      const { gtt, errors } = await gttService.modifyGtt(existing, req.body, token.accessToken);
+
+      if (!gtt) {
+        return res.status(400).json({ error: "GTT could not be modified", details: errors });
+      }
+
+      res.json({ success: true, gtt });
+
+    } catch (error) {
+      console.error("Error modifying GTT order:", error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  /**
+   * Cancel an active GTT order
+   */
+  async cancelGttOrder(req, res) {
+    if (!req.user) {
+      return res.status(401).json({ error: "Not authenticated" });
+    }
+
+    try {
+      const { id } = req.params;
+      const userId = req.user.id;
+
+      const gtt = await prisma.gttOrder.findFirst({
+        where: { id, userId }
+      });
+
+      if (!gtt) {
+        return res.status(404).json({ error: "GTT not found" });
+      }
+
+      const success = await gttService.cancelGtt(id);
+
+      if (success) {
+        res.json({ success: true, message: "GTT cancelled successfully" });
+      } else {
+        res.status(400).json({ error: "GTT could not be cancelled" });
+      }
+
+    } catch (error) {
+      console.error("Error cancelling GTT order:", error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
   /**
    * Get executions
    */
@@ -353,6 +581,44 @@ class TradingAPI {
     }
   }
 
+  /**
+   * Get realized round-trip trades from the FIFO ledger
+   */
+  async getTrades(req, res) {
+    if (!req.user) {
+      return res.status(401).json({ error: "Not authenticated" });
+    }
+
+    try {
+      const { mode, symbol, limit = 100, offset = 0 } = req.query;
+      const userId = req.user.id;
+
+      // Paper trades come from one simulation run: ?simulationId= or the active one
+      const simulationId = await simulationService.resolveRunId(userId, req.query.simulationId);
+      if (!simulationId) {
+        return res.status(404).json({ error: "Simulation not found" });
+      }
+      const where = { userId };
+      if (mode) where.mode = mode;
+      if (mode === 'paper') where.simulationId = simulationId;
+      else if (!mode) where.OR = [{ mode: { not: 'paper' } }, { simulationId }];
+      if (symbol) where.symbol = symbol;
+
+      const trades = await prisma.trade.findMany({
+        where,
+        orderBy: { exitTime: 'desc' },
+        take: parseInt(limit),
+        skip: parseInt(offset)
+      });
+
+      res.json({ trades });
+
+    } catch (error) {
+      console.error("Error fetching trades:", error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
   /**
    * Get positions
    */
@@ -365,8 +631,15 @@ class TradingAPI {
       const { mode } = req.query;
       const userId = req.user.id;
 
+      // Paper positions come from one simulation run: ?simulationId= or the active one
+      const simulationId = await simulationService.resolveRunId(userId, req.query.simulationId);
+      if (!simulationId) {
+        return res.status(404).json({ error: "Simulation not found" });
+      }
       const where = { userId };
       if (mode) where.mode = mode;
+      if (mode === 'paper') where.simulationId = simulationId;
+      else if (!mode) where.OR = [{ mode: { not: 'paper' } }, { simulationId }];
 
       const positions = await prisma.position.findMany({
         where,
@@ -380,7 +653,7 @@ class TradingAPI {
         });
 
         if (token) {
-          await paperEngine.calculatePortfolioPnL(userId, token.accessToken);
+          await paperEngine.calculatePortfolioPnL(userId, simulationId, token.accessToken);
         }
       }
 
@@ -404,10 +677,26 @@ class TradingAPI {
       const { mode = 'paper' } = req.query;
       const userId = req.user.id;
 
-      const portfolio = await prisma.portfolio.findUnique({
-        where: {
-          userId_mode: { userId, mode }
+      if (mode === 'paper') {
+        const simulationId = await simulationService.resolveRunId(userId, req.query.simulationId);
+        if (!simulationId) {
+          return res.status(404).json({ error: "Simulation not found" });
         }
+        const portfolio = await paperAccount.ensurePortfolio(prisma, userId, simulationId);
+        const account = await paperAccount.getAccount(userId, simulationId);
+        const realized = await pnlLedger.getTradeStats(userId, 'paper', { simulationId });
+
+        return res.json({
+          portfolio: {
+            ...portfolio,
+            ...account,
+            realized
+          }
+        });
+      }
+
+      const portfolio = await prisma.portfolio.findFirst({
+        where: { userId, mode }
       });
 
       if (!portfolio) {
@@ -418,6 +707,7 @@ class TradingAPI {
             cashBalance: 0,
             dayPnl: 0,
             totalPnl: 0,
+            totalCharges: 0,
             updatedAt: new Date()
           }
         });
@@ -454,133 +744,682 @@ class TradingAPI {
   }
 
   /**
-   * Get webhook settings
+   * Get market status from the exchange calendar.
+   * With ?symbol= returns that symbol's segment, otherwise every segment.
    */
-  async getWebhookSettings(req, res) {
-    if (!req.user) {
-      return res.status(401).json({ error: "Not authenticated" });
-    }
-
+  async getMarketStatus(req, res) {
     try {
-      // Single webhook URL for all users (Chartlink model)
-      const webhookUrl = `${process.env.APP_BASE_URL || 'https://fyers-simple-app-production.up.railway.app'}/webhooks/chartlink`;
+      const { symbol } = req.query;
 
-      res.json({
-        webhookUrl: webhookUrl,
-        webhookSecret: "Not required for Chartlink",
-        defaultMode: 'paper',
-        description: "Single webhook URL for all Chartlink strategies. Users will receive orders based on their subscription preferences."
-      });
+      if (symbol) {
+        return res.json({ symbol, ...marketCalendar.getStatus(symbol) });
+      }
+
+      res.json(marketCalendar.getMarketStatus());
 
     } catch (error) {
-      console.error("Error fetching webhook settings:", error);
+      console.error("Error fetching market status:", error);
       res.status(500).json({ error: error.message });
     }
   }
 
   /**
-   * Rotate webhook credentials
+   * Get OHLCV candles (?symbol=&resolution=1m|5m|15m|1h|1D&from=&to=).
+   * Gaps in the range are backfilled from Fyers history first unless
+   * backfill=false; bare dates cover whole IST days and to defaults to now.
    */
-  async rotateWebhookCredentials(req, res) {
+  async getCandles(req, res) {
     if (!req.user) {
       return res.status(401).json({ error: "Not authenticated" });
     }
 
     try {
-      const userId = req.user.id;
-      const credentials = await webhookService.generateWebhookCredentials(userId);
+      const { symbol, resolution = '1m', from, to, backfill } = req.query;
+
+      if (!symbol || !orderValidation.isValidSymbolFormat(symbol)) {
+        return res.status(400).json({ error: "Valid symbol required" });
+      }
+
+      const barResolution = candleService.normalizeResolution(resolution);
+      if (!barResolution) {
+        return res.status(400).json({ error: "resolution must be one of: 1m, 5m, 15m, 1h, 1D" });
+      }
+
+      if (!from) {
+        return res.status(400).json({ error: "from is required" });
+      }
+
+      const range = backtestEngine.parseRange({ from, to });
+      range.to = range.to || new Date();
+      if (isNaN(range.from.getTime()) || isNaN(range.to.getTime()) || range.from > range.to) {
+        return res.status(400).json({ error: "from and to must be dates with from <= to" });
+      }
+
+      let backfilled = 0;
+      if (backfill !== 'false') {
+        const token = await prisma.fyersToken.findFirst({
+          where: { userId: req.user.id, appId: process.env.FYERS_APP_ID }
+        });
+        const source = token?.accessToken || process.env.FYERS_DATA_ACCESS_TOKEN;
+
+        if (marketData.canQuote(source)) {
+          try {
+            backfilled = await candleService.backfill(symbol, barResolution, range, source);
+          } catch (error) {
+            console.error(`Error backfilling candles for ${symbol}:`, error);
+          }
+        }
+      }
+
+      const candles = await candleService.getCandles(symbol, barResolution, range);
 
       res.json({
-        success: true,
-        webhookUrl: credentials.webhookUrl,
-        webhookSecret: credentials.webhookSecret,
-        message: "Webhook credentials rotated successfully"
+        symbol,
+        resolution: barResolution,
+        from: range.from,
+        to: range.to,
+        backfilled,
+        candles
       });
 
     } catch (error) {
-      console.error("Error rotating webhook credentials:", error);
+      console.error("Error fetching candles:", error);
       res.status(500).json({ error: error.message });
     }
   }
 
   /**
-   * Update user settings
+   * Get historical candles (?symbol=&resolution=&from=&to=&adjusted=true),
+   * served from the local cache and fetched from Fyers only for date
+   * ranges not fetched before. from/to are IST dates; to defaults to today.
    */
-  async updateSettings(req, res) {
+  async getHistory(req, res) {
     if (!req.user) {
       return res.status(401).json({ error: "Not authenticated" });
     }
 
     try {
-      const userId = req.user.id;
-      const { defaultMode, settings } = req.body;
+      const { symbol, resolution = 'D', from, to, adjusted } = req.query;
 
-      const updatedSettings = await prisma.userSettings.upsert({
-        where: { userId },
-        update: {
-          defaultMode,
-          settings
-        },
-        create: {
-          userId,
-          defaultMode: defaultMode || 'paper',
-          settings: settings || {},
-          webhookToken: '', // Will be generated separately
-          webhookSecret: ''
-        }
+      if (!symbol || !orderValidation.isValidSymbolFormat(symbol)) {
+        return res.status(400).json({ error: "Valid symbol required" });
+      }
+
+      const historyResolution = historyService.normalizeResolution(resolution);
+      if (!historyResolution) {
+        return res.status(400).json({ error: "resolution must be minutes (1, 2, 3, 5, 10, 15, 20, 30, 45, 60, 120, 180, 240), D, or one of 1m, 5m, 15m, 1h, 1D" });
+      }
+
+      const toDate = (value) => {
+        const date = new Date(/^\d{4}-\d{2}-\d{2}$/.test(String(value)) ? `${value}T00:00:00+05:30` : value);
+        return isNaN(date.getTime()) ? null : marketCalendar.getISTClock(date).date;
+      };
+      const range = {
+        from: from ? toDate(from) : null,
+        to: to ? toDate(to) : marketCalendar.getISTClock().date
+      };
+      if (!range.from || !range.to || range.from > range.to) {
+        return res.status(400).json({ error: "from and to must be dates (YYYY-MM-DD) with from <= to" });
+      }
+      const maxDays = historyService.getMaxRangeDays(historyResolution);
+      if (marketCalendar.addDays(range.from, maxDays) <= range.to) {
+        return res.status(400).json({ error: `A ${historyResolution} history request covers at most ${maxDays} days` });
+      }
+
+      const token = await prisma.fyersToken.findFirst({
+        where: { userId: req.user.id, appId: process.env.FYERS_APP_ID }
       });
+      const source = token?.accessToken || process.env.FYERS_DATA_ACCESS_TOKEN;
 
-      res.json({ success: true, settings: updatedSettings });
+      const history = await historyService.getHistory(
+        symbol,
+        historyResolution,
+        range,
+        { adjusted: adjusted === 'true' },
+        source
+      );
+
+      res.json({
+        symbol,
+        resolution: historyResolution,
+        ...range,
+        adjusted: adjusted === 'true',
+        ...history
+      });
 
     } catch (error) {
-      console.error("Error updating settings:", error);
+      console.error("Error fetching history:", error);
       res.status(500).json({ error: error.message });
     }
   }
 
   /**
-   * Get strategies
+   * List imported corporate actions (?symbol= for one symbol)
    */
-  async getStrategies(req, res) {
-    if (!req.user) {
-      return res.status(401).json({ error: "Not authenticated" });
-    }
-
+  async getCorporateActions(req, res) {
     try {
-      const userId = req.user.id;
-      const strategies = await prisma.strategy.findMany({
-        where: { userId },
-        orderBy: { createdAt: 'desc' }
+      if (!req.user) {
+        return res.status(401).json({ error: "Not authenticated" });
+      }
+
+      const { symbol, limit = 100 } = req.query;
+      const actions = await corporateActionService.list({
+        symbol,
+        limit: Math.min(parseInt(limit) || 100, 500)
       });
 
-      res.json({ strategies });
+      res.json({ actions });
 
     } catch (error) {
-      console.error("Error fetching strategies:", error);
+      console.error("Error fetching corporate actions:", error);
       res.status(500).json({ error: error.message });
     }
   }
 
   /**
-   * Create strategy
+   * Get the corporate action adjustments made to the user's paper positions
    */
-  async createStrategy(req, res) {
-    if (!req.user) {
-      return res.status(401).json({ error: "Not authenticated" });
-    }
-
+  async getCorporateActionAdjustments(req, res) {
     try {
-      const userId = req.user.id;
-      const strategyData = req.body;
+      if (!req.user) {
+        return res.status(401).json({ error: "Not authenticated" });
+      }
 
-      const strategy = await prisma.strategy.create({
-        data: {
-          userId,
-          name: strategyData.name,
-          modeOverride: strategyData.modeOverride,
-          requireManualReview: strategyData.requireManualReview || false,
+      const { limit = 100 } = req.query;
+      const events = await prisma.event.findMany({
+        where: {
+          type: 'corporate_action',
+          payload: { path: ['userId'], equals: req.user.id }
+        },
+        orderBy: { timestamp: 'desc' },
+        take: Math.min(parseInt(limit) || 100, 500)
+      });
+
+      res.json({
+        adjustments: events.map(event => ({ id: event.id, positionId: event.refId, timestamp: event.timestamp, ...event.payload }))
+      });
+
+    } catch (error) {
+      console.error("Error fetching corporate action adjustments:", error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  /**
+   * Get webhook settings
+   */
+  async getWebhookSettings(req, res) {
+    if (!req.user) {
+      return res.status(401).json({ error: "Not authenticated" });
+    }
+
+    try {
+      // Single webhook URL for all users (Chartlink model)
+      const webhookUrl = `${process.env.APP_BASE_URL || 'https://fyers-simple-app-production.up.railway.app'}/webhooks/chartlink`;
+
+      res.json({
+        webhookUrl: webhookUrl,
+        webhookSecret: "Not required for Chartlink",
+        defaultMode: 'paper',
+        description: "Single webhook URL for all Chartlink strategies. Users will receive orders based on their subscription preferences."
+      });
+
+    } catch (error) {
+      console.error("Error fetching webhook settings:", error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  /**
+   * Rotate webhook credentials
+   */
+  async rotateWebhookCredentials(req, res) {
+    if (!req.user) {
+      return res.status(401).json({ error: "Not authenticated" });
+    }
+
+    try {
+      const userId = req.user.id;
+      const credentials = await webhookService.generateWebhookCredentials(userId);
+
+      res.json({
+        success: true,
+        webhookUrl: credentials.webhookUrl,
+        webhookSecret: credentials.webhookSecret,
+        message: "Webhook credentials rotated successfully"
+      });
+
+    } catch (error) {
+      console.error("Error rotating webhook credentials:", error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  /**
+   * Check the settings keys that have a dedicated endpoint with the same
+   * rules that endpoint applies
+   * @param {Object} settings - Incoming settings
+   * @returns {Array<string>} Validation errors
+   */
+  validateSettings(settings) {
+    const errors = [];
+
+    if (settings.charges !== undefined) {
+      errors.push(...chargesService.validate(settings.charges));
+    }
+    if (settings.slippage !== undefined) {
+      errors.push(...slippageService.validate(settings.slippage));
+    }
+    if (settings.squareOff !== undefined) {
+      if (!settings.squareOff || typeof settings.squareOff !== 'object') {
+        errors.push("squareOff must be an object");
+      } else {
+        const invalid = Object.entries(settings.squareOff.cutoffs || {})
+          .filter(([, cutoff]) => !squareOffService.isValidCutoff(cutoff))
+          .map(([exchange]) => exchange);
+        if (invalid.length > 0) {
+          errors.push(`Cutoffs must be HH:MM (IST): ${invalid.join(', ')}`);
+        }
+      }
+    }
+    if (settings.watchlist !== undefined) {
+      if (!Array.isArray(settings.watchlist)) {
+        errors.push("watchlist must be an array of symbols");
+      } else {
+        const invalid = settings.watchlist.filter(symbol => !orderValidation.isValidSymbolFormat(symbol));
+        if (invalid.length > 0) {
+          errors.push(`Invalid watchlist symbols: ${invalid.join(', ')}`);
+        }
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Update user settings. Incoming settings are merged over the stored
+   * ones, so keys set through the dedicated endpoints (charges, squareOff,
+   * slippage, leverage, watchlist) survive a partial update.
+   */
+  async updateSettings(req, res) {
+    if (!req.user) {
+      return res.status(401).json({ error: "Not authenticated" });
+    }
+
+    try {
+      const userId = req.user.id;
+      const { defaultMode, settings } = req.body;
+
+      if (settings !== undefined && (!settings || typeof settings !== 'object' || Array.isArray(settings))) {
+        return res.status(400).json({ error: "settings must be an object" });
+      }
+      const errors = settings ? this.validateSettings(settings) : [];
+      if (errors.length > 0) {
+        return res.status(400).json({ error: "Invalid settings", details: errors });
+      }
+
+      const existing = await prisma.userSettings.findUnique({
+        where: { userId }
+      });
+      const merged = { ...(existing?.settings || {}), ...(settings || {}) };
+      if (settings?.watchlist) merged.watchlist = [...new Set(settings.watchlist)];
+
+      const updatedSettings = await prisma.userSettings.upsert({
+        where: { userId },
+        update: {
+          defaultMode,
+          settings: merged
+        },
+        create: {
+          userId,
+          defaultMode: defaultMode || 'paper',
+          settings: merged,
+          webhookToken: '', // Will be generated separately
+          webhookSecret: ''
+        }
+      });
+
+      if (settings?.watchlist) {
+        marketData.syncStream().catch(error => {
+          console.error("Error syncing market data stream:", error);
+        });
+      }
+
+      res.json({ success: true, settings: updatedSettings });
+
+    } catch (error) {
+      console.error("Error updating settings:", error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  /**
+   * Get effective brokerage and statutory charge rates
+   */
+  async getChargeSettings(req, res) {
+    if (!req.user) {
+      return res.status(401).json({ error: "Not authenticated" });
+    }
+
+    try {
+      const rates = await chargesService.getRates(req.user.id);
+
+      res.json({
+        rates,
+        defaults: chargesService.getDefaultRates()
+      });
+
+    } catch (error) {
+      console.error("Error fetching charge settings:", error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  /**
+   * Update charge rate overrides (stored in UserSettings.settings.charges)
+   */
+  async updateChargeSettings(req, res) {
+    if (!req.user) {
+      return res.status(401).json({ error: "Not authenticated" });
+    }
+
+    try {
+      const userId = req.user.id;
+      const { charges } = req.body;
+
+      if (!charges || typeof charges !== 'object') {
+        return res.status(400).json({ error: "charges object required" });
+      }
+
+      const errors = chargesService.validate(charges);
+      if (errors.length > 0) {
+        return res.status(400).json({ error: "Invalid charge settings", details: errors });
+      }
+
+      const existing = await prisma.userSettings.findUnique({
+        where: { userId }
+      });
+      const settings = { ...(existing?.settings || {}), charges };
+
+      await prisma.userSettings.upsert({
+        where: { userId },
+        update: { settings },
+        create: {
+          userId,
+          defaultMode: 'paper',
+          settings,
+          webhookToken: '', // Will be generated separately
+          webhookSecret: ''
+        }
+      });
+
+      res.json({ success: true, rates: chargesService.mergeRates(charges) });
+
+    } catch (error) {
+      console.error("Error updating charge settings:", error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  /**
+   * Get intraday square-off settings
+   */
+  async getSquareOffSettings(req, res) {
+    if (!req.user) {
+      return res.status(401).json({ error: "Not authenticated" });
+    }
+
+    try {
+      const settings = await squareOffService.getSettings(req.user.id);
+
+      res.json({
+        settings,
+        defaults: squareOffService.getDefaultSettings()
+      });
+
+    } catch (error) {
+      console.error("Error fetching square-off settings:", error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  /**
+   * Update intraday square-off settings (stored in UserSettings.settings.squareOff)
+   */
+  async updateSquareOffSettings(req, res) {
+    if (!req.user) {
+      return res.status(401).json({ error: "Not authenticated" });
+    }
+
+    try {
+      const userId = req.user.id;
+      const { squareOff } = req.body;
+
+      if (!squareOff || typeof squareOff !== 'object') {
+        return res.status(400).json({ error: "squareOff object required" });
+      }
+
+      const invalid = Object.entries(squareOff.cutoffs || {})
+        .filter(([, cutoff]) => !squareOffService.isValidCutoff(cutoff))
+        .map(([exchange]) => exchange);
+      if (invalid.length > 0) {
+        return res.status(400).json({ error: `Cutoffs must be HH:MM (IST): ${invalid.join(', ')}` });
+      }
+
+      const existing = await prisma.userSettings.findUnique({
+        where: { userId }
+      });
+      const settings = { ...(existing?.settings || {}), squareOff };
+
+      await prisma.userSettings.upsert({
+        where: { userId },
+        update: { settings },
+        create: {
+          userId,
+          defaultMode: 'paper',
+          settings,
+          webhookToken: '', // Will be generated separately
+          webhookSecret: ''
+        }
+      });
+
+      res.json({ success: true, settings: squareOffService.mergeSettings(squareOff) });
+
+    } catch (error) {
+      console.error("Error updating square-off settings:", error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  /**
+   * Get the paper slippage model and the available models
+   */
+  async getSlippageSettings(req, res) {
+    if (!req.user) {
+      return res.status(401).json({ error: "Not authenticated" });
+    }
+
+    try {
+      const slippage = await slippageService.getConfig(req.user.id);
+
+      res.json({
+        slippage,
+        defaults: slippageService.getDefaultConfig(),
+        models: slippageService.getModels()
+      });
+
+    } catch (error) {
+      console.error("Error fetching slippage settings:", error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  /**
+   * Update the paper slippage model (stored in UserSettings.settings.slippage)
+   */
+  async updateSlippageSettings(req, res) {
+    if (!req.user) {
+      return res.status(401).json({ error: "Not authenticated" });
+    }
+
+    try {
+      const userId = req.user.id;
+      const { slippage } = req.body;
+
+      const errors = slippageService.validate(slippage);
+      if (errors.length > 0) {
+        return res.status(400).json({ error: "Invalid slippage settings", details: errors });
+      }
+
+      const existing = await prisma.userSettings.findUnique({
+        where: { userId }
+      });
+      const settings = { ...(existing?.settings || {}), slippage };
+
+      await prisma.userSettings.upsert({
+        where: { userId },
+        update: { settings },
+        create: {
+          userId,
+          defaultMode: 'paper',
+          settings,
+          webhookToken: '', // Will be generated separately
+          webhookSecret: ''
+        }
+      });
+
+      res.json({ success: true, slippage: slippageService.resolve(slippage) });
+
+    } catch (error) {
+      console.error("Error updating slippage settings:", error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  /**
+   * Get the user's watchlist (symbols kept on the market data stream)
+   */
+  async getWatchlist(req, res) {
+    if (!req.user) {
+      return res.status(401).json({ error: "Not authenticated" });
+    }
+
+    try {
+      const userSettings = await prisma.userSettings.findUnique({
+        where: { userId: req.user.id }
+      });
+
+      res.json({ symbols: marketData.getWatchlist(userSettings?.settings) });
+
+    } catch (error) {
+      console.error("Error fetching watchlist:", error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  /**
+   * Replace the watchlist (stored in UserSettings.settings.watchlist)
+   */
+  async updateWatchlist(req, res) {
+    if (!req.user) {
+      return res.status(401).json({ error: "Not authenticated" });
+    }
+
+    try {
+      const userId = req.user.id;
+      const { symbols } = req.body;
+
+      if (!Array.isArray(symbols)) {
+        return res.status(400).json({ error: "symbols array required" });
+      }
+
+      const invalid = symbols.filter(symbol => !orderValidation.isValidSymbolFormat(symbol));
+      if (invalid.length > 0) {
+        return res.status(400).json({ error: `Invalid symbols: ${invalid.join(', ')}` });
+      }
+
+      const watchlist = [...new Set(symbols)];
+      const existing = await prisma.userSettings.findUnique({
+        where: { userId }
+      });
+      const settings = { ...(existing?.settings || {}), watchlist };
+
+      await prisma.userSettings.upsert({
+        where: { userId },
+        update: { settings },
+        create: {
+          userId,
+          defaultMode: 'paper',
+          settings,
+          webhookToken: '', // Will be generated separately
+          webhookSecret: ''
+        }
+      });
+
+      // Subscribe new symbols now rather than on the next sync
+      marketData.syncStream().catch(error => {
+        console.error("Error syncing market data stream:", error);
+      });
+
+      res.json({ success: true, symbols: watchlist });
+
+    } catch (error) {
+      console.error("Error updating watchlist:", error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  /**
+   * Get strategies
+   */
+  async getStrategies(req, res) {
+    if (!req.user) {
+      return res.status(401).json({ error: "Not authenticated" });
+    }
+
+    try {
+      const userId = req.user.id;
+      const strategies = await prisma.strategy.findMany({
+        where: { userId },
+        orderBy: { createdAt: 'desc' }
+      });
+
+      res.json({ strategies });
+
+    } catch (error) {
+      console.error("Error fetching strategies:", error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  /**
+   * Create strategy
+   */
+  async createStrategy(req, res) {
+    if (!req.user) {
+      return res.status(401).json({ error: "Not authenticated" });
+    }
+
+    try {
+      const userId = req.user.id;
+      const strategyData = req.body;
+
+      if (strategyData.slippage) {
+        const errors = slippageService.validate(strategyData.slippage);
+        if (errors.length > 0) {
+          return res.status(400).json({ error: "Invalid slippage settings", details: errors });
+        }
+      }
+
+      const strategy = await prisma.strategy.create({
+        data: {
+          userId,
+          name: strategyData.name,
+          modeOverride: strategyData.modeOverride,
+          requireManualReview: strategyData.requireManualReview || false,
           allowedSymbols: strategyData.allowedSymbols || [],
-          riskLimits: strategyData.riskLimits || {}
+          riskLimits: strategyData.riskLimits || {},
+          slippage: strategyData.slippage || undefined
         }
       });
 
@@ -605,6 +1444,13 @@ class TradingAPI {
       const userId = req.user.id;
       const updateData = req.body;
 
+      if (updateData.slippage) {
+        const errors = slippageService.validate(updateData.slippage);
+        if (errors.length > 0) {
+          return res.status(400).json({ error: "Invalid slippage settings", details: errors });
+        }
+      }
+
       const strategy = await prisma.strategy.updateMany({
         where: { id, userId },
         data: updateData
@@ -728,11 +1574,21 @@ class TradingAPI {
       const paperStats = paperEngine.getStats();
       const fyersStats = fyersService.getStats();
       const webhookStats = webhookService.getStats();
+      const squareOffStats = squareOffService.getStats();
+      const gttStats = gttService.getStats();
+      const backtestStats = backtestEngine.getStats();
+      const candleStats = candleService.getStats();
+      const marketDataStats = marketData.getCacheStats();
 
       res.json({
         paper: paperStats,
         fyers: fyersStats,
         webhook: webhookStats,
+        squareOff: squareOffStats,
+        gtt: gttStats,
+        backtest: backtestStats,
+        candles: candleStats,
+        marketData: marketDataStats,
         timestamp: new Date().toISOString()
       });
 
@@ -742,6 +1598,194 @@ class TradingAPI {
     }
   }
 
+  /**
+   * List backtest runs (without their orders, trades and equity curves)
+   */
+  async getBacktests(req, res) {
+    if (!req.user) {
+      return res.status(401).json({ error: "Not authenticated" });
+    }
+
+    try {
+      const { limit = 50, offset = 0 } = req.query;
+
+      const runs = await prisma.backtestRun.findMany({
+        where: { userId: req.user.id },
+        select: {
+          id: true,
+          name: true,
+          status: true,
+          summary: true,
+          error: true,
+          startingCapital: true,
+          from: true,
+          to: true,
+          startedAt: true,
+          completedAt: true
+        },
+        orderBy: { startedAt: 'desc' },
+        take: parseInt(limit),
+        skip: parseInt(offset)
+      });
+
+      res.json({ runs });
+
+    } catch (error) {
+      console.error("Error fetching backtests:", error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  /**
+   * Run a backtest of timestamped signals against local OHLCV candles
+   */
+  async runBacktest(req, res) {
+    if (!req.user) {
+      return res.status(401).json({ error: "Not authenticated" });
+    }
+
+    try {
+      const config = req.body || {};
+
+      const errors = backtestEngine.validateConfig(config);
+      if (errors.length > 0) {
+        return res.status(400).json({ error: "Invalid backtest", details: errors });
+      }
+
+      if (backtestEngine.running.has(req.user.id)) {
+        return res.status(409).json({ error: "A backtest is already running" });
+      }
+
+      const run = await backtestEngine.run(req.user.id, config);
+
+      res.status(run.status === 'completed' ? 201 : 422).json({
+        success: run.status === 'completed',
+        run
+      });
+
+    } catch (error) {
+      console.error("Error running backtest:", error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  /**
+   * Replay a strategy's stored alerts over a date range and compare the
+   * simulated outcome with the paper/live orders they produced
+   */
+  async replayAlerts(req, res) {
+    if (!req.user) {
+      return res.status(401).json({ error: "Not authenticated" });
+    }
+
+    try {
+      const config = req.body || {};
+
+      const errors = backtestEngine.validateReplayConfig(config);
+      if (errors.length > 0) {
+        return res.status(400).json({ error: "Invalid alert replay", details: errors });
+      }
+
+      const strategy = await prisma.strategy.findFirst({
+        where: { id: config.strategyId, userId: req.user.id }
+      });
+      if (!strategy) {
+        return res.status(404).json({ error: "Strategy not found" });
+      }
+
+      if (backtestEngine.running.has(req.user.id)) {
+        return res.status(409).json({ error: "A backtest is already running" });
+      }
+
+      const run = await backtestEngine.replayAlerts(req.user.id, {
+        ...config,
+        name: config.name || `${strategy.name} alert replay`
+      });
+      if (!run) {
+        return res.status(404).json({ error: "No alerts for this strategy in the selected range" });
+      }
+
+      res.status(run.status === 'completed' ? 201 : 422).json({
+        success: run.status === 'completed',
+        run
+      });
+
+    } catch (error) {
+      console.error("Error replaying alerts:", error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  /**
+   * List symbols with candle files available for backtests
+   */
+  async getBacktestData(req, res) {
+    if (!req.user) {
+      return res.status(401).json({ error: "Not authenticated" });
+    }
+
+    try {
+      res.json({
+        dataDir: backtestEngine.getDataDir(),
+        files: backtestEngine.listDataFiles()
+      });
+
+    } catch (error) {
+      console.error("Error listing backtest data:", error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  /**
+   * Get a backtest run with its orders, trades and equity curve
+   */
+  async getBacktest(req, res) {
+    if (!req.user) {
+      return res.status(401).json({ error: "Not authenticated" });
+    }
+
+    try {
+      const run = await prisma.backtestRun.findFirst({
+        where: { id: req.params.id, userId: req.user.id }
+      });
+
+      if (!run) {
+        return res.status(404).json({ error: "Backtest not found" });
+      }
+
+      res.json({ run });
+
+    } catch (error) {
+      console.error("Error fetching backtest:", error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  /**
+   * Delete a backtest run
+   */
+  async deleteBacktest(req, res) {
+    if (!req.user) {
+      return res.status(401).json({ error: "Not authenticated" });
+    }
+
+    try {
+      const result = await prisma.backtestRun.deleteMany({
+        where: { id: req.params.id, userId: req.user.id }
+      });
+
+      if (result.count === 0) {
+        return res.status(404).json({ error: "Backtest not found" });
+      }
+
+      res.json({ success: true });
+
+    } catch (error) {
+      console.error("Error deleting backtest:", error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
   /**
    * Get trading statistics
    */
@@ -786,7 +1830,7 @@ class TradingAPI {
   }
 
   /**
-   * Start paper trading simulation
+   * Start a new paper trading simulation run
    */
   async startSimulation(req, res) {
     if (!req.user) {
@@ -795,81 +1839,31 @@ class TradingAPI {
 
     try {
       const userId = req.user.id;
-      const { allocatedFunds = 100000, testName = '' } = req.body;
+      const { allocatedFunds = 100000, testName = '', strategyIds, marketData: marketDataConfig } = req.body;
 
-      // Check if simulation is already running
-      const existingSimulation = await prisma.simulation.findFirst({
-        where: { userId, isRunning: true }
-      });
-
-      if (existingSimulation) {
-        return res.status(400).json({ error: "Simulation is already running" });
+      if (!(allocatedFunds > 0)) {
+        return res.status(400).json({ error: "allocatedFunds must be > 0" });
       }
 
-      // Create or update simulation
-      const simulation = await prisma.simulation.upsert({
-        where: { userId },
-        update: {
-          isRunning: true,
-          testName: testName || '',
-          allocatedFunds,
-          currentBalance: allocatedFunds,
-          startTime: new Date(),
-          totalTrades: 0,
-          winningTrades: 0,
-          losingTrades: 0,
-          totalPnL: 0
-        },
-        create: {
-          userId,
-          isRunning: true,
-          testName: testName || '',
-          allocatedFunds,
-          currentBalance: allocatedFunds,
-          startTime: new Date(),
-          totalTrades: 0,
-          winningTrades: 0,
-          losingTrades: 0,
-          totalPnL: 0,
-          strategies: [],
-          simulationOrders: [],
-          simulationPositions: []
+      if (marketDataConfig !== undefined) {
+        const errors = dataProviders.validateConfig(marketDataConfig);
+        if (errors.length > 0) {
+          return res.status(400).json({ error: errors.join('; ') });
         }
-      });
+      }
 
-      // Get active strategies from Chartlink alerts
-      const strategies = await prisma.strategy.findMany({
-        where: { userId },
-        include: {
-          alerts: {
-            where: { status: 'active' },
-            take: 1
-          }
-        }
-      });
+      // Only one run at a time
+      const existingSimulation = await simulationService.getRunning(userId);
+      if (existingSimulation) {
+        return res.status(400).json({ error: "Simulation is already running" });
+      }
 
-      // Update simulation with strategies
-      await prisma.simulation.update({
-        where: { userId },
-        data: {
-          strategies: strategies.map(s => ({
-            id: s.id,
-            name: s.name,
-            trades: 0,
-            pnl: 0
-          }))
-        }
-      });
+      const simulation = await simulationService.start(userId, { allocatedFunds, testName, strategyIds, marketData: marketDataConfig });
 
       res.json({
         success: true,
         simulation,
-        strategies: strategies.map(s => ({
-          id: s.id,
-          name: s.name,
-          trades: 0,
-          pnl: 0
-        })),
+        strategies: simulation.strategies,
         message: "Simulation started successfully"
       });
 
@@ -880,7 +1874,7 @@ class TradingAPI {
   }
 
   /**
-   * Stop paper trading simulation
+   * Stop the running simulation and archive it with its final statistics
    */
   async stopSimulation(req, res) {
     if (!req.user) {
@@ -888,57 +1882,21 @@ class TradingAPI {
     }
 
     try {
-      const userId = req.user.id;
-
-      const simulation = await prisma.simulation.findFirst({
-        where: { userId, isRunning: true }
-      });
+      const simulation = await simulationService.getRunning(req.user.id);
 
       if (!simulation) {
         return res.status(400).json({ error: "No active simulation found" });
       }
 
-      // Calculate final statistics
-      const orders = await prisma.order.findMany({
-        where: { userId, mode: 'paper' },
-        include: { executions: true }
-      });
-
-      let totalTrades = 0;
-      let winningTrades = 0;
-      let losingTrades = 0;
-      let totalPnL = 0;
-
-      orders.forEach(order => {
-        if (order.executions && order.executions.length > 0) {
-          totalTrades++;
-          const pnl = order.executions.reduce((sum, exec) => sum + (exec.pnl || 0), 0);
-          totalPnL += pnl;
-          if (pnl > 0) winningTrades++;
-          else if (pnl < 0) losingTrades++;
-        }
-      });
-
-      // Update simulation
-      await prisma.simulation.update({
-        where: { userId },
-        data: {
-          isRunning: false,
-          endTime: new Date(),
-          totalTrades,
-          winningTrades,
-          losingTrades,
-          totalPnL,
-          currentBalance: simulation.allocatedFunds + totalPnL
-        }
-      });
+      const stopped = await simulationService.stop(simulation);
 
       res.json({
         success: true,
-        totalTrades,
-        winningTrades,
-        losingTrades,
-        totalPnL,
+        simulation: stopped,
+        totalTrades: stopped.totalTrades,
+        winningTrades: stopped.winningTrades,
+        losingTrades: stopped.losingTrades,
+        totalPnL: stopped.totalPnL,
         message: "Simulation stopped successfully"
       });
 
@@ -949,7 +1907,8 @@ class TradingAPI {
   }
 
   /**
-   * Reset paper trading simulation
+   * Reset the sandbox run: clears its paper orders, positions and trades.
+   * Simulation runs keep their data for later review.
    */
   async resetSimulation(req, res) {
     if (!req.user) {
@@ -959,22 +1918,34 @@ class TradingAPI {
     try {
       const userId = req.user.id;
 
-      // Delete all paper trading data
+      if (await simulationService.getRunning(userId)) {
+        return res.status(400).json({ error: "Stop the running simulation before resetting" });
+      }
+
+      const simulationId = await paperAccount.getActiveSimulationId(userId);
+
+      // Delete the sandbox run's paper trading data
       await prisma.$transaction([
         prisma.execution.deleteMany({
-          where: { order: { userId, mode: 'paper' } }
+          where: { order: { simulationId } }
         }),
         prisma.order.deleteMany({
-          where: { userId, mode: 'paper' }
+          where: { simulationId }
         }),
         prisma.position.deleteMany({
-          where: { userId, mode: 'paper' }
+          where: { simulationId }
         }),
-        prisma.portfolio.deleteMany({
-          where: { userId, mode: 'paper' }
+        prisma.positionLot.deleteMany({
+          where: { simulationId }
+        }),
+        prisma.trade.deleteMany({
+          where: { simulationId }
         }),
-        prisma.simulation.deleteMany({
-          where: { userId }
+        prisma.gttOrder.deleteMany({
+          where: { simulationId }
+        }),
+        prisma.portfolio.deleteMany({
+          where: { simulationId }
         })
       ]);
 
@@ -989,6 +1960,78 @@ class TradingAPI {
     }
   }
 
+  /**
+   * List simulation runs, newest first
+   */
+  async getSimulations(req, res) {
+    if (!req.user) {
+      return res.status(401).json({ error: "Not authenticated" });
+    }
+
+    try {
+      const { limit = 50, offset = 0 } = req.query;
+
+      const simulations = await simulationService.list(req.user.id, {
+        limit: parseInt(limit),
+        offset: parseInt(offset)
+      });
+
+      res.json({ simulations });
+
+    } catch (error) {
+      console.error("Error fetching simulations:", error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  /**
+   * Get a simulation run with its statistics, orders and round trips
+   */
+  async getSimulation(req, res) {
+    if (!req.user) {
+      return res.status(401).json({ error: "Not authenticated" });
+    }
+
+    try {
+      const simulation = await simulationService.getDetail(req.user.id, req.params.id);
+
+      if (!simulation) {
+        return res.status(404).json({ error: "Simulation not found" });
+      }
+
+      res.json({ simulation });
+
+    } catch (error) {
+      console.error("Error fetching simulation:", error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  /**
+   * Compare simulation runs side by side (?ids=a,b,c)
+   */
+  async compareSimulations(req, res) {
+    if (!req.user) {
+      return res.status(401).json({ error: "Not authenticated" });
+    }
+
+    try {
+      const ids = String(req.query.ids || '').split(',').map(id => id.trim()).filter(Boolean);
+
+      if (ids.length < 2) {
+        return res.status(400).json({ error: "Provide at least two simulation ids" });
+      }
+
+      const runs = await simulationService.compare(req.user.id, ids);
+
+      res.json({ runs });
+
+    } catch (error) {
+      console.error("Error comparing simulations:", error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
   /**
    * Get simulation status
    */
@@ -1000,11 +2043,13 @@ class TradingAPI {
     try {
       const userId = req.user.id;
 
-      const simulation = await prisma.simulation.findFirst({
-        where: { userId }
+      // The running simulation, else the most recent run
+      const latest = await simulationService.getRunning(userId) || await prisma.simulation.findFirst({
+        where: { userId, sandbox: false },
+        orderBy: { createdAt: 'desc' }
       });
 
-      if (!simulation) {
+      if (!latest) {
         return res.json({
           isRunning: false,
           allocatedFunds: 100000,
@@ -1022,18 +2067,21 @@ class TradingAPI {
 
       // Get recent simulation orders
       const simulationOrders = await prisma.order.findMany({
-        where: { userId, mode: 'paper' },
-        include: { executions: true },
+        where: { simulationId: latest.id },
+        include: { executions: true, strategy: true },
         orderBy: { createdAt: 'desc' },
         take: 50
       });
 
       // Get simulation positions
       const simulationPositions = await prisma.position.findMany({
-        where: { userId, mode: 'paper' },
+        where: { simulationId: latest.id },
         orderBy: { updatedAt: 'desc' }
       });
 
+      // Running stats come from the realized P&L ledger
+      const simulation = await simulationService.withStats(latest);
+
       res.json({
         ...simulation,
         simulationOrders: simulationOrders.map(order => ({
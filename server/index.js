@@ -10,6 +10,14 @@ const crypto = require("crypto");
 const tradingAPI = require("./api/trading");
 const paperEngine = require("./services/paperEngine");
 const symbolMaster = require("./services/symbolMaster");
+const marketData = require("./services/marketData");
+const squareOffService = require("./services/squareOffService");
+const gttService = require("./services/gttService");
+const marketCalendar = require("./services/marketCalendar");
+const corporateActionService = require("./services/corporateActionService");
+const expirySettlementService = require("./services/expirySettlementService");
+const dataProviders = require("./services/dataProviders");
+const candleService = require("./services/candleService");
 require("dotenv").config();
 
 const app = express();
@@ -291,6 +299,14 @@ app.get("/auth/callback", async (req, res) => {
       create: { fyId, name, email }
     });
 
+    // Drop the market data client bound to the previous session
+    const previousToken = await prisma.fyersToken.findUnique({
+      where: { userId_appId: { userId: user.id, appId: FYERS_APP_ID } }
+    });
+    if (previousToken && previousToken.accessToken !== tokenResp.access_token) {
+      marketData.releaseClient(previousToken.accessToken);
+    }
+
     // Upsert token for this user/app
     await prisma.fyersToken.upsert({
       where: { userId_appId: { userId: user.id, appId: FYERS_APP_ID } },
@@ -522,10 +538,38 @@ async function initializeServices() {
     await symbolMaster.preloadCommonSymbols();
     console.log("Symbol master initialized");
 
+    // Load exchange holidays and special sessions
+    marketCalendar.load();
+
+    // Replayed market data runs sessions, expiries and schedulers on its clock
+    const dataProvider = dataProviders.getDefault();
+    if (!dataProvider.requiresToken) {
+      marketCalendar.setClock(() => dataProvider.now());
+    }
+    marketCalendar.checkCoverage();
+
+    // Stream prices for open positions, working orders and watchlists
+    marketData.startStream();
+
+    // Build and store OHLCV bars from ticks and quote polls
+    candleService.start();
+
     // Start paper trading engine
     paperEngine.start();
     console.log("Paper trading engine started");
 
+    // Start intraday square-off scheduler
+    squareOffService.start();
+
+    // Start GTT trigger worker
+    gttService.start();
+
+    // Settle expired paper F&O positions
+    expirySettlementService.start();
+
+    // Import corporate actions and adjust paper positions on ex-dates
+    await corporateActionService.start();
+
     console.log("All services initialized successfully");
   } catch (error) {
     console.error("Error initializing services:", error);
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "orders" ADD COLUMN     "avgFillPrice" DOUBLE PRECISION,
+ADD COLUMN     "filledQty" INTEGER NOT NULL DEFAULT 0;
@@ -0,0 +1,12 @@
+-- AlterTable
+ALTER TABLE "orders" ADD COLUMN     "ocoGroupId" TEXT,
+ADD COLUMN     "parentOrderId" TEXT;
+
+-- CreateIndex
+CREATE INDEX "orders_parentOrderId_idx" ON "orders"("parentOrderId");
+
+-- CreateIndex
+CREATE INDEX "orders_ocoGroupId_idx" ON "orders"("ocoGroupId");
+
+-- AddForeignKey
+ALTER TABLE "orders" ADD CONSTRAINT "orders_parentOrderId_fkey" FOREIGN KEY ("parentOrderId") REFERENCES "orders"("id") ON DELETE SET NULL ON UPDATE CASCADE;
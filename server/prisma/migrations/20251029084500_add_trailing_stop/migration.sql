@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE "orders" ADD COLUMN     "trailAmount" DOUBLE PRECISION,
+ADD COLUMN     "trailAnchor" DOUBLE PRECISION,
+ADD COLUMN     "trailPercent" DOUBLE PRECISION;
@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "executions" ADD COLUMN     "charges" JSONB,
+ADD COLUMN     "totalCharges" DOUBLE PRECISION NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "portfolios" ADD COLUMN     "totalCharges" DOUBLE PRECISION NOT NULL DEFAULT 0;
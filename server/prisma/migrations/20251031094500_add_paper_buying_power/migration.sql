@@ -0,0 +1,22 @@
+-- DropIndex
+DROP INDEX "positions_userId_symbol_mode_key";
+
+-- AlterTable
+ALTER TABLE "positions" ADD COLUMN     "productType" TEXT NOT NULL DEFAULT 'INTRADAY';
+
+-- Existing positions take the product type of the latest filled order on
+-- the symbol, so CNC/MARGIN holdings are not squared off as intraday
+UPDATE "positions" p SET "productType" = o."productType"
+FROM (
+    SELECT DISTINCT ON ("userId", "symbol", "mode") "userId", "symbol", "mode", "productType"
+    FROM "orders"
+    WHERE "filledQty" > 0
+    ORDER BY "userId", "symbol", "mode", "createdAt" DESC
+) o
+WHERE o."userId" = p."userId" AND o."symbol" = p."symbol" AND o."mode" = p."mode";
+
+-- AlterTable
+ALTER TABLE "portfolios" ADD COLUMN     "blockedMargin" DOUBLE PRECISION NOT NULL DEFAULT 0;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "positions_userId_symbol_mode_productType_key" ON "positions"("userId", "symbol", "mode", "productType");
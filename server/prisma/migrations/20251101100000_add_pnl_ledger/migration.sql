@@ -0,0 +1,56 @@
+-- AlterTable
+ALTER TABLE "portfolios" ADD COLUMN     "realizedPnl" DOUBLE PRECISION NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "position_lots" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "symbol" TEXT NOT NULL,
+    "mode" TEXT NOT NULL,
+    "side" INTEGER NOT NULL,
+    "qty" INTEGER NOT NULL,
+    "openQty" INTEGER NOT NULL,
+    "price" DOUBLE PRECISION NOT NULL,
+    "chargesPerUnit" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "executionId" TEXT NOT NULL,
+    "openedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "position_lots_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "trades" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "symbol" TEXT NOT NULL,
+    "mode" TEXT NOT NULL,
+    "side" INTEGER NOT NULL,
+    "qty" INTEGER NOT NULL,
+    "entryPrice" DOUBLE PRECISION NOT NULL,
+    "exitPrice" DOUBLE PRECISION NOT NULL,
+    "entryTime" TIMESTAMP(3) NOT NULL,
+    "exitTime" TIMESTAMP(3) NOT NULL,
+    "entryExecutionId" TEXT NOT NULL,
+    "exitExecutionId" TEXT NOT NULL,
+    "grossPnl" DOUBLE PRECISION NOT NULL,
+    "charges" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "netPnl" DOUBLE PRECISION NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "trades_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "position_lots_userId_symbol_mode_openedAt_idx" ON "position_lots"("userId", "symbol", "mode", "openedAt");
+
+-- CreateIndex
+CREATE INDEX "trades_userId_mode_exitTime_idx" ON "trades"("userId", "mode", "exitTime");
+
+-- CreateIndex
+CREATE INDEX "trades_symbol_idx" ON "trades"("symbol");
+
+-- AddForeignKey
+ALTER TABLE "position_lots" ADD CONSTRAINT "position_lots_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "trades" ADD CONSTRAINT "trades_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
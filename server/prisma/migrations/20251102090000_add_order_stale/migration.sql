@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "orders" ADD COLUMN     "stale" BOOLEAN NOT NULL DEFAULT false;
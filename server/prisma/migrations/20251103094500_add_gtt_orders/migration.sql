@@ -0,0 +1,33 @@
+-- CreateTable
+CREATE TABLE "gtt_orders" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "mode" TEXT NOT NULL,
+    "kind" TEXT NOT NULL,
+    "symbol" TEXT NOT NULL,
+    "productType" TEXT NOT NULL DEFAULT 'CNC',
+    "legs" JSONB NOT NULL,
+    "state" TEXT NOT NULL DEFAULT 'active',
+    "lastPrice" DOUBLE PRECISION,
+    "triggeredLeg" INTEGER,
+    "triggeredAt" TIMESTAMP(3),
+    "orderId" TEXT,
+    "failureReason" TEXT,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "gtt_orders_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "gtt_orders_userId_state_idx" ON "gtt_orders"("userId", "state");
+
+-- CreateIndex
+CREATE INDEX "gtt_orders_state_idx" ON "gtt_orders"("state");
+
+-- AddForeignKey
+ALTER TABLE "gtt_orders" ADD CONSTRAINT "gtt_orders_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "gtt_orders" ADD CONSTRAINT "gtt_orders_orderId_fkey" FOREIGN KEY ("orderId") REFERENCES "orders"("id") ON DELETE SET NULL ON UPDATE CASCADE;
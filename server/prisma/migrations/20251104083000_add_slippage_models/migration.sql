@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "executions" ADD COLUMN     "slippage" DOUBLE PRECISION NOT NULL DEFAULT 0,
+ADD COLUMN     "slippageModel" TEXT,
+ADD COLUMN     "slippageParams" JSONB;
+
+-- AlterTable
+ALTER TABLE "strategies" ADD COLUMN     "slippage" JSONB;
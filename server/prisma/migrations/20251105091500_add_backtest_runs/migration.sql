@@ -0,0 +1,26 @@
+-- CreateTable
+CREATE TABLE "backtest_runs" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'running',
+    "config" JSONB NOT NULL,
+    "summary" JSONB,
+    "trades" JSONB,
+    "equityCurve" JSONB,
+    "orders" JSONB,
+    "error" TEXT,
+    "startingCapital" DOUBLE PRECISION NOT NULL,
+    "from" TIMESTAMP(3),
+    "to" TIMESTAMP(3),
+    "startedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "completedAt" TIMESTAMP(3),
+
+    CONSTRAINT "backtest_runs_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "backtest_runs_userId_startedAt_idx" ON "backtest_runs"("userId", "startedAt");
+
+-- AddForeignKey
+ALTER TABLE "backtest_runs" ADD CONSTRAINT "backtest_runs_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
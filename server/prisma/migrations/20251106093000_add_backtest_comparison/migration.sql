@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "backtest_runs" ADD COLUMN "comparison" JSONB;
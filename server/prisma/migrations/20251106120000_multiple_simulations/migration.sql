@@ -0,0 +1,8 @@
+-- DropIndex
+DROP INDEX "simulations_userId_key";
+
+-- AlterTable
+ALTER TABLE "simulations" ADD COLUMN "stats" JSONB;
+
+-- CreateIndex
+CREATE INDEX "simulations_userId_createdAt_idx" ON "simulations"("userId", "createdAt");
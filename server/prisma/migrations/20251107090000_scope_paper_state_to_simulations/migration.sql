@@ -0,0 +1,55 @@
+-- AlterTable
+ALTER TABLE "simulations" ADD COLUMN "sandbox" BOOLEAN NOT NULL DEFAULT false;
+
+-- AlterTable
+ALTER TABLE "orders" ADD COLUMN "simulationId" TEXT;
+ALTER TABLE "positions" ADD COLUMN "simulationId" TEXT;
+ALTER TABLE "portfolios" ADD COLUMN "simulationId" TEXT;
+ALTER TABLE "position_lots" ADD COLUMN "simulationId" TEXT;
+ALTER TABLE "trades" ADD COLUMN "simulationId" TEXT;
+
+-- Sandbox run for every user with paper data
+INSERT INTO "simulations" ("id", "userId", "isRunning", "sandbox", "testName", "startTime", "updatedAt")
+SELECT 'sandbox_' || u."userId", u."userId", false, true, 'Sandbox', CURRENT_TIMESTAMP, CURRENT_TIMESTAMP
+FROM (
+    SELECT "userId" FROM "orders" WHERE "mode" = 'paper'
+    UNION SELECT "userId" FROM "positions" WHERE "mode" = 'paper'
+    UNION SELECT "userId" FROM "portfolios" WHERE "mode" = 'paper'
+    UNION SELECT "userId" FROM "position_lots" WHERE "mode" = 'paper'
+    UNION SELECT "userId" FROM "trades" WHERE "mode" = 'paper'
+) u;
+
+-- Existing paper data belongs to the running simulation, otherwise the sandbox
+CREATE TEMP TABLE "paper_owner" AS
+SELECT s."userId", COALESCE(
+    (SELECT r."id" FROM "simulations" r WHERE r."userId" = s."userId" AND r."isRunning" ORDER BY r."createdAt" DESC LIMIT 1),
+    s."id"
+) AS "simulationId"
+FROM "simulations" s
+WHERE s."sandbox";
+
+UPDATE "orders" t SET "simulationId" = o."simulationId" FROM "paper_owner" o WHERE t."userId" = o."userId" AND t."mode" = 'paper';
+UPDATE "positions" t SET "simulationId" = o."simulationId" FROM "paper_owner" o WHERE t."userId" = o."userId" AND t."mode" = 'paper';
+UPDATE "portfolios" t SET "simulationId" = o."simulationId" FROM "paper_owner" o WHERE t."userId" = o."userId" AND t."mode" = 'paper';
+UPDATE "position_lots" t SET "simulationId" = o."simulationId" FROM "paper_owner" o WHERE t."userId" = o."userId" AND t."mode" = 'paper';
+UPDATE "trades" t SET "simulationId" = o."simulationId" FROM "paper_owner" o WHERE t."userId" = o."userId" AND t."mode" = 'paper';
+
+DROP TABLE "paper_owner";
+
+-- DropIndex
+DROP INDEX "positions_userId_symbol_mode_productType_key";
+DROP INDEX "portfolios_userId_mode_key";
+
+-- CreateIndex
+CREATE UNIQUE INDEX "positions_userId_symbol_mode_productType_simulationId_key" ON "positions"("userId", "symbol", "mode", "productType", "simulationId");
+CREATE UNIQUE INDEX "portfolios_userId_mode_simulationId_key" ON "portfolios"("userId", "mode", "simulationId");
+CREATE INDEX "orders_simulationId_state_idx" ON "orders"("simulationId", "state");
+CREATE INDEX "position_lots_simulationId_symbol_idx" ON "position_lots"("simulationId", "symbol");
+CREATE INDEX "trades_simulationId_exitTime_idx" ON "trades"("simulationId", "exitTime");
+
+-- AddForeignKey
+ALTER TABLE "orders" ADD CONSTRAINT "orders_simulationId_fkey" FOREIGN KEY ("simulationId") REFERENCES "simulations"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "positions" ADD CONSTRAINT "positions_simulationId_fkey" FOREIGN KEY ("simulationId") REFERENCES "simulations"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "portfolios" ADD CONSTRAINT "portfolios_simulationId_fkey" FOREIGN KEY ("simulationId") REFERENCES "simulations"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "position_lots" ADD CONSTRAINT "position_lots_simulationId_fkey" FOREIGN KEY ("simulationId") REFERENCES "simulations"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "trades" ADD CONSTRAINT "trades_simulationId_fkey" FOREIGN KEY ("simulationId") REFERENCES "simulations"("id") ON DELETE CASCADE ON UPDATE CASCADE;
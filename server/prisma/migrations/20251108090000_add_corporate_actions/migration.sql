@@ -0,0 +1,25 @@
+-- AlterTable
+ALTER TABLE "portfolios" ADD COLUMN "dividends" DOUBLE PRECISION NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "corporate_actions" (
+    "id" TEXT NOT NULL,
+    "symbol" TEXT NOT NULL,
+    "exDate" TEXT NOT NULL,
+    "splitRatio" DOUBLE PRECISION,
+    "bonusRatio" DOUBLE PRECISION,
+    "dividend" DOUBLE PRECISION,
+    "description" TEXT,
+    "source" TEXT,
+    "appliedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "corporate_actions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "corporate_actions_symbol_exDate_key" ON "corporate_actions"("symbol", "exDate");
+
+-- CreateIndex
+CREATE INDEX "corporate_actions_appliedAt_exDate_idx" ON "corporate_actions"("appliedAt", "exDate");
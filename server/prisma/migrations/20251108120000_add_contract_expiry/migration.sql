@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "symbol_meta" ADD COLUMN "underlying" TEXT,
+ADD COLUMN "expiry" TEXT,
+ADD COLUMN "strike" DOUBLE PRECISION,
+ADD COLUMN "optionType" TEXT;
@@ -0,0 +1,20 @@
+-- CreateTable
+CREATE TABLE "candles" (
+    "id" TEXT NOT NULL,
+    "symbol" TEXT NOT NULL,
+    "resolution" TEXT NOT NULL,
+    "time" TIMESTAMP(3) NOT NULL,
+    "open" DOUBLE PRECISION NOT NULL,
+    "high" DOUBLE PRECISION NOT NULL,
+    "low" DOUBLE PRECISION NOT NULL,
+    "close" DOUBLE PRECISION NOT NULL,
+    "volume" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "source" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "candles_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "candles_symbol_resolution_time_key" ON "candles"("symbol", "resolution", "time");
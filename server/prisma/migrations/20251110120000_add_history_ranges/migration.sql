@@ -0,0 +1,15 @@
+-- CreateTable
+CREATE TABLE "history_ranges" (
+    "id" TEXT NOT NULL,
+    "symbol" TEXT NOT NULL,
+    "resolution" TEXT NOT NULL,
+    "from" TEXT NOT NULL,
+    "to" TEXT NOT NULL,
+    "candles" INTEGER NOT NULL DEFAULT 0,
+    "fetchedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "history_ranges_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "history_ranges_symbol_resolution_idx" ON "history_ranges"("symbol", "resolution");
@@ -0,0 +1,18 @@
+-- AlterTable
+ALTER TABLE "position_lots" ADD COLUMN "productType" TEXT NOT NULL DEFAULT 'INTRADAY';
+ALTER TABLE "trades" ADD COLUMN "productType" TEXT NOT NULL DEFAULT 'INTRADAY';
+
+-- Existing lots and trades take the product type of the order that opened or closed them
+UPDATE "position_lots" l SET "productType" = o."productType"
+FROM "executions" e JOIN "orders" o ON o."id" = e."orderId"
+WHERE e."id" = l."executionId";
+
+UPDATE "trades" t SET "productType" = o."productType"
+FROM "executions" e JOIN "orders" o ON o."id" = e."orderId"
+WHERE e."id" = t."entryExecutionId";
+
+-- DropIndex
+DROP INDEX "position_lots_userId_symbol_mode_openedAt_idx";
+
+-- CreateIndex
+CREATE INDEX "position_lots_userId_symbol_mode_productType_openedAt_idx" ON "position_lots"("userId", "symbol", "mode", "productType", "openedAt");
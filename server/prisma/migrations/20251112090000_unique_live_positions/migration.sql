@@ -0,0 +1,24 @@
+-- Paper rows always belong to a simulation run, so their compound unique
+-- keys never hold a NULL
+ALTER TABLE "positions" ADD CONSTRAINT "positions_paper_simulation_check" CHECK ("mode" <> 'paper' OR "simulationId" IS NOT NULL);
+ALTER TABLE "portfolios" ADD CONSTRAINT "portfolios_paper_simulation_check" CHECK ("mode" <> 'paper' OR "simulationId" IS NOT NULL);
+
+-- Live rows have no run. NULLs are distinct in a unique index, so live
+-- rows get partial unique indexes of their own; duplicates created since
+-- runs were introduced are merged into the latest row first.
+DELETE FROM "positions" p
+USING "positions" newer
+WHERE p."simulationId" IS NULL AND newer."simulationId" IS NULL
+  AND p."userId" = newer."userId" AND p."symbol" = newer."symbol"
+  AND p."mode" = newer."mode" AND p."productType" = newer."productType"
+  AND (p."updatedAt", p."id") < (newer."updatedAt", newer."id");
+
+DELETE FROM "portfolios" p
+USING "portfolios" newer
+WHERE p."simulationId" IS NULL AND newer."simulationId" IS NULL
+  AND p."userId" = newer."userId" AND p."mode" = newer."mode"
+  AND (p."updatedAt", p."id") < (newer."updatedAt", newer."id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "positions_userId_symbol_mode_productType_live_key" ON "positions"("userId", "symbol", "mode", "productType") WHERE "simulationId" IS NULL;
+CREATE UNIQUE INDEX "portfolios_userId_mode_live_key" ON "portfolios"("userId", "mode") WHERE "simulationId" IS NULL;
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "corporate_actions" ADD COLUMN "rightsRatio" DOUBLE PRECISION,
+ADD COLUMN "rightsPrice" DOUBLE PRECISION;
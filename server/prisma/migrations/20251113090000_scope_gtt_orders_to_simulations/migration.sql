@@ -0,0 +1,22 @@
+-- AlterTable
+ALTER TABLE "gtt_orders" ADD COLUMN "simulationId" TEXT;
+
+-- Sandbox run for users whose only paper data is GTTs
+INSERT INTO "simulations" ("id", "userId", "isRunning", "sandbox", "testName", "startTime", "updatedAt")
+SELECT DISTINCT 'sandbox_' || g."userId", g."userId", false, true, 'Sandbox', CURRENT_TIMESTAMP, CURRENT_TIMESTAMP
+FROM "gtt_orders" g
+WHERE g."mode" = 'paper'
+ON CONFLICT ("id") DO NOTHING;
+
+-- Existing paper GTTs belong to the running simulation, otherwise the sandbox
+UPDATE "gtt_orders" g SET "simulationId" = COALESCE(
+    (SELECT r."id" FROM "simulations" r WHERE r."userId" = g."userId" AND r."isRunning" ORDER BY r."createdAt" DESC LIMIT 1),
+    'sandbox_' || g."userId"
+)
+WHERE g."mode" = 'paper';
+
+-- CreateIndex
+CREATE INDEX "gtt_orders_simulationId_state_idx" ON "gtt_orders"("simulationId", "state");
+
+-- AddForeignKey
+ALTER TABLE "gtt_orders" ADD CONSTRAINT "gtt_orders_simulationId_fkey" FOREIGN KEY ("simulationId") REFERENCES "simulations"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,1141 @@
+// File: Backtest Engine
+// Path: server/services/backtestEngine.js
+//
+// Replays timestamped signals against historical OHLCV candles with the
+// paper engine's order types, validation rules and fill logic. Orders,
+// positions and cash live in memory on a simulated clock; only the finished
+// run (orders, trades, equity curve, metrics) is stored.
+
+const fs = require('fs');
+const path = require('path');
+const { prisma } = require("../prisma/client");
+const symbolMaster = require('./symbolMaster');
+const orderValidation = require('./orderValidation');
+const fillSimulator = require('./fillSimulator');
+const slippageService = require('./slippageService');
+const chargesService = require('./chargesService');
+const paperAccount = require('./paperAccount');
+const paperEngine = require('./paperEngine');
+const pnlLedger = require('./pnlLedger');
+const marketCalendar = require('./marketCalendar');
+const webhookService = require('./webhookService');
+const candleFiles = require('./candleFiles');
+
+const DEFAULT_DATA_DIR = path.join(__dirname, '..', 'data', 'ohlcv');
+const OPEN_STATES = ['new', 'working', 'partial'];
+const INTRADAY_PRODUCTS = ['INTRADAY', 'CO', 'BO'];
+const MAX_SIGNALS = 10000;
+const MAX_EQUITY_POINTS = 2000;
+const TRADING_DAYS_PER_YEAR = 252;
+
+class BacktestEngine {
+  constructor() {
+    this.running = new Set(); // userIds with a run in progress
+  }
+
+  /**
+   * Directory holding OHLCV CSV files (BACKTEST_DATA_DIR)
+   * @returns {string}
+   */
+  getDataDir() {
+    return process.env.BACKTEST_DATA_DIR || DEFAULT_DATA_DIR;
+  }
+
+  /**
+   * CSV file for a symbol: NSE:SBIN-EQ -> NSE_SBIN-EQ.csv
+   * @param {string} symbol
+   * @returns {string}
+   */
+  getDataFile(symbol) {
+    if (!orderValidation.isValidSymbolFormat(symbol)) {
+      throw new Error(`Invalid symbol format: ${symbol}`);
+    }
+    return path.join(this.getDataDir(), `${symbol.replace(':', '_')}.csv`);
+  }
+
+  /**
+   * List the symbols that have candle files
+   * @returns {Array<{symbol: string, file: string, size: number}>}
+   */
+  listDataFiles() {
+    const dir = this.getDataDir();
+    if (!fs.existsSync(dir)) return [];
+
+    return fs.readdirSync(dir)
+      .filter(file => file.endsWith('.csv') && file.includes('_'))
+      .map(file => ({
+        symbol: file.slice(0, -4).replace('_', ':'),
+        file,
+        size: fs.statSync(path.join(dir, file)).size
+      }));
+  }
+
+  /**
+   * Load candles for a symbol from its CSV file
+   * @param {string} symbol
+   * @param {Object} range - Optional { from, to } Dates
+   * @returns {Array<{symbol: string, time: Date, open: number, high: number, low: number, close: number, volume: number}>}
+   */
+  loadCandles(symbol, range = {}) {
+    const file = this.getDataFile(symbol);
+    if (!fs.existsSync(file)) {
+      throw new Error(`No candle data for ${symbol} (expected ${path.basename(file)} in ${this.getDataDir()})`);
+    }
+
+    return candleFiles.parseCsv(fs.readFileSync(file, 'utf8'), symbol, range, path.basename(file));
+  }
+
+  /**
+   * Turn signals into timestamped order payloads. Signals use the order
+   * fields of POST /api/orders, or raw Chartlink alert fields.
+   * @param {Array<Object>} signals - [{ time, symbol, side, type, qty, alertId?, ... }]
+   * @param {Object} options - { chartlink: true } maps every signal as a Chartlink alert
+   * @returns {Array<{time: Date, index: number, order: Object, alertId?: string, error?: string}>}
+   */
+  normalizeSignals(signals, options = {}) {
+    return signals.map((signal, index) => {
+      const order = typeof signal.side === 'number' && !options.chartlink
+        ? {
+            type: 2,
+            productType: 'INTRADAY',
+            validity: 'DAY',
+            ...signal
+          }
+        : webhookService.mapChartlinkToOrder(signal);
+
+      const time = order ? candleFiles.parseTimestamp(signal.time ?? signal.timestamp, order.symbol) : null;
+      delete order?.time;
+      delete order?.timestamp;
+      delete order?.alertId;
+
+      return {
+        index,
+        time,
+        order,
+        alertId: signal.alertId,
+        error: !order ? 'Could not map signal to an order' : (!time ? 'Missing or invalid signal time' : undefined)
+      };
+    }).sort((a, b) => (a.time || 0) - (b.time || 0) || a.index - b.index);
+  }
+
+  /**
+   * Validate a backtest request
+   * @param {Object} config
+   * @returns {Array<string>} Errors
+   */
+  validateConfig(config) {
+    const errors = [];
+
+    if (!Array.isArray(config.signals) || config.signals.length === 0) {
+      errors.push('signals must be a non-empty array');
+    } else if (config.signals.length > MAX_SIGNALS) {
+      errors.push(`At most ${MAX_SIGNALS} signals per backtest`);
+    }
+    if (config.startingCapital !== undefined && !(config.startingCapital > 0)) {
+      errors.push('startingCapital must be > 0');
+    }
+    if (config.volumeParticipation !== undefined &&
+        !(config.volumeParticipation > 0 && config.volumeParticipation <= 1)) {
+      errors.push('volumeParticipation must be between 0 and 1');
+    }
+    if (config.slippage) {
+      errors.push(...slippageService.validate(config.slippage));
+    }
+    for (const key of ['from', 'to']) {
+      if (config[key] && isNaN(new Date(config[key]).getTime())) {
+        errors.push(`Invalid ${key} date`);
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validate an alert replay request
+   * @param {Object} config
+   * @returns {Array<string>} Errors
+   */
+  validateReplayConfig(config) {
+    const errors = this.validateConfig({ ...config, signals: [{}] });
+
+    if (!config.strategyId) {
+      errors.push('strategyId is required');
+    }
+    if (!config.from || !config.to) {
+      errors.push('from and to are required');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Resolve a config's from/to into Dates. Bare dates cover whole IST
+   * days, so to=2025-06-30 includes that day's session.
+   * @param {Object} config - { from?, to? }
+   * @returns {{from: Date|null, to: Date|null}}
+   */
+  parseRange(config) {
+    const parse = (value, endOfDay) => {
+      if (!value) return null;
+      if (/^\d{4}-\d{2}-\d{2}$/.test(String(value))) {
+        return new Date(`${value}T${endOfDay ? '23:59:59.999' : '00:00:00'}+05:30`);
+      }
+      return new Date(value);
+    };
+
+    return { from: parse(config.from, false), to: parse(config.to, true) };
+  }
+
+  /**
+   * Run a backtest and store it
+   * @param {string} userId - User ID
+   * @param {Object} config - { name, signals, from?, to?, startingCapital?, slippage?, volumeParticipation?, squareOffIntraday? }
+   * @returns {Promise<Object>} The stored BacktestRun
+   */
+  async run(userId, config) {
+    return this.execute(userId, config, config);
+  }
+
+  /**
+   * Replay a strategy's stored alerts through Chartlink mapping, validation
+   * and the simulated fills, then compare the result with the orders and
+   * trades those alerts actually produced in paper or live
+   * @param {string} userId - User ID
+   * @param {Object} config - { strategyId, from, to, name?, startingCapital?, slippage?, volumeParticipation?, squareOffIntraday? }
+   * @returns {Promise<Object|null>} The stored BacktestRun, or null if no alerts are in range
+   */
+  async replayAlerts(userId, config) {
+    const range = this.parseRange(config);
+    const alerts = await prisma.alert.findMany({
+      where: {
+        userId,
+        strategyId: config.strategyId,
+        createdAt: { gte: range.from, lte: range.to }
+      },
+      include: {
+        orders: {
+          include: { executions: true },
+          orderBy: { createdAt: 'asc' }
+        }
+      },
+      orderBy: { createdAt: 'asc' },
+      take: MAX_SIGNALS
+    });
+
+    if (alerts.length === 0) {
+      return null;
+    }
+
+    const signals = alerts.map(alert => ({
+      ...alert.rawPayload,
+      time: alert.createdAt.toISOString(),
+      alertId: alert.id
+    }));
+    const stored = { ...config, source: 'alerts', alerts: alerts.length };
+
+    return this.execute(userId, { ...stored, signals, chartlink: true }, stored, alerts);
+  }
+
+  /**
+   * Simulate a config and store the run
+   * @param {string} userId - User ID
+   * @param {Object} config - Simulation config (see simulate())
+   * @param {Object} storedConfig - Config saved on the run
+   * @param {Array<Object>} alerts - Replayed alerts with their orders, for the comparison report
+   * @returns {Promise<Object>} The stored BacktestRun
+   */
+  async execute(userId, config, storedConfig, alerts = null) {
+    if (this.running.has(userId)) {
+      throw new Error('A backtest is already running for this user');
+    }
+
+    const startingCapital = config.startingCapital || paperAccount.startingCapital;
+    const range = this.parseRange(config);
+    const run = await prisma.backtestRun.create({
+      data: {
+        userId,
+        name: config.name || `${alerts ? 'Alert replay' : 'Backtest'} ${new Date().toISOString()}`,
+        config: storedConfig,
+        startingCapital,
+        from: range.from,
+        to: range.to
+      }
+    });
+
+    this.running.add(userId);
+    try {
+      const result = await this.simulate(userId, { ...config, startingCapital });
+      const comparison = alerts ? await this.compareWithActual(userId, alerts, result) : undefined;
+
+      return await prisma.backtestRun.update({
+        where: { id: run.id },
+        data: {
+          status: 'completed',
+          summary: result.summary,
+          trades: result.trades,
+          equityCurve: result.equityCurve,
+          orders: result.orders,
+          comparison,
+          completedAt: new Date()
+        }
+      });
+    } catch (error) {
+      console.error(`Backtest ${run.id} failed:`, error);
+      return prisma.backtestRun.update({
+        where: { id: run.id },
+        data: {
+          status: 'failed',
+          error: error.message,
+          completedAt: new Date()
+        }
+      });
+    } finally {
+      this.running.delete(userId);
+    }
+  }
+
+  /**
+   * Compare replayed alerts with what actually happened. Each alert's
+   * entry order (the one without a parent) is compared on outcome,
+   * filled quantity and fill price; P&L covers the round trips that
+   * opened or closed on an execution of an alert's orders.
+   * @param {string} userId - User ID
+   * @param {Array<Object>} alerts - Alerts with their orders and executions
+   * @param {Object} result - simulate() result
+   * @returns {Promise<{summary: Object, alerts: Array<Object>}>}
+   */
+  async compareWithActual(userId, alerts, result) {
+    const round = chargesService.round;
+    const replayByAlert = new Map();
+    const replayExecutions = new Set();
+    for (const order of result.orders) {
+      if (!order.alertId) continue;
+      if (!order.parentOrderId && !replayByAlert.has(order.alertId)) {
+        replayByAlert.set(order.alertId, order);
+      }
+      for (const execution of order.executions) {
+        replayExecutions.add(execution.id);
+      }
+    }
+
+    const actualExecutions = alerts.flatMap(alert =>
+      alert.orders.flatMap(order => order.executions.map(execution => execution.id))
+    );
+    const actualTrades = actualExecutions.length === 0 ? [] : await prisma.trade.findMany({
+      where: {
+        userId,
+        OR: [
+          { entryExecutionId: { in: actualExecutions } },
+          { exitExecutionId: { in: actualExecutions } }
+        ]
+      }
+    });
+    const replayTrades = result.trades.filter(trade =>
+      replayExecutions.has(trade.entryExecutionId) || replayExecutions.has(trade.exitExecutionId)
+    );
+
+    const rows = alerts.map(alert => {
+      const replayed = replayByAlert.get(alert.id) || null;
+      const actual = alert.orders.find(order => !order.parentOrderId) || null;
+      const replayFilled = replayed?.filledQty > 0;
+      const actualFilled = actual?.filledQty > 0;
+
+      const differences = [];
+      if (replayFilled !== actualFilled) {
+        differences.push(replayFilled ? 'Filled in replay only' : 'Filled in actual only');
+      } else if (replayFilled && replayed.filledQty !== actual.filledQty) {
+        differences.push(`Filled qty ${replayed.filledQty} vs ${actual.filledQty}`);
+      }
+      if (!actual && alert.status === 'rejected' && replayed && replayed.state !== 'rejected') {
+        differences.push('Alert was rejected but the replay placed an order');
+      }
+
+      // Positive means the replay filled at a better price
+      const priceDiff = replayFilled && actualFilled
+        ? round((actual.avgFillPrice - replayed.avgFillPrice) * actual.side)
+        : null;
+
+      return {
+        alertId: alert.id,
+        time: alert.createdAt,
+        symbol: replayed?.symbol || actual?.symbol || null,
+        side: replayed?.side ?? actual?.side ?? null,
+        replay: replayed && {
+          state: replayed.state,
+          filledQty: replayed.filledQty,
+          avgFillPrice: replayed.avgFillPrice,
+          reason: replayed.reason
+        },
+        actual: {
+          alertStatus: alert.status,
+          orderId: actual?.id || null,
+          mode: actual?.mode || null,
+          state: actual?.state || null,
+          filledQty: actual?.filledQty || 0,
+          avgFillPrice: actual?.avgFillPrice ?? null
+        },
+        priceDiff,
+        matched: differences.length === 0,
+        differences
+      };
+    });
+
+    const priced = rows.filter(row => row.priceDiff !== null);
+    const replayNetPnl = round(replayTrades.reduce((sum, trade) => sum + trade.netPnl, 0));
+    const actualNetPnl = round(actualTrades.reduce((sum, trade) => sum + trade.netPnl, 0));
+
+    return {
+      summary: {
+        alerts: rows.length,
+        matched: rows.filter(row => row.matched).length,
+        diverged: rows.filter(row => !row.matched).length,
+        replayFilled: rows.filter(row => row.replay?.filledQty > 0).length,
+        actualFilled: rows.filter(row => row.actual.filledQty > 0).length,
+        replayRejected: rows.filter(row => !row.replay || row.replay.state === 'rejected').length,
+        actualRejected: rows.filter(row => !row.actual.orderId || row.actual.state === 'rejected').length,
+        modes: [...new Set(rows.map(row => row.actual.mode).filter(Boolean))],
+        avgPriceDiff: priced.length ? round(priced.reduce((sum, row) => sum + row.priceDiff, 0) / priced.length) : null,
+        replayTrades: replayTrades.length,
+        actualTrades: actualTrades.length,
+        replayNetPnl,
+        actualNetPnl,
+        netPnlDiff: round(replayNetPnl - actualNetPnl)
+      },
+      alerts: rows
+    };
+  }
+
+  /**
+   * Simulate signals against candles without touching the database
+   * beyond reading symbol metadata and the user's charge/leverage settings
+   * @param {string} userId - User ID
+   * @param {Object} config - See run()
+   * @returns {Promise<{orders: Array, trades: Array, equityCurve: Array, summary: Object}>}
+   */
+  async simulate(userId, config) {
+    const range = this.parseRange(config);
+    const signals = this.normalizeSignals(config.signals, { chartlink: config.chartlink });
+    const symbols = [...new Set(signals.filter(s => s.order).map(s => s.order.symbol))];
+
+    const state = {
+      cash: config.startingCapital,
+      positions: new Map(), // `${symbol}|${productType}` -> { symbol, productType, qty, avgPrice }
+      lots: new Map(), // same key -> FIFO lots
+      orders: [],
+      trades: [],
+      equityCurve: [],
+      lastPrice: new Map(),
+      volumeUsed: new Map(), // symbol -> quantity filled on the current bar
+      seq: 0,
+      execSeq: 0,
+      metas: new Map(),
+      rates: config.charges === false ? null : await chargesService.getRates(userId),
+      leverage: await paperAccount.getLeverageOverrides(userId),
+      slippage: config.slippage ? slippageService.resolve(config.slippage) : await slippageService.getConfig(userId, config.strategyId),
+      participation: config.volumeParticipation || 1,
+      squareOffIntraday: config.squareOffIntraday !== false
+    };
+
+    const candles = [];
+    for (const symbol of symbols) {
+      state.metas.set(symbol, await symbolMaster.getSymbolMeta(symbol));
+      candles.push(...this.loadCandles(symbol, range));
+    }
+    candles.sort((a, b) => a.time - b.time);
+
+    if (candles.length === 0) {
+      throw new Error('No candles in the selected range');
+    }
+
+    // Signals wait per symbol until the first candle at or after their time
+    const pending = new Map(symbols.map(symbol => [symbol, []]));
+    for (const signal of signals) {
+      if (signal.error) {
+        this.recordRejected(state, signal, signal.order || {}, [signal.error]);
+      } else {
+        pending.get(signal.order.symbol).push(signal);
+      }
+    }
+
+    const previousBar = new Map();
+    let lastTime = null;
+
+    for (const bar of candles) {
+      if (lastTime !== null && bar.time.getTime() !== lastTime.getTime()) {
+        this.recordEquity(state, lastTime);
+      }
+      lastTime = bar.time;
+
+      const prev = previousBar.get(bar.symbol);
+      if (prev && this.getISTDate(prev.time) !== this.getISTDate(bar.time)) {
+        this.endSession(state, prev);
+      }
+      previousBar.set(bar.symbol, bar);
+      state.volumeUsed.set(bar.symbol, 0);
+
+      const queue = pending.get(bar.symbol);
+      while (queue.length > 0 && queue[0].time <= bar.time) {
+        this.submitOrder(state, queue.shift(), bar);
+      }
+
+      this.matchBar(state, bar);
+      state.lastPrice.set(bar.symbol, bar.close);
+    }
+
+    for (const bar of previousBar.values()) {
+      this.endSession(state, bar);
+    }
+    this.recordEquity(state, lastTime);
+
+    // Signals after the last candle never reached the market
+    for (const queue of pending.values()) {
+      for (const signal of queue) {
+        this.recordRejected(state, signal, signal.order, ['No candle at or after the signal time']);
+      }
+    }
+
+    const summary = this.computeMetrics(state, config.startingCapital, candles);
+
+    return {
+      orders: state.orders.map(order => this.serializeOrder(order)),
+      trades: state.trades,
+      equityCurve: this.sampleCurve(state.equityCurve),
+      summary
+    };
+  }
+
+  /**
+   * Validate and open an order for a signal at the bar it reaches the market
+   * @param {Object} state - Simulation state
+   * @param {Object} signal - Normalized signal
+   * @param {Object} bar - Candle the order is submitted on
+   */
+  submitOrder(state, signal, bar) {
+    const payload = signal.order;
+    const meta = state.metas.get(payload.symbol);
+    const validation = orderValidation.validateSimulatedOrder(payload, meta, { now: bar.time, ltp: bar.open });
+
+    if (!validation.isValid) {
+      this.recordRejected(state, signal, payload, validation.errors, bar.time, validation.warnings);
+      return;
+    }
+
+    const order = this.createOrder(state, payload, bar.time, {
+      signalIndex: signal.index,
+      signalTime: signal.time,
+      alertId: signal.alertId,
+      warnings: validation.warnings
+    });
+
+    if (order.type === 5) {
+      this.trail(order, bar.open, meta);
+    }
+  }
+
+  /**
+   * Create an in-memory order
+   * @param {Object} state - Simulation state
+   * @param {Object} payload - Order fields
+   * @param {Date} time - Simulated creation time
+   * @param {Object} extra - Extra fields (signal index, parent, OCO group, exit reason)
+   * @returns {Object}
+   */
+  createOrder(state, payload, time, extra = {}) {
+    const order = {
+      id: `BT${++state.seq}`,
+      symbol: payload.symbol,
+      side: payload.side,
+      type: payload.type,
+      productType: payload.productType,
+      qty: payload.qty,
+      limitPrice: payload.limitPrice || null,
+      stopPrice: payload.stopPrice || null,
+      stopLoss: payload.stopLoss || null,
+      takeProfit: payload.takeProfit || null,
+      trailAmount: payload.trailAmount || null,
+      trailPercent: payload.trailPercent || null,
+      trailAnchor: payload.trailAnchor ?? null,
+      validity: payload.validity || 'DAY',
+      orderTag: payload.orderTag || null,
+      exitReason: null,
+      state: 'working',
+      triggered: false,
+      filledQty: 0,
+      avgFillPrice: null,
+      turnover: 0,
+      brokerage: 0,
+      executions: [],
+      reason: null,
+      createdAt: time,
+      updatedAt: time,
+      ...extra
+    };
+
+    state.orders.push(order);
+    return order;
+  }
+
+  /**
+   * Record a signal that never became a working order
+   * @param {Object} state - Simulation state
+   * @param {Object} signal - Normalized signal
+   * @param {Object} payload - Order fields
+   * @param {Array<string>} errors - Rejection reasons
+   * @param {Date} time - Simulated time
+   * @param {Array<string>} warnings
+   */
+  recordRejected(state, signal, payload, errors, time = null, warnings = []) {
+    const order = this.createOrder(state, payload, time || signal.time, {
+      signalIndex: signal.index,
+      signalTime: signal.time,
+      alertId: signal.alertId,
+      warnings
+    });
+    order.state = 'rejected';
+    order.reason = errors.join('; ');
+  }
+
+  /**
+   * Walk the bar's price path and fill the symbol's working orders.
+   * The path is open, then low and high in the order that ends at the
+   * close (O-L-H-C on up bars, O-H-L-C on down bars); limits and stops
+   * crossed between two points fill at their own price, gaps fill at the
+   * point that gapped through.
+   * @param {Object} state - Simulation state
+   * @param {Object} bar - Candle
+   */
+  matchBar(state, bar) {
+    const points = bar.close >= bar.open
+      ? [bar.open, bar.low, bar.high, bar.close]
+      : [bar.open, bar.high, bar.low, bar.close];
+    const segments = [[bar.open, bar.open]];
+    for (let i = 1; i < points.length; i++) {
+      segments.push([points[i - 1], points[i]]);
+    }
+
+    const meta = state.metas.get(bar.symbol);
+
+    for (const [index, [from, to]] of segments.entries()) {
+      const orders = state.orders.filter(o => o.symbol === bar.symbol && OPEN_STATES.includes(o.state));
+
+      for (const order of orders) {
+        if (!OPEN_STATES.includes(order.state)) continue; // Cancelled by an OCO sibling
+
+        const touch = this.getTouchPrice(order, from, to);
+        if (touch !== null) {
+          this.fillAt(state, order, touch, bar, meta);
+        } else if (order.type === 5 && !order.triggered) {
+          this.trail(order, to, meta);
+        }
+
+        if (index === 0 && order.validity === 'IOC' && OPEN_STATES.includes(order.state)) {
+          this.closeOrder(order, 'cancelled', 'ioc_unfilled', bar.time);
+        } else if (index === 0 && order.type === 2 && order.filledQty === 0 && OPEN_STATES.includes(order.state)) {
+          this.closeOrder(order, 'rejected', 'Market order could not be filled - insufficient volume', bar.time);
+        }
+      }
+    }
+  }
+
+  /**
+   * Ratchet a trailing stop with the paper engine's rule
+   * @param {Object} order - Untriggered trailing stop
+   * @param {number} price - Latest price on the path
+   * @param {Object} meta - Symbol metadata
+   */
+  trail(order, price, meta) {
+    const { trailAnchor, stopPrice } = paperEngine.computeTrailingStop(order, price, meta.tickSize);
+    order.trailAnchor = trailAnchor;
+    order.stopPrice = stopPrice;
+  }
+
+  /**
+   * Price at which an order becomes marketable while price moves from
+   * one path point to the next, triggering stops on the way
+   * @param {Object} order - Working order
+   * @param {number} from - Segment start price
+   * @param {number} to - Segment end price
+   * @returns {number|null}
+   */
+  getTouchPrice(order, from, to) {
+    const buy = order.side === 1;
+
+    if ([3, 4, 5].includes(order.type) && !order.triggered) {
+      const stop = order.stopPrice;
+      const hit = buy
+        ? (from >= stop ? from : (to >= stop ? stop : null))
+        : (from <= stop ? from : (to <= stop ? stop : null));
+      if (hit === null) return null;
+
+      order.triggered = true;
+      if (order.type !== 4) return hit;
+      from = hit; // The stop-limit's limit starts working at the trigger
+    }
+
+    if (this.getEffectiveOrderType(order) === 1) {
+      const limit = order.limitPrice;
+      return buy
+        ? (from <= limit ? from : (to <= limit ? limit : null))
+        : (from >= limit ? from : (to >= limit ? limit : null));
+    }
+
+    return from;
+  }
+
+  /**
+   * Order type used to price the remainder: triggered stops and trailing
+   * stops fill as market orders, triggered stop-limits as limits
+   * @param {Object} order
+   * @returns {number}
+   */
+  getEffectiveOrderType(order) {
+    if (order.triggered) {
+      return order.type === 4 ? 1 : 2;
+    }
+    return order.type;
+  }
+
+  /**
+   * Fill an order at a touch price through the paper fill simulator
+   * @param {Object} state - Simulation state
+   * @param {Object} order - Working order
+   * @param {number} touch - Marketable price
+   * @param {Object} bar - Current candle
+   * @param {Object} meta - Symbol metadata
+   */
+  fillAt(state, order, touch, bar, meta) {
+    const remaining = order.qty - order.filledQty;
+    const market = { ltp: touch, bid: touch, ask: touch, volume: bar.volume, depth: { bids: [], asks: [] } };
+
+    if (bar.volume > 0) {
+      const available = Math.floor(bar.volume * state.participation) - state.volumeUsed.get(bar.symbol);
+      if (available <= 0) return;
+      const level = [{ price: touch, volume: available }];
+      market.depth = { bids: level, asks: level };
+    }
+
+    const fills = fillSimulator.computeFills({
+      side: order.side,
+      type: this.getEffectiveOrderType(order),
+      qty: remaining,
+      limitPrice: order.limitPrice,
+      stopPrice: order.stopPrice,
+      lotSize: meta.lotSize,
+      tickSize: meta.tickSize
+    }, market, state.slippage);
+
+    for (const fill of fills) {
+      const check = this.checkFill(state, order, meta, fill);
+      if (check) {
+        this.closeOrder(order, 'rejected', check, bar.time);
+        return;
+      }
+      this.applyFill(state, order, meta, fill, bar.time);
+      state.volumeUsed.set(bar.symbol, state.volumeUsed.get(bar.symbol) + fill.qty);
+    }
+  }
+
+  /**
+   * Check short-selling and buying power for a fill, as the paper engine does
+   * @param {Object} state - Simulation state
+   * @param {Object} order - Order being filled
+   * @param {Object} meta - Symbol metadata
+   * @param {Object} fill - { price, qty }
+   * @returns {string|null} Rejection reason
+   */
+  checkFill(state, order, meta, fill) {
+    const position = state.positions.get(this.positionKey(order.symbol, order.productType));
+    const currentQty = position?.qty || 0;
+
+    if (order.side === -1 && meta.segment === 'EQ' && ['CNC', 'MTF'].includes(order.productType) &&
+        fill.qty > Math.max(0, currentQty)) {
+      return `${order.productType} equity cannot be sold short; use INTRADAY to short`;
+    }
+
+    const exposureIncrease = Math.max(0, Math.abs(currentQty + order.side * fill.qty) - Math.abs(currentQty));
+    if (exposureIncrease === 0) return null;
+
+    const required = (exposureIncrease * fill.price) /
+      paperAccount.getLeverage(meta.segment, order.productType, state.leverage);
+    const available = this.getAvailableFunds(state);
+
+    return required > available
+      ? `Insufficient funds: requires ${required.toFixed(2)}, available ${available.toFixed(2)}`
+      : null;
+  }
+
+  /**
+   * Available funds, computed like the paper account
+   * @param {Object} state - Simulation state
+   * @returns {number}
+   */
+  getAvailableFunds(state) {
+    const positions = [...state.positions.values()];
+    const blocked = positions.reduce((sum, p) => {
+      const meta = state.metas.get(p.symbol);
+      return sum + (Math.abs(p.qty) * p.avgPrice) / paperAccount.getLeverage(meta.segment, p.productType, state.leverage);
+    }, 0);
+
+    return paperAccount.computeAvailableFunds({ cashBalance: state.cash }, positions, blocked);
+  }
+
+  /**
+   * Apply a fill to the order, position, cash and FIFO ledger
+   * @param {Object} state - Simulation state
+   * @param {Object} order - Order being filled
+   * @param {Object} meta - Symbol metadata
+   * @param {Object} fill - { price, qty, slippage }
+   * @param {Date} time - Simulated time
+   */
+  applyFill(state, order, meta, fill, time) {
+    const charges = state.rates
+      ? chargesService.calculate({
+          segment: meta.segment,
+          productType: order.productType,
+          side: order.side,
+          qty: fill.qty,
+          price: fill.price,
+          priorTurnover: order.turnover,
+          priorBrokerage: order.brokerage
+        }, state.rates)
+      : { total: 0, brokerage: 0, turnover: fill.price * fill.qty };
+
+    const executionId = `BTX${++state.execSeq}`;
+    order.executions.push({
+      id: executionId,
+      price: fill.price,
+      qty: fill.qty,
+      slippage: fill.slippage,
+      charges: charges.total,
+      time
+    });
+    order.turnover += fill.price * fill.qty;
+    order.brokerage += charges.brokerage;
+    order.avgFillPrice = ((order.avgFillPrice || 0) * order.filledQty + fill.price * fill.qty) / (order.filledQty + fill.qty);
+    order.filledQty += fill.qty;
+    order.state = order.filledQty >= order.qty ? 'filled' : 'partial';
+    order.updatedAt = time;
+
+    // Realized P&L
+    const key = this.positionKey(order.symbol, order.productType);
+    const { lots, trades, opened } = pnlLedger.matchFifo(state.lots.get(key) || [], {
+      side: order.side,
+      qty: fill.qty,
+      price: fill.price,
+      chargesPerUnit: charges.total / fill.qty,
+      timestamp: time,
+      executionId
+    });
+    const openLots = [...lots.filter(lot => lot.qty > 0), ...(opened ? [opened] : [])];
+    state.lots.set(key, openLots);
+
+    // Position (averaged on the lots' FIFO basis) and cash
+    const next = paperEngine.computePosition(state.positions.get(key), order.side, fill.qty, fill.price);
+    if (next.qty === 0) {
+      state.positions.delete(key);
+    } else {
+      state.positions.set(key, { symbol: order.symbol, productType: order.productType, ...next, avgPrice: pnlLedger.getAveragePrice(openLots) });
+    }
+    state.cash -= order.side * fill.qty * fill.price + charges.total;
+
+    for (const trade of trades) {
+      state.trades.push({
+        symbol: order.symbol,
+        productType: order.productType,
+        ...trade,
+        grossPnl: chargesService.round(trade.grossPnl),
+        charges: chargesService.round(trade.charges),
+        netPnl: chargesService.round(trade.netPnl)
+      });
+    }
+
+    if (order.ocoGroupId) {
+      this.handleOcoFill(state, order, time);
+    }
+    if (order.state === 'filled' && paperEngine.isCOBOEntry(order)) {
+      this.createLegs(state, order, time);
+    }
+  }
+
+  /**
+   * Shrink or cancel OCO siblings when a leg fills
+   * @param {Object} state - Simulation state
+   * @param {Object} order - Leg that filled
+   * @param {Date} time - Simulated time
+   */
+  handleOcoFill(state, order, time) {
+    const openQty = order.qty - order.filledQty;
+
+    for (const sibling of state.orders) {
+      if (sibling.ocoGroupId !== order.ocoGroupId || sibling.id === order.id || !OPEN_STATES.includes(sibling.state)) {
+        continue;
+      }
+
+      const siblingQty = sibling.filledQty + openQty;
+      if (openQty <= 0 || siblingQty <= sibling.filledQty) {
+        this.closeOrder(sibling, 'cancelled', 'oco_sibling_filled', time);
+      } else {
+        sibling.qty = siblingQty;
+      }
+    }
+  }
+
+  /**
+   * Create the stop-loss (and take-profit) legs of a filled CO/BO order
+   * @param {Object} state - Simulation state
+   * @param {Object} parent - Filled CO/BO order
+   * @param {Date} time - Simulated time
+   */
+  createLegs(state, parent, time) {
+    const fillPrice = parent.avgFillPrice;
+    const leg = {
+      symbol: parent.symbol,
+      side: -parent.side,
+      productType: parent.productType,
+      qty: parent.filledQty,
+      validity: 'DAY'
+    };
+    const extra = {
+      parentOrderId: parent.id,
+      ocoGroupId: parent.productType === 'BO' ? parent.id : null,
+      alertId: parent.alertId
+    };
+    const trailing = parent.productType === 'BO' && (parent.trailAmount || parent.trailPercent);
+
+    this.createOrder(state, {
+      ...leg,
+      type: trailing ? 5 : 3,
+      stopPrice: fillPrice - parent.side * parent.stopLoss,
+      trailAmount: trailing ? parent.trailAmount : null,
+      trailPercent: trailing ? parent.trailPercent : null,
+      trailAnchor: trailing ? fillPrice : null
+    }, time, extra);
+
+    if (parent.productType === 'BO') {
+      this.createOrder(state, {
+        ...leg,
+        type: 1,
+        limitPrice: fillPrice + parent.side * parent.takeProfit
+      }, time, extra);
+    }
+  }
+
+  /**
+   * End a symbol's session: square off intraday positions at the last
+   * close and expire DAY orders still working
+   * @param {Object} state - Simulation state
+   * @param {Object} bar - Last candle of the session
+   */
+  endSession(state, bar) {
+    const meta = state.metas.get(bar.symbol);
+
+    if (state.squareOffIntraday) {
+      for (const order of state.orders) {
+        if (order.symbol === bar.symbol && INTRADAY_PRODUCTS.includes(order.productType) && OPEN_STATES.includes(order.state)) {
+          this.closeOrder(order, 'cancelled', 'intraday_square_off', bar.time);
+        }
+      }
+
+      for (const position of [...state.positions.values()]) {
+        if (position.symbol !== bar.symbol || !INTRADAY_PRODUCTS.includes(position.productType)) continue;
+
+        const order = this.createOrder(state, {
+          symbol: position.symbol,
+          side: position.qty > 0 ? -1 : 1,
+          type: 2,
+          productType: position.productType,
+          qty: Math.abs(position.qty),
+          orderTag: 'SQUAREOFF'
+        }, bar.time, { exitReason: 'squareoff' });
+
+        const fills = fillSimulator.computeFills({
+          side: order.side,
+          type: 2,
+          qty: order.qty,
+          lotSize: 1,
+          tickSize: meta.tickSize
+        }, { ltp: bar.close, bid: bar.close, ask: bar.close, volume: bar.volume }, state.slippage);
+
+        for (const fill of fills) {
+          this.applyFill(state, order, meta, fill, bar.time);
+        }
+      }
+    }
+
+    for (const order of state.orders) {
+      if (order.symbol === bar.symbol && order.validity === 'DAY' && OPEN_STATES.includes(order.state)) {
+        this.closeOrder(order, 'expired', 'session_closed', bar.time);
+      }
+    }
+  }
+
+  /**
+   * Move an order to a terminal state
+   * @param {Object} order
+   * @param {string} state - cancelled|rejected|expired
+   * @param {string} reason
+   * @param {Date} time - Simulated time
+   */
+  closeOrder(order, state, reason, time) {
+    order.state = state;
+    order.reason = reason;
+    order.updatedAt = time;
+  }
+
+  /**
+   * Record an equity point: cash plus open positions marked at the last close
+   * @param {Object} state - Simulation state
+   * @param {Date} time - Simulated time
+   */
+  recordEquity(state, time) {
+    let marketValue = 0;
+    for (const position of state.positions.values()) {
+      marketValue += position.qty * (state.lastPrice.get(position.symbol) ?? position.avgPrice);
+    }
+
+    state.equityCurve.push({
+      time,
+      equity: chargesService.round(state.cash + marketValue),
+      cash: chargesService.round(state.cash)
+    });
+  }
+
+  /**
+   * Thin an equity curve to at most MAX_EQUITY_POINTS, keeping the last point
+   * @param {Array<Object>} curve
+   * @returns {Array<Object>}
+   */
+  sampleCurve(curve) {
+    if (curve.length <= MAX_EQUITY_POINTS) return curve;
+
+    const step = Math.ceil(curve.length / MAX_EQUITY_POINTS);
+    const sampled = curve.filter((_, i) => i % step === 0);
+    if (sampled[sampled.length - 1] !== curve[curve.length - 1]) {
+      sampled.push(curve[curve.length - 1]);
+    }
+    return sampled;
+  }
+
+  /**
+   * Summary metrics for a finished simulation
+   * @param {Object} state - Simulation state
+   * @param {number} startingCapital
+   * @param {Array<Object>} candles - All candles replayed
+   * @returns {Object}
+   */
+  computeMetrics(state, startingCapital, candles) {
+    const round = chargesService.round;
+    const stats = pnlLedger.summarizeTrades(state.trades);
+    const wins = state.trades.filter(t => t.netPnl > 0);
+    const losses = state.trades.filter(t => t.netPnl < 0);
+    const grossWin = wins.reduce((sum, t) => sum + t.netPnl, 0);
+    const grossLoss = Math.abs(losses.reduce((sum, t) => sum + t.netPnl, 0));
+
+    // Drawdown on the full (unsampled) curve
+    let peak = startingCapital;
+    let maxDrawdown = 0;
+    let maxDrawdownPct = 0;
+    for (const point of state.equityCurve) {
+      peak = Math.max(peak, point.equity);
+      maxDrawdown = Math.max(maxDrawdown, peak - point.equity);
+      maxDrawdownPct = Math.max(maxDrawdownPct, peak > 0 ? ((peak - point.equity) / peak) * 100 : 0);
+    }
+
+    // Annualized Sharpe on daily (IST) closing equity
+    const dailyEquity = new Map();
+    for (const point of state.equityCurve) {
+      dailyEquity.set(this.getISTDate(point.time), point.equity);
+    }
+    const returns = [];
+    let previous = startingCapital;
+    for (const equity of dailyEquity.values()) {
+      returns.push(previous > 0 ? equity / previous - 1 : 0);
+      previous = equity;
+    }
+    const mean = returns.reduce((sum, r) => sum + r, 0) / (returns.length || 1);
+    const variance = returns.reduce((sum, r) => sum + (r - mean) ** 2, 0) / Math.max(returns.length - 1, 1);
+    const sharpe = returns.length > 1 && variance > 0
+      ? (mean / Math.sqrt(variance)) * Math.sqrt(TRADING_DAYS_PER_YEAR)
+      : null;
+
+    const finalEquity = state.equityCurve.length > 0
+      ? state.equityCurve[state.equityCurve.length - 1].equity
+      : startingCapital;
+    const orderCounts = {};
+    for (const order of state.orders) {
+      orderCounts[order.state] = (orderCounts[order.state] || 0) + 1;
+    }
+
+    return {
+      startingCapital,
+      finalEquity: round(finalEquity),
+      netPnl: round(finalEquity - startingCapital),
+      returnPct: round(((finalEquity - startingCapital) / startingCapital) * 100),
+      realizedPnl: round(stats.netPnl),
+      grossPnl: round(stats.grossPnl),
+      charges: round(stats.charges),
+      totalTrades: stats.totalTrades,
+      winningTrades: stats.winningTrades,
+      losingTrades: stats.losingTrades,
+      winRate: stats.totalTrades > 0 ? round((stats.winningTrades / stats.totalTrades) * 100) : 0,
+      avgWin: wins.length > 0 ? round(grossWin / wins.length) : 0,
+      avgLoss: losses.length > 0 ? round(-grossLoss / losses.length) : 0,
+      profitFactor: grossLoss > 0 ? round(grossWin / grossLoss) : null,
+      maxDrawdown: round(maxDrawdown),
+      maxDrawdownPct: round(maxDrawdownPct),
+      sharpe: sharpe === null ? null : round(sharpe),
+      tradingDays: dailyEquity.size,
+      openPositions: state.positions.size,
+      orders: orderCounts,
+      candles: candles.length,
+      firstCandle: candles[0].time,
+      lastCandle: candles[candles.length - 1].time,
+      slippage: state.slippage
+    };
+  }
+
+  /**
+   * Strip internal bookkeeping from an order for storage
+   * @param {Object} order
+   * @returns {Object}
+   */
+  serializeOrder(order) {
+    const { turnover, brokerage, triggered, ...stored } = order;
+    return {
+      ...stored,
+      avgFillPrice: order.avgFillPrice === null ? null : Math.round(order.avgFillPrice * 10000) / 10000
+    };
+  }
+
+  /**
+   * Position map key
+   * @param {string} symbol
+   * @param {string} productType
+   * @returns {string}
+   */
+  positionKey(symbol, productType) {
+    return `${symbol}|${productType}`;
+  }
+
+  /**
+   * IST trading date of a moment
+   * @param {Date} time
+   * @returns {string}
+   */
+  getISTDate(time) {
+    return marketCalendar.getISTClock(new Date(time)).date;
+  }
+
+  /**
+   * Get engine statistics
+   * @returns {Object}
+   */
+  getStats() {
+    return {
+      running: this.running.size,
+      dataDir: this.getDataDir()
+    };
+  }
+}
+
+module.exports = new BacktestEngine();
@@ -0,0 +1,111 @@
+// File: Candle Files
+// Path: server/services/candleFiles.js
+//
+// Parses OHLCV candle CSV files and the timestamps they (and backtest
+// signals) carry. Shared by the backtest engine and the replay market
+// data provider.
+
+const marketCalendar = require('./marketCalendar');
+
+class CandleFileService {
+  /**
+   * File name for a symbol's data: NSE:SBIN-EQ -> NSE_SBIN-EQ.csv. Only
+   * symbol characters are allowed, so the name cannot leave its directory.
+   * @param {string} symbol
+   * @param {string} extension - e.g. ".csv"
+   * @returns {string}
+   */
+  getFileName(symbol, extension) {
+    if (!/^[A-Z]+:[A-Z0-9&.-]+$/.test(symbol || '')) {
+      throw new Error(`Invalid symbol format: ${symbol}`);
+    }
+    return `${symbol.replace(':', '_')}${extension}`;
+  }
+
+  /**
+   * Parse candles from CSV text. The header must name timestamp (or
+   * time/date/datetime), open, high, low, close and optionally volume columns.
+   * @param {string} content - CSV text
+   * @param {string} symbol
+   * @param {Object} range - Optional { from, to } Dates
+   * @param {string} fileName - Named in errors
+   * @returns {Array<{symbol: string, time: Date, open: number, high: number, low: number, close: number, volume: number}>}
+   */
+  parseCsv(content, symbol, range = {}, fileName = symbol) {
+    const lines = content.split(/\r?\n/).filter(line => line.trim());
+    const header = marketCalendar.splitCsvLine(lines[0] || '').map(h => h.toLowerCase());
+    const column = (...names) => header.findIndex(h => names.includes(h));
+    const cols = {
+      time: column('timestamp', 'time', 'date', 'datetime'),
+      open: column('open', 'o'),
+      high: column('high', 'h'),
+      low: column('low', 'l'),
+      close: column('close', 'c'),
+      volume: column('volume', 'v')
+    };
+
+    for (const [name, index] of Object.entries(cols)) {
+      if (index === -1 && name !== 'volume') {
+        throw new Error(`${fileName} is missing a ${name} column`);
+      }
+    }
+
+    const candles = [];
+    for (const line of lines.slice(1)) {
+      const values = marketCalendar.splitCsvLine(line);
+      const time = this.parseTimestamp(values[cols.time], symbol);
+      const candle = {
+        symbol,
+        time,
+        open: Number(values[cols.open]),
+        high: Number(values[cols.high]),
+        low: Number(values[cols.low]),
+        close: Number(values[cols.close]),
+        volume: cols.volume === -1 ? 0 : Number(values[cols.volume]) || 0
+      };
+
+      if (!time || ![candle.open, candle.high, candle.low, candle.close].every(v => v > 0)) {
+        continue; // Skip malformed rows
+      }
+      if ((range.from && time < range.from) || (range.to && time > range.to)) {
+        continue;
+      }
+      candles.push(candle);
+    }
+
+    return candles.sort((a, b) => a.time - b.time);
+  }
+
+  /**
+   * Parse a candle or signal timestamp. Epoch seconds/milliseconds and
+   * ISO strings with an offset are taken as-is; times without an offset
+   * are IST, and bare dates (daily candles) are placed at the session open.
+   * @param {string|number} value
+   * @param {string} symbol - Symbol whose session applies to bare dates
+   * @returns {Date|null}
+   */
+  parseTimestamp(value, symbol) {
+    if (value === undefined || value === null || value === '') return null;
+
+    const text = String(value).trim();
+    if (/^\d+(\.\d+)?$/.test(text)) {
+      const n = Number(text);
+      return new Date(n < 1e12 ? n * 1000 : n);
+    }
+
+    if (/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+      const session = marketCalendar.getSession(marketCalendar.getExchange(symbol), marketCalendar.getSegment(symbol), text);
+      return marketCalendar.toDate(text, session?.open || '09:15');
+    }
+
+    const local = text.match(/^(\d{4}-\d{2}-\d{2})[ T](\d{2}:\d{2})(:\d{2})?$/);
+    if (local) {
+      return new Date(`${local[1]}T${local[2]}${local[3] || ':00'}+05:30`);
+    }
+
+    const parsed = new Date(text);
+    return isNaN(parsed.getTime()) ? null : parsed;
+  }
+}
+
+module.exports = new CandleFileService();
@@ -0,0 +1,374 @@
+// File: Candle Service
+// Path: server/services/candleService.js
+//
+// Builds 1m/5m/15m/1h/1D OHLCV bars from streamed ticks and REST quote
+// polls, stores them in the candles table and backfills gaps from the
+// market data provider's history API.
+
+const { prisma } = require("../prisma/client");
+const marketData = require('./marketData');
+const marketCalendar = require('./marketCalendar');
+const tickStream = require('./tickStream');
+
+// Stored resolutions, as Fyers history codes, and the names they are requested by
+const RESOLUTIONS = ['1', '5', '15', '60', 'D'];
+const RESOLUTION_ALIASES = { '1m': '1', '5m': '5', '15m': '15', '1h': '60', '60m': '60', '1d': 'D' };
+
+// How often built bars are written
+const FLUSH_INTERVAL_MS = 10 * 1000;
+
+// History bars written per transaction
+const HISTORY_BATCH_SIZE = 1000;
+
+class CandleService {
+  constructor() {
+    this.bars = new Map(); // "symbol|resolution" -> bar being built
+    this.pending = new Map(); // "symbol|resolution|time" -> bar changed since the last write
+    this.volumes = new Map(); // symbol -> { date, volume } last cumulative day volume seen
+    this.flushInterval = null;
+    this.isFlushing = false;
+    this.tickListener = (tick) => this.record(tick.symbol, tick.market);
+    this.quoteListener = (quotes) => {
+      for (const [symbol, quote] of Object.entries(quotes)) {
+        this.record(symbol, quote);
+      }
+    };
+  }
+
+  /**
+   * Start building bars from ticks and quote polls
+   */
+  start() {
+    if (this.flushInterval) {
+      return; // Already running
+    }
+
+    tickStream.onTick(this.tickListener);
+    marketData.onQuotes(this.quoteListener);
+
+    this.flushInterval = setInterval(() => {
+      this.flush().catch(error => {
+        console.error("Error writing candles:", error);
+      });
+    }, FLUSH_INTERVAL_MS);
+
+    console.log("Candle service started");
+  }
+
+  /**
+   * Stop building bars and write what has been built
+   */
+  async stop() {
+    if (this.flushInterval) {
+      clearInterval(this.flushInterval);
+      this.flushInterval = null;
+    }
+    tickStream.offTick(this.tickListener);
+    marketData.offQuotes(this.quoteListener);
+    await this.flush();
+    console.log("Candle service stopped");
+  }
+
+  /**
+   * Resolve a requested resolution (1m, 5m, 15m, 1h, 1D or a Fyers code)
+   * @param {string} resolution
+   * @returns {string|null} Stored resolution, null when unsupported
+   */
+  normalizeResolution(resolution) {
+    const value = String(resolution || '').trim();
+    if (RESOLUTIONS.includes(value.toUpperCase())) {
+      return value.toUpperCase();
+    }
+    return RESOLUTION_ALIASES[value.toLowerCase()] || null;
+  }
+
+  /**
+   * Start of the bar holding a moment. Intraday bars are aligned to the
+   * session open, so hourly NSE bars run 09:15-10:15; daily bars start at
+   * the open, like daily candle files.
+   * @param {string} symbol
+   * @param {string} resolution - Stored resolution
+   * @param {Date} time
+   * @returns {Date}
+   */
+  getBarTime(symbol, resolution, time) {
+    const { date, minutes } = marketCalendar.getISTClock(time);
+    const session = marketCalendar.getSession(marketCalendar.getExchange(symbol), marketCalendar.getSegment(symbol), date);
+    const open = session?.open || '09:15';
+    const sessionStart = marketCalendar.toDate(date, open);
+
+    if (resolution === 'D') {
+      return sessionStart;
+    }
+
+    const size = Number(resolution);
+    const offset = Math.floor((minutes - marketCalendar.toMinutes(open)) / size) * size;
+    return new Date(sessionStart.getTime() + offset * 60 * 1000);
+  }
+
+  /**
+   * Add a tick or polled quote to the symbol's bars. Quotes outside the
+   * symbol's session are ignored. Quote volume is the day's cumulative
+   * volume, so intraday bars take the increase since the previous quote.
+   * @param {string} symbol
+   * @param {Object} quote - { ltp, volume }
+   * @param {Date} time - Defaults to the calendar clock
+   */
+  record(symbol, quote, time = marketCalendar.now()) {
+    const price = quote?.ltp;
+    if (!(price > 0) || !marketCalendar.isOpen(symbol, time)) {
+      return;
+    }
+
+    const { date } = marketCalendar.getISTClock(time);
+    const dayVolume = Number(quote.volume) || 0;
+    const last = this.volumes.get(symbol);
+    const lastVolume = last?.date === date ? last.volume : null;
+    const traded = lastVolume === null ? 0 : Math.max(0, dayVolume - lastVolume);
+    if (dayVolume > 0) {
+      this.volumes.set(symbol, { date, volume: Math.max(dayVolume, lastVolume || 0) });
+    }
+
+    for (const resolution of RESOLUTIONS) {
+      const barTime = this.getBarTime(symbol, resolution, time);
+      const key = `${symbol}|${resolution}`;
+
+      let bar = this.bars.get(key);
+      if (!bar || bar.time.getTime() !== barTime.getTime()) {
+        bar = { symbol, resolution, time: barTime, open: price, high: price, low: price, close: price, volume: 0, merged: false };
+        this.bars.set(key, bar);
+      }
+
+      bar.high = Math.max(bar.high, price);
+      bar.low = Math.min(bar.low, price);
+      bar.close = price;
+      bar.volume = resolution === 'D' ? Math.max(bar.volume, dayVolume) : bar.volume + traded;
+
+      this.pending.set(`${key}|${barTime.getTime()}`, bar);
+    }
+  }
+
+  /**
+   * Write every bar changed since the last flush
+   */
+  async flush() {
+    if (this.isFlushing) {
+      return; // Prevent overlapping writes
+    }
+
+    this.isFlushing = true;
+
+    try {
+      const bars = [...this.pending.values()];
+      this.pending.clear();
+
+      for (const bar of bars) {
+        try {
+          await this.writeBar(bar);
+        } catch (error) {
+          console.error(`Error writing ${bar.resolution} candle for ${bar.symbol}:`, error);
+        }
+      }
+    } finally {
+      this.isFlushing = false;
+    }
+  }
+
+  /**
+   * Upsert a built bar. The first write of a bar merges it with a stored
+   * one (e.g. from before a restart), keeping the earlier open and the
+   * wider range.
+   * @param {Object} bar - Bar being built
+   */
+  async writeBar(bar) {
+    const where = {
+      symbol_resolution_time: { symbol: bar.symbol, resolution: bar.resolution, time: bar.time }
+    };
+
+    if (!bar.merged) {
+      const existing = await prisma.candle.findUnique({ where });
+      if (existing) {
+        bar.open = existing.open;
+        bar.high = Math.max(bar.high, existing.high);
+        bar.low = Math.min(bar.low, existing.low);
+        bar.volume = bar.resolution === 'D' ? Math.max(bar.volume, existing.volume) : bar.volume + existing.volume;
+      }
+      bar.merged = true;
+    }
+
+    const values = { open: bar.open, high: bar.high, low: bar.low, close: bar.close, volume: bar.volume };
+    await prisma.candle.upsert({
+      where,
+      update: values,
+      create: { symbol: bar.symbol, resolution: bar.resolution, time: bar.time, ...values, source: 'ticks' }
+    });
+  }
+
+  /**
+   * Get stored candles, including bars not yet written
+   * @param {string} symbol
+   * @param {string} resolution - Stored resolution
+   * @param {Object} range - { from: Date, to: Date }
+   * @returns {Promise<Array<{time: Date, open: number, high: number, low: number, close: number, volume: number, source: string}>>}
+   */
+  async getCandles(symbol, resolution, { from, to }) {
+    const rows = await prisma.candle.findMany({
+      where: { symbol, resolution, time: { gte: from, lte: to } },
+      orderBy: { time: 'asc' }
+    });
+
+    const format = (bar, source) => ({
+      time: bar.time,
+      open: bar.open,
+      high: bar.high,
+      low: bar.low,
+      close: bar.close,
+      volume: bar.volume,
+      source
+    });
+
+    const candles = new Map(rows.map(row => [row.time.getTime(), format(row, row.source)]));
+    for (const bar of this.pending.values()) {
+      if (bar.symbol === symbol && bar.resolution === resolution && bar.time >= from && bar.time <= to) {
+        candles.set(bar.time.getTime(), format(bar, 'ticks'));
+      }
+    }
+
+    return [...candles.values()].sort((a, b) => a.time - b.time);
+  }
+
+  /**
+   * Find trading days in a range with fewer stored bars than their session
+   * holds (up to now for today's session), merged into runs
+   * @param {string} symbol
+   * @param {string} resolution - Stored resolution
+   * @param {Object} range - { from: Date, to: Date }
+   * @returns {Promise<Array<{from: string, to: string}>>} IST date ranges
+   */
+  async findGaps(symbol, resolution, { from, to }) {
+    const rows = await prisma.candle.findMany({
+      where: { symbol, resolution, time: { gte: from, lte: to } },
+      select: { time: true }
+    });
+
+    const counts = new Map(); // IST date -> stored bars
+    for (const row of rows) {
+      const { date } = marketCalendar.getISTClock(row.time);
+      counts.set(date, (counts.get(date) || 0) + 1);
+    }
+
+    const exchange = marketCalendar.getExchange(symbol);
+    const segment = marketCalendar.getSegment(symbol);
+    const clock = marketCalendar.getISTClock(marketCalendar.now());
+    const last = marketCalendar.getISTClock(to).date;
+
+    const gaps = [];
+    let run = null;
+    for (let date = marketCalendar.getISTClock(from).date; date <= last && date <= clock.date; date = marketCalendar.addDays(date, 1)) {
+      const session = marketCalendar.getSession(exchange, segment, date);
+      if (!session) continue;
+
+      const open = marketCalendar.toMinutes(session.open);
+      const close = date === clock.date ? Math.min(clock.minutes, marketCalendar.toMinutes(session.close)) : marketCalendar.toMinutes(session.close);
+      const sessionClosed = date < clock.date || clock.minutes >= marketCalendar.toMinutes(session.close);
+
+      // Completed bars only; the bar in progress is left to the live feed
+      const expected = resolution === 'D'
+        ? (sessionClosed ? 1 : 0)
+        : Math.max(0, Math.floor((close - open) / Number(resolution)));
+      if ((counts.get(date) || 0) >= expected) {
+        run = null;
+        continue;
+      }
+
+      if (run) {
+        run.to = date;
+      } else {
+        run = { from: date, to: date };
+        gaps.push(run);
+      }
+    }
+
+    return gaps;
+  }
+
+  /**
+   * Fill gaps in a range from the history API. History bars replace stored
+   * ones; the bar still being built is skipped.
+   * @param {string} symbol
+   * @param {string} resolution - Stored resolution
+   * @param {Object} range - { from: Date, to: Date }
+   * @param {string|Object} source - Access token or market data session
+   * @returns {Promise<number>} Bars written
+   */
+  async backfill(symbol, resolution, range, source) {
+    const gaps = await this.findGaps(symbol, resolution, range);
+    let written = 0;
+
+    for (const gap of gaps) {
+      const candles = await marketData.getHistory(symbol, { resolution, from: gap.from, to: gap.to }, source);
+      written += await this.storeHistory(symbol, resolution, candles);
+    }
+
+    if (written > 0) {
+      console.log(`Backfilled ${written} ${resolution} candles for ${symbol}`);
+    }
+    return written;
+  }
+
+  /**
+   * Store candles from the history API. History bars replace stored ones;
+   * the bar still being built is skipped. Each batch replaces its stored
+   * bars in one transaction.
+   * @param {string} symbol
+   * @param {string} resolution - Fyers resolution
+   * @param {Array<Object>} candles - { time, open, high, low, close, volume }
+   * @returns {Promise<number>} Bars written
+   */
+  async storeHistory(symbol, resolution, candles) {
+    const building = this.bars.get(`${symbol}|${resolution}`)?.time.getTime();
+    const rows = new Map(); // bar time -> row, the last candle winning
+
+    for (const candle of candles) {
+      const time = this.getBarTime(symbol, resolution, candle.time);
+      if (time.getTime() === building || !(candle.open > 0)) continue;
+
+      rows.set(time.getTime(), {
+        symbol,
+        resolution,
+        time,
+        open: candle.open,
+        high: candle.high,
+        low: candle.low,
+        close: candle.close,
+        volume: candle.volume || 0,
+        source: 'history'
+      });
+    }
+
+    const data = [...rows.values()];
+    for (let i = 0; i < data.length; i += HISTORY_BATCH_SIZE) {
+      const batch = data.slice(i, i + HISTORY_BATCH_SIZE);
+      await prisma.$transaction([
+        prisma.candle.deleteMany({ where: { symbol, resolution, time: { in: batch.map(row => row.time) } } }),
+        prisma.candle.createMany({ data: batch, skipDuplicates: true })
+      ]);
+    }
+
+    return data.length;
+  }
+
+  /**
+   * Get candle service statistics
+   * @returns {Object}
+   */
+  getStats() {
+    return {
+      running: !!this.flushInterval,
+      building: this.bars.size,
+      pending: this.pending.size
+    };
+  }
+}
+
+module.exports = new CandleService();
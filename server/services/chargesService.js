@@ -0,0 +1,256 @@
+// File: Brokerage & Statutory Charges Service
+// Path: server/services/chargesService.js
+
+const { prisma } = require("../prisma/client");
+
+// All percentages are % of turnover (price * qty).
+// Brokerage is capped per order, so partial fills share one cap.
+const DEFAULT_CHARGE_RATES = {
+  sebiPct: 0.0001,  // ₹10 per crore
+  gstPct: 18,       // On brokerage + exchange + SEBI fees
+  segments: {
+    EQ_INTRADAY: {
+      brokeragePct: 0.03,
+      brokerageMax: 20,
+      sttBuyPct: 0,
+      sttSellPct: 0.025,
+      exchangePct: 0.00297,
+      stampBuyPct: 0.003
+    },
+    EQ_DELIVERY: {
+      brokeragePct: 0.3,
+      brokerageMax: 20,
+      sttBuyPct: 0.1,
+      sttSellPct: 0.1,
+      exchangePct: 0.00297,
+      stampBuyPct: 0.015
+    },
+    FUT: {
+      brokeragePct: 0.03,
+      brokerageMax: 20,
+      sttBuyPct: 0,
+      sttSellPct: 0.02,
+      exchangePct: 0.00173,
+      stampBuyPct: 0.002
+    },
+    OPT: {
+      brokerageFlat: 20,
+      sttBuyPct: 0,
+      sttSellPct: 0.1,   // On premium
+      sttExercisePct: 0.125, // On intrinsic value of exercised long options
+      exchangePct: 0.03503,
+      stampBuyPct: 0.003
+    },
+    COM: {
+      brokeragePct: 0.03,
+      brokerageMax: 20,
+      sttBuyPct: 0,
+      sttSellPct: 0.01,  // CTT on non-agri futures
+      exchangePct: 0.0021,
+      stampBuyPct: 0.002
+    },
+    CUR: {
+      brokeragePct: 0.03,
+      brokerageMax: 20,
+      sttBuyPct: 0,
+      sttSellPct: 0,
+      exchangePct: 0.00035,
+      stampBuyPct: 0.0001
+    }
+  }
+};
+
+class ChargesService {
+  /**
+   * Get the rate key for a segment and product type
+   * @param {string} segment - EQ, FUT, OPT, COM, CUR
+   * @param {string} productType - INTRADAY, CNC, MARGIN, CO, BO, MTF
+   * @returns {string}
+   */
+  getRateKey(segment, productType) {
+    if (segment === 'EQ') {
+      return ['CNC', 'MTF'].includes(productType) ? 'EQ_DELIVERY' : 'EQ_INTRADAY';
+    }
+    return DEFAULT_CHARGE_RATES.segments[segment] ? segment : 'EQ_INTRADAY';
+  }
+
+  /**
+   * Merge user overrides from UserSettings.settings.charges over the defaults
+   * @param {Object} overrides - { sebiPct?, gstPct?, segments?: { EQ_INTRADAY: {...} } }
+   * @returns {Object}
+   */
+  mergeRates(overrides) {
+    const segments = {};
+    for (const [key, rates] of Object.entries(DEFAULT_CHARGE_RATES.segments)) {
+      segments[key] = { ...rates, ...(overrides?.segments?.[key] || {}) };
+    }
+
+    return {
+      sebiPct: overrides?.sebiPct ?? DEFAULT_CHARGE_RATES.sebiPct,
+      gstPct: overrides?.gstPct ?? DEFAULT_CHARGE_RATES.gstPct,
+      segments
+    };
+  }
+
+  /**
+   * Validate charge rate overrides. Every rate must be a finite,
+   * non-negative number on a known segment.
+   * @param {Object} overrides - { sebiPct?, gstPct?, segments?: { EQ_INTRADAY: {...} } }
+   * @returns {Array<string>} Errors
+   */
+  validate(overrides) {
+    const errors = [];
+
+    if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+      return ['charges must be an object'];
+    }
+
+    const isRate = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+    for (const [key, value] of Object.entries(overrides)) {
+      if (key === 'segments') continue;
+      if (!(key in DEFAULT_CHARGE_RATES)) {
+        errors.push(`Unknown charge rate: ${key}`);
+      } else if (!isRate(value)) {
+        errors.push(`${key} must be a non-negative number`);
+      }
+    }
+
+    if (overrides.segments === undefined) {
+      return errors;
+    }
+    if (!overrides.segments || typeof overrides.segments !== 'object') {
+      return [...errors, 'segments must be an object'];
+    }
+
+    for (const [segment, rates] of Object.entries(overrides.segments)) {
+      const defaults = DEFAULT_CHARGE_RATES.segments[segment];
+      if (!defaults) {
+        errors.push(`Unknown charge segment: ${segment}. Must be one of: ${Object.keys(DEFAULT_CHARGE_RATES.segments).join(', ')}`);
+        continue;
+      }
+      if (!rates || typeof rates !== 'object') {
+        errors.push(`segments.${segment} must be an object`);
+        continue;
+      }
+
+      for (const [key, value] of Object.entries(rates)) {
+        if (!(key in defaults)) {
+          errors.push(`Unknown rate for ${segment}: ${key}`);
+        } else if (!isRate(value)) {
+          errors.push(`segments.${segment}.${key} must be a non-negative number`);
+        }
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Get effective charge rates for a user
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>}
+   */
+  async getRates(userId) {
+    const userSettings = await prisma.userSettings.findUnique({
+      where: { userId }
+    });
+
+    return this.mergeRates(userSettings?.settings?.charges);
+  }
+
+  /**
+   * Calculate charges for a single execution
+   * @param {Object} fill
+   * @param {string} fill.segment - Symbol segment
+   * @param {string} fill.productType - Order product type
+   * @param {number} fill.side - 1 for buy, -1 for sell
+   * @param {number} fill.qty - Execution quantity
+   * @param {number} fill.price - Execution price
+   * @param {number} fill.priorTurnover - Turnover of earlier executions on the same order
+   * @param {number} fill.priorBrokerage - Brokerage already charged on the same order
+   * @param {Object} rates - Effective rates from getRates/mergeRates
+   * @returns {{rateKey: string, turnover: number, brokerage: number, stt: number, exchange: number, sebi: number, gst: number, stamp: number, total: number}}
+   */
+  calculate(fill, rates) {
+    const rateKey = this.getRateKey(fill.segment, fill.productType);
+    const r = rates.segments[rateKey];
+    const turnover = fill.price * fill.qty;
+    const pct = (value) => (turnover * (value || 0)) / 100;
+
+    const orderTurnover = (fill.priorTurnover || 0) + turnover;
+    const orderBrokerage = r.brokerageFlat !== undefined
+      ? r.brokerageFlat
+      : Math.min((orderTurnover * r.brokeragePct) / 100, r.brokerageMax ?? Infinity);
+
+    const brokerage = this.round(Math.max(0, orderBrokerage - (fill.priorBrokerage || 0)));
+    const stt = this.round(pct(fill.side === 1 ? r.sttBuyPct : r.sttSellPct));
+    const exchange = this.round(pct(r.exchangePct));
+    const sebi = this.round(pct(rates.sebiPct));
+    const gst = this.round(((brokerage + exchange + sebi) * rates.gstPct) / 100);
+    const stamp = this.round(fill.side === 1 ? pct(r.stampBuyPct) : 0);
+
+    return {
+      rateKey,
+      turnover: this.round(turnover),
+      brokerage,
+      stt,
+      exchange,
+      sebi,
+      gst,
+      stamp,
+      total: this.round(brokerage + stt + exchange + sebi + gst + stamp)
+    };
+  }
+
+  /**
+   * Calculate charges for an expiry settlement. Settlement carries no
+   * brokerage, exchange fees or stamp duty; exercised long options pay STT
+   * on their intrinsic value.
+   * @param {Object} fill
+   * @param {string} fill.segment - Symbol segment
+   * @param {string} fill.productType - Position product type
+   * @param {number} fill.side - 1 for buy, -1 for sell
+   * @param {number} fill.qty - Settled quantity
+   * @param {number} fill.price - Settlement price
+   * @param {Object} rates - Effective rates from getRates/mergeRates
+   * @returns {Object} Same shape as calculate()
+   */
+  calculateSettlement(fill, rates) {
+    const rateKey = this.getRateKey(fill.segment, fill.productType);
+    const turnover = fill.price * fill.qty;
+    const exercised = fill.segment === 'OPT' && fill.side === -1 && fill.price > 0;
+    const stt = exercised ? this.round((turnover * (rates.segments[rateKey].sttExercisePct || 0)) / 100) : 0;
+
+    return {
+      rateKey,
+      turnover: this.round(turnover),
+      brokerage: 0,
+      stt,
+      exchange: 0,
+      sebi: 0,
+      gst: 0,
+      stamp: 0,
+      total: stt
+    };
+  }
+
+  /**
+   * Round to paise
+   * @param {number} value
+   * @returns {number}
+   */
+  round(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  /**
+   * Get default charge rates
+   * @returns {Object}
+   */
+  getDefaultRates() {
+    return this.mergeRates(null);
+  }
+}
+
+module.exports = new ChargesService();
@@ -0,0 +1,465 @@
+// File: Corporate Action Service
+// Path: server/services/corporateActionService.js
+//
+// Splits, bonus issues, rights issues and dividends imported from a local
+// file. On the ex-date open paper positions are adjusted so quantity and
+// average price stay comparable with post-action quotes, rights are taken
+// up and dividends are credited to the paper portfolio.
+
+const fs = require('fs');
+const path = require('path');
+const { prisma } = require("../prisma/client");
+const paperAccount = require('./paperAccount');
+const paperEngine = require('./paperEngine');
+const marketCalendar = require('./marketCalendar');
+
+const DEFAULT_ACTIONS_FILE = path.join(__dirname, '../data/corporate-actions.json');
+// Paper state that still trades: the running simulation or the sandbox
+const ACTIVE_RUN = { OR: [{ isRunning: true }, { sandbox: true }] };
+
+class CorporateActionService {
+  constructor() {
+    this.checkInterval = null;
+    this.isRunning = false;
+  }
+
+  /**
+   * Import actions, then apply due ones every 5 minutes
+   */
+  async start() {
+    if (this.checkInterval) {
+      return; // Already running
+    }
+
+    await this.importFile();
+    await this.applyDue().catch(error => {
+      console.error("Error applying corporate actions:", error);
+    });
+
+    this.checkInterval = setInterval(() => {
+      this.applyDue().catch(error => {
+        console.error("Error applying corporate actions:", error);
+      });
+    }, 5 * 60 * 1000);
+
+    console.log("Corporate action worker started");
+  }
+
+  /**
+   * Stop the corporate action worker
+   */
+  stop() {
+    if (this.checkInterval) {
+      clearInterval(this.checkInterval);
+      this.checkInterval = null;
+    }
+    console.log("Corporate action worker stopped");
+  }
+
+  /**
+   * Import actions from CORPORATE_ACTIONS_FILE (JSON or CSV), defaulting to
+   * data/corporate-actions.json. Actions are keyed by symbol and ex-date, so
+   * importing again updates them; applied actions are not applied twice.
+   * @param {string} filePath - Optional path to import instead
+   * @returns {Promise<{source: string, imported: number, skipped: Array<Object>}>}
+   */
+  async importFile(filePath = process.env.CORPORATE_ACTIONS_FILE || DEFAULT_ACTIONS_FILE) {
+    const result = { source: filePath, imported: 0, skipped: [] };
+
+    let rows;
+    try {
+      const content = fs.readFileSync(filePath, 'utf8');
+      rows = filePath.toLowerCase().endsWith('.csv')
+        ? this.parseCsv(content)
+        : (JSON.parse(content).actions || []);
+    } catch (error) {
+      console.error(`Error reading corporate actions from ${filePath}:`, error.message);
+      return { ...result, error: error.message };
+    }
+
+    for (const row of rows) {
+      const action = this.normalizeAction(row);
+      if (action.error) {
+        result.skipped.push({ row, error: action.error });
+        continue;
+      }
+
+      const { symbol, exDate, ...fields } = action;
+      await prisma.corporateAction.upsert({
+        where: { symbol_exDate: { symbol, exDate } },
+        update: { ...fields, source: filePath },
+        create: { symbol, exDate, ...fields, source: filePath }
+      });
+      result.imported++;
+    }
+
+    console.log(`Corporate actions imported from ${filePath}: ${result.imported} imported, ${result.skipped.length} skipped`);
+    return result;
+  }
+
+  /**
+   * Parse a CSV file with the header symbol,exDate,split,bonus,rights,rightsPrice,dividend,description
+   * @param {string} content - CSV text
+   * @returns {Array<Object>}
+   */
+  parseCsv(content) {
+    const lines = content.split(/\r?\n/).map(line => line.trim()).filter(line => line && !line.startsWith('#'));
+    const header = marketCalendar.splitCsvLine(lines.shift() || '');
+
+    return lines.map(line => {
+      const values = marketCalendar.splitCsvLine(line);
+      return Object.fromEntries(header.map((col, i) => [col, values[i] || '']));
+    });
+  }
+
+  /**
+   * Validate an imported row. Ratios may be numbers or "a:b" strings: a
+   * split of "5:1" gives five new shares per old share, a bonus of "1:2"
+   * gives one bonus share for every two held, rights of "1:5" offer one
+   * share for every five held at rightsPrice.
+   * @param {Object} row - { symbol, exDate, split|splitRatio, bonus|bonusRatio, rights|rightsRatio, rightsPrice, dividend, description }
+   * @returns {Object} Action fields, or { error }
+   */
+  normalizeAction(row) {
+    const symbol = String(row.symbol || '').trim().toUpperCase();
+    const exDate = String(row.exDate || row.ex_date || '').trim();
+    if (!symbol) return { error: 'symbol is required' };
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(exDate)) return { error: 'exDate must be YYYY-MM-DD' };
+
+    const splitRatio = this.parseRatio(row.splitRatio ?? row.split);
+    const bonusRatio = this.parseRatio(row.bonusRatio ?? row.bonus);
+    const rightsRatio = this.parseRatio(row.rightsRatio ?? row.rights);
+    const rightsPrice = row.rightsPrice === undefined || row.rightsPrice === '' ? null : Number(row.rightsPrice);
+    const dividend = row.dividend === undefined || row.dividend === '' ? null : Number(row.dividend);
+
+    if (Number.isNaN(splitRatio) || (splitRatio !== null && splitRatio <= 0)) return { error: 'split must be a positive ratio' };
+    if (Number.isNaN(bonusRatio) || (bonusRatio !== null && bonusRatio <= 0)) return { error: 'bonus must be a positive ratio' };
+    if (Number.isNaN(rightsRatio) || (rightsRatio !== null && rightsRatio <= 0)) return { error: 'rights must be a positive ratio' };
+    if (Number.isNaN(rightsPrice) || (rightsPrice !== null && rightsPrice < 0)) return { error: 'rightsPrice must be a non-negative amount' };
+    if ((rightsRatio === null) !== (rightsPrice === null)) return { error: 'rights and rightsPrice must be given together' };
+    if (Number.isNaN(dividend) || (dividend !== null && dividend <= 0)) return { error: 'dividend must be a positive amount' };
+    if (splitRatio === null && bonusRatio === null && rightsRatio === null && dividend === null) {
+      return { error: 'one of split, bonus, rights or dividend is required' };
+    }
+
+    return {
+      symbol,
+      exDate,
+      splitRatio,
+      bonusRatio,
+      rightsRatio,
+      rightsPrice,
+      dividend,
+      description: row.description || null
+    };
+  }
+
+  /**
+   * Parse a ratio given as a number or an "a:b" string
+   * @param {number|string} value
+   * @returns {number|null} null when absent, NaN when invalid
+   */
+  parseRatio(value) {
+    if (value === undefined || value === null || value === '') return null;
+    if (typeof value === 'number') return value;
+
+    const parts = String(value).split(':').map(Number);
+    if (parts.length === 1) return parts[0];
+    if (parts.length !== 2 || !(parts[1] > 0)) return NaN;
+    return parts[0] / parts[1];
+  }
+
+  /**
+   * Quantity multiplier of an action: split times (1 + bonus). Rights
+   * shares are paid for, so they are added separately (adjustPosition).
+   * @param {Object} action - Corporate action
+   * @returns {number}
+   */
+  getQuantityFactor(action) {
+    return (action.splitRatio || 1) * (1 + (action.bonusRatio || 0));
+  }
+
+  /**
+   * Divisor for prices before the ex-date: the quantity factor, times the
+   * fall from the cum-rights price to the theoretical ex-rights price for
+   * a rights issue
+   * @param {Object} action - Corporate action
+   * @param {number|null} cumPrice - Last close before the ex-date; without it rights are not adjusted
+   * @returns {number}
+   */
+  getPriceFactor(action, cumPrice = null) {
+    const factor = this.getQuantityFactor(action);
+    if (!(action.rightsRatio > 0) || !(cumPrice > 0)) {
+      return factor;
+    }
+
+    const price = cumPrice / factor;
+    const exRightsPrice = (price + action.rightsRatio * (action.rightsPrice || 0)) / (1 + action.rightsRatio);
+    return factor * price / exRightsPrice;
+  }
+
+  /**
+   * Apply every unapplied action whose ex-date has arrived (IST)
+   * @param {Date} now - Defaults to the calendar clock
+   * @returns {Promise<Array<Object>>} Applied actions with their adjustment counts
+   */
+  async applyDue(now = marketCalendar.now()) {
+    if (this.isRunning) {
+      return []; // Prevent overlapping runs
+    }
+
+    this.isRunning = true;
+
+    try {
+      const { date } = marketCalendar.getISTClock(now);
+      const due = await prisma.corporateAction.findMany({
+        where: { appliedAt: null, exDate: { lte: date } },
+        orderBy: { exDate: 'asc' }
+      });
+
+      const applied = [];
+      for (const action of due) {
+        try {
+          applied.push({ id: action.id, symbol: action.symbol, exDate: action.exDate, ...await this.apply(action) });
+        } catch (error) {
+          console.error(`Error applying corporate action ${action.symbol} ${action.exDate}:`, error);
+        }
+      }
+      return applied;
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Adjust paper positions held into the ex-date: scale quantity, keep the
+   * cost basis, scale the FIFO lots behind them, take up rights and credit
+   * dividends. Open paper orders placed before the ex-date are cancelled
+   * when the quantity changes, as the exchange does, since their prices
+   * are stale.
+   * Cancelling is idempotent and runs first; every other change commits in
+   * one transaction with appliedAt, so a failed action is retried from
+   * scratch and never scales or credits twice.
+   * @param {Object} action - Corporate action
+   * @returns {Promise<{positions: number, cancelledOrders: number, dividends: number, rightsCost: number}>}
+   */
+  async apply(action) {
+    const exStart = marketCalendar.toDate(action.exDate, '00:00');
+    const factor = this.getQuantityFactor(action);
+    const splitOrBonus = factor !== 1;
+    const changesQuantity = splitOrBonus || action.rightsRatio > 0;
+
+    const cancelledOrders = changesQuantity ? await this.cancelStaleOrders(action, exStart) : 0;
+
+    const result = await prisma.$transaction(async (tx) => {
+      // Claim the action; a concurrent or earlier run that applied it wins
+      const claimed = await tx.corporateAction.updateMany({
+        where: { id: action.id, appliedAt: null },
+        data: { appliedAt: new Date() }
+      });
+      if (claimed.count === 0) {
+        return null;
+      }
+
+      const positions = await tx.position.findMany({
+        where: {
+          symbol: action.symbol,
+          mode: 'paper',
+          qty: { not: 0 },
+          createdAt: { lt: exStart },
+          simulation: ACTIVE_RUN
+        }
+      });
+
+      let dividends = 0;
+      let rightsCost = 0;
+      for (const position of positions) {
+        const adjustment = this.adjustPosition(position, action, factor);
+
+        if (changesQuantity) {
+          await tx.position.update({
+            where: { id: position.id },
+            data: { qty: adjustment.qty, avgPrice: adjustment.avgPrice }
+          });
+        }
+        if (splitOrBonus) {
+          await this.adjustLots(tx, position, exStart, factor);
+        }
+        if (adjustment.rightsQty > 0) {
+          // Rights shares are bought at the issue price: a new FIFO lot, paid from cash
+          await tx.positionLot.create({
+            data: {
+              userId: position.userId,
+              symbol: position.symbol,
+              mode: 'paper',
+              productType: position.productType,
+              simulationId: position.simulationId,
+              side: 1,
+              qty: adjustment.rightsQty,
+              openQty: adjustment.rightsQty,
+              price: action.rightsPrice,
+              executionId: `rights_${action.id}`,
+              openedAt: exStart
+            }
+          });
+          await paperAccount.applyFill(tx, position.userId, position.simulationId, 1, adjustment.rightsQty, action.rightsPrice, 0);
+        }
+        if (adjustment.dividend !== 0) {
+          await paperAccount.creditDividend(tx, position.userId, position.simulationId, adjustment.dividend);
+        }
+        await tx.event.create({
+          data: {
+            refType: 'position',
+            refId: position.id,
+            type: 'corporate_action',
+            payload: {
+              actionId: action.id,
+              symbol: action.symbol,
+              exDate: action.exDate,
+              userId: position.userId,
+              simulationId: position.simulationId,
+              productType: position.productType,
+              splitRatio: action.splitRatio,
+              bonusRatio: action.bonusRatio,
+              rightsRatio: action.rightsRatio,
+              rightsPrice: action.rightsPrice,
+              dividendPerShare: action.dividend,
+              before: { qty: position.qty, avgPrice: position.avgPrice },
+              after: { qty: adjustment.qty, avgPrice: adjustment.avgPrice },
+              rightsQty: adjustment.rightsQty,
+              rightsCost: adjustment.rightsCost,
+              dividend: adjustment.dividend
+            }
+          }
+        });
+
+        dividends += adjustment.dividend;
+        rightsCost += adjustment.rightsCost;
+      }
+
+      return { positions: positions.length, dividends, rightsCost };
+    }, { timeout: 60 * 1000 });
+
+    if (!result) {
+      return { positions: 0, cancelledOrders, dividends: 0, rightsCost: 0, alreadyApplied: true };
+    }
+
+    console.log(`Corporate action ${action.symbol} ${action.exDate} applied to ${result.positions} paper positions`);
+    return {
+      positions: result.positions,
+      cancelledOrders,
+      dividends: Math.round(result.dividends * 100) / 100,
+      rightsCost: Math.round(result.rightsCost * 100) / 100
+    };
+  }
+
+  /**
+   * Compute a position's quantity, average price, dividend and rights
+   * take-up after an action. Fractional entitlements are dropped and the
+   * cost basis is kept. Long positions take up their rights in full at the
+   * issue price, which adds to the cost; short positions get no rights.
+   * @param {Object} position - { qty, avgPrice }
+   * @param {Object} action - Corporate action
+   * @param {number} factor - Quantity multiplier
+   * @returns {{qty: number, avgPrice: number, dividend: number, rightsQty: number, rightsCost: number}}
+   */
+  adjustPosition(position, action, factor) {
+    const dividend = Math.round(position.qty * (action.dividend || 0) * 100) / 100;
+
+    let qty = position.qty;
+    if (factor !== 1) {
+      qty = Math.sign(position.qty) * Math.max(1, Math.floor(Math.abs(position.qty) * factor));
+    }
+
+    const rightsQty = qty > 0 ? Math.floor(qty * (action.rightsRatio || 0)) : 0;
+    const rightsCost = Math.round(rightsQty * (action.rightsPrice || 0) * 100) / 100;
+    if (qty === position.qty && rightsQty === 0) {
+      return { qty, avgPrice: position.avgPrice, dividend, rightsQty, rightsCost };
+    }
+
+    const cost = Math.abs(position.qty) * position.avgPrice + rightsQty * (action.rightsPrice || 0);
+    return {
+      qty: qty + rightsQty,
+      avgPrice: cost / Math.abs(qty + rightsQty),
+      dividend,
+      rightsQty,
+      rightsCost
+    };
+  }
+
+  /**
+   * Scale the open FIFO lots behind a position opened before the ex-date,
+   * keeping each lot's cost
+   * @param {Object} tx - Prisma transaction
+   * @param {Object} position - { userId, symbol, productType, simulationId }
+   * @param {Date} exStart - Start of the ex-date (IST)
+   * @param {number} factor - Quantity multiplier
+   */
+  async adjustLots(tx, position, exStart, factor) {
+    const lots = await tx.positionLot.findMany({
+      where: {
+        userId: position.userId,
+        symbol: position.symbol,
+        mode: 'paper',
+        productType: position.productType,
+        simulationId: position.simulationId,
+        qty: { gt: 0 },
+        openedAt: { lt: exStart }
+      }
+    });
+
+    for (const lot of lots) {
+      const qty = Math.max(1, Math.floor(lot.qty * factor));
+      await tx.positionLot.update({
+        where: { id: lot.id },
+        data: {
+          qty,
+          openQty: Math.max(qty, Math.floor(lot.openQty * factor)),
+          price: (lot.qty * lot.price) / qty,
+          chargesPerUnit: (lot.qty * lot.chargesPerUnit) / qty
+        }
+      });
+    }
+  }
+
+  /**
+   * Cancel open paper orders on the symbol placed before the ex-date
+   * @param {Object} action - Corporate action
+   * @param {Date} exStart - Start of the ex-date (IST)
+   * @returns {Promise<number>} Orders cancelled
+   */
+  async cancelStaleOrders(action, exStart) {
+    // Parents first: cancelling them takes their CO/BO legs along
+    const orders = await prisma.order.findMany({
+      where: {
+        symbol: action.symbol,
+        mode: 'paper',
+        state: { in: ['new', 'working', 'partial'] },
+        createdAt: { lt: exStart },
+        simulation: ACTIVE_RUN
+      },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    let cancelled = 0;
+    for (const order of orders) {
+      if (await paperEngine.cancelOrder(order.id, 'corporate_action')) cancelled++;
+    }
+    return cancelled;
+  }
+
+  /**
+   * List imported actions, latest ex-date first
+   * @param {Object} filters - { symbol?, limit? }
+   * @returns {Promise<Array<Object>>}
+   */
+  async list({ symbol, limit = 100 } = {}) {
+    return prisma.corporateAction.findMany({
+      where: symbol ? { symbol: symbol.toUpperCase() } : {},
+      orderBy: { exDate: 'desc' },
+      take: limit
+    });
+  }
+}
+
+module.exports = new CorporateActionService();
@@ -0,0 +1,69 @@
+// File: Market Data Providers
+// Path: server/services/dataProviders.js
+//
+// Picks the market data provider for the environment (MARKET_DATA_PROVIDER)
+// or for a simulation run. A provider implements:
+//   name, requiresToken, maxQuoteSymbols (optional per-request quote limit)
+//   now() -> Date                                  clock the data is served on
+//   getQuotes(symbols, accessToken) -> { symbol: { ltp, bid, ask, volume, depth, timestamp } }
+//   getHistory(symbol, { resolution, from, to }, accessToken) -> [{ time, open, high, low, close, volume }]
+//   createSocket(accessToken) -> socket with the Fyers data socket interface
+
+const fyersDataProvider = require('./fyersDataProvider');
+const ReplayDataProvider = require('./replayDataProvider');
+
+const PROVIDER_NAMES = ['fyers', 'replay'];
+
+class DataProviderRegistry {
+  constructor() {
+    this.defaultProvider = null;
+  }
+
+  /**
+   * Provider for the environment, created on first use
+   * @returns {Object}
+   */
+  getDefault() {
+    if (!this.defaultProvider) {
+      this.defaultProvider = this.create({ provider: process.env.MARKET_DATA_PROVIDER || 'fyers' });
+      console.log(`Market data provider: ${this.defaultProvider.name}`);
+    }
+    return this.defaultProvider;
+  }
+
+  /**
+   * Create a provider from a config
+   * @param {Object} config - { provider: 'fyers'|'replay', speed?, from?, startedAt? }
+   * @returns {Object}
+   */
+  create(config = {}) {
+    switch (config.provider || 'fyers') {
+      case 'fyers':
+        return fyersDataProvider;
+      case 'replay':
+        return new ReplayDataProvider(config);
+      default:
+        throw new Error(`Unknown market data provider: ${config.provider}. Must be one of: ${PROVIDER_NAMES.join(', ')}`);
+    }
+  }
+
+  /**
+   * Validate a provider config, e.g. from a simulation start request
+   * @param {Object} config
+   * @returns {Array<string>} Errors
+   */
+  validateConfig(config) {
+    if (!config || typeof config !== 'object') {
+      return ['marketData must be an object like { "provider": "replay", "speed": 60 }'];
+    }
+
+    try {
+      this.create(config);
+      return [];
+    } catch (error) {
+      return [error.message];
+    }
+  }
+}
+
+module.exports = new DataProviderRegistry();
@@ -0,0 +1,266 @@
+// File: F&O Expiry Settlement Service
+// Path: server/services/expirySettlementService.js
+//
+// Closes paper futures and options positions once their contract has
+// expired: futures are cash-settled at the settlement price, in-the-money
+// options at intrinsic value and out-of-the-money options at zero.
+
+const { prisma } = require("../prisma/client");
+const paperEngine = require('./paperEngine');
+const symbolMaster = require('./symbolMaster');
+const marketData = require('./marketData');
+const marketCalendar = require('./marketCalendar');
+const chargesService = require('./chargesService');
+
+// Paper positions that still trade: the running simulation or the sandbox
+const ACTIVE_RUN = { OR: [{ isRunning: true }, { sandbox: true }] };
+
+// Spot symbols index derivatives settle against; stock derivatives use EXCHANGE:NAME-EQ
+const INDEX_SYMBOLS = {
+  NIFTY: 'NSE:NIFTY50-INDEX',
+  BANKNIFTY: 'NSE:NIFTYBANK-INDEX',
+  FINNIFTY: 'NSE:FINNIFTY-INDEX',
+  MIDCPNIFTY: 'NSE:MIDCPNIFTY-INDEX',
+  NIFTYNXT50: 'NSE:NIFTYNXT50-INDEX',
+  SENSEX: 'BSE:SENSEX-INDEX',
+  BANKEX: 'BSE:BANKEX-INDEX'
+};
+
+// Days after expiry to wait for a settlement price before using the last mark
+const PRICE_GRACE_DAYS = 3;
+
+class ExpirySettlementService {
+  constructor() {
+    this.checkInterval = null;
+    this.isRunning = false;
+  }
+
+  /**
+   * Start the expiry settlement scheduler
+   */
+  start() {
+    if (this.checkInterval) {
+      return; // Already running
+    }
+
+    // Check for expired contracts every minute
+    this.checkInterval = setInterval(() => {
+      this.runDue().catch(error => {
+        console.error("Error running expiry settlement:", error);
+      });
+    }, 60 * 1000);
+
+    console.log("Expiry settlement scheduler started");
+  }
+
+  /**
+   * Stop the expiry settlement scheduler
+   */
+  stop() {
+    if (this.checkInterval) {
+      clearInterval(this.checkInterval);
+      this.checkInterval = null;
+    }
+    console.log("Expiry settlement scheduler stopped");
+  }
+
+  /**
+   * Whether a contract has expired: after its expiry date, or on it once
+   * the segment's session has closed
+   * @param {Object} meta - Symbol metadata with expiry
+   * @param {Date} now
+   * @returns {boolean}
+   */
+  isExpired(meta, now = marketCalendar.now()) {
+    if (!meta.expiry) return false;
+
+    const { date, minutes } = marketCalendar.getISTClock(now);
+    if (date > meta.expiry) return true;
+    if (date < meta.expiry) return false;
+
+    const session = marketCalendar.getSession(meta.exchange, meta.segment, meta.expiry);
+    return !!session && minutes >= marketCalendar.toMinutes(session.close);
+  }
+
+  /**
+   * Settle every open paper position whose contract has expired, then
+   * record one summary event per user. Positions are priced on their run's
+   * market data session and, unless now is given, timed on its clock.
+   * @param {Date} now - Optional override of the sessions' clocks
+   * @returns {Promise<Array<Object>>} Per-user summaries
+   */
+  async runDue(now = null) {
+    if (this.isRunning) {
+      return []; // Prevent overlapping runs
+    }
+
+    this.isRunning = true;
+
+    try {
+      const positions = await prisma.position.findMany({
+        where: { mode: 'paper', qty: { not: 0 }, simulation: ACTIVE_RUN },
+        orderBy: { createdAt: 'asc' }
+      });
+
+      const tokens = await paperEngine.getMarketDataTokens([...new Set(positions.map(p => p.userId))]);
+
+      const expired = [];
+      for (const position of positions) {
+        const meta = await symbolMaster.getSymbolMeta(position.symbol);
+        const session = await marketData.getSession(position.simulationId, tokens.get(position.userId));
+        const clock = now || marketData.now(session);
+        if (this.isExpired(meta, clock)) {
+          expired.push({ position, meta, session, clock });
+        }
+      }
+      if (expired.length === 0) return [];
+
+      const summaries = new Map();
+
+      for (const { position, meta, session, clock } of expired) {
+        if (!summaries.has(position.userId)) {
+          summaries.set(position.userId, { userId: position.userId, settled: [], pending: [], errors: [] });
+        }
+        const summary = summaries.get(position.userId);
+
+        try {
+          const settlement = await this.getSettlementPrice(position, meta, session, clock);
+          if (!settlement) {
+            summary.pending.push({ symbol: position.symbol, expiry: meta.expiry, reason: 'No settlement price yet' });
+            continue;
+          }
+
+          const order = await paperEngine.settlePosition(position, settlement.price);
+          summary.settled.push({
+            symbol: position.symbol,
+            productType: position.productType,
+            simulationId: position.simulationId,
+            expiry: meta.expiry,
+            qty: position.qty,
+            avgPrice: position.avgPrice,
+            ...settlement,
+            grossPnl: chargesService.round((settlement.price - position.avgPrice) * position.qty),
+            orderId: order.id
+          });
+        } catch (error) {
+          summary.errors.push({ symbol: position.symbol, error: error.message });
+        }
+      }
+
+      for (const summary of summaries.values()) {
+        if (summary.settled.length > 0 || summary.errors.length > 0) {
+          await this.logEvent(summary.userId, summary);
+          console.log(`Expiry settlement for user ${summary.userId}: ${summary.settled.length} positions settled`);
+        }
+      }
+
+      return [...summaries.values()];
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Symbol whose price a contract settles against: the spot index or stock
+   * for NSE/BSE futures and options, the contract itself elsewhere (MCX,
+   * currency)
+   * @param {string} symbol - Contract symbol
+   * @param {Object} meta - Symbol metadata
+   * @returns {string}
+   */
+  getReferenceSymbol(symbol, meta) {
+    if (!['FUT', 'OPT'].includes(meta.segment) || !meta.underlying) {
+      return symbol;
+    }
+    return INDEX_SYMBOLS[meta.underlying] || `${meta.exchange}:${meta.underlying}-EQ`;
+  }
+
+  /**
+   * Resolve the settlement price of an expired position. The reference
+   * price is the LTP on expiry day and the expiry-day close afterwards;
+   * options settle at their intrinsic value against it. When no price is
+   * available PRICE_GRACE_DAYS after expiry, the position's last mark is used.
+   * @param {Object} position - Paper position
+   * @param {Object} meta - Symbol metadata
+   * @param {string|Object} source - Access token or market data session (optional)
+   * @param {Date} now
+   * @returns {Promise<{price: number, source: string, referenceSymbol: string, referencePrice: number|null}|null>} null to retry later
+   */
+  async getSettlementPrice(position, meta, source, now = marketData.now(source)) {
+    const referenceSymbol = this.getReferenceSymbol(position.symbol, meta);
+    const { date } = marketCalendar.getISTClock(now);
+
+    let referencePrice = null;
+    let priceSource = null;
+    if (marketData.canQuote(source)) {
+      if (date === meta.expiry) {
+        referencePrice = await marketData.getLTP(referenceSymbol, source);
+        priceSource = 'ltp';
+      }
+      if (!referencePrice) {
+        referencePrice = await marketData.getDailyClose(referenceSymbol, meta.expiry, source);
+        priceSource = 'close';
+      }
+    }
+
+    if (referencePrice) {
+      return {
+        price: chargesService.round(this.getSettlementValue(meta, referencePrice, referenceSymbol === position.symbol)),
+        source: priceSource,
+        referenceSymbol,
+        referencePrice
+      };
+    }
+
+    if (date < marketCalendar.addDays(meta.expiry, PRICE_GRACE_DAYS)) {
+      return null;
+    }
+
+    // No price source: settle at the last marked price
+    return {
+      price: chargesService.round(Math.max(0, position.avgPrice + (position.mtm || 0) / position.qty)),
+      source: 'last_mark',
+      referenceSymbol,
+      referencePrice: null
+    };
+  }
+
+  /**
+   * Settlement value per unit: the reference price for futures, intrinsic
+   * value for options (zero when out of the money)
+   * @param {Object} meta - { optionType, strike }
+   * @param {number} referencePrice - Underlying (or contract) price
+   * @param {boolean} isContractPrice - The reference is the contract's own price
+   * @returns {number}
+   */
+  getSettlementValue(meta, referencePrice, isContractPrice = false) {
+    if (!meta.optionType || isContractPrice) {
+      return referencePrice;
+    }
+    return meta.optionType === 'CE'
+      ? Math.max(0, referencePrice - meta.strike)
+      : Math.max(0, meta.strike - referencePrice);
+  }
+
+  /**
+   * Log the settlement summary
+   * @param {string} userId - User ID
+   * @param {Object} summary - Settlement summary
+   */
+  async logEvent(userId, summary) {
+    try {
+      await prisma.event.create({
+        data: {
+          refType: 'user',
+          refId: userId,
+          type: 'expiry_settlement',
+          payload: summary
+        }
+      });
+    } catch (error) {
+      console.error("Error logging event:", error);
+    }
+  }
+}
+
+module.exports = new ExpirySettlementService();
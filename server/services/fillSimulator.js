@@ -0,0 +1,116 @@
+// File: Paper Fill Simulator
+// Path: server/services/fillSimulator.js
+//
+// Pure fill computation shared by the live paper engine and offline
+// simulations: given an order and a market snapshot it returns the fills,
+// without fetching quotes or touching the database.
+
+const slippageService = require('./slippageService');
+
+class FillSimulator {
+  /**
+   * Compute fills for an order against a market snapshot
+   * @param {Object} order
+   * @param {number} order.side - 1 for buy, -1 for sell
+   * @param {number} order.type - 1=limit, 2=market, 3=stop, 4=stop-limit
+   *   (trailing stops are passed as 3 with their current trigger)
+   * @param {number} order.qty - Quantity still to be filled
+   * @param {number} order.limitPrice - For limit orders
+   * @param {number} order.stopPrice - For stop orders
+   * @param {number} order.lotSize - Fills are rounded down to lot multiples
+   * @param {number} order.tickSize - Fill prices are rounded to ticks
+   * @param {Object} market - { ltp, bid, ask, volume, depth: { bids, asks } }
+   * @param {Object} slippage - Resolved slippage config ({ model, params, latencyMs })
+   * @returns {Array<{price: number, qty: number, basePrice: number, slippage: number}>}
+   */
+  computeFills(order, market, slippage) {
+    const { side, type } = order;
+    const ltp = market?.ltp;
+    if (!ltp) {
+      return [];
+    }
+
+    // Stop orders only start walking the book once triggered
+    if (type === 3 || type === 4) {
+      const triggered = side === 1 ? ltp >= order.stopPrice : ltp <= order.stopPrice;
+      if (!triggered) {
+        return [];
+      }
+    }
+
+    const hasLimit = type === 1 || type === 4;
+    const lot = order.lotSize > 0 ? order.lotSize : 1;
+    let levels = this.normalizeDepthLevels(side === 1 ? market.depth?.asks : market.depth?.bids, side);
+
+    // Without a ladder, the whole quantity is offered at the touch (or LTP)
+    if (levels.length === 0) {
+      const touch = side === 1 ? market.ask : market.bid;
+      levels = [{ price: touch > 0 ? touch : ltp, volume: Infinity }];
+    }
+
+    const fills = [];
+    let remaining = order.qty;
+
+    for (const level of levels) {
+      if (remaining <= 0) break;
+
+      if (hasLimit && (side === 1 ? level.price > order.limitPrice : level.price < order.limitPrice)) {
+        break; // Rest of the ladder is beyond the limit
+      }
+
+      const available = Number.isFinite(level.volume) ? Math.floor(level.volume / lot) * lot : remaining;
+      const fillQty = Math.min(remaining, available);
+      if (fillQty <= 0) continue;
+
+      const slip = slippageService.compute(slippage, { price: level.price, qty: fillQty, side, market });
+      let price = this.roundToTick(level.price + side * slip, order.tickSize);
+
+      // A limit order never fills worse than its limit
+      if (hasLimit) {
+        price = side === 1 ? Math.min(price, order.limitPrice) : Math.max(price, order.limitPrice);
+      }
+      if (!(price > 0)) continue;
+
+      fills.push({
+        price,
+        qty: fillQty,
+        basePrice: level.price,
+        slippage: Math.round(Math.abs(price - level.price) * 10000) / 10000
+      });
+      remaining -= fillQty;
+    }
+
+    return fills;
+  }
+
+  /**
+   * Normalize depth levels into best-first {price, volume} entries
+   * @param {Array<Object>} levels - Raw bids or asks
+   * @param {number} side - 1 walks asks upwards, -1 walks bids downwards
+   * @returns {Array<{price: number, volume: number}>}
+   */
+  normalizeDepthLevels(levels, side) {
+    if (!Array.isArray(levels)) return [];
+
+    return levels
+      .map(level => ({
+        price: Number(level.price),
+        volume: Number(level.volume ?? level.qty ?? 0)
+      }))
+      .filter(level => level.price > 0 && level.volume > 0)
+      .sort((a, b) => side === 1 ? a.price - b.price : b.price - a.price);
+  }
+
+  /**
+   * Round a price to the nearest tick
+   * @param {number} price
+   * @param {number} tickSize
+   * @returns {number}
+   */
+  roundToTick(price, tickSize) {
+    if (!tickSize) return price;
+    return Math.round(Math.round(price / tickSize) * tickSize * 10000) / 10000;
+  }
+}
+
+module.exports = new FillSimulator();
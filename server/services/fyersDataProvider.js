@@ -0,0 +1,151 @@
+// File: Fyers Market Data Provider
+// Path: server/services/fyersDataProvider.js
+//
+// Live quotes, history and the data socket from the Fyers API. Every call
+// needs the access token of a Fyers session.
+
+const { fyersModel, fyersDataSocket } = require("fyers-api-v3");
+const marketCalendar = require('./marketCalendar');
+
+// Longest date range Fyers serves per history request
+const HISTORY_CHUNK_DAYS = { intraday: 100, D: 366 };
+
+// Most symbols Fyers accepts per quotes request
+const MAX_QUOTE_SYMBOLS = 50;
+
+class FyersDataProvider {
+  constructor() {
+    this.name = 'fyers';
+    this.requiresToken = true;
+    this.maxQuoteSymbols = MAX_QUOTE_SYMBOLS;
+    this.clients = new Map(); // Fyers clients keyed by access token
+  }
+
+  /**
+   * Get or create a Fyers client for an access token, so each user's
+   * quotes are fetched with their own session
+   * @param {string} accessToken
+   * @returns {Object}
+   */
+  getClient(accessToken) {
+    if (this.clients.has(accessToken)) {
+      return this.clients.get(accessToken);
+    }
+
+    const client = new fyersModel({
+      path: process.env.LOG_PATH || "/tmp",
+      enableLogging: process.env.FYERS_ENABLE_LOGGING === "1"
+    });
+    client.setAppId(process.env.FYERS_APP_ID);
+    client.setAccessToken(accessToken);
+
+    this.clients.set(accessToken, client);
+    return client;
+  }
+
+  /**
+   * Drop the cached client for a token (e.g. after the user logs in again)
+   * @param {string} accessToken
+   */
+  releaseClient(accessToken) {
+    this.clients.delete(accessToken);
+  }
+
+  /**
+   * Current time; Fyers data is live
+   * @returns {Date}
+   */
+  now() {
+    return new Date();
+  }
+
+  /**
+   * Get quotes for symbols
+   * @param {Array<string>} symbols
+   * @param {string} accessToken
+   * @returns {Promise<Object>} symbol -> { ltp, bid, ask, volume, depth, timestamp }
+   */
+  async getQuotes(symbols, accessToken) {
+    if (!accessToken) {
+      throw new Error("Access token required for market data");
+    }
+
+    const response = await this.getClient(accessToken).getQuotes(symbols);
+
+    // Quotes come back as [{ n: symbol, v }] or keyed by symbol
+    const entries = Array.isArray(response?.d)
+      ? response.d.map(entry => [entry.n || entry.v?.symbol, entry])
+      : Object.entries(response?.d || {});
+
+    const quotes = {};
+    for (const [symbol, entry] of entries) {
+      const v = entry?.v;
+      if (!symbol || !v) continue;
+
+      quotes[symbol] = {
+        ltp: v.lp || v.c || null,
+        bid: v.bid || 0,
+        ask: v.ask || 0,
+        volume: v.volume || v.vol_traded_today || 0,
+        depth: { bids: v.bids || [], asks: v.asks || [] },
+        timestamp: v.timestamp || Date.now()
+      };
+    }
+    return quotes;
+  }
+
+  /**
+   * Get historical candles. Ranges longer than Fyers serves per request
+   * (100 days intraday, 366 daily) are fetched in chunks.
+   * @param {string} symbol
+   * @param {Object} range - { resolution: 'D' or minutes, from: 'YYYY-MM-DD', to: 'YYYY-MM-DD' }
+   * @param {string} accessToken
+   * @returns {Promise<Array<{time: Date, open: number, high: number, low: number, close: number, volume: number}>>}
+   */
+  async getHistory(symbol, { resolution = 'D', from, to }, accessToken) {
+    if (!accessToken) {
+      throw new Error("Access token required for market data");
+    }
+
+    const chunkDays = String(resolution).toUpperCase() === 'D' ? HISTORY_CHUNK_DAYS.D : HISTORY_CHUNK_DAYS.intraday;
+    const candles = [];
+
+    for (let start = from; start <= to; start = marketCalendar.addDays(start, chunkDays)) {
+      const end = [marketCalendar.addDays(start, chunkDays - 1), to].sort()[0];
+      const history = await this.getClient(accessToken).getHistory({
+        symbol,
+        resolution: String(resolution),
+        date_format: '1',
+        range_from: start,
+        range_to: end,
+        cont_flag: '1'
+      });
+
+      if (history?.s === 'error') {
+        throw new Error(`Fyers history for ${symbol} ${start}..${end}: ${history.message || 'request failed'}`);
+      }
+
+      // Candles are [epoch, open, high, low, close, volume]
+      for (const [epoch, open, high, low, close, volume] of history?.candles || []) {
+        candles.push({ time: new Date(epoch * 1000), open, high, low, close, volume });
+      }
+    }
+
+    return candles;
+  }
+
+  /**
+   * Create the data socket. The SDK keeps a single socket per process.
+   * @param {string} accessToken
+   * @returns {Object} Socket with on/connect/subscribe/unsubscribe/mode/close
+   */
+  createSocket(accessToken) {
+    return fyersDataSocket.getInstance(
+      `${process.env.FYERS_APP_ID}:${accessToken}`,
+      process.env.LOG_PATH || "/tmp",
+      process.env.FYERS_ENABLE_LOGGING === "1"
+    );
+  }
+}
+
+module.exports = new FyersDataProvider();
@@ -3,6 +3,7 @@
 
 const { fyersModel, fyersOrderSocket } = require("fyers-api-v3");
 const { prisma } = require("../prisma/client");
+const pnlLedger = require("./pnlLedger");
 
 class FyersService {
   constructor() {
@@ -507,15 +508,19 @@ class FyersService {
         });
 
         if (order) {
-          await prisma.execution.create({
-            data: {
-              orderId: order.id,
-              symbol: msg.symbol,
-              price: msg.price,
-              qty: msg.qty,
-              side: msg.side,
-              mode: 'live'
-            }
+          await prisma.$transaction(async (tx) => {
+            const execution = await tx.execution.create({
+              data: {
+                orderId: order.id,
+                symbol: msg.symbol,
+                price: msg.price,
+                qty: msg.qty,
+                side: msg.side,
+                mode: 'live'
+              }
+            });
+
+            await pnlLedger.recordExecution(tx, execution, order.userId, order.productType);
           });
         }
       }
@@ -549,7 +554,8 @@ class FyersService {
       '3': 'filled',
       '4': 'cancelled',
       '5': 'rejected',
-      '6': 'partial'
+      '6': 'partial',
+      '7': 'expired'
     };
     
     return stateMap[fyersState] || 'working';
@@ -0,0 +1,454 @@
+// File: Good-Till-Triggered (GTT) Order Service
+// Path: server/services/gttService.js
+
+const { prisma } = require("../prisma/client");
+const marketData = require('./marketData');
+const symbolMaster = require('./symbolMaster');
+const orderValidation = require('./orderValidation');
+const paperEngine = require('./paperEngine');
+const paperAccount = require('./paperAccount');
+const fyersService = require('./fyersService');
+const marketCalendar = require('./marketCalendar');
+
+const GTT_VALIDITY_DAYS = 365;
+const GTT_PRODUCT_TYPES = ['CNC', 'MARGIN', 'INTRADAY', 'MTF'];
+
+class GttService {
+  constructor() {
+    this.checkInterval = null;
+    this.isProcessing = false;
+  }
+
+  /**
+   * Start the GTT trigger worker
+   */
+  start() {
+    if (this.checkInterval) {
+      return; // Already running
+    }
+
+    // Check triggers every 5 seconds
+    this.checkInterval = setInterval(() => {
+      this.processTriggers().catch(error => {
+        console.error("Error processing GTT triggers:", error);
+      });
+    }, 5000);
+
+    console.log("GTT worker started");
+  }
+
+  /**
+   * Stop the GTT trigger worker
+   */
+  stop() {
+    if (this.checkInterval) {
+      clearInterval(this.checkInterval);
+      this.checkInterval = null;
+    }
+    console.log("GTT worker stopped");
+  }
+
+  /**
+   * Validate GTT legs and fix each leg's trigger direction from the
+   * current LTP: a trigger above LTP fires when LTP rises to it, one
+   * below fires when LTP falls to it
+   * @param {string} kind - single|oco
+   * @param {Array<Object>} legs - [{ triggerPrice, side, type, qty, limitPrice }]
+   * @param {number} ltp - Current LTP
+   * @param {Object} symbolMeta - Symbol metadata for tick and lot checks
+   * @returns {{legs: Array<Object>, errors: Array<string>}}
+   */
+  normalizeLegs(kind, legs, ltp, symbolMeta) {
+    const errors = [];
+
+    if (!['single', 'oco'].includes(kind)) {
+      return { legs: [], errors: [`Invalid GTT kind: ${kind}. Must be single or oco`] };
+    }
+
+    const expected = kind === 'single' ? 1 : 2;
+    if (!Array.isArray(legs) || legs.length !== expected) {
+      return { legs: [], errors: [`${kind} GTT requires exactly ${expected} leg${expected > 1 ? 's' : ''}`] };
+    }
+
+    const normalized = legs.map((leg, index) => {
+      const label = `Leg ${index + 1}`;
+      const triggerPrice = Number(leg.triggerPrice);
+      const side = Number(leg.side);
+      const type = Number(leg.type || 1);
+      const qty = Number(leg.qty);
+      const limitPrice = leg.limitPrice !== undefined && leg.limitPrice !== null && leg.limitPrice !== ''
+        ? Number(leg.limitPrice)
+        : null;
+
+      if (!(triggerPrice > 0)) {
+        errors.push(`${label}: trigger price must be > 0`);
+      } else if (!symbolMaster.isValidTickMultiple(triggerPrice, symbolMeta.tickSize)) {
+        errors.push(`${label}: trigger price ${triggerPrice} is not a valid tick multiple. Tick size: ${symbolMeta.tickSize}`);
+      } else if (triggerPrice === ltp) {
+        errors.push(`${label}: trigger price must differ from LTP ${ltp}`);
+      }
+      if (![1, -1].includes(side)) {
+        errors.push(`${label}: side must be 1 (buy) or -1 (sell)`);
+      }
+      if (![1, 2].includes(type)) {
+        errors.push(`${label}: type must be 1 (limit) or 2 (market)`);
+      }
+      if (!Number.isInteger(qty) || !symbolMaster.isValidLotMultiple(qty, symbolMeta.lotSize)) {
+        errors.push(`${label}: quantity must be a positive multiple of lot size ${symbolMeta.lotSize}`);
+      }
+      if (type === 1) {
+        if (!(limitPrice > 0)) {
+          errors.push(`${label}: limit price is required for limit legs`);
+        } else if (!symbolMaster.isValidTickMultiple(limitPrice, symbolMeta.tickSize)) {
+          errors.push(`${label}: limit price ${limitPrice} is not a valid tick multiple. Tick size: ${symbolMeta.tickSize}`);
+        }
+      }
+
+      return {
+        triggerPrice,
+        condition: triggerPrice > ltp ? 'gte' : 'lte',
+        side,
+        type,
+        qty,
+        limitPrice: type === 1 ? limitPrice : null
+      };
+    });
+
+    // An OCO brackets the price: one trigger above LTP, one below
+    if (kind === 'oco' && errors.length === 0 && normalized[0].condition === normalized[1].condition) {
+      errors.push(`OCO GTT needs one trigger above and one below LTP ${ltp}`);
+    }
+
+    return { legs: normalized, errors };
+  }
+
+  /**
+   * Find the first leg whose trigger the LTP has reached
+   * @param {Array<Object>} legs - Normalized legs
+   * @param {number} ltp - Current LTP
+   * @returns {number} Leg index, or -1
+   */
+  findTriggeredLeg(legs, ltp) {
+    return legs.findIndex(leg =>
+      leg.condition === 'gte' ? ltp >= leg.triggerPrice : ltp <= leg.triggerPrice
+    );
+  }
+
+  /**
+   * Validate GTT fields shared by create and modify
+   * @param {Object} data - { kind, symbol, productType, legs, simulationId? }
+   * @param {string} accessToken - Fyers access token
+   * @returns {Promise<{legs: Array<Object>, ltp: number|null, errors: Array<string>}>}
+   */
+  async prepare(data, accessToken) {
+    if (!GTT_PRODUCT_TYPES.includes(data.productType)) {
+      return { legs: [], ltp: null, errors: [`Invalid product type for GTT: ${data.productType}. Must be one of: ${GTT_PRODUCT_TYPES.join(', ')}`] };
+    }
+
+    const ltp = await marketData.getLTP(data.symbol, await this.getSession(data, accessToken));
+    if (!ltp) {
+      return { legs: [], ltp: null, errors: [`Market data unavailable for ${data.symbol}`] };
+    }
+
+    const symbolMeta = await symbolMaster.getSymbolMeta(data.symbol);
+    const { legs, errors } = this.normalizeLegs(data.kind, data.legs, ltp, symbolMeta);
+    return { legs, ltp, errors };
+  }
+
+  /**
+   * Market data session a GTT is priced on: its run's for paper GTTs
+   * @param {Object} gtt - GTT or GTT fields with simulationId
+   * @param {string} accessToken - Fyers access token
+   * @returns {Promise<Object|string>}
+   */
+  async getSession(gtt, accessToken) {
+    return gtt.simulationId ? marketData.getSession(gtt.simulationId, accessToken) : accessToken;
+  }
+
+  /**
+   * Expire the active GTTs of a simulation run
+   * @param {string} simulationId - Simulation ID
+   * @param {string} reason - Why the GTTs expired
+   * @returns {Promise<number>} Number of GTTs expired
+   */
+  async expireForSimulation(simulationId, reason) {
+    const active = await prisma.gttOrder.findMany({
+      where: { simulationId, state: 'active' },
+      select: { id: true }
+    });
+    for (const { id } of active) {
+      await prisma.gttOrder.update({ where: { id }, data: { state: 'expired' } });
+      await this.logEvent('gtt_expired', id, { reason });
+    }
+    return active.length;
+  }
+
+  /**
+   * Check that an expiry is a valid future date
+   * @param {Date} expiresAt
+   * @returns {boolean}
+   */
+  isValidExpiry(expiresAt) {
+    return !isNaN(expiresAt.getTime()) && expiresAt > new Date();
+  }
+
+  /**
+   * Create a GTT order
+   * @param {Object} data - { mode, kind, symbol, productType, legs, expiresAt }
+   * @param {string} userId - User ID
+   * @param {string} accessToken - Fyers access token
+   * @returns {Promise<{gtt: Object|null, errors: Array<string>}>}
+   */
+  async createGtt(data, userId, accessToken) {
+    const mode = data.mode || 'paper';
+    if (!['paper', 'live'].includes(mode)) {
+      return { gtt: null, errors: [`Invalid mode: ${mode}`] };
+    }
+    if (!data.symbol || !orderValidation.isValidSymbolFormat(data.symbol)) {
+      return { gtt: null, errors: [`Invalid symbol format: ${data.symbol}. Expected format: EXCHANGE:SYMBOL-SEGMENT`] };
+    }
+
+    const expiresAt = data.expiresAt
+      ? new Date(data.expiresAt)
+      : new Date(Date.now() + GTT_VALIDITY_DAYS * 24 * 60 * 60 * 1000);
+    if (!this.isValidExpiry(expiresAt)) {
+      return { gtt: null, errors: [`Invalid expiry: ${data.expiresAt}. Must be a future date`] };
+    }
+
+    const productType = data.productType || 'CNC';
+    // Paper GTTs belong to the run that is active when they are placed
+    const simulationId = mode === 'paper' ? await paperAccount.getActiveSimulationId(userId) : null;
+    const { legs, ltp, errors } = await this.prepare({ ...data, productType, simulationId }, accessToken);
+    if (errors.length > 0) {
+      return { gtt: null, errors };
+    }
+
+    const gtt = await prisma.gttOrder.create({
+      data: {
+        userId,
+        mode,
+        kind: data.kind,
+        symbol: data.symbol,
+        productType,
+        legs,
+        lastPrice: ltp,
+        expiresAt,
+        simulationId
+      }
+    });
+
+    await this.logEvent('gtt_created', gtt.id, { kind: gtt.kind, symbol: gtt.symbol, legs, ltp });
+    return { gtt, errors: [] };
+  }
+
+  /**
+   * Modify an active GTT's legs or expiry
+   * @param {Object} gtt - Existing GTT
+   * @param {Object} changes - { legs?, expiresAt? }
+   * @param {string} accessToken - Fyers access token
+   * @returns {Promise<{gtt: Object|null, errors: Array<string>}>}
+   */
+  async modifyGtt(gtt, changes, accessToken) {
+    if (gtt.state !== 'active') {
+      return { gtt: null, errors: [`Only active GTTs can be modified (state: ${gtt.state})`] };
+    }
+
+    const data = {};
+
+    if (changes.legs) {
+      const { legs, ltp, errors } = await this.prepare({ ...gtt, legs: changes.legs }, accessToken);
+      if (errors.length > 0) {
+        return { gtt: null, errors };
+      }
+      data.legs = legs;
+      data.lastPrice = ltp;
+    }
+    if (changes.expiresAt) {
+      data.expiresAt = new Date(changes.expiresAt);
+      if (!this.isValidExpiry(data.expiresAt)) {
+        return { gtt: null, errors: [`Invalid expiry: ${changes.expiresAt}. Must be a future date`] };
+      }
+    }
+
+    // Only update while still active so a trigger racing the modify wins
+    const { count } = await prisma.gttOrder.updateMany({
+      where: { id: gtt.id, state: 'active' },
+      data
+    });
+    if (count === 0) {
+      return { gtt: null, errors: ['GTT is no longer active'] };
+    }
+
+    await this.logEvent('gtt_modified', gtt.id, { changes: data });
+    return { gtt: await prisma.gttOrder.findUnique({ where: { id: gtt.id } }), errors: [] };
+  }
+
+  /**
+   * Cancel an active GTT
+   * @param {string} gttId - GTT ID
+   * @returns {Promise<boolean>}
+   */
+  async cancelGtt(gttId) {
+    const { count } = await prisma.gttOrder.updateMany({
+      where: { id: gttId, state: 'active' },
+      data: { state: 'cancelled' }
+    });
+
+    if (count > 0) {
+      await this.logEvent('gtt_cancelled', gttId, {});
+    }
+    return count > 0;
+  }
+
+  /**
+   * Evaluate every active GTT against current quotes
+   */
+  async processTriggers() {
+    if (this.isProcessing) {
+      return; // Prevent concurrent processing
+    }
+
+    this.isProcessing = true;
+
+    try {
+      const now = new Date();
+      const expired = await prisma.gttOrder.findMany({
+        where: { state: 'active', expiresAt: { lte: now } },
+        select: { id: true }
+      });
+      for (const { id } of expired) {
+        await prisma.gttOrder.update({ where: { id }, data: { state: 'expired' } });
+        await this.logEvent('gtt_expired', id, {});
+      }
+
+      const gtts = await prisma.gttOrder.findMany({
+        where: { state: 'active' },
+        orderBy: { createdAt: 'asc' }
+      });
+      if (gtts.length === 0) return;
+
+      const tokens = await paperEngine.getMarketDataTokens([...new Set(gtts.map(g => g.userId))]);
+
+      for (const gtt of gtts) {
+        const accessToken = tokens.get(gtt.userId);
+        if (!accessToken || !marketCalendar.isOpen(gtt.symbol)) continue;
+
+        try {
+          const ltp = await marketData.getLTP(gtt.symbol, await this.getSession(gtt, accessToken));
+          if (!ltp) continue;
+
+          const legIndex = this.findTriggeredLeg(gtt.legs, ltp);
+          if (legIndex >= 0) {
+            await this.triggerGtt(gtt, legIndex, ltp, accessToken);
+          }
+        } catch (error) {
+          console.error(`Error evaluating GTT ${gtt.id}:`, error);
+        }
+      }
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  /**
+   * Turn a triggered leg into a real order
+   * @param {Object} gtt - GTT order
+   * @param {number} legIndex - Index of the triggered leg
+   * @param {number} ltp - LTP that triggered it
+   * @param {string} accessToken - Fyers access token
+   */
+  async triggerGtt(gtt, legIndex, ltp, accessToken) {
+    // Claim the GTT so it can only trigger once
+    const { count } = await prisma.gttOrder.updateMany({
+      where: { id: gtt.id, state: 'active' },
+      data: { state: 'triggered', triggeredLeg: legIndex, triggeredAt: new Date(), lastPrice: ltp }
+    });
+    if (count === 0) return;
+
+    const leg = gtt.legs[legIndex];
+    const orderData = {
+      mode: gtt.mode,
+      symbol: gtt.symbol,
+      side: leg.side,
+      type: leg.type,
+      qty: leg.qty,
+      limitPrice: leg.limitPrice,
+      productType: gtt.productType,
+      validity: 'DAY',
+      orderTag: 'GTT',
+      simulationId: gtt.simulationId
+    };
+
+    try {
+      const validation = await orderValidation.validateOrder(orderData, gtt.userId, accessToken);
+      if (!validation.isValid) {
+        await this.failGtt(gtt.id, validation.errors.join('; '));
+        return;
+      }
+
+      const order = gtt.mode === 'paper'
+        ? await paperEngine.submitOrder(orderData, gtt.userId, accessToken)
+        : (await fyersService.placeOrder(orderData, gtt.userId)).order;
+
+      await prisma.gttOrder.update({
+        where: { id: gtt.id },
+        data: { orderId: order.id }
+      });
+
+      await this.logEvent('gtt_triggered', gtt.id, { legIndex, ltp, orderId: order.id });
+      console.log(`GTT ${gtt.id} triggered at ${ltp}: placed ${gtt.mode} order ${order.id}`);
+    } catch (error) {
+      console.error(`Error placing order for GTT ${gtt.id}:`, error);
+      await this.failGtt(gtt.id, error.message);
+    }
+  }
+
+  /**
+   * Mark a triggered GTT as failed when its order could not be placed
+   * @param {string} gttId - GTT ID
+   * @param {string} reason - Failure reason
+   */
+  async failGtt(gttId, reason) {
+    await prisma.gttOrder.update({
+      where: { id: gttId },
+      data: { state: 'failed', failureReason: reason }
+    });
+
+    await this.logEvent('gtt_failed', gttId, { reason });
+    console.log(`GTT ${gttId} failed: ${reason}`);
+  }
+
+  /**
+   * Log an event
+   * @param {string} type - Event type
+   * @param {string} refId - GTT ID
+   * @param {Object} payload - Event payload
+   */
+  async logEvent(type, refId, payload) {
+    try {
+      await prisma.event.create({
+        data: {
+          refType: 'gtt',
+          refId,
+          type,
+          payload
+        }
+      });
+    } catch (error) {
+      console.error("Error logging event:", error);
+    }
+  }
+
+  /**
+   * Get worker statistics
+   * @returns {Object}
+   */
+  getStats() {
+    return {
+      isRunning: !!this.checkInterval,
+      isProcessing: this.isProcessing
+    };
+  }
+}
+
+module.exports = new GttService();
@@ -0,0 +1,237 @@
+// File: Historical Data Service
+// Path: server/services/historyService.js
+//
+// Serves historical candles from the candles table and fetches from the
+// market data provider only the date ranges that were not fetched before.
+// Fetched ranges are recorded in history_ranges. The stored series is the
+// broker's unadjusted one; the adjusted series divides prices (and
+// multiplies volumes) by the imported splits, bonus and rights issues that
+// went ex after each bar.
+
+const { prisma } = require("../prisma/client");
+const marketData = require('./marketData');
+const marketCalendar = require('./marketCalendar');
+const candleService = require('./candleService');
+const corporateActionService = require('./corporateActionService');
+const chargesService = require('./chargesService');
+
+// Resolutions the Fyers history API serves (minutes, or D for daily)
+const HISTORY_RESOLUTIONS = ['1', '2', '3', '5', '10', '15', '20', '30', '45', '60', '120', '180', '240', 'D'];
+
+// Longest range one request may cover, in days, so a request stays within
+// a few tens of thousands of bars
+const MAX_RANGE_DAYS = { minute: 100, intraday: 366, D: 3660 };
+
+class HistoryService {
+  /**
+   * Resolve a requested resolution: a Fyers code or 1m, 5m, 15m, 1h, 1D
+   * @param {string} resolution
+   * @returns {string|null} Fyers resolution, null when unsupported
+   */
+  normalizeResolution(resolution) {
+    const value = String(resolution || '').trim().toUpperCase();
+    if (HISTORY_RESOLUTIONS.includes(value)) {
+      return value;
+    }
+    return candleService.normalizeResolution(resolution);
+  }
+
+  /**
+   * Longest range, in days, one history request may cover
+   * @param {string} resolution - Fyers resolution
+   * @returns {number}
+   */
+  getMaxRangeDays(resolution) {
+    if (resolution === 'D') return MAX_RANGE_DAYS.D;
+    return Number(resolution) < 15 ? MAX_RANGE_DAYS.minute : MAX_RANGE_DAYS.intraday;
+  }
+
+  /**
+   * Get candles for a range of IST dates, fetching the parts not fetched
+   * before when a market data session is available
+   * @param {string} symbol
+   * @param {string} resolution - Fyers resolution
+   * @param {Object} range - { from: 'YYYY-MM-DD', to: 'YYYY-MM-DD' } (IST dates, inclusive)
+   * @param {Object} options - { adjusted: boolean }
+   * @param {string|Object} source - Access token or market data session
+   * @returns {Promise<{candles: Array<Object>, fetched: Array<Object>, complete: boolean}>}
+   */
+  async getHistory(symbol, resolution, { from, to }, { adjusted = false } = {}, source = null) {
+    const today = marketCalendar.getISTClock(marketCalendar.now()).date;
+    const end = to < today ? to : today;
+
+    const missing = from <= end ? await this.getMissingRanges(symbol, resolution, from, end) : [];
+    const canFetch = marketData.canQuote(source);
+
+    const fetched = [];
+    if (canFetch) {
+      for (const range of missing) {
+        const candles = await this.fetchRange(symbol, resolution, range, source);
+        fetched.push({ ...range, candles });
+      }
+    }
+
+    const rows = await prisma.candle.findMany({
+      where: {
+        symbol,
+        resolution,
+        time: {
+          gte: marketCalendar.toDate(from, '00:00'),
+          lt: marketCalendar.toDate(marketCalendar.addDays(to, 1), '00:00')
+        }
+      },
+      orderBy: { time: 'asc' }
+    });
+
+    const candles = rows.map(row => ({
+      time: row.time,
+      open: row.open,
+      high: row.high,
+      low: row.low,
+      close: row.close,
+      volume: row.volume
+    }));
+
+    return {
+      candles: adjusted ? await this.adjust(symbol, candles) : candles,
+      fetched,
+      complete: canFetch || missing.length === 0
+    };
+  }
+
+  /**
+   * Date ranges within from..to not covered by a recorded fetch
+   * @param {string} symbol
+   * @param {string} resolution
+   * @param {string} from - IST date
+   * @param {string} to - IST date
+   * @returns {Promise<Array<{from: string, to: string}>>}
+   */
+  async getMissingRanges(symbol, resolution, from, to) {
+    const ranges = await prisma.historyRange.findMany({
+      where: { symbol, resolution, from: { lte: to }, to: { gte: from } },
+      orderBy: { from: 'asc' }
+    });
+
+    const missing = [];
+    let cursor = from;
+    for (const range of ranges) {
+      if (range.from > cursor) {
+        const before = marketCalendar.addDays(range.from, -1);
+        missing.push({ from: cursor, to: before < to ? before : to });
+      }
+      if (range.to >= cursor) {
+        cursor = marketCalendar.addDays(range.to, 1);
+      }
+      if (cursor > to) break;
+    }
+    if (cursor <= to) {
+      missing.push({ from: cursor, to });
+    }
+
+    return missing;
+  }
+
+  /**
+   * Fetch a range from the provider, store its candles and record the
+   * range. A session still trading is stored, except the bar being built
+   * from ticks, but not recorded, so it is fetched again next time.
+   * @param {string} symbol
+   * @param {string} resolution
+   * @param {Object} range - { from, to } IST dates
+   * @param {string|Object} source - Access token or market data session
+   * @returns {Promise<number>} Candles fetched
+   */
+  async fetchRange(symbol, resolution, range, source) {
+    const candles = await marketData.getHistory(symbol, { resolution, ...range }, source);
+    await candleService.storeHistory(symbol, resolution, candles);
+
+    const completeTo = this.getCompleteThrough(symbol);
+    const recordTo = range.to < completeTo ? range.to : completeTo;
+    if (recordTo >= range.from) {
+      await prisma.historyRange.create({
+        data: { symbol, resolution, from: range.from, to: recordTo, candles: candles.length }
+      });
+    }
+
+    console.log(`Fetched ${candles.length} ${resolution} candles for ${symbol} ${range.from}..${range.to}`);
+    return candles.length;
+  }
+
+  /**
+   * Last IST date whose session is over for a symbol: today once its
+   * session has closed (or when it has none), else yesterday
+   * @param {string} symbol
+   * @returns {string}
+   */
+  getCompleteThrough(symbol) {
+    const { date, minutes } = marketCalendar.getISTClock(marketCalendar.now());
+    const session = marketCalendar.getSession(marketCalendar.getExchange(symbol), marketCalendar.getSegment(symbol), date);
+    return !session || minutes >= marketCalendar.toMinutes(session.close) ? date : marketCalendar.addDays(date, -1);
+  }
+
+  /**
+   * Adjust candles for splits, bonus and rights issues that went ex after them
+   * @param {string} symbol
+   * @param {Array<Object>} candles - Unadjusted candles, oldest first
+   * @returns {Promise<Array<Object>>}
+   */
+  async adjust(symbol, candles) {
+    if (candles.length === 0) return candles;
+
+    const actions = await prisma.corporateAction.findMany({
+      where: { symbol, exDate: { gt: marketCalendar.getISTClock(candles[0].time).date } },
+      orderBy: { exDate: 'asc' }
+    });
+    const factors = [];
+    for (const action of actions) {
+      const cumPrice = action.rightsRatio > 0 ? await this.getCloseBefore(symbol, action.exDate, candles) : null;
+      const factor = corporateActionService.getPriceFactor(action, cumPrice);
+      if (factor > 0 && factor !== 1) {
+        factors.push({ exDate: action.exDate, factor });
+      }
+    }
+    if (factors.length === 0) return candles;
+
+    return candles.map(candle => {
+      const { date } = marketCalendar.getISTClock(candle.time);
+      const factor = factors
+        .filter(action => action.exDate > date)
+        .reduce((product, action) => product * action.factor, 1);
+      if (factor === 1) return candle;
+
+      return {
+        ...candle,
+        open: chargesService.round(candle.open / factor),
+        high: chargesService.round(candle.high / factor),
+        low: chargesService.round(candle.low / factor),
+        close: chargesService.round(candle.close / factor),
+        volume: Math.round(candle.volume * factor)
+      };
+    });
+  }
+
+  /**
+   * Last unadjusted close before an ex-date, from the candles being
+   * adjusted or else the stored ones
+   * @param {string} symbol
+   * @param {string} exDate - IST date
+   * @param {Array<Object>} candles - Unadjusted candles, oldest first
+   * @returns {Promise<number|null>}
+   */
+  async getCloseBefore(symbol, exDate, candles) {
+    const exStart = marketCalendar.toDate(exDate, '00:00');
+    const before = candles.filter(candle => candle.time < exStart);
+    if (before.length > 0) {
+      return before[before.length - 1].close;
+    }
+
+    const stored = await prisma.candle.findFirst({
+      where: { symbol, time: { lt: exStart } },
+      orderBy: { time: 'desc' }
+    });
+    return stored?.close || null;
+  }
+}
+
+module.exports = new HistoryService();
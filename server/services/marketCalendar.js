@@ -0,0 +1,501 @@
+// File: Market Calendar Service
+// Path: server/services/marketCalendar.js
+
+const fs = require('fs');
+const path = require('path');
+
+// Regular sessions are IST wall-clock times (HH:MM) by exchange and segment.
+// preOpen is the equity call auction window: orders are accepted but not matched.
+const DEFAULT_SESSIONS = {
+  NSE: {
+    EQ: { preOpen: '09:00', open: '09:15', close: '15:30' },
+    FUT: { open: '09:15', close: '15:30' },
+    OPT: { open: '09:15', close: '15:30' },
+    CUR: { open: '09:00', close: '17:00' },
+    DEFAULT: { open: '09:15', close: '15:30' }
+  },
+  BSE: {
+    EQ: { preOpen: '09:00', open: '09:15', close: '15:30' },
+    FUT: { open: '09:15', close: '15:30' },
+    OPT: { open: '09:15', close: '15:30' },
+    CUR: { open: '09:00', close: '17:00' },
+    DEFAULT: { open: '09:15', close: '15:30' }
+  },
+  MCX: {
+    COM: { open: '09:00', close: '23:30' },
+    DEFAULT: { open: '09:00', close: '23:30' }
+  }
+};
+
+const DEFAULT_CALENDAR_FILE = path.join(__dirname, '../data/market-calendar.json');
+const IST_OFFSET_MINUTES = 330;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const LOOKAHEAD_DAYS = 15;
+
+class MarketCalendarService {
+  constructor() {
+    this.sessions = DEFAULT_SESSIONS;
+    this.holidays = new Map();        // "EXCHANGE:YYYY-MM-DD" -> description
+    this.specialSessions = new Map(); // "EXCHANGE:YYYY-MM-DD" -> [{ open, close, segments, description }]
+    this.years = new Set();           // Years the loaded calendar lists holidays for
+    this.checkedYear = null;
+    this.source = null;
+    this.loaded = false;
+    this.clock = () => new Date();
+  }
+
+  /**
+   * Replace the clock sessions are evaluated on, e.g. with a replay
+   * provider's clock when market data is replayed
+   * @param {Function} clock - Returns the current Date
+   */
+  setClock(clock) {
+    this.clock = clock || (() => new Date());
+  }
+
+  /**
+   * Current time on the calendar's clock
+   * @returns {Date}
+   */
+  now() {
+    return this.clock();
+  }
+
+  /**
+   * Load holidays, special sessions and session overrides from
+   * MARKET_CALENDAR_FILE (JSON or CSV), defaulting to data/market-calendar.json
+   * @param {string} filePath - Optional path to load instead
+   */
+  load(filePath = process.env.MARKET_CALENDAR_FILE || DEFAULT_CALENDAR_FILE) {
+    this.sessions = DEFAULT_SESSIONS;
+    this.holidays = new Map();
+    this.specialSessions = new Map();
+    this.years = new Set();
+    this.checkedYear = null;
+    this.source = filePath;
+    this.loaded = true;
+
+    try {
+      const content = fs.readFileSync(filePath, 'utf8');
+      const calendar = filePath.toLowerCase().endsWith('.csv')
+        ? this.parseCsv(content)
+        : JSON.parse(content);
+
+      this.applyCalendar(calendar);
+      console.log(`Market calendar loaded from ${filePath}: ${this.holidays.size} holidays, ${this.specialSessions.size} special sessions`);
+    } catch (error) {
+      console.error(`Error loading market calendar from ${filePath}; only weekends will be treated as closed:`, error.message);
+    }
+  }
+
+  /**
+   * Index a parsed calendar
+   * @param {Object} calendar - { holidays: [], specialSessions: [], sessions?: {} }
+   */
+  applyCalendar(calendar) {
+    for (const holiday of calendar.holidays || []) {
+      for (const exchange of this.toExchangeList(holiday)) {
+        this.holidays.set(`${exchange}:${holiday.date}`, holiday.description || 'Holiday');
+      }
+      this.years.add(String(holiday.date).slice(0, 4));
+    }
+
+    for (const session of calendar.specialSessions || []) {
+      if (!this.isValidTime(session.open) || !this.isValidTime(session.close)) {
+        console.error(`Skipping special session on ${session.date}: open/close must be HH:MM`);
+        continue;
+      }
+      for (const exchange of this.toExchangeList(session)) {
+        const key = `${exchange}:${session.date}`;
+        if (!this.specialSessions.has(key)) this.specialSessions.set(key, []);
+        this.specialSessions.get(key).push({
+          open: session.open,
+          close: session.close,
+          segments: session.segments || null,
+          description: session.description || 'Special session'
+        });
+      }
+    }
+
+    // Session overrides, e.g. { MCX: { COM: { close: "23:55" } } }
+    if (calendar.sessions) {
+      const sessions = JSON.parse(JSON.stringify(DEFAULT_SESSIONS));
+      for (const [exchange, segments] of Object.entries(calendar.sessions)) {
+        sessions[exchange] = sessions[exchange] || {};
+        for (const [segment, times] of Object.entries(segments)) {
+          sessions[exchange][segment] = { ...(sessions[exchange][segment] || {}), ...times };
+        }
+        sessions[exchange].DEFAULT = sessions[exchange].DEFAULT || Object.values(sessions[exchange])[0];
+      }
+      this.sessions = sessions;
+    }
+  }
+
+  /**
+   * Parse a CSV calendar with the header date,exchanges,description,open,close.
+   * exchanges is a |-separated list; rows with open and close are special sessions,
+   * rows without are holidays.
+   * @param {string} content - CSV text
+   * @returns {{holidays: Array<Object>, specialSessions: Array<Object>}}
+   */
+  parseCsv(content) {
+    const lines = content.split(/\r?\n/).map(line => line.trim()).filter(line => line && !line.startsWith('#'));
+    const header = this.splitCsvLine(lines.shift() || '').map(col => col.toLowerCase());
+    const calendar = { holidays: [], specialSessions: [] };
+
+    for (const line of lines) {
+      const values = this.splitCsvLine(line);
+      const row = Object.fromEntries(header.map((col, i) => [col, values[i] || '']));
+      const entry = {
+        date: row.date,
+        exchanges: (row.exchanges || row.exchange || '').split('|').map(e => e.trim()).filter(Boolean),
+        description: row.description
+      };
+
+      if (row.open && row.close) {
+        calendar.specialSessions.push({ ...entry, open: row.open, close: row.close });
+      } else {
+        calendar.holidays.push(entry);
+      }
+    }
+
+    return calendar;
+  }
+
+  /**
+   * Split a CSV line, honouring double-quoted fields
+   * @param {string} line
+   * @returns {Array<string>}
+   */
+  splitCsvLine(line) {
+    const values = [];
+    let current = '';
+    let quoted = false;
+
+    for (const char of line) {
+      if (char === '"') {
+        quoted = !quoted;
+      } else if (char === ',' && !quoted) {
+        values.push(current.trim());
+        current = '';
+      } else {
+        current += char;
+      }
+    }
+    values.push(current.trim());
+    return values;
+  }
+
+  /**
+   * Get the exchanges a calendar entry applies to
+   * @param {Object} entry - { exchanges?: [], exchange?: string }
+   * @returns {Array<string>}
+   */
+  toExchangeList(entry) {
+    const exchanges = entry.exchanges || (entry.exchange ? [entry.exchange] : Object.keys(DEFAULT_SESSIONS));
+    return exchanges.map(exchange => exchange.toUpperCase());
+  }
+
+  /**
+   * Check whether the loaded calendar lists holidays for a date's year
+   * @param {string} date - YYYY-MM-DD (IST)
+   * @returns {boolean}
+   */
+  coversDate(date) {
+    this.ensureLoaded();
+    return this.years.has(date.slice(0, 4));
+  }
+
+  /**
+   * Log an error when the calendar does not cover the current year: its
+   * exchange holidays would be treated as trading days for validation,
+   * DAY expiry and square-off. Logged once per year.
+   * @param {Date} now
+   * @returns {boolean} Whether the current year is covered
+   */
+  checkCoverage(now = this.now()) {
+    const { date } = this.getISTClock(now);
+    const covered = this.coversDate(date);
+    const year = date.slice(0, 4);
+
+    if (!covered && this.checkedYear !== year) {
+      console.error(`Market calendar ${this.source} has no holidays for ${year}; exchange holidays will be treated as trading days until it is updated`);
+    }
+    this.checkedYear = year;
+    return covered;
+  }
+
+  /**
+   * Load the calendar on first use
+   */
+  ensureLoaded() {
+    if (!this.loaded) {
+      this.load();
+    }
+  }
+
+  /**
+   * Get the IST date and minutes since midnight for a moment
+   * @param {Date} now
+   * @returns {{date: string, minutes: number, weekday: number}}
+   */
+  getISTClock(now = this.now()) {
+    const ist = new Date(now.getTime() + IST_OFFSET_MINUTES * 60 * 1000);
+    return {
+      date: ist.toISOString().slice(0, 10),
+      minutes: ist.getUTCHours() * 60 + ist.getUTCMinutes(),
+      weekday: ist.getUTCDay()
+    };
+  }
+
+  /**
+   * Convert an IST date and HH:MM time to a Date
+   * @param {string} date - YYYY-MM-DD (IST)
+   * @param {string} time - HH:MM (IST)
+   * @returns {Date}
+   */
+  toDate(date, time) {
+    return new Date(`${date}T${time}:00+05:30`);
+  }
+
+  /**
+   * Add days to an IST date
+   * @param {string} date - YYYY-MM-DD
+   * @param {number} days
+   * @returns {string}
+   */
+  addDays(date, days) {
+    return new Date(new Date(`${date}T00:00:00Z`).getTime() + days * DAY_MS).toISOString().slice(0, 10);
+  }
+
+  /**
+   * Check that a value is a valid HH:MM time
+   * @param {string} time
+   * @returns {boolean}
+   */
+  isValidTime(time) {
+    return typeof time === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(time);
+  }
+
+  /**
+   * Convert HH:MM to minutes since midnight
+   * @param {string} time
+   * @returns {number}
+   */
+  toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+  }
+
+  /**
+   * Get the exchange prefix of a symbol, e.g. NSE for "NSE:SBIN-EQ"
+   * @param {string} symbol
+   * @returns {string}
+   */
+  getExchange(symbol) {
+    return (symbol.split(':')[0] || 'NSE').toUpperCase();
+  }
+
+  /**
+   * Get the session segment for a symbol
+   * @param {string} symbol
+   * @returns {string} EQ, FUT, OPT, CUR or COM
+   */
+  getSegment(symbol) {
+    const exchange = this.getExchange(symbol);
+    const name = (symbol.split(':')[1] || symbol).toUpperCase();
+
+    if (exchange === 'MCX') return 'COM';
+    if (/^(USD|EUR|GBP|JPY)INR/.test(name)) return 'CUR';
+    if (/FUT$/.test(name)) return 'FUT';
+    if (/\d(CE|PE)$/.test(name)) return 'OPT';
+    return 'EQ';
+  }
+
+  /**
+   * Get the session for an exchange segment on a date
+   * @param {string} exchange - NSE, BSE, MCX
+   * @param {string} segment - EQ, FUT, OPT, CUR, COM
+   * @param {string} date - YYYY-MM-DD (IST)
+   * @returns {{open: string, close: string, preOpen?: string, special?: string}|null} null when closed all day
+   */
+  getSession(exchange, segment, date) {
+    this.ensureLoaded();
+
+    // Special sessions (Muhurat, MCX evening sessions on holidays) override everything
+    const special = (this.specialSessions.get(`${exchange}:${date}`) || [])
+      .find(session => !session.segments || session.segments.includes(segment));
+    if (special) {
+      return { open: special.open, close: special.close, special: special.description };
+    }
+
+    if (!this.isTradingDay(date, exchange)) {
+      return null;
+    }
+
+    const sessions = this.sessions[exchange] || this.sessions.NSE;
+    return sessions[segment] || sessions.DEFAULT;
+  }
+
+  /**
+   * Check whether an IST date is a regular trading day (not a weekend or holiday)
+   * @param {string} date - YYYY-MM-DD (IST)
+   * @param {string} exchange - NSE, BSE, MCX
+   * @returns {boolean}
+   */
+  isTradingDay(date, exchange = 'NSE') {
+    this.ensureLoaded();
+
+    const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+    if (weekday === 0 || weekday === 6) return false;
+    return !this.holidays.has(`${exchange}:${date}`);
+  }
+
+  /**
+   * Get the market status for a symbol's exchange segment
+   * @param {string} symbol
+   * @param {Date} now
+   * @returns {{exchange: string, segment: string, status: string, reason: string|null, session: Object|null, holiday: string|null, nextOpen: Date|null}}
+   */
+  getStatus(symbol, now = this.now()) {
+    return this.getSegmentStatus(this.getExchange(symbol), this.getSegment(symbol), now);
+  }
+
+  /**
+   * Get the market status for an exchange segment
+   * @param {string} exchange - NSE, BSE, MCX
+   * @param {string} segment - EQ, FUT, OPT, CUR, COM
+   * @param {Date} now
+   * @returns {Object} See getStatus
+   */
+  getSegmentStatus(exchange, segment, now = this.now()) {
+    const { date, minutes } = this.getISTClock(now);
+    const session = this.getSession(exchange, segment, date);
+    const result = {
+      exchange,
+      segment,
+      date,
+      status: 'closed',
+      reason: null,
+      session,
+      holiday: this.holidays.get(`${exchange}:${date}`) || null,
+      nextOpen: null
+    };
+
+    if (!session) {
+      result.reason = result.holiday ? 'holiday' : 'weekend';
+    } else if (minutes < this.toMinutes(session.open)) {
+      if (session.preOpen && minutes >= this.toMinutes(session.preOpen)) {
+        result.status = 'pre_open';
+      } else {
+        result.reason = 'before_open';
+      }
+    } else if (minutes < this.toMinutes(session.close)) {
+      result.status = 'open';
+    } else {
+      result.reason = 'after_close';
+    }
+
+    if (result.status !== 'open') {
+      result.nextOpen = this.getNextSessionOpen(exchange, segment, now);
+    }
+
+    return result;
+  }
+
+  /**
+   * Check whether a symbol's market is open for matching
+   * @param {string} symbol
+   * @param {Date} now
+   * @returns {boolean}
+   */
+  isOpen(symbol, now = this.now()) {
+    return this.getStatus(symbol, now).status === 'open';
+  }
+
+  /**
+   * Get the next session open strictly after a moment
+   * @param {string} exchange
+   * @param {string} segment
+   * @param {Date} since
+   * @returns {Date|null}
+   */
+  getNextSessionOpen(exchange, segment, since) {
+    let { date } = this.getISTClock(since);
+
+    for (let i = 0; i < LOOKAHEAD_DAYS; i++) {
+      const session = this.getSession(exchange, segment, date);
+      if (session) {
+        const openAt = this.toDate(date, session.open);
+        if (openAt > since) return openAt;
+      }
+      date = this.addDays(date, 1);
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the first session close at or after a moment
+   * @param {string} symbol - Symbol whose exchange session applies
+   * @param {Date} since
+   * @returns {Date}
+   */
+  getNextSessionClose(symbol, since) {
+    const exchange = this.getExchange(symbol);
+    const segment = this.getSegment(symbol);
+    let { date } = this.getISTClock(since);
+
+    for (let i = 0; i < LOOKAHEAD_DAYS; i++) {
+      const session = this.getSession(exchange, segment, date);
+      if (session) {
+        const closeAt = this.toDate(date, session.close);
+        if (closeAt >= since) return closeAt;
+      }
+      date = this.addDays(date, 1);
+    }
+
+    return this.toDate(date, (this.sessions[exchange] || this.sessions.NSE).DEFAULT.close);
+  }
+
+  /**
+   * Check whether the session an order was placed for has closed
+   * @param {string} symbol - Order symbol
+   * @param {Date} placedAt - Order creation time
+   * @param {Date} now
+   * @returns {boolean}
+   */
+  hasSessionClosedSince(symbol, placedAt, now = this.now()) {
+    return now >= this.getNextSessionClose(symbol, placedAt);
+  }
+
+  /**
+   * Status of every exchange segment plus upcoming holidays
+   * @param {Date} now
+   * @returns {{timestamp: Date, markets: Array<Object>, upcomingHolidays: Array<Object>, source: string, covered: boolean}}
+   */
+  getMarketStatus(now = this.now()) {
+    this.ensureLoaded();
+
+    const markets = [];
+    for (const [exchange, segments] of Object.entries(this.sessions)) {
+      for (const segment of Object.keys(segments).filter(s => s !== 'DEFAULT')) {
+        markets.push(this.getSegmentStatus(exchange, segment, now));
+      }
+    }
+
+    const { date } = this.getISTClock(now);
+    const upcomingHolidays = [...this.holidays.entries()]
+      .map(([key, description]) => {
+        const [exchange, holidayDate] = key.split(':');
+        return { exchange, date: holidayDate, description };
+      })
+      .filter(holiday => holiday.date >= date)
+      .sort((a, b) => a.date.localeCompare(b.date) || a.exchange.localeCompare(b.exchange))
+      .slice(0, 20);
+
+    return { timestamp: now, markets, upcomingHolidays, source: this.source, covered: this.checkCoverage(now) };
+  }
+}
+
+module.exports = new MarketCalendarService();
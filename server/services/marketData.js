@@ -1,59 +1,331 @@
 // File: Market Data Service
 // Path: server/services/marketData.js
 
-const { fyersModel } = require("fyers-api-v3");
+const { prisma } = require("../prisma/client");
+const dataProviders = require('./dataProviders');
+const fyersDataProvider = require('./fyersDataProvider');
+const marketCalendar = require('./marketCalendar');
+const slippageService = require('./slippageService');
+const fillSimulator = require('./fillSimulator');
+const tickStream = require('./tickStream');
 
+// Paper state that still trades: the running simulation or the sandbox
+const ACTIVE_RUN = { OR: [{ isRunning: true }, { sandbox: true }] };
+const OPEN_STATES = ['new', 'working', 'partial'];
+
+// How often the stream's symbols are re-read from positions, orders and watchlists
+const STREAM_SYNC_MS = 5 * 1000;
+
+// Methods take a market data source: a Fyers access token, served by the
+// environment's provider, or a session from getSession() for a run with
+// its own provider.
 class MarketDataService {
   constructor() {
-    this.quoteCache = new Map();
-    this.cacheExpiry = 5 * 1000; // 5 seconds for quotes
-    this.fyersClient = null;
+    this.quoteCache = new Map(); // symbol -> { quote, timestamp }
+    this.cacheExpiry = 5 * 1000; // 5 seconds per symbol
+    this.inFlight = new Map(); // symbol -> pending upstream request covering it
+    this.cacheStats = { hits: 0, misses: 0, coalesced: 0, upstreamCalls: 0, upstreamSymbols: 0, errors: 0 };
+    this.runProviders = new Map(); // simulationId -> provider (null for the environment's)
+    this.streamInterval = null;
+    this.isSyncingStream = false;
+    this.quoteListeners = [];
+  }
+
+  /**
+   * Register a listener for quotes fetched over REST
+   * @param {Function} listener - Called with symbol -> quote
+   */
+  onQuotes(listener) {
+    this.quoteListeners.push(listener);
+  }
+
+  /**
+   * Remove a quote listener
+   * @param {Function} listener
+   */
+  offQuotes(listener) {
+    this.quoteListeners = this.quoteListeners.filter(l => l !== listener);
+  }
+
+  /**
+   * Keep the data socket open and subscribed to every symbol with an open
+   * position, a working order or a watchlist entry, so prices are read from
+   * ticks instead of REST. Disabled with MARKET_DATA_STREAM=0.
+   */
+  startStream() {
+    if (this.streamInterval || process.env.MARKET_DATA_STREAM === '0') {
+      return;
+    }
+
+    this.streamInterval = setInterval(() => {
+      this.syncStream().catch(error => {
+        console.error("Error syncing market data stream:", error);
+      });
+    }, STREAM_SYNC_MS);
+
+    console.log("Market data stream started");
+  }
+
+  /**
+   * Stop syncing the data socket and close it
+   */
+  stopStream() {
+    if (this.streamInterval) {
+      clearInterval(this.streamInterval);
+      this.streamInterval = null;
+    }
+    tickStream.setSymbols([], 'market');
+    tickStream.disconnect();
+    console.log("Market data stream stopped");
+  }
+
+  /**
+   * Resubscribe the stream to the current symbols of interest and make
+   * sure it is connected (reconnecting a socket that stayed down)
+   */
+  async syncStream() {
+    if (this.isSyncingStream) {
+      return; // Prevent overlapping syncs
+    }
+
+    this.isSyncingStream = true;
+
+    try {
+      const symbols = await this.getStreamSymbols();
+      tickStream.setSymbols(symbols, 'market');
+      if (symbols.length > 0) {
+        await this.connectStream();
+      }
+    } finally {
+      this.isSyncingStream = false;
+    }
   }
 
   /**
-   * Initialize Fyers client with access token
+   * Symbols to stream: open positions and working orders (live, and paper
+   * in the running simulation or sandbox) and every user's watchlist
+   * (UserSettings.settings.watchlist)
+   * @returns {Promise<Array<string>>}
+   */
+  async getStreamSymbols() {
+    const activeModes = { OR: [{ mode: 'live' }, { simulation: ACTIVE_RUN }] };
+
+    const [positions, orders, settings] = await Promise.all([
+      prisma.position.findMany({
+        where: { qty: { not: 0 }, ...activeModes },
+        select: { symbol: true },
+        distinct: ['symbol']
+      }),
+      prisma.order.findMany({
+        where: { state: { in: OPEN_STATES }, ...activeModes },
+        select: { symbol: true },
+        distinct: ['symbol']
+      }),
+      prisma.userSettings.findMany({
+        select: { settings: true }
+      })
+    ]);
+
+    const symbols = new Set([...positions, ...orders].map(row => row.symbol));
+    for (const { settings: userSettings } of settings) {
+      for (const symbol of this.getWatchlist(userSettings)) {
+        symbols.add(symbol);
+      }
+    }
+    return [...symbols];
+  }
+
+  /**
+   * Read a watchlist from user settings
+   * @param {Object} settings - UserSettings.settings
+   * @returns {Array<string>}
+   */
+  getWatchlist(settings) {
+    const watchlist = settings?.watchlist;
+    return Array.isArray(watchlist) ? watchlist.filter(symbol => typeof symbol === 'string') : [];
+  }
+
+  /**
+   * Connect the data socket with the shared data session
+   * (FYERS_DATA_ACCESS_TOKEN), else the most recently refreshed valid user
+   * session. Providers that need no session always connect.
+   * @returns {Promise<boolean>} Whether a connection could be attempted
+   */
+  async connectStream() {
+    const provider = dataProviders.getDefault();
+    let streamToken = process.env.FYERS_DATA_ACCESS_TOKEN;
+
+    if (provider.requiresToken && !streamToken) {
+      const record = await prisma.fyersToken.findFirst({
+        where: {
+          appId: process.env.FYERS_APP_ID,
+          OR: [{ expiresAt: null }, { expiresAt: { gt: new Date() } }]
+        },
+        orderBy: { updatedAt: 'desc' }
+      });
+      streamToken = record?.accessToken;
+    }
+    if (provider.requiresToken && !streamToken) {
+      return false;
+    }
+
+    try {
+      tickStream.ensureConnected(streamToken || null);
+      return true;
+    } catch (error) {
+      console.error("Error connecting market data stream:", error);
+      return false;
+    }
+  }
+
+  /**
+   * Latest streamed snapshot for a symbol, when the source is served by
+   * the stream (the environment's provider) and a quote has arrived
+   * @param {string} symbol
+   * @param {string|Object} source
+   * @returns {Object|null}
+   */
+  getStreamedQuote(symbol, source) {
+    if (!this.isDefaultSource(source)) return null;
+    const snapshot = tickStream.getSnapshot(symbol);
+    return snapshot?.ltp ? snapshot : null;
+  }
+
+  /**
+   * Resolve a source into its provider and access token
+   * @param {string|Object} source - Access token or { provider, accessToken }
+   * @returns {{provider: Object, accessToken: string|null}}
+   */
+  resolve(source) {
+    if (source && typeof source === 'object') {
+      return { provider: source.provider, accessToken: source.accessToken || null };
+    }
+    return { provider: dataProviders.getDefault(), accessToken: source || null };
+  }
+
+  /**
+   * Market data session for a simulation run: the run's own provider when
+   * it was started with one, otherwise the environment's
+   * @param {string} simulationId - Simulation ID (optional)
+   * @param {string} accessToken - Fyers access token
+   * @returns {Promise<{provider: Object, accessToken: string|null}>}
+   */
+  async getSession(simulationId, accessToken) {
+    if (!simulationId) {
+      return this.resolve(accessToken);
+    }
+
+    if (!this.runProviders.has(simulationId)) {
+      const simulation = await prisma.simulation.findUnique({
+        where: { id: simulationId },
+        select: { marketData: true, startTime: true }
+      });
+      const config = simulation?.marketData;
+      this.runProviders.set(simulationId, config?.provider
+        ? dataProviders.create({ ...config, startedAt: simulation.startTime })
+        : null);
+    }
+
+    const provider = this.runProviders.get(simulationId);
+    return provider ? { provider, accessToken: accessToken || null } : this.resolve(accessToken);
+  }
+
+  /**
+   * Forget a run's provider, e.g. when the run stops
+   * @param {string} simulationId
+   */
+  releaseRun(simulationId) {
+    this.runProviders.delete(simulationId);
+  }
+
+  /**
+   * Drop the cached Fyers client for a token (e.g. after the user logs in again)
    * @param {string} accessToken 
    */
-  initializeClient(accessToken) {
-    this.fyersClient = new fyersModel({
-      path: process.env.LOG_PATH || "/tmp",
-      enableLogging: process.env.FYERS_ENABLE_LOGGING === "1"
-    });
-    this.fyersClient.setAppId(process.env.FYERS_APP_ID);
-    this.fyersClient.setAccessToken(accessToken);
+  releaseClient(accessToken) {
+    fyersDataProvider.releaseClient(accessToken);
+  }
+
+  /**
+   * Whether a source can serve quotes (it has a token or needs none)
+   * @param {string|Object} source
+   * @returns {boolean}
+   */
+  canQuote(source) {
+    const { provider, accessToken } = this.resolve(source);
+    return !provider.requiresToken || !!accessToken;
+  }
+
+  /**
+   * Whether a source is served by the environment's provider (and the tick stream)
+   * @param {string|Object} source
+   * @returns {boolean}
+   */
+  isDefaultSource(source) {
+    return this.resolve(source).provider === dataProviders.getDefault();
   }
 
   /**
-   * Get current quotes for symbols
+   * Current time on a source's clock (the replay time for replayed data)
+   * @param {string|Object} source
+   * @returns {Date}
+   */
+  now(source) {
+    return this.resolve(source).provider.now();
+  }
+
+  /**
+   * Get current quotes for symbols. Remote quotes are cached per symbol;
+   * a symbol already being fetched waits for that request, and the rest
+   * are fetched together in batches of the provider's per-request limit.
    * @param {Array<string>} symbols - Array of symbols like ["NSE:SBIN-EQ"]
-   * @param {string} accessToken - Fyers access token
-   * @returns {Promise<Object>}
+   * @param {string|Object} source - Access token or market data session
+   * @returns {Promise<Object>} symbol -> { ltp, bid, ask, volume, depth, timestamp } (symbols without a quote are omitted)
    */
-  async getQuotes(symbols, accessToken) {
-    if (!accessToken) {
+  async getQuotes(symbols, source) {
+    const { provider, accessToken } = this.resolve(source);
+    if (provider.requiresToken && !accessToken) {
       throw new Error("Access token required for market data");
     }
 
-    if (!this.fyersClient) {
-      this.initializeClient(accessToken);
+    // Replayed quotes are local and move with the replay clock; only remote quotes are cached
+    if (!provider.requiresToken) {
+      return provider.getQuotes(symbols, accessToken);
+    }
+
+    const quotes = {};
+    const misses = [];
+    const now = Date.now();
+
+    for (const symbol of new Set(symbols)) {
+      const cached = this.quoteCache.get(symbol);
+      if (cached && now - cached.timestamp < this.cacheExpiry) {
+        this.cacheStats.hits++;
+        quotes[symbol] = cached.quote;
+      } else if (this.inFlight.has(symbol)) {
+        this.cacheStats.coalesced++;
+      } else {
+        this.cacheStats.misses++;
+        misses.push(symbol);
+      }
     }
 
-    const cacheKey = symbols.sort().join(',');
-    const cached = this.quoteCache.get(cacheKey);
-    
-    if (cached && Date.now() - cached.timestamp < this.cacheExpiry) {
-      return cached.data;
+    if (misses.length > 0) {
+      this.fetchQuotes(misses, provider, accessToken);
     }
 
+    // Misses and coalesced symbols both wait on their in-flight request
+    const pending = [...new Set(symbols)]
+      .filter(symbol => !quotes[symbol])
+      .map(symbol => [symbol, this.inFlight.get(symbol)]);
+
     try {
-      const quotes = await this.fyersClient.getQuotes(symbols);
-      
-      // Cache the result
-      this.quoteCache.set(cacheKey, {
-        data: quotes,
-        timestamp: Date.now()
+      const results = await Promise.all(pending.map(([, request]) => request));
+      pending.forEach(([symbol], i) => {
+        if (results[i]?.[symbol]) {
+          quotes[symbol] = results[i][symbol];
+        }
       });
-
       return quotes;
     } catch (error) {
       console.error("Error fetching quotes:", error);
@@ -62,21 +334,75 @@ class MarketDataService {
   }
 
   /**
-   * Get Last Traded Price (LTP) for a symbol
+   * Start upstream requests for symbols, split at the provider's
+   * per-request limit. Each symbol is marked in flight until its request
+   * settles, and fetched quotes are cached and passed to quote listeners.
+   * @param {Array<string>} symbols - Symbols not cached or in flight
+   * @param {Object} provider
+   * @param {string} accessToken
+   */
+  fetchQuotes(symbols, provider, accessToken) {
+    const batchSize = provider.maxQuoteSymbols || symbols.length;
+
+    for (let i = 0; i < symbols.length; i += batchSize) {
+      const batch = symbols.slice(i, i + batchSize);
+      this.cacheStats.upstreamCalls++;
+      this.cacheStats.upstreamSymbols += batch.length;
+
+      const request = provider.getQuotes(batch, accessToken)
+        .then(quotes => {
+          const timestamp = Date.now();
+          for (const [symbol, quote] of Object.entries(quotes)) {
+            this.quoteCache.set(symbol, { quote, timestamp });
+          }
+
+          for (const listener of this.quoteListeners) {
+            try {
+              listener(quotes);
+            } catch (error) {
+              console.error("Error in quote listener:", error);
+            }
+          }
+
+          return quotes;
+        })
+        .catch(error => {
+          this.cacheStats.errors++;
+          throw error;
+        })
+        .finally(() => {
+          for (const symbol of batch) {
+            if (this.inFlight.get(symbol) === request) {
+              this.inFlight.delete(symbol);
+            }
+          }
+        });
+
+      // Callers that never await a failed batch must not raise unhandled rejections
+      request.catch(() => {});
+
+      for (const symbol of batch) {
+        this.inFlight.set(symbol, request);
+      }
+    }
+  }
+
+  /**
+   * Get Last Traded Price (LTP) for a symbol, from the stream when it
+   * carries the symbol, else a REST quote
    * @param {string} symbol 
-   * @param {string} accessToken 
+   * @param {string|Object} source - Access token or market data session
    * @returns {Promise<number|null>}
    */
-  async getLTP(symbol, accessToken) {
+  async getLTP(symbol, source) {
+    const streamed = this.getStreamedQuote(symbol, source);
+    if (streamed) {
+      return streamed.ltp;
+    }
+
     try {
-      const quotes = await this.getQuotes([symbol], accessToken);
-      
-      if (quotes && quotes.d && quotes.d[symbol]) {
-        const symbolData = quotes.d[symbol];
-        return symbolData.v?.lp || symbolData.v?.c || null;
-      }
-      
-      return null;
+      const quotes = await this.getQuotes([symbol], source);
+      return quotes[symbol]?.ltp || null;
     } catch (error) {
       console.error(`Error getting LTP for ${symbol}:`, error);
       return null;
@@ -84,25 +410,24 @@ class MarketDataService {
   }
 
   /**
-   * Get bid-ask spread for a symbol
+   * Get bid-ask spread for a symbol, from the stream when it carries the
+   * symbol, else a REST quote
    * @param {string} symbol 
-   * @param {string} accessToken 
+   * @param {string|Object} source - Access token or market data session
    * @returns {Promise<{bid: number, ask: number, spread: number}|null>}
    */
-  async getBidAsk(symbol, accessToken) {
+  async getBidAsk(symbol, source) {
+    const streamed = this.getStreamedQuote(symbol, source);
+    if (streamed?.bid > 0 && streamed?.ask > 0) {
+      return { bid: streamed.bid, ask: streamed.ask, spread: streamed.ask - streamed.bid };
+    }
+
     try {
-      const quotes = await this.getQuotes([symbol], accessToken);
-      
-      if (quotes && quotes.d && quotes.d[symbol]) {
-        const symbolData = quotes.d[symbol];
-        const bid = symbolData.v?.bid || 0;
-        const ask = symbolData.v?.ask || 0;
-        const spread = ask - bid;
-        
-        return { bid, ask, spread };
-      }
-      
-      return null;
+      const quotes = await this.getQuotes([symbol], source);
+      const quote = quotes[symbol];
+      if (!quote) return null;
+
+      return { bid: quote.bid, ask: quote.ask, spread: quote.ask - quote.bid };
     } catch (error) {
       console.error(`Error getting bid-ask for ${symbol}:`, error);
       return null;
@@ -112,51 +437,55 @@ class MarketDataService {
   /**
    * Check if market is open for a symbol
    * @param {string} symbol 
-   * @param {string} accessToken 
+   * @param {string} accessToken - Unused; status comes from the exchange calendar
    * @returns {Promise<boolean>}
    */
   async isMarketOpen(symbol, accessToken) {
-    try {
-      const quotes = await this.getQuotes([symbol], accessToken);
-      
-      if (quotes && quotes.d && quotes.d[symbol]) {
-        const symbolData = quotes.d[symbol];
-        return symbolData.v?.tt === "EQ" || symbolData.v?.tt === "FUT" || symbolData.v?.tt === "OPT";
-      }
-      
-      return false;
-    } catch (error) {
-      console.error(`Error checking market status for ${symbol}:`, error);
-      return false;
-    }
+    return marketCalendar.isOpen(symbol);
   }
 
   /**
    * Get market depth for a symbol
    * @param {string} symbol 
-   * @param {string} accessToken 
+   * @param {string|Object} source - Access token or market data session
    * @returns {Promise<Object|null>}
    */
-  async getMarketDepth(symbol, accessToken) {
+  async getMarketDepth(symbol, source) {
     try {
-      const quotes = await this.getQuotes([symbol], accessToken);
-      
-      if (quotes && quotes.d && quotes.d[symbol]) {
-        const symbolData = quotes.d[symbol];
-        return {
-          bids: symbolData.v?.bids || [],
-          asks: symbolData.v?.asks || [],
-          timestamp: symbolData.v?.timestamp || Date.now()
-        };
-      }
-      
-      return null;
+      const quotes = await this.getQuotes([symbol], source);
+      const quote = quotes[symbol];
+      if (!quote) return null;
+
+      return { bids: quote.depth.bids, asks: quote.depth.asks, timestamp: quote.timestamp };
     } catch (error) {
       console.error(`Error getting market depth for ${symbol}:`, error);
       return null;
     }
   }
 
+  /**
+   * Get a market snapshot for fill simulation. Symbols on the tick stream
+   * use the latest streamed snapshot instead of a REST quote when the
+   * source is the environment's provider, which feeds the stream.
+   * @param {string} symbol
+   * @param {string|Object} source - Access token or market data session
+   * @returns {Promise<{ltp: number, bid: number, ask: number, volume: number, depth: Object}|null>}
+   */
+  async getMarketSnapshot(symbol, source) {
+    const streamed = this.getStreamedQuote(symbol, source);
+    if (streamed) {
+      return streamed;
+    }
+
+    try {
+      const quotes = await this.getQuotes([symbol], source);
+      return quotes[symbol]?.ltp ? quotes[symbol] : null;
+    } catch (error) {
+      console.error(`Error getting market snapshot for ${symbol}:`, error);
+      return null;
+    }
+  }
+
   /**
    * Simulate realistic fill price for paper trading
    * @param {string} symbol 
@@ -164,79 +493,82 @@ class MarketDataService {
    * @param {number} orderType - 1=limit, 2=market, 3=stop, 4=stop-limit
    * @param {number} limitPrice - For limit orders
    * @param {number} stopPrice - For stop orders
-   * @param {string} accessToken 
+   * @param {string|Object} accessToken - Access token or market data session
    * @returns {Promise<number|null>}
    */
   async simulateFillPrice(symbol, side, orderType, limitPrice, stopPrice, accessToken) {
-    try {
-      console.log(`Simulating fill for ${symbol}, side: ${side}, type: ${orderType}`);
-      
-      const ltp = await this.getLTP(symbol, accessToken);
-      console.log(`LTP for ${symbol}: ${ltp}`);
-      if (!ltp) {
-        console.log(`No LTP available for ${symbol}`);
-        return null;
-      }
+    const fills = await this.simulateFills(
+      { symbol, side, type: orderType, qty: 1, limitPrice, stopPrice },
+      slippageService.getDefaultConfig(),
+      accessToken
+    );
+    return fills.length > 0 ? fills[0].price : null;
+  }
 
-      const bidAsk = await this.getBidAsk(symbol, accessToken);
-      console.log(`Bid-Ask for ${symbol}:`, bidAsk);
-      if (!bidAsk) {
-        console.log(`No bid-ask data available for ${symbol}`);
-        return null;
+  /**
+   * Simulate fills for paper trading: sample the market and walk the
+   * bid/ask ladder with slippage applied. Latency is waited out by the
+   * caller before sampling (paperEngine.scheduleLatentMatch).
+   * @param {Object} order - { symbol, side, type, qty, limitPrice, stopPrice, lotSize, tickSize }
+   *   (trailing stops are passed as type 3 with their current trigger)
+   * @param {Object} slippage - Resolved slippage config from slippageService
+   * @param {string|Object} accessToken - Access token or market data session
+   * @param {Object} tickMarket - Optional snapshot of the tick being matched
+   * @returns {Promise<Array<{price: number, qty: number, basePrice: number, slippage: number}>>}
+   */
+  async simulateFills(order, slippage, accessToken, tickMarket = null) {
+    try {
+      const market = tickMarket || await this.getMarketSnapshot(order.symbol, accessToken);
+      if (!market?.ltp) {
+        console.log(`No LTP available for ${order.symbol}`);
+        return [];
       }
 
-      // Add slippage (configurable, default 0.1%)
-      const slippageBps = parseInt(process.env.PAPER_SLIPPAGE_BPS || "10", 10);
-      const slippage = ltp * (slippageBps / 10000);
-
-      switch (orderType) {
-        case 1: // Limit order
-          if (side === 1) { // Buy
-            // Fill at limit price if market touches it, otherwise at ask + slippage
-            return Math.min(limitPrice, bidAsk.ask + slippage);
-          } else { // Sell
-            // Fill at limit price if market touches it, otherwise at bid - slippage
-            return Math.max(limitPrice, bidAsk.bid - slippage);
-          }
-
-        case 2: // Market order
-          if (side === 1) { // Buy at ask + slippage
-            return bidAsk.ask + slippage;
-          } else { // Sell at bid - slippage
-            return bidAsk.bid - slippage;
-          }
-
-        case 3: // Stop order (SL-M)
-          if (side === 1) { // Buy stop
-            return ltp >= stopPrice ? bidAsk.ask + slippage : null;
-          } else { // Sell stop
-            return ltp <= stopPrice ? bidAsk.bid - slippage : null;
-          }
+      return fillSimulator.computeFills(order, market, slippage);
+    } catch (error) {
+      console.error(`Error simulating fills for ${order.symbol}:`, error);
+      return [];
+    }
+  }
 
-        case 4: // Stop-limit order (SL-L)
-          if (side === 1) { // Buy stop-limit
-            return ltp >= stopPrice ? Math.min(limitPrice, bidAsk.ask + slippage) : null;
-          } else { // Sell stop-limit
-            return ltp <= stopPrice ? Math.max(limitPrice, bidAsk.bid - slippage) : null;
-          }
+  /**
+   * Get historical candles from the source's provider
+   * @param {string} symbol
+   * @param {Object} range - { resolution: 'D' or minutes, from: 'YYYY-MM-DD', to: 'YYYY-MM-DD' } (IST dates)
+   * @param {string|Object} source - Access token or market data session
+   * @returns {Promise<Array<{time: Date, open: number, high: number, low: number, close: number, volume: number}>>}
+   */
+  async getHistory(symbol, range, source) {
+    const { provider, accessToken } = this.resolve(source);
+    return provider.getHistory(symbol, range, accessToken);
+  }
 
-        default:
-          return null;
-      }
+  /**
+   * Get a symbol's daily close for an IST date from the provider's history
+   * @param {string} symbol 
+   * @param {string} date - YYYY-MM-DD (IST)
+   * @param {string|Object} source - Access token or market data session
+   * @returns {Promise<number|null>}
+   */
+  async getDailyClose(symbol, date, source) {
+    try {
+      const candles = await this.getHistory(symbol, { resolution: 'D', from: date, to: date }, source);
+      return candles.length > 0 ? candles[candles.length - 1].close : null;
     } catch (error) {
-      console.error(`Error simulating fill price for ${symbol}:`, error);
+      console.error(`Error getting daily close for ${symbol} on ${date}:`, error);
       return null;
     }
   }
 
   /**
    * Clear quote cache
-   * @param {string} symbols - Optional, specific symbols to clear
+   * @param {string|Array<string>} symbols - Optional, specific symbols to clear
    */
   clearCache(symbols = null) {
     if (symbols) {
-      const cacheKey = Array.isArray(symbols) ? symbols.sort().join(',') : symbols;
-      this.quoteCache.delete(cacheKey);
+      for (const symbol of Array.isArray(symbols) ? symbols : [symbols]) {
+        this.quoteCache.delete(symbol);
+      }
     } else {
       this.quoteCache.clear();
     }
@@ -248,9 +580,18 @@ class MarketDataService {
    */
   getCacheStats() {
     return {
+      provider: dataProviders.getDefault().name,
+      clients: fyersDataProvider.clients.size,
+      runProviders: this.runProviders.size,
+      stream: tickStream.getStats(),
       size: this.quoteCache.size,
       keys: Array.from(this.quoteCache.keys()),
-      expiry: this.cacheExpiry
+      expiry: this.cacheExpiry,
+      inFlight: this.inFlight.size,
+      ...this.cacheStats,
+      hitRate: this.cacheStats.hits + this.cacheStats.misses > 0
+        ? this.cacheStats.hits / (this.cacheStats.hits + this.cacheStats.misses)
+        : null
     };
   }
 }
@@ -3,6 +3,9 @@
 
 const symbolMaster = require('./symbolMaster');
 const marketData = require('./marketData');
+const paperAccount = require('./paperAccount');
+const marketCalendar = require('./marketCalendar');
+const { prisma } = require("../prisma/client");
 
 class OrderValidationService {
   constructor() {
@@ -32,11 +35,28 @@ class OrderValidationService {
         return { isValid: false, errors, warnings };
       }
 
+      // Paper orders are priced and timed on their run's market data session
+      const isPaper = (orderPayload.mode || 'paper') === 'paper';
+      const session = isPaper
+        ? await marketData.getSession(orderPayload.simulationId || await paperAccount.getActiveSimulationId(userId), accessToken)
+        : accessToken;
+      const now = marketData.now(session);
+
+      // Market hours validation
+      const hoursValidation = this.validateMarketHours(orderPayload, now);
+      errors.push(...hoursValidation.errors);
+      warnings.push(...hoursValidation.warnings);
+
       // Get symbol metadata
       const symbolMeta = await symbolMaster.getSymbolMeta(orderPayload.symbol);
+
+      // Expired F&O contracts no longer trade
+      if (symbolMeta.expiry && symbolMeta.expiry < marketCalendar.getISTClock(now).date) {
+        errors.push(`${orderPayload.symbol} expired on ${symbolMeta.expiry}`);
+      }
       
       // Price validations
-      const priceValidation = await this.validatePrices(orderPayload, symbolMeta, accessToken);
+      const priceValidation = await this.validatePrices(orderPayload, symbolMeta, session);
       errors.push(...priceValidation.errors);
       warnings.push(...priceValidation.warnings);
 
@@ -50,11 +70,25 @@ class OrderValidationService {
       errors.push(...productValidation.errors);
       warnings.push(...productValidation.warnings);
 
+      // Short selling validations (paper orders only; the broker enforces live)
+      if (isPaper) {
+        const shortValidation = await this.validateShortSelling(orderPayload, symbolMeta, userId);
+        errors.push(...shortValidation.errors);
+        warnings.push(...shortValidation.warnings);
+      }
+
       // Risk validations
       const riskValidation = await this.validateRiskLimits(orderPayload, userId);
       errors.push(...riskValidation.errors);
       warnings.push(...riskValidation.warnings);
 
+      // Buying power validations (paper orders only)
+      if (isPaper) {
+        const fundsValidation = await this.validateBuyingPower(orderPayload, userId, session);
+        errors.push(...fundsValidation.errors);
+        warnings.push(...fundsValidation.warnings);
+      }
+
       // Order tag validation
       const tagValidation = this.validateOrderTag(orderPayload.orderTag, orderPayload.productType);
       errors.push(...tagValidation.errors);
@@ -104,8 +138,8 @@ class OrderValidationService {
     }
 
     // Type validation
-    if (payload.type && ![1, 2, 3, 4].includes(payload.type)) {
-      errors.push(`Invalid order type: ${payload.type}. Must be 1-4 (limit, market, stop, stop-limit)`);
+    if (payload.type && ![1, 2, 3, 4, 5].includes(payload.type)) {
+      errors.push(`Invalid order type: ${payload.type}. Must be 1-5 (limit, market, stop, stop-limit, trailing-stop)`);
     }
 
     // Product type validation
@@ -114,6 +148,12 @@ class OrderValidationService {
       errors.push(`Invalid product type: ${payload.productType}. Must be one of: ${validProductTypes.join(', ')}`);
     }
 
+    // Validity validation
+    const validValidities = ['DAY', 'IOC'];
+    if (payload.validity && !validValidities.includes(payload.validity)) {
+      errors.push(`Invalid validity: ${payload.validity}. Must be one of: ${validValidities.join(', ')}`);
+    }
+
     // Quantity validation
     if (payload.qty && (typeof payload.qty !== 'number' || payload.qty <= 0)) {
       errors.push(`Invalid quantity: ${payload.qty}. Must be a positive number`);
@@ -126,88 +166,127 @@ class OrderValidationService {
    * Validate prices against tick size and market conditions
    * @param {Object} payload 
    * @param {Object} symbolMeta 
-   * @param {string} accessToken 
+   * @param {string|Object} accessToken - Access token or market data session
    * @returns {Promise<Object>}
    */
   async validatePrices(payload, symbolMeta, accessToken) {
+    try {
+      const ltp = await marketData.getLTP(payload.symbol, accessToken);
+      return this.validatePriceRules(payload, symbolMeta, ltp);
+    } catch (error) {
+      return {
+        errors: [],
+        warnings: [`Could not validate prices against market data: ${error.message}`]
+      };
+    }
+  }
+
+  /**
+   * Validate prices against tick size and a known LTP
+   * @param {Object} payload 
+   * @param {Object} symbolMeta 
+   * @param {number|null} ltp - Last traded price, if known
+   * @returns {Object}
+   */
+  validatePriceRules(payload, symbolMeta, ltp) {
     const errors = [];
     const warnings = [];
 
-    try {
-      const ltp = await marketData.getLTP(payload.symbol, accessToken);
+    // Validate limit price
+    if (payload.limitPrice && payload.limitPrice > 0) {
+      if (!symbolMaster.isValidTickMultiple(payload.limitPrice, symbolMeta.tickSize)) {
+        errors.push(`Limit price ${payload.limitPrice} is not a valid tick multiple. Tick size: ${symbolMeta.tickSize}`);
+      }
       
-      // Validate limit price
-      if (payload.limitPrice && payload.limitPrice > 0) {
-        if (!symbolMaster.isValidTickMultiple(payload.limitPrice, symbolMeta.tickSize)) {
-          errors.push(`Limit price ${payload.limitPrice} is not a valid tick multiple. Tick size: ${symbolMeta.tickSize}`);
-        }
-        
-        if (ltp && payload.type === 1) { // Limit order
-          const spread = Math.abs(payload.limitPrice - ltp) / ltp;
-          if (spread > 0.1) { // More than 10% away from LTP
-            warnings.push(`Limit price is ${(spread * 100).toFixed(1)}% away from LTP (${ltp})`);
-          }
+      if (ltp && payload.type === 1) { // Limit order
+        const spread = Math.abs(payload.limitPrice - ltp) / ltp;
+        if (spread > 0.1) { // More than 10% away from LTP
+          warnings.push(`Limit price is ${(spread * 100).toFixed(1)}% away from LTP (${ltp})`);
         }
       }
+    }
 
-      // Validate stop price
-      if (payload.stopPrice && payload.stopPrice > 0) {
-        if (!symbolMaster.isValidTickMultiple(payload.stopPrice, symbolMeta.tickSize)) {
-          errors.push(`Stop price ${payload.stopPrice} is not a valid tick multiple. Tick size: ${symbolMeta.tickSize}`);
-        }
+    // Validate stop price
+    if (payload.stopPrice && payload.stopPrice > 0) {
+      if (!symbolMaster.isValidTickMultiple(payload.stopPrice, symbolMeta.tickSize)) {
+        errors.push(`Stop price ${payload.stopPrice} is not a valid tick multiple. Tick size: ${symbolMeta.tickSize}`);
+      }
 
-        if (ltp && payload.type >= 3) { // Stop or stop-limit orders
-          if (payload.side === 1) { // Buy
-            if (payload.stopPrice < ltp) {
-              errors.push(`Buy stop price ${payload.stopPrice} must be >= LTP ${ltp}`);
-            }
-          } else { // Sell
-            if (payload.stopPrice > ltp) {
-              errors.push(`Sell stop price ${payload.stopPrice} must be <= LTP ${ltp}`);
-            }
+      if (ltp && payload.type >= 3) { // Stop or stop-limit orders
+        if (payload.side === 1) { // Buy
+          if (payload.stopPrice < ltp) {
+            errors.push(`Buy stop price ${payload.stopPrice} must be >= LTP ${ltp}`);
+          }
+        } else { // Sell
+          if (payload.stopPrice > ltp) {
+            errors.push(`Sell stop price ${payload.stopPrice} must be <= LTP ${ltp}`);
           }
         }
       }
+    }
 
-      // Validate stop-loss for CO/BO
-      if (payload.stopLoss && payload.stopLoss > 0) {
-        if (!symbolMaster.isValidTickMultiple(payload.stopLoss, symbolMeta.tickSize)) {
-          errors.push(`Stop loss ${payload.stopLoss} is not a valid tick multiple. Tick size: ${symbolMeta.tickSize}`);
-        }
+    // Validate stop-loss for CO/BO
+    if (payload.stopLoss && payload.stopLoss > 0) {
+      if (!symbolMaster.isValidTickMultiple(payload.stopLoss, symbolMeta.tickSize)) {
+        errors.push(`Stop loss ${payload.stopLoss} is not a valid tick multiple. Tick size: ${symbolMeta.tickSize}`);
+      }
 
-        if (['CO', 'BO'].includes(payload.productType)) {
-          if (payload.stopLoss <= 0) {
-            errors.push(`Stop loss is required and must be > 0 for ${payload.productType} orders`);
-          }
+      if (['CO', 'BO'].includes(payload.productType)) {
+        if (payload.stopLoss <= 0) {
+          errors.push(`Stop loss is required and must be > 0 for ${payload.productType} orders`);
         }
       }
+    }
 
-      // Validate take-profit for BO
-      if (payload.takeProfit && payload.takeProfit > 0) {
-        if (!symbolMaster.isValidTickMultiple(payload.takeProfit, symbolMeta.tickSize)) {
-          errors.push(`Take profit ${payload.takeProfit} is not a valid tick multiple. Tick size: ${symbolMeta.tickSize}`);
-        }
+    // Validate take-profit for BO
+    if (payload.takeProfit && payload.takeProfit > 0) {
+      if (!symbolMaster.isValidTickMultiple(payload.takeProfit, symbolMeta.tickSize)) {
+        errors.push(`Take profit ${payload.takeProfit} is not a valid tick multiple. Tick size: ${symbolMeta.tickSize}`);
+      }
 
-        if (payload.productType === 'BO' && payload.takeProfit <= 0) {
-          errors.push(`Take profit is required and must be > 0 for BO orders`);
-        }
+      if (payload.productType === 'BO' && payload.takeProfit <= 0) {
+        errors.push(`Take profit is required and must be > 0 for BO orders`);
       }
+    }
 
-      // Stop-limit specific validations
-      if (payload.type === 4) { // Stop-limit
-        if (payload.side === 1) { // Buy
-          if (payload.stopPrice < payload.limitPrice) {
-            errors.push(`For buy stop-limit: stop price ${payload.stopPrice} must be >= limit price ${payload.limitPrice}`);
-          }
-        } else { // Sell
-          if (payload.stopPrice > payload.limitPrice) {
-            errors.push(`For sell stop-limit: stop price ${payload.stopPrice} must be <= limit price ${payload.limitPrice}`);
-          }
+    // Stop-limit specific validations
+    if (payload.type === 4) { // Stop-limit
+      if (payload.side === 1) { // Buy
+        if (payload.stopPrice < payload.limitPrice) {
+          errors.push(`For buy stop-limit: stop price ${payload.stopPrice} must be >= limit price ${payload.limitPrice}`);
+        }
+      } else { // Sell
+        if (payload.stopPrice > payload.limitPrice) {
+          errors.push(`For sell stop-limit: stop price ${payload.stopPrice} must be <= limit price ${payload.limitPrice}`);
         }
       }
+    }
 
-    } catch (error) {
-      warnings.push(`Could not validate prices against market data: ${error.message}`);
+    return { errors, warnings };
+  }
+
+  /**
+   * Validate that the market accepts the order now. Outside market hours
+   * only after-market orders (offlineOrder) are accepted; they are
+   * matched once the next session opens.
+   * @param {Object} payload 
+   * @param {Date} now - Defaults to the calendar clock; backtests pass their simulated time
+   * @returns {Object}
+   */
+  validateMarketHours(payload, now = marketCalendar.now()) {
+    const errors = [];
+    const warnings = [];
+
+    const status = marketCalendar.getStatus(payload.symbol, now);
+
+    if (status.status === 'closed' && !payload.offlineOrder) {
+      const reason = status.holiday ? `holiday: ${status.holiday}` : status.reason.replace('_', ' ');
+      const nextOpen = status.nextOpen ? `; next session opens ${status.nextOpen.toISOString()}` : '';
+      errors.push(`${status.exchange} ${status.segment} market is closed (${reason})${nextOpen}. Place it as an AMO (offlineOrder) instead`);
+    } else if (status.status === 'pre_open') {
+      warnings.push(`${status.exchange} is in pre-open; the order will be matched when the market opens`);
+    } else if (status.status === 'open' && payload.offlineOrder) {
+      warnings.push('Market is open; the AMO will be processed as a regular order');
     }
 
     return { errors, warnings };
@@ -275,6 +354,35 @@ class OrderValidationService {
       }
     }
 
+    // Trailing stop validations (type 5 or the stop leg of a BO)
+    const hasTrail = payload.trailAmount > 0 || payload.trailPercent > 0;
+    if (payload.type === 5 || hasTrail) {
+      if (payload.mode === 'live') {
+        errors.push('Trailing stop orders are only supported in paper mode');
+      }
+      if (payload.trailAmount && payload.trailPercent) {
+        errors.push('Specify either trailAmount or trailPercent, not both');
+      }
+      if (payload.trailAmount !== undefined && payload.trailAmount !== null && payload.trailAmount <= 0) {
+        errors.push('Trail amount must be > 0');
+      }
+      if (payload.trailPercent !== undefined && payload.trailPercent !== null &&
+          (payload.trailPercent <= 0 || payload.trailPercent >= 100)) {
+        errors.push('Trail percent must be between 0 and 100');
+      }
+    }
+
+    if (payload.type === 5) {
+      if (!hasTrail) {
+        errors.push('Trailing stop orders require trailAmount or trailPercent');
+      }
+      if (['CO', 'BO'].includes(payload.productType)) {
+        errors.push('Trailing stop entries are not supported for CO/BO; set a trail on the BO stop-loss instead');
+      }
+    } else if (hasTrail && payload.productType !== 'BO') {
+      warnings.push('Trail parameters only apply to trailing stop (type 5) and BO orders and will be ignored');
+    }
+
     // MTF validations
     if (payload.productType === 'MTF') {
       warnings.push('MTF orders require special approval. Please verify symbol is MTF enabled.');
@@ -283,6 +391,42 @@ class OrderValidationService {
     return { errors, warnings };
   }
 
+  /**
+   * Validate that delivery equity is not sold short. CNC/MTF sells must be
+   * covered by the paper holding; INTRADAY and F&O may open shorts.
+   * @param {Object} payload 
+   * @param {Object} symbolMeta 
+   * @param {string} userId 
+   * @returns {Promise<Object>}
+   */
+  async validateShortSelling(payload, symbolMeta, userId) {
+    const errors = [];
+    const warnings = [];
+
+    if (payload.side !== -1 || symbolMeta.segment !== 'EQ' || !['CNC', 'MTF'].includes(payload.productType)) {
+      return { errors, warnings };
+    }
+
+    const position = await prisma.position.findUnique({
+      where: {
+        userId_symbol_mode_productType_simulationId: {
+          userId,
+          symbol: payload.symbol,
+          mode: 'paper',
+          productType: payload.productType,
+          simulationId: payload.simulationId || await paperAccount.getActiveSimulationId(userId)
+        }
+      }
+    });
+
+    const held = Math.max(0, position?.qty || 0);
+    if (payload.qty > held) {
+      errors.push(`${payload.productType} equity cannot be sold short: selling ${payload.qty}, holding ${held}. Use INTRADAY to short`);
+    }
+
+    return { errors, warnings };
+  }
+
   /**
    * Validate risk limits
    * @param {Object} payload 
@@ -293,12 +437,7 @@ class OrderValidationService {
     const errors = [];
     const warnings = [];
 
-    // Calculate notional value
-    const notional = (payload.limitPrice || 0) * payload.qty;
-    
-    if (notional > this.maxNotionalPerOrder) {
-      errors.push(`Order notional ${notional} exceeds maximum allowed ${this.maxNotionalPerOrder}`);
-    }
+    errors.push(...this.validateNotional(payload).errors);
 
     // Check order rate limiting
     const now = Date.now();
@@ -319,6 +458,97 @@ class OrderValidationService {
     return { errors, warnings };
   }
 
+  /**
+   * Validate the order notional against MAX_NOTIONAL_PER_ORDER
+   * @param {Object} payload 
+   * @returns {Object}
+   */
+  validateNotional(payload) {
+    const errors = [];
+
+    // Calculate notional value
+    const notional = (payload.limitPrice || 0) * payload.qty;
+    
+    if (notional > this.maxNotionalPerOrder) {
+      errors.push(`Order notional ${notional} exceeds maximum allowed ${this.maxNotionalPerOrder}`);
+    }
+
+    return { errors, warnings: [] };
+  }
+
+  /**
+   * Validate an order placed on a simulated clock (backtests): the same
+   * field, market-hours, price, quantity, product, notional and tag rules
+   * as validateOrder, without live quotes, rate limits or account lookups.
+   * Short selling and buying power are checked by the caller's own account.
+   * @param {Object} payload 
+   * @param {Object} symbolMeta 
+   * @param {Object} context - { now: simulated time, ltp: last known price }
+   * @returns {{isValid: boolean, errors: Array<string>, warnings: Array<string>}}
+   */
+  validateSimulatedOrder(payload, symbolMeta, context) {
+    const errors = [];
+    const warnings = [];
+
+    const basicValidation = this.validateBasicFields(payload);
+    if (basicValidation.errors.length > 0) {
+      return { isValid: false, errors: basicValidation.errors, warnings: basicValidation.warnings };
+    }
+
+    const results = [
+      basicValidation,
+      this.validateMarketHours(payload, context.now),
+      this.validatePriceRules(payload, symbolMeta, context.ltp),
+      this.validateQuantity(payload.qty, symbolMeta),
+      this.validateProductType(payload),
+      this.validateNotional(payload),
+      this.validateOrderTag(payload.orderTag, payload.productType)
+    ];
+
+    for (const result of results) {
+      errors.push(...result.errors);
+      warnings.push(...result.warnings);
+    }
+
+    return { isValid: errors.length === 0, errors, warnings };
+  }
+
+  /**
+   * Validate that the paper account has buying power for the order
+   * @param {Object} payload 
+   * @param {string} userId 
+   * @param {string|Object} accessToken - Access token or market data session
+   * @returns {Promise<Object>}
+   */
+  async validateBuyingPower(payload, userId, accessToken) {
+    const errors = [];
+    const warnings = [];
+
+    try {
+      const price = payload.limitPrice || payload.stopPrice || await marketData.getLTP(payload.symbol, accessToken);
+
+      if (!price) {
+        warnings.push('Could not estimate order value to check buying power');
+        return { errors, warnings };
+      }
+
+      const simulationId = payload.simulationId || await paperAccount.getActiveSimulationId(userId);
+      const check = await paperAccount.checkBuyingPower(
+        { userId, simulationId, symbol: payload.symbol, productType: payload.productType, side: payload.side },
+        price,
+        payload.qty
+      );
+
+      if (!check.ok) {
+        errors.push(`Insufficient buying power: order needs ${check.required.toFixed(2)} margin, available ${check.available.toFixed(2)}`);
+      }
+    } catch (error) {
+      warnings.push(`Could not check buying power: ${error.message}`);
+    }
+
+    return { errors, warnings };
+  }
+
   /**
    * Validate order tag
    * @param {string} orderTag 
@@ -358,8 +588,9 @@ class OrderValidationService {
    * @returns {boolean}
    */
   isValidSymbolFormat(symbol) {
-    // Basic format: EXCHANGE:SYMBOL-SEGMENT
-    return /^[A-Z]+:[A-Z0-9]+-[A-Z]+$/.test(symbol);
+    // Basic format: EXCHANGE:SYMBOL-SEGMENT, or an F&O contract such as NSE:NIFTY25NOVFUT
+    return /^[A-Z]+:[A-Z0-9]+-[A-Z]+$/.test(symbol) ||
+      (/^[A-Z]+:[A-Z0-9&.]+$/.test(symbol) && !!symbolMaster.parseContract(symbol));
   }
 
   /**
@@ -0,0 +1,277 @@
+// File: Paper Account Service (cash & buying power)
+// Path: server/services/paperAccount.js
+
+const { prisma } = require("../prisma/client");
+const symbolMaster = require('./symbolMaster');
+
+// Exposure multiplier per segment and product; margin = notional / leverage
+const DEFAULT_LEVERAGE = {
+  EQ: { INTRADAY: 5, CO: 5, BO: 5, MARGIN: 5, MTF: 2, CNC: 1 },
+  FUT: { DEFAULT: 6 },
+  OPT: { DEFAULT: 1 },
+  COM: { DEFAULT: 10 },
+  CUR: { DEFAULT: 10 }
+};
+
+class PaperAccountService {
+  constructor() {
+    this.startingCapital = parseFloat(process.env.PAPER_STARTING_CAPITAL || "100000");
+  }
+
+  /**
+   * Get the leverage multiplier for a segment/product
+   * @param {string} segment - EQ, FUT, OPT, COM, CUR
+   * @param {string} productType - INTRADAY, CNC, MARGIN, CO, BO, MTF
+   * @param {Object} overrides - UserSettings.settings.leverage, same shape as the defaults
+   * @returns {number}
+   */
+  getLeverage(segment, productType, overrides = null) {
+    const table = { ...(DEFAULT_LEVERAGE[segment] || DEFAULT_LEVERAGE.EQ), ...(overrides?.[segment] || {}) };
+    const leverage = table[productType] ?? table.DEFAULT ?? 1;
+    return leverage > 0 ? leverage : 1;
+  }
+
+  /**
+   * Get user leverage overrides
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>}
+   */
+  async getLeverageOverrides(userId) {
+    const userSettings = await prisma.userSettings.findUnique({
+      where: { userId }
+    });
+    return userSettings?.settings?.leverage || null;
+  }
+
+  /**
+   * Simulation run that new paper orders belong to: the running
+   * simulation, otherwise the user's sandbox run (created on first use)
+   * @param {string} userId - User ID
+   * @param {Object} db - Prisma client or transaction
+   * @returns {Promise<string>} Simulation ID
+   */
+  async getActiveSimulationId(userId, db = prisma) {
+    const running = await db.simulation.findFirst({
+      where: { userId, isRunning: true },
+      select: { id: true }
+    });
+    if (running) return running.id;
+
+    const sandbox = await db.simulation.upsert({
+      where: { id: `sandbox_${userId}` },
+      update: {},
+      create: {
+        id: `sandbox_${userId}`,
+        userId,
+        sandbox: true,
+        testName: 'Sandbox',
+        allocatedFunds: this.startingCapital,
+        currentBalance: this.startingCapital,
+        startTime: new Date()
+      }
+    });
+    return sandbox.id;
+  }
+
+  /**
+   * Cash a new paper portfolio starts with: its simulation's allocated
+   * funds, otherwise PAPER_STARTING_CAPITAL
+   * @param {Object} db - Prisma client or transaction
+   * @param {string} simulationId - Simulation ID
+   * @returns {Promise<number>}
+   */
+  async getStartingCash(db, simulationId) {
+    const simulation = await db.simulation.findUnique({
+      where: { id: simulationId }
+    });
+    return simulation?.allocatedFunds ?? this.startingCapital;
+  }
+
+  /**
+   * Get a simulation run's paper portfolio, creating it with starting cash if missing
+   * @param {Object} db - Prisma client or transaction
+   * @param {string} userId - User ID
+   * @param {string} simulationId - Simulation ID
+   * @returns {Promise<Object>}
+   */
+  async ensurePortfolio(db, userId, simulationId) {
+    const portfolio = await db.portfolio.findUnique({
+      where: { userId_mode_simulationId: { userId, mode: 'paper', simulationId } }
+    });
+    if (portfolio) return portfolio;
+
+    return db.portfolio.create({
+      data: {
+        userId,
+        mode: 'paper',
+        simulationId,
+        cashBalance: await this.getStartingCash(db, simulationId)
+      }
+    });
+  }
+
+  /**
+   * Margin blocked by a set of open positions
+   * @param {Array<Object>} positions - Paper positions
+   * @param {Object} overrides - Leverage overrides
+   * @returns {Promise<number>}
+   */
+  async computeBlockedMargin(positions, overrides) {
+    let blocked = 0;
+    for (const position of positions) {
+      const meta = await symbolMaster.getSymbolMeta(position.symbol);
+      const leverage = this.getLeverage(meta.segment, position.productType, overrides);
+      blocked += (Math.abs(position.qty) * position.avgPrice) / leverage;
+    }
+    return blocked;
+  }
+
+  /**
+   * Available funds = cash + cost basis of open positions - blocked margin.
+   * Buying debits cash by the full notional and selling credits it, so the
+   * cost basis is added back before the margin those positions need is taken.
+   * @param {Object} portfolio - Paper portfolio
+   * @param {Array<Object>} positions - Paper positions
+   * @param {number} blockedMargin - Margin blocked by those positions
+   * @returns {number}
+   */
+  computeAvailableFunds(portfolio, positions, blockedMargin) {
+    const costBasis = positions.reduce((sum, p) => sum + p.qty * p.avgPrice, 0);
+    return portfolio.cashBalance + costBasis - blockedMargin;
+  }
+
+  /**
+   * Get cash, blocked margin and available funds for a simulation run's paper account
+   * @param {string} userId - User ID
+   * @param {string} simulationId - Simulation ID
+   * @returns {Promise<{cashBalance: number, blockedMargin: number, availableFunds: number}>}
+   */
+  async getAccount(userId, simulationId) {
+    const portfolio = await this.ensurePortfolio(prisma, userId, simulationId);
+    const positions = await prisma.position.findMany({
+      where: { userId, mode: 'paper', simulationId }
+    });
+    const overrides = await this.getLeverageOverrides(userId);
+    const blockedMargin = await this.computeBlockedMargin(positions, overrides);
+
+    return {
+      cashBalance: portfolio.cashBalance,
+      blockedMargin,
+      availableFunds: this.computeAvailableFunds(portfolio, positions, blockedMargin)
+    };
+  }
+
+  /**
+   * Margin needed to take a fill. Only the part of the fill that grows the
+   * position's absolute size needs margin; reducing or closing is free.
+   * @param {Object} order - { userId, simulationId, symbol, productType, side }
+   * @param {number} price - Expected fill price
+   * @param {number} qty - Fill quantity
+   * @returns {Promise<number>}
+   */
+  async getRequiredMargin(order, price, qty) {
+    const position = await prisma.position.findUnique({
+      where: {
+        userId_symbol_mode_productType_simulationId: {
+          userId: order.userId,
+          symbol: order.symbol,
+          mode: 'paper',
+          productType: order.productType,
+          simulationId: order.simulationId
+        }
+      }
+    });
+
+    const currentQty = position?.qty || 0;
+    const exposureIncrease = Math.max(0, Math.abs(currentQty + order.side * qty) - Math.abs(currentQty));
+    if (exposureIncrease === 0) return 0;
+
+    const meta = await symbolMaster.getSymbolMeta(order.symbol);
+    const overrides = await this.getLeverageOverrides(order.userId);
+    return (exposureIncrease * price) / this.getLeverage(meta.segment, order.productType, overrides);
+  }
+
+  /**
+   * Check whether the paper account can take a fill
+   * @param {Object} order - { userId, simulationId, symbol, productType, side }
+   * @param {number} price - Expected fill price
+   * @param {number} qty - Fill quantity
+   * @returns {Promise<{ok: boolean, required: number, available: number}>}
+   */
+  async checkBuyingPower(order, price, qty) {
+    const required = await this.getRequiredMargin(order, price, qty);
+    if (required === 0) {
+      return { ok: true, required, available: null };
+    }
+
+    const { availableFunds } = await this.getAccount(order.userId, order.simulationId);
+    return { ok: required <= availableFunds, required, available: availableFunds };
+  }
+
+  /**
+   * Move cash for a fill and refresh blocked margin. Call after the
+   * position has been updated within the same transaction.
+   * @param {Object} tx - Prisma transaction
+   * @param {string} userId - User ID
+   * @param {string} simulationId - Simulation ID
+   * @param {number} side - 1 for buy, -1 for sell
+   * @param {number} qty - Fill quantity
+   * @param {number} price - Fill price
+   * @param {number} charges - Total charges for the fill
+   * @param {number} realizedPnl - Gross P&L realized by the fill
+   */
+  async applyFill(tx, userId, simulationId, side, qty, price, charges, realizedPnl = 0) {
+    const portfolio = await this.ensurePortfolio(tx, userId, simulationId);
+    const positions = await tx.position.findMany({
+      where: { userId, mode: 'paper', simulationId }
+    });
+    const overrides = await this.getLeverageOverrides(userId);
+    const blockedMargin = await this.computeBlockedMargin(positions, overrides);
+
+    await tx.portfolio.update({
+      where: { id: portfolio.id },
+      data: {
+        cashBalance: { decrement: side * qty * price + charges },
+        totalCharges: { increment: charges },
+        realizedPnl: { increment: realizedPnl },
+        blockedMargin
+      }
+    });
+  }
+
+  /**
+   * Credit a dividend to a simulation run's paper cash. Short positions pay
+   * the dividend, so the amount is negative for them.
+   * @param {Object} tx - Prisma transaction
+   * @param {string} userId - User ID
+   * @param {string} simulationId - Simulation ID
+   * @param {number} amount - Dividend amount
+   */
+  async creditDividend(tx, userId, simulationId, amount) {
+    const portfolio = await this.ensurePortfolio(tx, userId, simulationId);
+
+    await tx.portfolio.update({
+      where: { id: portfolio.id },
+      data: {
+        cashBalance: { increment: amount },
+        dividends: { increment: amount }
+      }
+    });
+  }
+
+  /**
+   * Reset a simulation run's paper cash, e.g. when it starts with new allocated funds
+   * @param {string} userId - User ID
+   * @param {string} simulationId - Simulation ID
+   * @param {number} cashBalance - New cash balance
+   */
+  async setCash(userId, simulationId, cashBalance) {
+    await prisma.portfolio.upsert({
+      where: { userId_mode_simulationId: { userId, mode: 'paper', simulationId } },
+      update: { cashBalance },
+      create: { userId, mode: 'paper', simulationId, cashBalance }
+    });
+  }
+}
+
+module.exports = new PaperAccountService();
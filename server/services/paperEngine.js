@@ -4,12 +4,33 @@
 const { prisma } = require("../prisma/client");
 const marketData = require('./marketData');
 const symbolMaster = require('./symbolMaster');
+const chargesService = require('./chargesService');
+const paperAccount = require('./paperAccount');
+const pnlLedger = require('./pnlLedger');
+const marketCalendar = require('./marketCalendar');
+const slippageService = require('./slippageService');
+const tickStream = require('./tickStream');
+
+// States an order never leaves
+const TERMINAL_STATES = ['filled', 'cancelled', 'rejected', 'expired'];
+
+// Ticks waiting to be matched before new ones are dropped
+const MAX_PENDING_TICKS = 1000;
+
+// Tag shown on orders that close positions at F&O expiry (settlement is
+// recognised by exitReason, which users cannot set)
+const SETTLEMENT_TAG = 'EXPIRY';
 
 class PaperTradingEngine {
   constructor() {
     this.activeOrders = new Map(); // Track orders being processed
+    this.latentOrders = new Map(); // orderId -> timer for a match waiting out its latency
     this.processingInterval = null;
     this.isProcessing = false;
+    this.tickQueue = Promise.resolve(); // Serialises matching in tick order
+    this.pendingTicks = 0;
+    this.droppedTicks = 0;
+    this.tickListener = (tick) => this.enqueueTick(tick);
   }
 
   /**
@@ -20,7 +41,11 @@ class PaperTradingEngine {
       return; // Already running
     }
 
-    // Process orders every 2 seconds
+    // Symbols on the tick stream are matched as ticks arrive
+    tickStream.onTick(this.tickListener);
+
+    // Every 2 seconds: expire orders, sync stream subscriptions and
+    // poll-match symbols the stream does not cover
     this.processingInterval = setInterval(() => {
       this.processOrders().catch(error => {
         console.error("Error processing paper orders:", error);
@@ -38,23 +63,31 @@ class PaperTradingEngine {
       clearInterval(this.processingInterval);
       this.processingInterval = null;
     }
+    tickStream.offTick(this.tickListener);
+    tickStream.setSymbols([], 'orders');
+    for (const timer of this.latentOrders.values()) {
+      clearTimeout(timer);
+    }
+    this.latentOrders.clear();
     console.log("Paper trading engine stopped");
   }
 
   /**
    * Submit a new paper order
-   * @param {Object} orderData - Order data
+   * @param {Object} orderData - Order data; simulationId defaults to the user's active run
    * @param {string} userId - User ID
    * @param {string} accessToken - Fyers access token
+   * @param {Object} options - { exitReason } for orders the engine places to close a position
    * @returns {Promise<Object>}
    */
-  async submitOrder(orderData, userId, accessToken) {
+  async submitOrder(orderData, userId, accessToken, { exitReason = null } = {}) {
     try {
       // Create order in database
       const order = await prisma.order.create({
         data: {
           userId,
           mode: 'paper',
+          simulationId: orderData.simulationId || await paperAccount.getActiveSimulationId(userId),
           side: orderData.side,
           type: orderData.type,
           productType: orderData.productType,
@@ -64,7 +97,10 @@ class PaperTradingEngine {
           stopPrice: orderData.stopPrice || null,
           stopLoss: orderData.stopLoss || null,
           takeProfit: orderData.takeProfit || null,
+          trailAmount: orderData.trailAmount || null,
+          trailPercent: orderData.trailPercent || null,
           orderTag: orderData.orderTag || null,
+          exitReason,
           offlineOrder: orderData.offlineOrder || false,
           disclosedQty: orderData.disclosedQty || 0,
           validity: orderData.validity || 'DAY',
@@ -80,9 +116,12 @@ class PaperTradingEngine {
         userId
       });
 
-      // Start processing immediately for market orders
-      if (orderData.type === 2) { // Market order
-        await this.processOrder(order.id, accessToken);
+      // Start processing immediately for market and IOC orders while the market is open
+      if (orderData.type === 2 || order.validity === 'IOC') {
+        const session = await marketData.getSession(order.simulationId, accessToken);
+        if (marketCalendar.isOpen(order.symbol, marketData.now(session))) {
+          await this.processOrder(order.id, session);
+        }
       }
 
       return order;
@@ -94,7 +133,14 @@ class PaperTradingEngine {
 
   /**
    * Process all active paper orders
-   * @param {string} accessToken - Fyers access token
+   * Symbols with working orders are subscribed on the tick stream and
+   * matched there; the rest are polled here. Polled orders are priced with
+   * their run's market data session: the run's own provider when it was
+   * started with one, else the environment's provider with the user's
+   * Fyers session, falling back to the shared data session
+   * (FYERS_DATA_ACCESS_TOKEN). Orders with no usable session are marked
+   * stale and left working.
+   * @param {string} accessToken - Optional Fyers access token to use for every order (disables the stream)
    */
   async processOrders(accessToken) {
     if (this.isProcessing) {
@@ -109,7 +155,7 @@ class PaperTradingEngine {
         where: {
           mode: 'paper',
           state: {
-            in: ['new', 'working']
+            in: ['new', 'working', 'partial']
           }
         },
         orderBy: {
@@ -117,25 +163,261 @@ class PaperTradingEngine {
         }
       });
 
+      const tokens = accessToken ? null : await this.getMarketDataTokens([...new Set(orders.map(o => o.userId))]);
+
+      const openOrders = [];
       for (const order of orders) {
+        const session = await marketData.getSession(order.simulationId, accessToken || tokens.get(order.userId));
+        const now = marketData.now(session);
+
+        if (order.validity === 'DAY' && marketCalendar.hasSessionClosedSince(order.symbol, order.createdAt, now)) {
+          await this.expireOrder(order.id);
+          continue;
+        }
+        // Orders (including AMOs) wait for their market to open before matching
+        if (!marketCalendar.isOpen(order.symbol, now)) {
+          continue;
+        }
+        openOrders.push({ order, session });
+      }
+
+      // Only the environment's provider feeds the tick stream
+      const streamable = openOrders.filter(({ session }) => marketData.isDefaultSource(session));
+      if (!accessToken) {
+        await this.syncTickStream(streamable.map(({ order }) => order));
+      }
+
+      const stale = [];
+      for (const { order, session } of openOrders) {
+        if (!accessToken && marketData.isDefaultSource(session) && tickStream.isStreaming(order.symbol, 'orders')) {
+          continue; // Matched on ticks
+        }
+
+        if (!marketData.canQuote(session)) {
+          stale.push(order);
+          continue;
+        }
+
         try {
-          await this.processOrder(order.id, accessToken);
+          if (order.stale) {
+            await prisma.order.update({
+              where: { id: order.id },
+              data: { stale: false }
+            });
+          }
+          await this.processOrder(order.id, session);
         } catch (error) {
           console.error(`Error processing order ${order.id}:`, error);
           await this.rejectOrder(order.id, `Processing error: ${error.message}`);
         }
       }
+
+      if (stale.length > 0) {
+        await this.markStale(stale);
+      }
     } finally {
       this.isProcessing = false;
     }
   }
 
+  /**
+   * Subscribe the tick stream to the symbols with open orders, connecting
+   * it through the market data service (shared data session, else any
+   * user's valid session). With no session (or PAPER_TICK_STREAM=0) every
+   * symbol is polled. Providers that need no session (replay) always stream.
+   * @param {Array<Object>} orders - Working orders whose market is open
+   */
+  async syncTickStream(orders) {
+    if (process.env.PAPER_TICK_STREAM === '0') {
+      return;
+    }
+
+    const symbols = [...new Set(orders.map(order => order.symbol))];
+    tickStream.setSymbols(symbols, 'orders');
+    if (symbols.length > 0 && !tickStream.isConnected()) {
+      await marketData.connectStream();
+    }
+  }
+
+  /**
+   * Queue a tick for matching. Ticks are matched one at a time in arrival
+   * order, so a stop touched by one tick fills before the next is seen.
+   * @param {Object} tick - { symbol, seq, market }
+   */
+  enqueueTick(tick) {
+    if (!tickStream.isStreaming(tick.symbol, 'orders')) {
+      return; // Streamed for market data only; polled orders cover the rest
+    }
+    if (this.pendingTicks >= MAX_PENDING_TICKS) {
+      this.droppedTicks++;
+      if (this.droppedTicks % 100 === 1) {
+        console.warn(`Paper tick queue full, dropped ${this.droppedTicks} ticks`);
+      }
+      return;
+    }
+
+    this.pendingTicks++;
+    this.tickQueue = this.tickQueue
+      .then(() => this.matchTick(tick))
+      .catch(error => {
+        console.error(`Error matching tick for ${tick.symbol}:`, error);
+      })
+      .finally(() => {
+        this.pendingTicks--;
+      });
+  }
+
+  /**
+   * Match the working orders of the symbol that ticked, oldest first
+   * @param {Object} tick - { symbol, seq, market }
+   */
+  async matchTick(tick) {
+    if (!marketCalendar.isOpen(tick.symbol)) {
+      return;
+    }
+
+    const orders = await prisma.order.findMany({
+      where: {
+        mode: 'paper',
+        symbol: tick.symbol,
+        state: {
+          in: ['new', 'working', 'partial']
+        }
+      },
+      orderBy: {
+        createdAt: 'asc'
+      }
+    });
+
+    for (const order of orders) {
+      if (order.validity === 'DAY' && marketCalendar.hasSessionClosedSince(order.symbol, order.createdAt)) {
+        continue; // Expired by the polling loop
+      }
+      if (!marketData.isDefaultSource(await marketData.getSession(order.simulationId))) {
+        continue; // Priced by its run's own provider
+      }
+
+      try {
+        if (order.stale) {
+          await prisma.order.update({
+            where: { id: order.id },
+            data: { stale: false }
+          });
+        }
+        await this.processOrder(order.id, null, tick.market);
+      } catch (error) {
+        console.error(`Error processing order ${order.id} on tick ${tick.seq}:`, error);
+        await this.rejectOrder(order.id, `Processing error: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Resolve the access token used to price each user's orders
+   * @param {Array<string>} userIds - User IDs
+   * @returns {Promise<Map<string, string>>} userId -> access token (users without one are omitted)
+   */
+  async getMarketDataTokens(userIds) {
+    const tokens = new Map();
+    if (userIds.length === 0) return tokens;
+
+    const records = await prisma.fyersToken.findMany({
+      where: {
+        userId: { in: userIds },
+        appId: process.env.FYERS_APP_ID
+      }
+    });
+
+    const now = new Date();
+    for (const record of records) {
+      if (!record.expiresAt || record.expiresAt > now) {
+        tokens.set(record.userId, record.accessToken);
+      }
+    }
+
+    const sharedToken = process.env.FYERS_DATA_ACCESS_TOKEN;
+    if (sharedToken) {
+      for (const userId of userIds) {
+        if (!tokens.has(userId)) {
+          tokens.set(userId, sharedToken);
+        }
+      }
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Mark orders stale because their user has no valid market data session
+   * @param {Array<Object>} orders - Orders to mark
+   */
+  async markStale(orders) {
+    for (const order of orders) {
+      if (order.stale) continue;
+
+      await prisma.order.update({
+        where: { id: order.id },
+        data: { stale: true }
+      });
+      await this.logEvent('order_stale', order.id, {
+        reason: 'No valid Fyers access token for market data'
+      });
+      console.log(`Paper order ${order.id} marked stale: no market data session for user ${order.userId}`);
+    }
+  }
+
   /**
    * Process a specific order
    * @param {string} orderId - Order ID
-   * @param {string} accessToken - Fyers access token
+   * @param {string|Object} accessToken - Fyers access token or market data session
+   * @param {Object} tickMarket - Optional snapshot of the tick being matched
+   * @param {Object} options - { afterLatency } when the order's latency has already passed
+   */
+  async processOrder(orderId, accessToken, tickMarket = null, options = {}) {
+    // The tick stream, the polling loop and submitOrder can reach the same order
+    if (this.activeOrders.has(orderId)) {
+      return;
+    }
+    this.activeOrders.set(orderId, Date.now());
+
+    try {
+      await this.matchOrder(orderId, accessToken, tickMarket, options);
+    } finally {
+      this.activeOrders.delete(orderId);
+    }
+  }
+
+  /**
+   * Match an order again once its slippage latency has passed. The price
+   * is sampled after the delay on a timer of its own, so a delayed order
+   * does not hold up the tick queue or the polling pass for other orders.
+   * @param {string} orderId - Order ID
+   * @param {string|Object} accessToken - Fyers access token or market data session
+   * @param {number} latencyMs - Delay before the price is sampled
+   */
+  scheduleLatentMatch(orderId, accessToken, latencyMs) {
+    if (this.latentOrders.has(orderId)) {
+      return; // Already waiting
+    }
+
+    const timer = setTimeout(() => {
+      this.latentOrders.delete(orderId);
+      this.processOrder(orderId, accessToken, null, { afterLatency: true }).catch(error => {
+        console.error(`Error matching order ${orderId} after latency:`, error);
+      });
+    }, latencyMs);
+    this.latentOrders.set(orderId, timer);
+  }
+
+  /**
+   * Match an order against the market and record its fills. With a
+   * slippage latency the match is deferred to scheduleLatentMatch.
+   * @param {string} orderId - Order ID
+   * @param {string|Object} accessToken - Fyers access token or market data session
+   * @param {Object} tickMarket - Optional snapshot of the tick being matched
+   * @param {Object} options - { afterLatency } when the order's latency has already passed
    */
-  async processOrder(orderId, accessToken) {
+  async matchOrder(orderId, accessToken, tickMarket, { afterLatency = false } = {}) {
     const order = await prisma.order.findUnique({
       where: { id: orderId }
     });
@@ -144,7 +426,7 @@ class PaperTradingEngine {
       return;
     }
 
-    if (order.state === 'filled' || order.state === 'cancelled' || order.state === 'rejected') {
+    if (TERMINAL_STATES.includes(order.state)) {
       return;
     }
 
@@ -156,87 +438,353 @@ class PaperTradingEngine {
       });
     }
 
+    let deferred = false;
+
     try {
       console.log(`Processing order ${orderId}: ${order.symbol}, type: ${order.type}, side: ${order.side}`);
-      
-      const fillPrice = await marketData.simulateFillPrice(
-        order.symbol,
-        order.side,
-        order.type,
-        order.limitPrice,
-        order.stopPrice,
-        accessToken
-      );
-
-      console.log(`Fill price for order ${orderId}: ${fillPrice}`);
-
-      if (fillPrice && fillPrice > 0) {
-        await this.fillOrder(orderId, fillPrice, order.qty);
-      } else if (order.type === 2) { // Market order should always fill
+
+      const remainingQty = order.qty - order.filledQty;
+      const symbolMeta = await symbolMaster.getSymbolMeta(order.symbol);
+
+      if (order.type === 5 && order.filledQty === 0) {
+        Object.assign(order, await this.updateTrailingStop(order, symbolMeta, accessToken, tickMarket));
+        if (!order.stopPrice) {
+          console.log(`Order ${orderId} waiting for a price to anchor its trailing stop`);
+          return;
+        }
+      }
+
+      const slippage = await slippageService.getConfig(order.userId, order.strategyId);
+
+      // Artificial latency: the price is sampled after the delay, not now
+      if (slippage.latencyMs > 0 && !afterLatency) {
+        this.scheduleLatentMatch(orderId, accessToken, slippage.latencyMs);
+        deferred = true;
+        return;
+      }
+      if (afterLatency) {
+        marketData.clearCache([order.symbol]);
+      }
+
+      const fills = await marketData.simulateFills({
+        symbol: order.symbol,
+        side: order.side,
+        type: this.getEffectiveOrderType(order),
+        qty: remainingQty,
+        limitPrice: order.limitPrice,
+        stopPrice: order.stopPrice,
+        lotSize: symbolMeta.lotSize,
+        tickSize: symbolMeta.tickSize
+      }, slippage, accessToken, tickMarket);
+
+      console.log(`Fills for order ${orderId}:`, fills);
+
+      if (fills.length > 0) {
+        for (const fill of fills) {
+          if (!(await this.isAllowedShort(order, symbolMeta, fill.qty))) {
+            await this.rejectOrder(orderId, `${order.productType} equity cannot be sold short; use INTRADAY to short`);
+            break;
+          }
+          const buyingPower = await paperAccount.checkBuyingPower(order, fill.price, fill.qty);
+          if (!buyingPower.ok) {
+            await this.rejectOrder(orderId, `Insufficient funds: requires ${buyingPower.required.toFixed(2)}, available ${buyingPower.available.toFixed(2)}`);
+            break;
+          }
+          await this.fillOrder(orderId, fill.price, fill.qty, {
+            model: slippage.model,
+            params: { ...slippage.params, latencyMs: slippage.latencyMs },
+            slippage: fill.slippage
+          });
+        }
+      } else if (order.type === 2 && order.filledQty === 0) { // Market order should always fill
         // If market order can't fill, reject it
         await this.rejectOrder(orderId, "Market order could not be filled - insufficient liquidity or market data unavailable");
       } else {
-        // For limit orders, it's normal to not fill immediately
+        // For limit orders and partially filled remainders, it's normal to not fill immediately
         console.log(`Order ${orderId} waiting for market conditions`);
       }
     } catch (error) {
       console.error(`Error processing order ${orderId}:`, error);
       await this.rejectOrder(orderId, `Processing error: ${error.message}`);
+    } finally {
+      // Immediate-or-cancel: whatever did not fill on the first pass is cancelled
+      if (order.validity === 'IOC' && !deferred) {
+        await this.cancelOrder(orderId, 'ioc_unfilled');
+      }
+    }
+  }
+
+  /**
+   * Get the order type used to price the unfilled remainder.
+   * Trailing stops trigger like SL-M orders. A stop that has already
+   * started filling was triggered, so its remainder keeps working as a
+   * market (SL-M) or limit (SL-L) order.
+   * @param {Object} order - Order
+   * @returns {number}
+   */
+  getEffectiveOrderType(order) {
+    if (order.type === 5) {
+      return order.filledQty > 0 ? 2 : 3;
+    }
+    if (order.filledQty > 0) {
+      if (order.type === 3) return 2;
+      if (order.type === 4) return 1;
+    }
+    return order.type;
+  }
+
+  /**
+   * Ratchet a trailing stop's trigger as LTP moves in the order's favour.
+   * A sell trailing stop follows the highest price seen, a buy trailing
+   * stop the lowest; the trigger only ever tightens.
+   * @param {Object} order - Trailing stop order
+   * @param {Object} symbolMeta - Symbol metadata for tick rounding
+   * @param {string|Object} accessToken - Fyers access token or market data session
+   * @param {Object} tickMarket - Optional snapshot of the tick being matched
+   * @returns {Promise<{trailAnchor: number, stopPrice: number}>}
+   */
+  async updateTrailingStop(order, symbolMeta, accessToken, tickMarket = null) {
+    const ltp = tickMarket?.ltp || await marketData.getLTP(order.symbol, accessToken);
+    if (!ltp) {
+      return { trailAnchor: order.trailAnchor, stopPrice: order.stopPrice };
+    }
+
+    const { trailAnchor, stopPrice, tightened } = this.computeTrailingStop(order, ltp, symbolMeta.tickSize);
+
+    if (tightened || trailAnchor !== order.trailAnchor) {
+      await prisma.order.update({
+        where: { id: order.id },
+        data: { trailAnchor, stopPrice }
+      });
+    }
+
+    if (tightened) {
+      await this.logEvent('trailing_stop_adjusted', order.id, {
+        previousStopPrice: order.stopPrice,
+        stopPrice,
+        trailAnchor,
+        ltp
+      });
     }
+
+    return { trailAnchor, stopPrice };
   }
 
   /**
-   * Fill an order
+   * Compute a trailing stop's anchor and trigger after a new price
+   * @param {Object} order - { side, trailAnchor, stopPrice, trailAmount, trailPercent }
+   * @param {number} ltp - Latest price
+   * @param {number} tickSize - Trigger is rounded to ticks
+   * @returns {{trailAnchor: number, stopPrice: number, tightened: boolean}}
+   */
+  computeTrailingStop(order, ltp, tickSize) {
+    const previousAnchor = order.trailAnchor ?? ltp;
+    const trailAnchor = order.side === -1 ? Math.max(previousAnchor, ltp) : Math.min(previousAnchor, ltp);
+    const distance = order.trailAmount || (trailAnchor * order.trailPercent) / 100;
+    const trigger = symbolMaster.roundToTick(trailAnchor + order.side * distance, tickSize);
+
+    const tightened = !order.stopPrice ||
+      (order.side === -1 ? trigger > order.stopPrice : trigger < order.stopPrice);
+
+    return { trailAnchor, stopPrice: tightened ? trigger : order.stopPrice, tightened };
+  }
+
+  /**
+   * Fill an order, fully or partially
    * @param {string} orderId - Order ID
    * @param {number} fillPrice - Fill price
    * @param {number} fillQty - Fill quantity
+   * @param {Object} slippage - Optional { model, params, slippage } recorded on the execution
    */
-  async fillOrder(orderId, fillPrice, fillQty) {
+  async fillOrder(orderId, fillPrice, fillQty, slippage = null) {
     const order = await prisma.order.findUnique({
-      where: { id: orderId }
+      where: { id: orderId },
+      include: { executions: true }
     });
 
     if (!order) return;
 
-    await prisma.$transaction(async (tx) => {
-      // Create execution record
-      const execution = await tx.execution.create({
-        data: {
-          orderId,
-          symbol: order.symbol,
-          price: fillPrice,
-          qty: fillQty,
-          side: order.side,
-          mode: 'paper'
-        }
-      });
+    const qty = Math.min(fillQty, order.qty - order.filledQty);
+    if (qty <= 0) return;
 
-      // Update order state
-      await tx.order.update({
-        where: { id: orderId },
-        data: {
-          state: 'filled',
-          filledAt: new Date()
-        }
-      });
+    const charges = await this.calculateCharges(order, fillPrice, qty);
 
-      // Update position
-      await this.updatePosition(tx, order.userId, order.symbol, order.side, fillQty, fillPrice);
+    const fill = await prisma.$transaction(async (tx) => {
+      return this.recordFill(tx, order, fillPrice, qty, charges, slippage);
+    });
+
+    await this.logFill(order, fillPrice, qty, charges, fill);
+  }
 
-      // Handle CO/BO orders
-      if (['CO', 'BO'].includes(order.productType)) {
-        await this.handleCOBOOrders(tx, order, fillPrice);
+  /**
+   * Record a fill inside a transaction: execution, FIFO ledger, order
+   * state, position, cash, CO/BO legs and one-cancels-other
+   * @param {Object} tx - Prisma transaction
+   * @param {Object} order - Order being filled, including its earlier executions
+   * @param {number} fillPrice - Fill price
+   * @param {number} qty - Fill quantity (already capped at the open quantity)
+   * @param {Object} charges - Charge breakdown from calculateCharges
+   * @param {Object} slippage - Optional { model, params, slippage } recorded on the execution
+   * @returns {Promise<{filledQty: number, isComplete: boolean, realizedPnl: number, ocoEvents: Array<Object>}>}
+   */
+  async recordFill(tx, order, fillPrice, qty, charges, slippage = null) {
+    const filledQty = order.filledQty + qty;
+    const avgFillPrice = ((order.avgFillPrice || 0) * order.filledQty + fillPrice * qty) / filledQty;
+    const isComplete = filledQty >= order.qty;
+    let ocoEvents = [];
+
+    // Create execution record
+    const execution = await tx.execution.create({
+      data: {
+        orderId: order.id,
+        symbol: order.symbol,
+        price: fillPrice,
+        qty,
+        side: order.side,
+        mode: 'paper',
+        charges,
+        totalCharges: charges.total,
+        slippageModel: slippage?.model || null,
+        slippageParams: slippage?.params || undefined,
+        slippage: slippage?.slippage || 0
+      }
+    });
+
+    // Match against open lots FIFO for realized P&L
+    const trades = await pnlLedger.recordExecution(tx, execution, order.userId, order.productType, order.simulationId);
+    const realizedPnl = trades.reduce((sum, trade) => sum + trade.grossPnl, 0);
+
+    // Update order state
+    await tx.order.update({
+      where: { id: order.id },
+      data: {
+        state: isComplete ? 'filled' : 'partial',
+        filledQty,
+        avgFillPrice,
+        filledAt: isComplete ? new Date() : null
       }
     });
 
+    // Update position
+    await this.updatePosition(tx, order, qty, fillPrice);
+
+    // Move cash for the fill and its charges, then refresh blocked margin
+    await paperAccount.applyFill(tx, order.userId, order.simulationId, order.side, qty, fillPrice, charges.total, realizedPnl);
+
+    // Handle CO/BO orders once the entry is complete
+    if (isComplete && this.isCOBOEntry(order)) {
+      await this.handleCOBOOrders(tx, { ...order, filledQty, avgFillPrice }, avgFillPrice);
+    }
+
+    // One-cancels-other: shrink or cancel the sibling legs
+    if (order.ocoGroupId) {
+      ocoEvents = await this.handleOcoFill(tx, order, filledQty);
+    }
+
+    return { filledQty, isComplete, realizedPnl, ocoEvents };
+  }
+
+  /**
+   * Log a committed fill and its one-cancels-other changes
+   * @param {Object} order - Order as it was before the fill
+   * @param {number} fillPrice - Fill price
+   * @param {number} qty - Fill quantity
+   * @param {Object} charges - Charge breakdown
+   * @param {Object} fill - Result of recordFill
+   */
+  async logFill(order, fillPrice, qty, charges, { filledQty, isComplete, realizedPnl, ocoEvents }) {
+    for (const event of ocoEvents) {
+      await this.logEvent(event.type, event.orderId, event.payload);
+    }
+
     // Log event
-    await this.logEvent('order_filled', orderId, {
+    await this.logEvent(isComplete ? 'order_filled' : 'order_partially_filled', order.id, {
       fillPrice,
-      fillQty,
+      fillQty: qty,
+      charges: charges.total,
+      realizedPnl,
+      filledQty,
+      remainingQty: order.qty - filledQty,
       symbol: order.symbol
     });
 
-    console.log(`Paper order ${orderId} filled at ${fillPrice} for ${fillQty} ${order.symbol}`);
+    console.log(`Paper order ${order.id} ${isComplete ? 'filled' : 'partially filled'} at ${fillPrice} for ${qty} ${order.symbol} (${filledQty}/${order.qty})`);
+  }
+
+  /**
+   * Calculate brokerage and statutory charges for a paper execution
+   * @param {Object} order - Order including its earlier executions
+   * @param {number} fillPrice - Fill price
+   * @param {number} qty - Fill quantity
+   * @returns {Promise<Object>} Charge breakdown
+   */
+  async calculateCharges(order, fillPrice, qty) {
+    const [symbolMeta, rates] = await Promise.all([
+      symbolMaster.getSymbolMeta(order.symbol),
+      chargesService.getRates(order.userId)
+    ]);
+
+    if (order.exitReason === 'expiry') {
+      return chargesService.calculateSettlement({
+        segment: symbolMeta.segment,
+        productType: order.productType,
+        side: order.side,
+        qty,
+        price: fillPrice
+      }, rates);
+    }
+
+    const executions = order.executions || [];
+
+    return chargesService.calculate({
+      segment: symbolMeta.segment,
+      productType: order.productType,
+      side: order.side,
+      qty,
+      price: fillPrice,
+      priorTurnover: executions.reduce((sum, exec) => sum + exec.price * exec.qty, 0),
+      priorBrokerage: executions.reduce((sum, exec) => sum + (exec.charges?.brokerage || 0), 0)
+    }, rates);
+  }
+
+  /**
+   * Close a paper position at its F&O settlement price through a
+   * settlement order and execution, so the result reaches the FIFO ledger,
+   * realized P&L and cash like any other fill. The order is created and
+   * filled in one transaction, so it never exists without its execution.
+   * Settlement charges apply only to orders marked here (exitReason), not
+   * to user orders that happen to carry the EXPIRY tag.
+   * @param {Object} position - Open paper position
+   * @param {number} price - Settlement price (0 for options expiring worthless)
+   * @returns {Promise<Object>} The settlement order
+   */
+  async settlePosition(position, price) {
+    const orderData = {
+      userId: position.userId,
+      simulationId: position.simulationId,
+      mode: 'paper',
+      side: position.qty > 0 ? -1 : 1,
+      type: 2,
+      productType: position.productType,
+      symbol: position.symbol,
+      qty: Math.abs(position.qty),
+      orderTag: SETTLEMENT_TAG,
+      exitReason: 'expiry'
+    };
+    const charges = await this.calculateCharges(orderData, price, orderData.qty);
+
+    let fill;
+    const order = await prisma.$transaction(async (tx) => {
+      // Created outside the open states so the matching loop never picks it up
+      const created = await tx.order.create({
+        data: { ...orderData, state: 'filled' }
+      });
+      fill = await this.recordFill(tx, created, price, created.qty, charges);
+      return created;
+    });
+
+    await this.logFill(order, price, order.qty, charges, fill);
+    return order;
   }
 
   /**
@@ -257,11 +805,32 @@ class PaperTradingEngine {
   }
 
   /**
-   * Cancel an order
+   * Expire a DAY order whose session has closed. Any quantity already
+   * filled stays filled; only the remainder lapses.
+   * @param {string} orderId - Order ID
+   */
+  async expireOrder(orderId) {
+    const order = await prisma.order.update({
+      where: { id: orderId },
+      data: { state: 'expired' }
+    });
+
+    await this.logEvent('order_expired', orderId, {
+      reason: 'session_closed',
+      validity: order.validity,
+      filledQty: order.filledQty,
+      unfilledQty: order.qty - order.filledQty
+    });
+    console.log(`Paper order ${orderId} expired at session close`);
+  }
+
+  /**
+   * Cancel an order, cascading to any open CO/BO legs
    * @param {string} orderId - Order ID
+   * @param {string} reason - Optional cancellation reason
    * @returns {Promise<boolean>}
    */
-  async cancelOrder(orderId) {
+  async cancelOrder(orderId, reason = null) {
     const order = await prisma.order.findUnique({
       where: { id: orderId }
     });
@@ -270,156 +839,303 @@ class PaperTradingEngine {
       return false;
     }
 
-    if (['filled', 'cancelled', 'rejected'].includes(order.state)) {
-      return false;
+    let cancelled = false;
+
+    if (!TERMINAL_STATES.includes(order.state)) {
+      await prisma.order.update({
+        where: { id: orderId },
+        data: { state: 'cancelled' }
+      });
+
+      await this.logEvent('order_cancelled', orderId, reason ? { reason } : {});
+      console.log(`Paper order ${orderId} cancelled`);
+      cancelled = true;
     }
 
-    await prisma.order.update({
-      where: { id: orderId },
-      data: { state: 'cancelled' }
+    // Cancelling the parent takes its stop-loss and take-profit legs with it
+    const children = await prisma.order.findMany({
+      where: {
+        parentOrderId: orderId,
+        state: { in: ['new', 'working', 'partial'] }
+      }
     });
 
-    await this.logEvent('order_cancelled', orderId, {});
-    console.log(`Paper order ${orderId} cancelled`);
-    return true;
+    for (const child of children) {
+      if (await this.cancelOrder(child.id, 'parent_cancelled')) {
+        cancelled = true;
+      }
+    }
+
+    return cancelled;
   }
 
   /**
-   * Update position after fill
+   * Apply one-cancels-other to the siblings of a filled leg.
+   * While the leg is partially filled, siblings are resized to cover
+   * only the quantity the leg has not yet closed; once it is complete
+   * they are cancelled.
    * @param {Object} tx - Prisma transaction
-   * @param {string} userId - User ID
-   * @param {string} symbol - Symbol
-   * @param {number} side - 1 for buy, -1 for sell
+   * @param {Object} order - Leg that received the fill
+   * @param {number} filledQty - Leg's cumulative filled quantity
+   * @returns {Promise<Array<Object>>} Events to log after commit
+   */
+  async handleOcoFill(tx, order, filledQty) {
+    const events = [];
+    const siblings = await tx.order.findMany({
+      where: {
+        ocoGroupId: order.ocoGroupId,
+        id: { not: order.id },
+        state: { in: ['new', 'working', 'partial'] }
+      }
+    });
+
+    const openQty = order.qty - filledQty;
+
+    for (const sibling of siblings) {
+      const siblingQty = sibling.filledQty + openQty;
+
+      if (openQty <= 0 || siblingQty <= sibling.filledQty) {
+        await tx.order.update({
+          where: { id: sibling.id },
+          data: { state: 'cancelled' }
+        });
+        events.push({
+          type: 'order_cancelled',
+          orderId: sibling.id,
+          payload: { reason: 'oco_sibling_filled', siblingOrderId: order.id }
+        });
+      } else if (siblingQty !== sibling.qty) {
+        await tx.order.update({
+          where: { id: sibling.id },
+          data: { qty: siblingQty }
+        });
+        events.push({
+          type: 'order_modified',
+          orderId: sibling.id,
+          payload: { reason: 'oco_sibling_partially_filled', siblingOrderId: order.id, qty: siblingQty }
+        });
+      }
+    }
+
+    return events;
+  }
+
+  /**
+   * Update the position in the order's simulation run after a fill.
+   * Runs after the fill is recorded in the ledger.
+   * @param {Object} tx - Prisma transaction
+   * @param {Object} order - Filled order ({ userId, simulationId, symbol, side, productType })
    * @param {number} qty - Quantity
    * @param {number} price - Price
    */
-  async updatePosition(tx, userId, symbol, side, qty, price) {
+  async updatePosition(tx, order, qty, price) {
+    const { userId, simulationId, symbol, side, productType } = order;
     const existingPosition = await tx.position.findUnique({
       where: {
-        userId_symbol_mode: {
+        userId_symbol_mode_productType_simulationId: {
           userId,
           symbol,
-          mode: 'paper'
+          mode: 'paper',
+          productType,
+          simulationId
         }
       }
     });
 
+    const next = this.computePosition(existingPosition, side, qty, price);
+
+    // Keep the average on the ledger's FIFO basis, so realized P&L from the
+    // closed lots plus MTM on the open ones adds up after a partial exit
+    if (next.qty !== 0) {
+      const lots = await tx.positionLot.findMany({
+        where: { userId, symbol, mode: 'paper', productType, simulationId, qty: { gt: 0 } }
+      });
+      if (lots.reduce((sum, lot) => sum + lot.side * lot.qty, 0) === next.qty) {
+        next.avgPrice = pnlLedger.getAveragePrice(lots);
+      }
+    }
+
     if (existingPosition) {
-      const newQty = existingPosition.qty + (side * qty);
-      
-      if (newQty === 0) {
+      if (next.qty === 0) {
         // Close position
         await tx.position.delete({
           where: { id: existingPosition.id }
         });
       } else {
-        // Update position
-        const newAvgPrice = ((existingPosition.qty * existingPosition.avgPrice) + (side * qty * price)) / Math.abs(newQty);
-        
+        // Update position (add, reduce or flip)
         await tx.position.update({
           where: { id: existingPosition.id },
           data: {
-            qty: newQty,
-            avgPrice: newAvgPrice,
+            qty: next.qty,
+            avgPrice: next.avgPrice,
             updatedAt: new Date()
           }
         });
       }
-    } else if (side * qty > 0) {
-      // Create new position
+    } else {
+      // Create new long or short position
       await tx.position.create({
         data: {
           userId,
           symbol,
-          qty: side * qty,
-          avgPrice: price,
-          mode: 'paper'
+          qty: next.qty,
+          avgPrice: next.avgPrice,
+          mode: 'paper',
+          simulationId,
+          productType
         }
       });
     }
   }
 
+  /**
+   * Compute a position's quantity and average price after a fill.
+   * Adding to a position averages in the fill; reducing keeps the average;
+   * crossing through zero flips the position and the remainder opens the
+   * new side at the fill price. Callers holding FIFO lots replace the
+   * average after a reduction with the lots' (pnlLedger.getAveragePrice).
+   * @param {Object|null} position - Current position ({ qty, avgPrice }) or null
+   * @param {number} side - 1 for buy, -1 for sell
+   * @param {number} qty - Fill quantity
+   * @param {number} price - Fill price
+   * @returns {{qty: number, avgPrice: number}}
+   */
+  computePosition(position, side, qty, price) {
+    const currentQty = position?.qty || 0;
+    const newQty = currentQty + side * qty;
+
+    if (currentQty === 0 || Math.sign(currentQty) === side) {
+      const avgPrice = ((Math.abs(currentQty) * (position?.avgPrice || 0)) + qty * price) / Math.abs(newQty);
+      return { qty: newQty, avgPrice };
+    }
+
+    if (newQty === 0 || Math.sign(newQty) === Math.sign(currentQty)) {
+      return { qty: newQty, avgPrice: position.avgPrice };
+    }
+
+    return { qty: newQty, avgPrice: price };
+  }
+
+  /**
+   * Check that a sell does not take a delivery (CNC/MTF) equity position
+   * short. Intraday products and F&O may go short.
+   * @param {Object} order - Order being filled
+   * @param {Object} symbolMeta - Symbol metadata
+   * @param {number} qty - Fill quantity
+   * @returns {Promise<boolean>}
+   */
+  async isAllowedShort(order, symbolMeta, qty) {
+    if (order.side !== -1 || symbolMeta.segment !== 'EQ' || !['CNC', 'MTF'].includes(order.productType)) {
+      return true;
+    }
+
+    const position = await prisma.position.findUnique({
+      where: {
+        userId_symbol_mode_productType_simulationId: {
+          userId: order.userId,
+          symbol: order.symbol,
+          mode: 'paper',
+          productType: order.productType,
+          simulationId: order.simulationId
+        }
+      }
+    });
+
+    return (position?.qty || 0) - qty >= 0;
+  }
+
+  /**
+   * Check whether an order is a CO/BO entry that gets stop-loss (and
+   * take-profit) legs when it fills. Legs, exits placed by the engine
+   * (square-off, settlement) and entries without a stop-loss get none.
+   * @param {Object} order - { productType, parentOrderId, exitReason, stopLoss, takeProfit }
+   * @returns {boolean}
+   */
+  isCOBOEntry(order) {
+    if (!['CO', 'BO'].includes(order.productType) || order.parentOrderId || order.exitReason) {
+      return false;
+    }
+    return order.stopLoss > 0 && (order.productType === 'CO' || order.takeProfit > 0);
+  }
+
   /**
    * Handle CO/BO order logic
+   * Legs are linked to the entry via parentOrderId; BO legs also share an
+   * ocoGroupId so that whichever fills first cancels the other. A BO with
+   * trailAmount/trailPercent gets a trailing stop as its stop-loss leg.
    * @param {Object} tx - Prisma transaction
    * @param {Object} parentOrder - Parent order
    * @param {number} fillPrice - Fill price
    */
   async handleCOBOOrders(tx, parentOrder, fillPrice) {
+    const legDefaults = {
+      userId: parentOrder.userId,
+      mode: 'paper',
+      simulationId: parentOrder.simulationId,
+      side: -parentOrder.side, // Opposite side
+      productType: parentOrder.productType, // Legs close the CO/BO position
+      symbol: parentOrder.symbol,
+      qty: parentOrder.filledQty || parentOrder.qty,
+      validity: 'DAY',
+      state: 'new',
+      strategyId: parentOrder.strategyId,
+      alertId: parentOrder.alertId,
+      parentOrderId: parentOrder.id
+    };
+
+    // Stop loss leg (SL-M)
+    const stopPrice = fillPrice - (parentOrder.side * parentOrder.stopLoss);
+
     if (parentOrder.productType === 'CO') {
-      // Create stop loss order
-      const stopPrice = fillPrice - (parentOrder.side * parentOrder.stopLoss);
-      
       await tx.order.create({
         data: {
-          userId: parentOrder.userId,
-          mode: 'paper',
-          side: -parentOrder.side, // Opposite side
-          type: 2, // Market order
-          productType: 'INTRADAY',
-          symbol: parentOrder.symbol,
-          qty: parentOrder.qty,
-          stopPrice: stopPrice,
-          validity: 'DAY',
-          state: 'new',
-          strategyId: parentOrder.strategyId,
-          alertId: parentOrder.alertId
+          ...legDefaults,
+          type: 3,
+          stopPrice: stopPrice
         }
       });
     } else if (parentOrder.productType === 'BO') {
-      // Create stop loss and take profit orders
-      const stopPrice = fillPrice - (parentOrder.side * parentOrder.stopLoss);
       const targetPrice = fillPrice + (parentOrder.side * parentOrder.takeProfit);
-      
-      // Stop loss order
+
+      const trailing = parentOrder.trailAmount || parentOrder.trailPercent;
+
       await tx.order.create({
         data: {
-          userId: parentOrder.userId,
-          mode: 'paper',
-          side: -parentOrder.side,
-          type: 2, // Market order
-          productType: 'INTRADAY',
-          symbol: parentOrder.symbol,
-          qty: parentOrder.qty,
+          ...legDefaults,
+          type: trailing ? 5 : 3,
           stopPrice: stopPrice,
-          validity: 'DAY',
-          state: 'new',
-          strategyId: parentOrder.strategyId,
-          alertId: parentOrder.alertId
+          trailAmount: parentOrder.trailAmount,
+          trailPercent: parentOrder.trailPercent,
+          trailAnchor: trailing ? fillPrice : null,
+          ocoGroupId: parentOrder.id
         }
       });
 
-      // Take profit order
+      // Take profit leg
       await tx.order.create({
         data: {
-          userId: parentOrder.userId,
-          mode: 'paper',
-          side: -parentOrder.side,
+          ...legDefaults,
           type: 1, // Limit order
-          productType: 'INTRADAY',
-          symbol: parentOrder.symbol,
-          qty: parentOrder.qty,
           limitPrice: targetPrice,
-          validity: 'DAY',
-          state: 'new',
-          strategyId: parentOrder.strategyId,
-          alertId: parentOrder.alertId
+          ocoGroupId: parentOrder.id
         }
       });
     }
   }
 
   /**
-   * Calculate portfolio PnL
+   * Calculate a simulation run's portfolio PnL
    * @param {string} userId - User ID
+   * @param {string} simulationId - Simulation ID
    * @param {string} accessToken - Fyers access token
    */
-  async calculatePortfolioPnL(userId, accessToken) {
+  async calculatePortfolioPnL(userId, simulationId, accessToken) {
     try {
       const positions = await prisma.position.findMany({
         where: {
           userId,
-          mode: 'paper'
+          mode: 'paper',
+          simulationId
         }
       });
 
@@ -427,12 +1143,12 @@ class PaperTradingEngine {
       const symbols = positions.map(p => p.symbol);
 
       if (symbols.length > 0) {
-        const quotes = await marketData.getQuotes(symbols, accessToken);
+        const session = await marketData.getSession(simulationId, accessToken);
+        const quotes = await marketData.getQuotes(symbols, session);
         
         for (const position of positions) {
-          const symbolData = quotes?.d?.[position.symbol];
-          if (symbolData?.v?.lp) {
-            const currentPrice = symbolData.v.lp;
+          const currentPrice = quotes[position.symbol]?.ltp;
+          if (currentPrice) {
             const mtm = (currentPrice - position.avgPrice) * position.qty;
             
             await prisma.position.update({
@@ -445,22 +1161,16 @@ class PaperTradingEngine {
         }
       }
 
+      // Total P&L = realized (FIFO) + unrealized + dividends - all charges paid
+      const portfolio = await paperAccount.ensurePortfolio(prisma, userId, simulationId);
+      totalPnL += (portfolio.realizedPnl || 0) + (portfolio.dividends || 0) - (portfolio.totalCharges || 0);
+
       // Update portfolio
-      await prisma.portfolio.upsert({
-        where: {
-          userId_mode: {
-            userId,
-            mode: 'paper'
-          }
-        },
-        update: {
+      await prisma.portfolio.update({
+        where: { id: portfolio.id },
+        data: {
           totalPnl: totalPnL,
           updatedAt: new Date()
-        },
-        create: {
-          userId,
-          mode: 'paper',
-          totalPnl: totalPnL
         }
       });
 
@@ -500,7 +1210,12 @@ class PaperTradingEngine {
     return {
       isRunning: !!this.processingInterval,
       activeOrders: this.activeOrders.size,
-      isProcessing: this.isProcessing
+      latentOrders: this.latentOrders.size,
+      isProcessing: this.isProcessing,
+      matching: tickStream.isConnected() ? 'stream' : 'polling',
+      pendingTicks: this.pendingTicks,
+      droppedTicks: this.droppedTicks,
+      tickStream: tickStream.getStats()
     };
   }
 }
@@ -0,0 +1,186 @@
+// File: Realized P&L Ledger (FIFO lot matching)
+// Path: server/services/pnlLedger.js
+
+const { prisma } = require("../prisma/client");
+
+class PnlLedgerService {
+  /**
+   * Match a fill against open lots first-in, first-out
+   * @param {Array<Object>} lots - Open lots oldest first ({ side, qty, price, chargesPerUnit, openedAt, executionId })
+   * @param {Object} fill - { side, qty, price, chargesPerUnit, timestamp, executionId }
+   * @returns {{lots: Array<Object>, trades: Array<Object>, opened: Object|null}}
+   *   lots: the input lots with reduced qty, trades: closed round trips,
+   *   opened: a new lot for any quantity left over after closing
+   */
+  matchFifo(lots, fill) {
+    const updatedLots = lots.map(lot => ({ ...lot }));
+    const trades = [];
+    let remaining = fill.qty;
+
+    for (const lot of updatedLots) {
+      if (remaining <= 0) break;
+      if (lot.side !== -fill.side || lot.qty <= 0) continue;
+
+      const qty = Math.min(lot.qty, remaining);
+      const grossPnl = (fill.price - lot.price) * qty * lot.side;
+      const charges = qty * ((lot.chargesPerUnit || 0) + (fill.chargesPerUnit || 0));
+
+      trades.push({
+        side: lot.side,
+        qty,
+        entryPrice: lot.price,
+        exitPrice: fill.price,
+        entryTime: lot.openedAt,
+        exitTime: fill.timestamp,
+        entryExecutionId: lot.executionId,
+        exitExecutionId: fill.executionId,
+        grossPnl,
+        charges,
+        netPnl: grossPnl - charges
+      });
+
+      lot.qty -= qty;
+      remaining -= qty;
+    }
+
+    const opened = remaining > 0
+      ? {
+          side: fill.side,
+          qty: remaining,
+          openQty: remaining,
+          price: fill.price,
+          chargesPerUnit: fill.chargesPerUnit || 0,
+          openedAt: fill.timestamp,
+          executionId: fill.executionId
+        }
+      : null;
+
+    return { lots: updatedLots, trades, opened };
+  }
+
+  /**
+   * Average price of open lots, the FIFO cost basis of what is still held
+   * @param {Array<Object>} lots - Open lots ({ qty, price })
+   * @returns {number|null} null when no quantity is open
+   */
+  getAveragePrice(lots) {
+    const qty = lots.reduce((sum, lot) => sum + Math.max(0, lot.qty), 0);
+    if (qty === 0) return null;
+    return lots.reduce((sum, lot) => sum + Math.max(0, lot.qty) * lot.price, 0) / qty;
+  }
+
+  /**
+   * Record an execution in the ledger: close open lots FIFO and store each
+   * closed quantity as a round-trip trade, opening a lot for the rest
+   * @param {Object} tx - Prisma transaction
+   * @param {Object} execution - Execution row
+   * @param {string} userId - User ID
+   * @param {string} productType - Order product type; lots are matched per product, like positions
+   * @param {string} simulationId - Simulation run of a paper execution (null for live)
+   * @returns {Promise<Array<Object>>} Trades created
+   */
+  async recordExecution(tx, execution, userId, productType, simulationId = null) {
+    const openLots = await tx.positionLot.findMany({
+      where: {
+        userId,
+        symbol: execution.symbol,
+        mode: execution.mode,
+        productType,
+        simulationId,
+        qty: { gt: 0 }
+      },
+      orderBy: { openedAt: 'asc' }
+    });
+
+    const { lots, trades, opened } = this.matchFifo(openLots, {
+      side: execution.side,
+      qty: execution.qty,
+      price: execution.price,
+      chargesPerUnit: execution.qty > 0 ? (execution.totalCharges || 0) / execution.qty : 0,
+      timestamp: execution.timestamp,
+      executionId: execution.id
+    });
+
+    for (const lot of lots) {
+      const original = openLots.find(l => l.id === lot.id);
+      if (original && original.qty !== lot.qty) {
+        await tx.positionLot.update({
+          where: { id: lot.id },
+          data: { qty: lot.qty }
+        });
+      }
+    }
+
+    const created = [];
+    for (const trade of trades) {
+      created.push(await tx.trade.create({
+        data: {
+          userId,
+          symbol: execution.symbol,
+          mode: execution.mode,
+          productType,
+          simulationId,
+          ...trade
+        }
+      }));
+    }
+
+    if (opened) {
+      await tx.positionLot.create({
+        data: {
+          userId,
+          symbol: execution.symbol,
+          mode: execution.mode,
+          productType,
+          simulationId,
+          ...opened
+        }
+      });
+    }
+
+    return created;
+  }
+
+  /**
+   * Summarize round-trip trades
+   * @param {string} userId - User ID
+   * @param {string} mode - paper|live
+   * @param {Object} range - Optional { from, to } on exit time and { simulationId } for one paper run
+   * @returns {Promise<{totalTrades: number, winningTrades: number, losingTrades: number, grossPnl: number, charges: number, netPnl: number}>}
+   */
+  async getTradeStats(userId, mode, range = {}) {
+    const exitTime = {};
+    if (range.from) exitTime.gte = range.from;
+    if (range.to) exitTime.lte = range.to;
+
+    const trades = await prisma.trade.findMany({
+      where: {
+        userId,
+        mode,
+        ...(range.simulationId ? { simulationId: range.simulationId } : {}),
+        ...(Object.keys(exitTime).length ? { exitTime } : {})
+      }
+    });
+
+    return this.summarizeTrades(trades);
+  }
+
+  /**
+   * Summarize a list of trades
+   * @param {Array<Object>} trades - Round-trip trades
+   * @returns {Object}
+   */
+  summarizeTrades(trades) {
+    return trades.reduce((stats, trade) => {
+      stats.totalTrades++;
+      if (trade.netPnl > 0) stats.winningTrades++;
+      else if (trade.netPnl < 0) stats.losingTrades++;
+      stats.grossPnl += trade.grossPnl;
+      stats.charges += trade.charges;
+      stats.netPnl += trade.netPnl;
+      return stats;
+    }, { totalTrades: 0, winningTrades: 0, losingTrades: 0, grossPnl: 0, charges: 0, netPnl: 0 });
+  }
+}
+
+module.exports = new PnlLedgerService();
@@ -0,0 +1,384 @@
+// File: Replay Market Data Provider
+// Path: server/services/replayDataProvider.js
+//
+// Serves quotes, depth, history and socket ticks from recorded files on a
+// replay clock, so the paper stack runs without a Fyers session (weekends,
+// tests). Each symbol reads NSE_SBIN-EQ.jsonl (recorded ticks) or, failing
+// that, NSE_SBIN-EQ.csv (OHLCV candles walked open -> low/high -> close).
+
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const candleFiles = require('./candleFiles');
+const marketCalendar = require('./marketCalendar');
+
+const DEFAULT_REPLAY_DIR = path.join(__dirname, '..', 'data', 'ohlcv');
+const DEPTH_LEVELS = 5;
+const DEFAULT_CANDLE_MS = 60 * 1000;
+
+class ReplayDataProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.dir - Data directory (MARKET_REPLAY_DIR, else BACKTEST_DATA_DIR)
+   * @param {number} options.speed - Replay seconds per wall-clock second (MARKET_REPLAY_SPEED, default 1; 0 pauses)
+   * @param {string|Date} options.from - Replay start (MARKET_REPLAY_FROM, else the first recorded point)
+   * @param {string|Date} options.startedAt - Wall-clock time the replay clock started (default now)
+   * @param {number} options.tickIntervalMs - How often the socket publishes (MARKET_REPLAY_TICK_MS, default 1000)
+   */
+  constructor(options = {}) {
+    const from = options.from || process.env.MARKET_REPLAY_FROM;
+
+    this.name = 'replay';
+    this.requiresToken = false;
+    this.dir = options.dir || process.env.MARKET_REPLAY_DIR || process.env.BACKTEST_DATA_DIR || DEFAULT_REPLAY_DIR;
+    this.speed = Number(options.speed ?? process.env.MARKET_REPLAY_SPEED ?? 1);
+    this.from = from ? new Date(from) : null;
+    this.startedAt = options.startedAt ? new Date(options.startedAt).getTime() : Date.now();
+    this.tickIntervalMs = Number(options.tickIntervalMs || process.env.MARKET_REPLAY_TICK_MS || 1000);
+    this.series = new Map(); // symbol -> { points, candles } or null when there is no file
+
+    if (this.from && isNaN(this.from.getTime())) {
+      throw new Error(`Invalid replay start: ${from}`);
+    }
+    if (!(this.speed >= 0)) {
+      throw new Error(`Invalid replay speed: ${options.speed ?? process.env.MARKET_REPLAY_SPEED}`);
+    }
+  }
+
+  /**
+   * Current replay time. Until a start is configured or the first file is
+   * loaded, this is the wall clock.
+   * @returns {Date}
+   */
+  now() {
+    if (!this.from) return new Date();
+    return new Date(this.from.getTime() + (Date.now() - this.startedAt) * this.speed);
+  }
+
+  /**
+   * Load a symbol's recorded ticks or candles
+   * @param {string} symbol
+   * @returns {{points: Array<Object>, candles: Array<Object>}|null}
+   */
+  loadSeries(symbol) {
+    if (this.series.has(symbol)) {
+      return this.series.get(symbol);
+    }
+
+    let series = null;
+    try {
+      const ticksFile = path.join(this.dir, candleFiles.getFileName(symbol, '.jsonl'));
+      const candlesFile = path.join(this.dir, candleFiles.getFileName(symbol, '.csv'));
+
+      if (fs.existsSync(ticksFile)) {
+        const points = this.parseTicks(fs.readFileSync(ticksFile, 'utf8'), symbol);
+        series = { points, candles: points.map(p => ({ time: p.time, open: p.ltp, high: p.ltp, low: p.ltp, close: p.ltp, volume: 0 })) };
+      } else if (fs.existsSync(candlesFile)) {
+        const candles = candleFiles.parseCsv(fs.readFileSync(candlesFile, 'utf8'), symbol, {}, path.basename(candlesFile));
+        series = { points: this.candlesToPoints(candles), candles };
+      }
+    } catch (error) {
+      console.error(`Error loading replay data for ${symbol}:`, error.message);
+    }
+
+    // Without a configured start, the clock starts at the first data loaded
+    if (!this.from && series?.points.length) {
+      this.from = series.points[0].time;
+      this.startedAt = Date.now();
+    }
+
+    this.series.set(symbol, series);
+    return series;
+  }
+
+  /**
+   * Parse recorded ticks, one JSON object per line:
+   * { time, ltp, bid, ask, volume, bids: [{ price, volume }], asks: [...] }.
+   * Fyers socket fields (bid_price, ask_price, vol_traded_today,
+   * bid_price1..5/bid_size1..5) are accepted too.
+   * @param {string} content - JSONL text
+   * @param {string} symbol
+   * @returns {Array<Object>} Points sorted by time
+   */
+  parseTicks(content, symbol) {
+    const points = [];
+    let depth = { bids: [], asks: [] };
+
+    for (const line of content.split(/\r?\n/)) {
+      if (!line.trim()) continue;
+
+      let tick;
+      try {
+        tick = JSON.parse(line);
+      } catch (error) {
+        continue; // Skip malformed lines
+      }
+
+      const time = candleFiles.parseTimestamp(tick.time ?? tick.timestamp ?? tick.exch_feed_time, symbol);
+      if (!time) continue;
+
+      // Depth-only records update the ladder carried by later quotes
+      if (tick.bids || tick.asks || tick.bid_price1 !== undefined) {
+        depth = {
+          bids: tick.bids || this.parseLevels(tick, 'bid'),
+          asks: tick.asks || this.parseLevels(tick, 'ask')
+        };
+      }
+
+      const ltp = Number(tick.ltp ?? tick.lp);
+      if (!(ltp > 0)) continue;
+
+      points.push({
+        time,
+        ltp,
+        bid: Number(tick.bid ?? tick.bid_price) || 0,
+        ask: Number(tick.ask ?? tick.ask_price) || 0,
+        volume: Number(tick.volume ?? tick.vol_traded_today) || 0,
+        depth
+      });
+    }
+
+    return points.sort((a, b) => a.time - b.time);
+  }
+
+  /**
+   * Read bid_price1..5/bid_size1..5 style levels
+   * @param {Object} tick
+   * @param {string} side - bid or ask
+   * @returns {Array<{price: number, volume: number}>}
+   */
+  parseLevels(tick, side) {
+    const levels = [];
+    for (let i = 1; i <= DEPTH_LEVELS; i++) {
+      if (tick[`${side}_price${i}`] > 0) {
+        levels.push({ price: tick[`${side}_price${i}`], volume: tick[`${side}_size${i}`] || 0 });
+      }
+    }
+    return levels;
+  }
+
+  /**
+   * Turn candles into a price path: open, then the nearer extreme, the
+   * other extreme and the close, spread evenly over the candle. Volume
+   * accumulates through the IST day.
+   * @param {Array<Object>} candles - Sorted candles
+   * @returns {Array<Object>} Points sorted by time
+   */
+  candlesToPoints(candles) {
+    const points = [];
+    let day = null;
+    let dayVolume = 0;
+    let duration = DEFAULT_CANDLE_MS;
+
+    candles.forEach((candle, i) => {
+      const date = marketCalendar.getISTClock(candle.time).date;
+      if (date !== day) {
+        day = date;
+        dayVolume = 0;
+      }
+
+      const next = candles[i + 1];
+      if (next && marketCalendar.getISTClock(next.time).date === date && next.time > candle.time) {
+        duration = next.time - candle.time;
+      }
+
+      const prices = candle.close >= candle.open
+        ? [candle.open, candle.low, candle.high, candle.close]
+        : [candle.open, candle.high, candle.low, candle.close];
+
+      prices.forEach((ltp, k) => {
+        dayVolume += candle.volume / prices.length;
+        points.push({
+          time: new Date(candle.time.getTime() + (duration * k) / prices.length),
+          ltp,
+          bid: 0,
+          ask: 0,
+          volume: Math.round(dayVolume),
+          depth: { bids: [], asks: [] }
+        });
+      });
+    });
+
+    return points;
+  }
+
+  /**
+   * Quote for a symbol at a replay time: the last point at or before it
+   * @param {string} symbol
+   * @param {Date} time
+   * @returns {{ltp: number, bid: number, ask: number, volume: number, depth: Object, timestamp: number}|null}
+   */
+  getQuote(symbol, time = this.now()) {
+    const points = this.loadSeries(symbol)?.points;
+    if (!points?.length || points[0].time > time) {
+      return null;
+    }
+
+    // Binary search for the last point not after the replay time
+    let lo = 0;
+    let hi = points.length - 1;
+    while (lo < hi) {
+      const mid = Math.ceil((lo + hi) / 2);
+      if (points[mid].time <= time) lo = mid;
+      else hi = mid - 1;
+    }
+
+    const point = points[lo];
+    return {
+      ltp: point.ltp,
+      bid: point.bid,
+      ask: point.ask,
+      volume: point.volume,
+      depth: { bids: [...point.depth.bids], asks: [...point.depth.asks] },
+      timestamp: point.time.getTime()
+    };
+  }
+
+  /**
+   * Get quotes for symbols at the current replay time
+   * @param {Array<string>} symbols
+   * @returns {Promise<Object>} symbol -> quote (symbols without data are omitted)
+   */
+  async getQuotes(symbols) {
+    const now = this.now();
+    const quotes = {};
+    for (const symbol of symbols) {
+      const quote = this.getQuote(symbol, now);
+      if (quote) quotes[symbol] = quote;
+    }
+    return quotes;
+  }
+
+  /**
+   * Get recorded candles up to the replay time, aggregated to the resolution
+   * @param {string} symbol
+   * @param {Object} range - { resolution: 'D' or minutes, from: 'YYYY-MM-DD', to: 'YYYY-MM-DD' }
+   * @returns {Promise<Array<{time: Date, open: number, high: number, low: number, close: number, volume: number}>>}
+   */
+  async getHistory(symbol, { resolution = 'D', from, to }) {
+    const candles = this.loadSeries(symbol)?.candles || [];
+    const start = from ? marketCalendar.toDate(from, '00:00') : new Date(0);
+    const end = new Date(Math.min(
+      to ? marketCalendar.toDate(marketCalendar.addDays(to, 1), '00:00').getTime() - 1 : Infinity,
+      this.now().getTime()
+    ));
+
+    const bucketOf = String(resolution).toUpperCase() === 'D'
+      ? (time) => marketCalendar.getISTClock(time).date
+      : (time) => Math.floor(time.getTime() / (Number(resolution) * 60 * 1000));
+
+    const bars = new Map();
+    for (const candle of candles) {
+      if (candle.time < start || candle.time > end) continue;
+
+      const key = bucketOf(candle.time);
+      const bar = bars.get(key);
+      if (!bar) {
+        bars.set(key, { ...candle });
+      } else {
+        bar.high = Math.max(bar.high, candle.high);
+        bar.low = Math.min(bar.low, candle.low);
+        bar.close = candle.close;
+        bar.volume += candle.volume;
+      }
+    }
+
+    return [...bars.values()].map(({ time, open, high, low, close, volume }) => ({ time, open, high, low, close, volume }));
+  }
+
+  /**
+   * Create a socket that publishes replayed ticks in the Fyers socket
+   * message format
+   * @returns {ReplaySocket}
+   */
+  createSocket() {
+    return new ReplaySocket(this);
+  }
+}
+
+/**
+ * Stand-in for the Fyers data socket: publishes quote ("sf") and depth
+ * ("dp") messages for subscribed symbols whenever their replayed point changes
+ */
+class ReplaySocket extends EventEmitter {
+  constructor(provider) {
+    super();
+    this.provider = provider;
+    this.FullMode = 1;
+    this.LiteMode = 2;
+    this.quoteSymbols = new Set();
+    this.depthSymbols = new Set();
+    this.published = new Map(); // symbol -> timestamp of the last published point
+    this.timer = null;
+  }
+
+  connect() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.publish(), this.provider.tickIntervalMs);
+    setImmediate(() => this.emit('connect'));
+  }
+
+  autoreconnect() {
+    // A replay never drops
+  }
+
+  mode() {
+    // Every message carries full quote fields
+  }
+
+  subscribe(symbols, depth = false) {
+    const target = depth ? this.depthSymbols : this.quoteSymbols;
+    for (const symbol of symbols) target.add(symbol);
+  }
+
+  unsubscribe(symbols, depth = false) {
+    const target = depth ? this.depthSymbols : this.quoteSymbols;
+    for (const symbol of symbols) {
+      target.delete(symbol);
+      this.published.delete(symbol);
+    }
+  }
+
+  close() {
+    if (!this.timer) return;
+    clearInterval(this.timer);
+    this.timer = null;
+    this.emit('close');
+  }
+
+  publish() {
+    const now = this.provider.now();
+
+    for (const symbol of new Set([...this.quoteSymbols, ...this.depthSymbols])) {
+      const quote = this.provider.getQuote(symbol, now);
+      if (!quote || this.published.get(symbol) === quote.timestamp) continue;
+      this.published.set(symbol, quote.timestamp);
+
+      if (this.depthSymbols.has(symbol) && (quote.depth.bids.length || quote.depth.asks.length)) {
+        const message = { symbol, type: 'dp' };
+        quote.depth.bids.slice(0, DEPTH_LEVELS).forEach((level, i) => {
+          message[`bid_price${i + 1}`] = level.price;
+          message[`bid_size${i + 1}`] = level.volume;
+        });
+        quote.depth.asks.slice(0, DEPTH_LEVELS).forEach((level, i) => {
+          message[`ask_price${i + 1}`] = level.price;
+          message[`ask_size${i + 1}`] = level.volume;
+        });
+        this.emit('message', message);
+      }
+
+      if (this.quoteSymbols.has(symbol)) {
+        this.emit('message', {
+          symbol,
+          type: 'sf',
+          ltp: quote.ltp,
+          bid_price: quote.bid,
+          ask_price: quote.ask,
+          vol_traded_today: quote.volume
+        });
+      }
+    }
+  }
+}
+
+module.exports = ReplayDataProvider;
@@ -0,0 +1,325 @@
+// File: Paper Simulation Runs
+// Path: server/services/simulationService.js
+//
+// A simulation is a named paper trading run with its own allocated funds,
+// strategies and time window. Users can have any number of runs; only one
+// runs at a time, and stopped runs keep their final statistics for review.
+// Every paper order, position, portfolio, lot and trade belongs to one run;
+// paper orders placed with no simulation running go to the user's sandbox run.
+
+const { prisma } = require("../prisma/client");
+const paperAccount = require('./paperAccount');
+const paperEngine = require('./paperEngine');
+const pnlLedger = require('./pnlLedger');
+const chargesService = require('./chargesService');
+const marketData = require('./marketData');
+const gttService = require('./gttService');
+
+const MAX_COMPARE = 10;
+
+class SimulationService {
+  /**
+   * Get the user's running simulation
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>}
+   */
+  async getRunning(userId) {
+    return prisma.simulation.findFirst({
+      where: { userId, isRunning: true }
+    });
+  }
+
+  /**
+   * Resolve the simulation run a request reads paper state from
+   * @param {string} userId - User ID
+   * @param {string} requestedId - Optional simulation ID from the request
+   * @returns {Promise<string|null>} The requested run if it is the user's, the active run when none was requested
+   */
+  async resolveRunId(userId, requestedId = null) {
+    if (!requestedId) {
+      return paperAccount.getActiveSimulationId(userId);
+    }
+
+    const simulation = await prisma.simulation.findFirst({
+      where: { id: requestedId, userId },
+      select: { id: true }
+    });
+    return simulation?.id || null;
+  }
+
+  /**
+   * Start a new simulation run
+   * @param {string} userId - User ID
+   * @param {Object} options - { testName?, allocatedFunds?, strategyIds?, marketData? } (all strategies
+   *   when strategyIds is omitted; the environment's market data provider when marketData is omitted)
+   * @returns {Promise<Object>} The created simulation
+   */
+  async start(userId, options = {}) {
+    const allocatedFunds = options.allocatedFunds || 100000;
+
+    // Only the provider and replay clock are per run; data directories stay server config
+    const marketDataConfig = options.marketData
+      ? { provider: options.marketData.provider, speed: options.marketData.speed, from: options.marketData.from }
+      : null;
+    const runs = await prisma.simulation.count({ where: { userId, sandbox: false } });
+
+    const strategies = await prisma.strategy.findMany({
+      where: {
+        userId,
+        ...(Array.isArray(options.strategyIds) ? { id: { in: options.strategyIds } } : {})
+      },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    const simulation = await prisma.simulation.create({
+      data: {
+        userId,
+        isRunning: true,
+        testName: options.testName || `Simulation #${runs + 1}`,
+        allocatedFunds,
+        currentBalance: allocatedFunds,
+        startTime: new Date(),
+        strategies: strategies.map(s => ({ id: s.id, name: s.name, trades: 0, pnl: 0 })),
+        ...(marketDataConfig ? { marketData: marketDataConfig } : {}),
+        simulationOrders: [],
+        simulationPositions: []
+      }
+    });
+
+    // The run's paper account starts from the allocated funds
+    await paperAccount.setCash(userId, simulation.id, allocatedFunds);
+
+    return simulation;
+  }
+
+  /**
+   * Stop a simulation, cancel its open orders, expire its GTTs and freeze
+   * its final statistics
+   * @param {Object} simulation - Running simulation
+   * @returns {Promise<Object>} The updated simulation
+   */
+  async stop(simulation) {
+    // Parents first: cancelling them takes their CO/BO legs along
+    const openOrders = await prisma.order.findMany({
+      where: { simulationId: simulation.id, state: { in: ['new', 'working', 'partial'] } },
+      orderBy: { createdAt: 'asc' }
+    });
+    for (const order of openOrders) {
+      await paperEngine.cancelOrder(order.id, 'simulation_stopped');
+    }
+    await gttService.expireForSimulation(simulation.id, 'simulation_stopped');
+    marketData.releaseRun(simulation.id);
+
+    const endTime = new Date();
+    const stats = await this.computeStats(simulation);
+
+    return prisma.simulation.update({
+      where: { id: simulation.id },
+      data: {
+        isRunning: false,
+        endTime,
+        ...this.getSummaryFields(simulation, stats),
+        stats
+      }
+    });
+  }
+
+  /**
+   * Compute statistics from the run's paper round trips
+   * @param {Object} simulation - Simulation row
+   * @returns {Promise<Object>}
+   */
+  async computeStats(simulation) {
+    const round = chargesService.round;
+    const trades = await this.getTrades(simulation);
+    const summary = pnlLedger.summarizeTrades(trades);
+
+    const wins = trades.filter(t => t.netPnl > 0);
+    const losses = trades.filter(t => t.netPnl < 0);
+    const grossWin = wins.reduce((sum, t) => sum + t.netPnl, 0);
+    const grossLoss = -losses.reduce((sum, t) => sum + t.netPnl, 0);
+
+    // Drawdown on realized equity, trade by trade
+    let equity = simulation.allocatedFunds;
+    let peak = equity;
+    let maxDrawdown = 0;
+    for (const trade of trades) {
+      equity += trade.netPnl;
+      peak = Math.max(peak, equity);
+      maxDrawdown = Math.max(maxDrawdown, peak - equity);
+    }
+
+    return {
+      totalTrades: summary.totalTrades,
+      winningTrades: summary.winningTrades,
+      losingTrades: summary.losingTrades,
+      winRate: summary.totalTrades ? round((summary.winningTrades / summary.totalTrades) * 100) : 0,
+      grossPnl: round(summary.grossPnl),
+      charges: round(summary.charges),
+      netPnl: round(summary.netPnl),
+      returnPct: round((summary.netPnl / simulation.allocatedFunds) * 100),
+      avgWin: wins.length ? round(grossWin / wins.length) : 0,
+      avgLoss: losses.length ? round(-grossLoss / losses.length) : 0,
+      profitFactor: grossLoss > 0 ? round(grossWin / grossLoss) : null,
+      maxDrawdown: round(maxDrawdown),
+      maxDrawdownPct: peak > 0 ? round((maxDrawdown / peak) * 100) : 0,
+      byStrategy: await this.getStrategyBreakdown(simulation, trades)
+    };
+  }
+
+  /**
+   * The run's paper round trips
+   * @param {Object} simulation - Simulation row
+   * @returns {Promise<Array<Object>>}
+   */
+  async getTrades(simulation) {
+    return prisma.trade.findMany({
+      where: { simulationId: simulation.id },
+      orderBy: { exitTime: 'asc' }
+    });
+  }
+
+  /**
+   * Attribute round trips to the strategy of the order that opened them
+   * @param {Object} simulation - Simulation row
+   * @param {Array<Object>} trades - Round trips
+   * @returns {Promise<Array<{id: string|null, name: string, trades: number, pnl: number}>>}
+   */
+  async getStrategyBreakdown(simulation, trades) {
+    const executions = trades.length === 0 ? [] : await prisma.execution.findMany({
+      where: { id: { in: [...new Set(trades.map(t => t.entryExecutionId))] } },
+      select: { id: true, order: { select: { strategyId: true, strategy: { select: { name: true } } } } }
+    });
+    const orderByExecution = new Map(executions.map(e => [e.id, e.order]));
+
+    const rows = new Map((simulation.strategies || []).map(s => [s.id, { id: s.id, name: s.name, trades: 0, pnl: 0 }]));
+    for (const trade of trades) {
+      const order = orderByExecution.get(trade.entryExecutionId);
+      const strategyId = order?.strategyId || null;
+      if (!rows.has(strategyId)) {
+        rows.set(strategyId, { id: strategyId, name: order?.strategy?.name || 'Manual', trades: 0, pnl: 0 });
+      }
+      const row = rows.get(strategyId);
+      row.trades++;
+      row.pnl = chargesService.round(row.pnl + trade.netPnl);
+    }
+
+    return [...rows.values()];
+  }
+
+  /**
+   * Summary columns kept on the simulation row
+   * @param {Object} simulation - Simulation row
+   * @param {Object} stats - computeStats() result
+   * @returns {Object}
+   */
+  getSummaryFields(simulation, stats) {
+    return {
+      totalTrades: stats.totalTrades,
+      winningTrades: stats.winningTrades,
+      losingTrades: stats.losingTrades,
+      totalPnL: stats.netPnl,
+      currentBalance: simulation.allocatedFunds + stats.netPnl,
+      strategies: stats.byStrategy
+    };
+  }
+
+  /**
+   * Attach statistics to a simulation: live for a running or sandbox run,
+   * frozen for a stopped one
+   * @param {Object} simulation - Simulation row
+   * @returns {Promise<Object>}
+   */
+  async withStats(simulation) {
+    if (!simulation.isRunning && !simulation.sandbox) {
+      return simulation;
+    }
+
+    const stats = await this.computeStats(simulation);
+    return { ...simulation, ...this.getSummaryFields(simulation, stats), stats };
+  }
+
+  /**
+   * List a user's simulation runs, newest first
+   * @param {string} userId - User ID
+   * @param {Object} options - { limit, offset }
+   * @returns {Promise<Array<Object>>}
+   */
+  async list(userId, { limit = 50, offset = 0 } = {}) {
+    const simulations = await prisma.simulation.findMany({
+      where: { userId },
+      orderBy: { createdAt: 'desc' },
+      take: limit,
+      skip: offset
+    });
+
+    return Promise.all(simulations.map(simulation => this.withStats(simulation)));
+  }
+
+  /**
+   * Get a simulation run with its statistics, orders, positions and round trips
+   * @param {string} userId - User ID
+   * @param {string} id - Simulation ID
+   * @returns {Promise<Object|null>}
+   */
+  async getDetail(userId, id) {
+    const simulation = await prisma.simulation.findFirst({
+      where: { id, userId }
+    });
+    if (!simulation) return null;
+
+    const [withStats, orders, positions, trades] = await Promise.all([
+      this.withStats(simulation),
+      prisma.order.findMany({
+        where: { simulationId: id },
+        include: { strategy: { select: { name: true } } },
+        orderBy: { createdAt: 'desc' },
+        take: 200
+      }),
+      prisma.position.findMany({
+        where: { simulationId: id },
+        orderBy: { updatedAt: 'desc' }
+      }),
+      this.getTrades(simulation)
+    ]);
+
+    return { ...withStats, orders, positions, trades };
+  }
+
+  /**
+   * Compare runs side by side
+   * @param {string} userId - User ID
+   * @param {Array<string>} ids - Simulation IDs
+   * @returns {Promise<Array<Object>>} Runs in the requested order
+   */
+  async compare(userId, ids) {
+    const simulations = await prisma.simulation.findMany({
+      where: { userId, id: { in: ids.slice(0, MAX_COMPARE) } }
+    });
+    const byId = new Map(simulations.map(s => [s.id, s]));
+
+    const runs = [];
+    for (const id of ids.slice(0, MAX_COMPARE)) {
+      if (!byId.has(id)) continue;
+      const simulation = await this.withStats(byId.get(id));
+      runs.push({
+        id: simulation.id,
+        testName: simulation.testName,
+        isRunning: simulation.isRunning,
+        sandbox: simulation.sandbox,
+        allocatedFunds: simulation.allocatedFunds,
+        startTime: simulation.startTime,
+        endTime: simulation.endTime,
+        durationMs: simulation.startTime
+          ? (simulation.endTime || new Date()) - simulation.startTime
+          : null,
+        strategies: (simulation.strategies || []).map(s => s.name),
+        stats: simulation.stats
+      });
+    }
+
+    return runs;
+  }
+}
+
+module.exports = new SimulationService();
@@ -0,0 +1,157 @@
+// File: Paper Slippage & Latency Models
+// Path: server/services/slippageService.js
+
+const { prisma } = require("../prisma/client");
+
+// Each model returns the adverse price move per unit for one fill.
+// ctx: { price, qty, side, market: { ltp, bid, ask, volume } }
+const SLIPPAGE_MODELS = {
+  fixed_bps: {
+    description: 'Fixed basis points of the fill price',
+    defaults: { bps: 10 },
+    compute: (ctx, params) => (ctx.price * params.bps) / 10000
+  },
+  spread: {
+    description: 'Fraction of the quoted bid-ask spread, with a floor in bps',
+    defaults: { spreadFraction: 0.5, minBps: 1 },
+    compute: (ctx, params) => {
+      const { bid, ask } = ctx.market;
+      const spread = bid > 0 && ask > bid ? ask - bid : 0;
+      return Math.max(spread * params.spreadFraction, (ctx.price * params.minBps) / 10000);
+    }
+  },
+  volume: {
+    description: 'Square-root market impact on the fill\'s share of quoted volume',
+    defaults: { baseBps: 2, impactBps: 100, maxBps: 200 },
+    compute: (ctx, params) => {
+      const volume = ctx.market.volume;
+      if (!(volume > 0)) {
+        return (ctx.price * params.maxBps) / 10000; // No volume: assume the worst
+      }
+      const bps = Math.min(params.baseBps + params.impactBps * Math.sqrt(ctx.qty / volume), params.maxBps);
+      return (ctx.price * bps) / 10000;
+    }
+  }
+};
+
+const MAX_LATENCY_MS = 10000;
+
+class SlippageService {
+  /**
+   * Default model from PAPER_SLIPPAGE_MODEL / PAPER_SLIPPAGE_BPS / PAPER_LATENCY_MS
+   * @returns {{model: string, params: Object, latencyMs: number}}
+   */
+  getDefaultConfig() {
+    const model = process.env.PAPER_SLIPPAGE_MODEL || 'fixed_bps';
+    const params = model === 'fixed_bps'
+      ? { bps: parseInt(process.env.PAPER_SLIPPAGE_BPS || "10", 10) }
+      : {};
+
+    return this.resolve({
+      model,
+      params,
+      latencyMs: parseInt(process.env.PAPER_LATENCY_MS || "0", 10)
+    });
+  }
+
+  /**
+   * Fill in model defaults
+   * @param {Object} config - { model, params?, latencyMs? }
+   * @returns {{model: string, params: Object, latencyMs: number}}
+   */
+  resolve(config) {
+    const model = SLIPPAGE_MODELS[config?.model] ? config.model : 'fixed_bps';
+
+    return {
+      model,
+      params: { ...SLIPPAGE_MODELS[model].defaults, ...(config?.params || {}) },
+      latencyMs: Math.min(Math.max(parseInt(config?.latencyMs || 0, 10) || 0, 0), MAX_LATENCY_MS)
+    };
+  }
+
+  /**
+   * Validate a slippage config
+   * @param {Object} config - { model, params?, latencyMs? }
+   * @returns {Array<string>} Errors
+   */
+  validate(config) {
+    const errors = [];
+
+    if (!config || typeof config !== 'object') {
+      return ['slippage must be an object'];
+    }
+
+    const model = SLIPPAGE_MODELS[config.model];
+    if (!model) {
+      return [`Unknown slippage model: ${config.model}. Must be one of: ${Object.keys(SLIPPAGE_MODELS).join(', ')}`];
+    }
+
+    for (const [key, value] of Object.entries(config.params || {})) {
+      if (!(key in model.defaults)) {
+        errors.push(`Unknown parameter for ${config.model}: ${key}`);
+      } else if (typeof value !== 'number' || value < 0) {
+        errors.push(`Parameter ${key} must be a non-negative number`);
+      }
+    }
+
+    if (config.latencyMs !== undefined &&
+        (typeof config.latencyMs !== 'number' || config.latencyMs < 0 || config.latencyMs > MAX_LATENCY_MS)) {
+      errors.push(`latencyMs must be between 0 and ${MAX_LATENCY_MS}`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Get the slippage config for an order: the strategy's, else the
+   * user's (UserSettings.settings.slippage), else the env default
+   * @param {string} userId - User ID
+   * @param {string} strategyId - Optional strategy ID
+   * @returns {Promise<{model: string, params: Object, latencyMs: number}>}
+   */
+  async getConfig(userId, strategyId = null) {
+    if (strategyId) {
+      const strategy = await prisma.strategy.findUnique({
+        where: { id: strategyId }
+      });
+      if (strategy?.slippage) {
+        return this.resolve(strategy.slippage);
+      }
+    }
+
+    const userSettings = await prisma.userSettings.findUnique({
+      where: { userId }
+    });
+    if (userSettings?.settings?.slippage) {
+      return this.resolve(userSettings.settings.slippage);
+    }
+
+    return this.getDefaultConfig();
+  }
+
+  /**
+   * Adverse price move per unit for one fill
+   * @param {Object} config - Resolved config
+   * @param {Object} ctx - { price, qty, side, market }
+   * @returns {number}
+   */
+  compute(config, ctx) {
+    const model = SLIPPAGE_MODELS[config.model] || SLIPPAGE_MODELS.fixed_bps;
+    const slippage = model.compute(ctx, config.params);
+    return Number.isFinite(slippage) && slippage > 0 ? slippage : 0;
+  }
+
+  /**
+   * List available models and their default parameters
+   * @returns {Array<{model: string, description: string, defaults: Object}>}
+   */
+  getModels() {
+    return Object.entries(SLIPPAGE_MODELS).map(([model, { description, defaults }]) => ({
+      model,
+      description,
+      defaults
+    }));
+  }
+}
+
+module.exports = new SlippageService();
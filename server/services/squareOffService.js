@@ -0,0 +1,390 @@
+// File: Intraday Square-off Service
+// Path: server/services/squareOffService.js
+
+const { prisma } = require("../prisma/client");
+const paperEngine = require('./paperEngine');
+const fyersService = require('./fyersService');
+const marketCalendar = require('./marketCalendar');
+
+// Products that must be flat by the end of the session
+const INTRADAY_PRODUCTS = ['INTRADAY', 'CO', 'BO'];
+// Paper positions that still trade: the running simulation or the sandbox
+const ACTIVE_RUN = { OR: [{ isRunning: true }, { sandbox: true }] };
+
+// Cutoffs are IST wall-clock times (HH:MM) keyed by exchange
+const DEFAULT_SQUARE_OFF_SETTINGS = {
+  enabled: true,
+  live: false,
+  cutoffs: {
+    NSE: '15:15',
+    BSE: '15:15',
+    MCX: '23:25'
+  }
+};
+
+class SquareOffService {
+  constructor() {
+    this.checkInterval = null;
+    this.isRunning = false;
+    this.completed = new Set(); // userId:exchange:date already squared off
+  }
+
+  /**
+   * Start the square-off scheduler
+   */
+  start() {
+    if (this.checkInterval) {
+      return; // Already running
+    }
+
+    // Check cutoffs every 30 seconds
+    this.checkInterval = setInterval(() => {
+      this.runDue().catch(error => {
+        console.error("Error running intraday square-off:", error);
+      });
+    }, 30 * 1000);
+
+    console.log("Square-off scheduler started");
+  }
+
+  /**
+   * Stop the square-off scheduler
+   */
+  stop() {
+    if (this.checkInterval) {
+      clearInterval(this.checkInterval);
+      this.checkInterval = null;
+    }
+    console.log("Square-off scheduler stopped");
+  }
+
+  /**
+   * Merge user overrides from UserSettings.settings.squareOff over the defaults
+   * @param {Object} overrides - { enabled?, live?, cutoffs?: { NSE: 'HH:MM' } }
+   * @returns {Object}
+   */
+  mergeSettings(overrides) {
+    return {
+      enabled: overrides?.enabled ?? DEFAULT_SQUARE_OFF_SETTINGS.enabled,
+      live: overrides?.live ?? DEFAULT_SQUARE_OFF_SETTINGS.live,
+      cutoffs: { ...DEFAULT_SQUARE_OFF_SETTINGS.cutoffs, ...(overrides?.cutoffs || {}) }
+    };
+  }
+
+  /**
+   * Get effective square-off settings for a user
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>}
+   */
+  async getSettings(userId) {
+    const userSettings = await prisma.userSettings.findUnique({
+      where: { userId }
+    });
+
+    return this.mergeSettings(userSettings?.settings?.squareOff);
+  }
+
+  /**
+   * Get default square-off settings
+   * @returns {Object}
+   */
+  getDefaultSettings() {
+    return this.mergeSettings(null);
+  }
+
+  /**
+   * Check that a cutoff is a valid HH:MM time
+   * @param {string} cutoff
+   * @returns {boolean}
+   */
+  isValidCutoff(cutoff) {
+    return marketCalendar.isValidTime(cutoff);
+  }
+
+  /**
+   * Cutoff in minutes since midnight for a day's session. Short special
+   * sessions (e.g. Muhurat) that close before the configured cutoff are
+   * squared off 15 minutes before their close instead.
+   * @param {string} cutoff - Configured HH:MM cutoff
+   * @param {Object} session - Session from the market calendar
+   * @returns {number}
+   */
+  getEffectiveCutoff(cutoff, session) {
+    const closeMinutes = marketCalendar.toMinutes(session.close);
+    const cutoffMinutes = marketCalendar.toMinutes(cutoff);
+    return cutoffMinutes < closeMinutes ? cutoffMinutes : closeMinutes - 15;
+  }
+
+  /**
+   * Square off every user whose cutoff has passed today and who has not
+   * been squared off yet for that exchange
+   * @param {Date} now - Defaults to the calendar clock (the replay clock under the replay provider)
+   */
+  async runDue(now = marketCalendar.now()) {
+    if (this.isRunning) {
+      return; // Prevent overlapping runs
+    }
+
+    this.isRunning = true;
+
+    try {
+      const { date, minutes } = marketCalendar.getISTClock(now);
+
+      for (const userId of await this.getCandidateUsers()) {
+        const settings = await this.getSettings(userId);
+        if (!settings.enabled) continue;
+
+        for (const [exchange, cutoff] of Object.entries(settings.cutoffs)) {
+          if (!this.isValidCutoff(cutoff)) continue;
+
+          // No session to square off on weekends and holidays
+          const session = marketCalendar.getSession(exchange, 'DEFAULT', date);
+          if (!session) continue;
+
+          const key = `${userId}:${exchange}:${date}`;
+          if (minutes < this.getEffectiveCutoff(cutoff, session) || this.completed.has(key)) continue;
+
+          this.completed.add(key);
+          try {
+            await this.squareOffUser(userId, exchange, settings);
+          } catch (error) {
+            console.error(`Error squaring off ${exchange} for user ${userId}:`, error);
+          }
+        }
+      }
+
+      // Forget earlier days
+      for (const key of this.completed) {
+        if (!key.endsWith(date)) this.completed.delete(key);
+      }
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Users with open intraday paper positions or orders, plus users who
+   * opted into live square-off
+   * @returns {Promise<Array<string>>}
+   */
+  async getCandidateUsers() {
+    const [positions, orders, userSettings] = await Promise.all([
+      prisma.position.findMany({
+        where: { mode: 'paper', productType: { in: INTRADAY_PRODUCTS }, qty: { not: 0 }, simulation: ACTIVE_RUN },
+        select: { userId: true },
+        distinct: ['userId']
+      }),
+      prisma.order.findMany({
+        where: { productType: { in: INTRADAY_PRODUCTS }, state: { in: ['new', 'working', 'partial'] } },
+        select: { userId: true },
+        distinct: ['userId']
+      }),
+      prisma.userSettings.findMany({
+        select: { userId: true, settings: true }
+      })
+    ]);
+
+    const userIds = new Set([...positions, ...orders].map(row => row.userId));
+    for (const row of userSettings) {
+      if (row.settings?.squareOff?.live) userIds.add(row.userId);
+    }
+
+    return [...userIds];
+  }
+
+  /**
+   * Cancel open intraday orders and flatten intraday positions on one
+   * exchange, then record a summary event
+   * @param {string} userId - User ID
+   * @param {string} exchange - Exchange prefix, e.g. NSE
+   * @param {Object} settings - Effective square-off settings
+   * @returns {Promise<Object>} Summary
+   */
+  async squareOffUser(userId, exchange, settings) {
+    const summary = {
+      exchange,
+      cutoff: settings.cutoffs[exchange],
+      cancelledOrders: [],
+      closedPositions: [],
+      errors: []
+    };
+
+    await this.squareOffPaper(userId, exchange, summary);
+
+    if (settings.live) {
+      await this.squareOffLive(userId, exchange, summary);
+    }
+
+    const touched = summary.cancelledOrders.length + summary.closedPositions.length + summary.errors.length;
+    if (touched > 0) {
+      await this.logEvent(userId, summary);
+      console.log(`Intraday square-off for user ${userId} on ${exchange}: ${summary.cancelledOrders.length} orders cancelled, ${summary.closedPositions.length} positions closed`);
+    }
+
+    return summary;
+  }
+
+  /**
+   * Square off paper orders and positions
+   * @param {string} userId - User ID
+   * @param {string} exchange - Exchange prefix
+   * @param {Object} summary - Summary to append to
+   */
+  async squareOffPaper(userId, exchange, summary) {
+    // Parents first: cancelling them takes their CO/BO legs along
+    const orders = await prisma.order.findMany({
+      where: {
+        userId,
+        mode: 'paper',
+        productType: { in: INTRADAY_PRODUCTS },
+        state: { in: ['new', 'working', 'partial'] },
+        symbol: { startsWith: `${exchange}:` }
+      },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    for (const order of orders) {
+      if (await paperEngine.cancelOrder(order.id, 'intraday_square_off')) {
+        summary.cancelledOrders.push({ id: order.id, mode: 'paper', symbol: order.symbol });
+      }
+    }
+
+    // Stopped simulation runs stay as they were archived
+    const positions = await prisma.position.findMany({
+      where: {
+        userId,
+        mode: 'paper',
+        productType: { in: INTRADAY_PRODUCTS },
+        qty: { not: 0 },
+        symbol: { startsWith: `${exchange}:` },
+        simulation: ACTIVE_RUN
+      }
+    });
+    if (positions.length === 0) return;
+
+    const tokens = await paperEngine.getMarketDataTokens([userId]);
+
+    for (const position of positions) {
+      try {
+        const order = await paperEngine.submitOrder({
+          symbol: position.symbol,
+          side: position.qty > 0 ? -1 : 1,
+          type: 2,
+          qty: Math.abs(position.qty),
+          productType: position.productType,
+          orderTag: 'SQUAREOFF',
+          simulationId: position.simulationId
+        }, userId, tokens.get(userId), { exitReason: 'squareoff' });
+
+        summary.closedPositions.push({
+          mode: 'paper',
+          symbol: position.symbol,
+          productType: position.productType,
+          qty: position.qty,
+          orderId: order.id
+        });
+      } catch (error) {
+        summary.errors.push({ mode: 'paper', symbol: position.symbol, error: error.message });
+      }
+    }
+  }
+
+  /**
+   * Square off live orders and positions through Fyers
+   * @param {string} userId - User ID
+   * @param {string} exchange - Exchange prefix
+   * @param {Object} summary - Summary to append to
+   */
+  async squareOffLive(userId, exchange, summary) {
+    const orders = await prisma.order.findMany({
+      where: {
+        userId,
+        mode: 'live',
+        productType: { in: INTRADAY_PRODUCTS },
+        state: { in: ['new', 'working', 'partial'] },
+        symbol: { startsWith: `${exchange}:` }
+      }
+    });
+
+    for (const order of orders) {
+      try {
+        if (await fyersService.cancelOrder(order.id, userId)) {
+          summary.cancelledOrders.push({ id: order.id, mode: 'live', symbol: order.symbol });
+        }
+      } catch (error) {
+        summary.errors.push({ mode: 'live', orderId: order.id, error: error.message });
+      }
+    }
+
+    let netPositions = [];
+    try {
+      const response = await fyersService.getPositions(userId);
+      netPositions = response?.netPositions || [];
+    } catch (error) {
+      summary.errors.push({ mode: 'live', error: `Positions unavailable: ${error.message}` });
+      return;
+    }
+
+    // CO/BO positions are exited by the broker when their legs are cancelled
+    // above; plain intraday positions are closed with a market order
+    for (const position of netPositions) {
+      const netQty = position.netQty || 0;
+      if (netQty === 0 || position.productType !== 'INTRADAY') continue;
+      if (marketCalendar.getExchange(position.symbol) !== exchange) continue;
+
+      try {
+        const result = await fyersService.placeOrder({
+          symbol: position.symbol,
+          side: netQty > 0 ? -1 : 1,
+          type: 2,
+          qty: Math.abs(netQty),
+          productType: position.productType,
+          orderTag: 'SQUAREOFF'
+        }, userId);
+
+        summary.closedPositions.push({
+          mode: 'live',
+          symbol: position.symbol,
+          productType: position.productType,
+          qty: netQty,
+          orderId: result.order.id
+        });
+      } catch (error) {
+        summary.errors.push({ mode: 'live', symbol: position.symbol, error: error.message });
+      }
+    }
+  }
+
+  /**
+   * Log the square-off summary
+   * @param {string} userId - User ID
+   * @param {Object} summary - Square-off summary
+   */
+  async logEvent(userId, summary) {
+    try {
+      await prisma.event.create({
+        data: {
+          refType: 'user',
+          refId: userId,
+          type: 'intraday_square_off',
+          payload: summary
+        }
+      });
+    } catch (error) {
+      console.error("Error logging event:", error);
+    }
+  }
+
+  /**
+   * Get scheduler statistics
+   * @returns {Object}
+   */
+  getStats() {
+    return {
+      running: !!this.checkInterval,
+      completedToday: this.completed.size
+    };
+  }
+}
+
+module.exports = new SquareOffService();
@@ -2,6 +2,18 @@
 // Path: server/services/symbolMaster.js
 
 const { prisma } = require("../prisma/client");
+const marketCalendar = require('./marketCalendar');
+
+const MONTHS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+// Weekly option symbols encode the month as 1-9, O, N, D
+const WEEKLY_MONTHS = { O: 10, N: 11, D: 12 };
+// Monthly contracts expire on the last of this weekday (0=Sunday) in the
+// month, from the given date on. MCX expiries vary by commodity and must
+// come from SymbolMeta.expiry.
+const EXPIRY_WEEKDAYS = {
+  NSE: [{ from: '2025-09-01', weekday: 2 }, { from: '0000-01-01', weekday: 4 }],
+  BSE: [{ from: '2025-09-01', weekday: 4 }, { from: '0000-01-01', weekday: 2 }]
+};
 
 class SymbolMasterService {
   constructor() {
@@ -10,9 +22,11 @@ class SymbolMasterService {
   }
 
   /**
-   * Get symbol metadata (tick size, lot size, segment, exchange)
+   * Get symbol metadata (tick size, lot size, segment, exchange). F&O
+   * contracts also carry their underlying, expiry (IST date), strike and
+   * option type; stored values win over those parsed from the symbol.
    * @param {string} symbol - Symbol like "NSE:SBIN-EQ"
-   * @returns {Promise<{tickSize: number, lotSize: number, segment: string, exchange: string}>}
+   * @returns {Promise<{tickSize: number, lotSize: number, segment: string, exchange: string, underlying: string|null, expiry: string|null, strike: number|null, optionType: string|null}>}
    */
   async getSymbolMeta(symbol) {
     const cacheKey = symbol;
@@ -37,11 +51,16 @@ class SymbolMasterService {
         throw new Error(`Symbol metadata not found for ${symbol}`);
       }
 
+      const contract = meta.expiry ? meta : this.parseContract(symbol);
       const result = {
         tickSize: meta.tickSize,
         lotSize: meta.lotSize,
         segment: meta.segment,
-        exchange: meta.exchange
+        exchange: meta.exchange,
+        underlying: contract?.underlying || null,
+        expiry: contract?.expiry || null,
+        strike: contract?.strike ?? null,
+        optionType: contract?.optionType || null
       };
 
       // Cache the result
@@ -102,6 +121,17 @@ class SymbolMasterService {
       };
     }
     
+    // Exchange F&O contracts, e.g. NSE:NIFTY25NOVFUT or NSE:NIFTY25N0624500CE
+    const segment = marketCalendar.getSegment(symbolUpper);
+    if (segment === 'FUT' || segment === 'OPT') {
+      return {
+        tickSize: 0.05,
+        lotSize: 25,
+        segment,
+        exchange: symbolUpper.split(':')[0] || 'NSE'
+      };
+    }
+
     // Futures symbols
     if (symbolUpper.includes('-FUT')) {
       return {
@@ -151,6 +181,65 @@ class SymbolMasterService {
     };
   }
 
+  /**
+   * Parse a Fyers F&O symbol: monthly contracts are UNDERLYING YY MMM FUT or
+   * UNDERLYING YY MMM STRIKE CE|PE, weekly options UNDERLYING YY M DD STRIKE CE|PE
+   * @param {string} symbol - e.g. "NSE:NIFTY25NOV24500CE"
+   * @returns {{underlying: string, expiry: string|null, strike: number|null, optionType: string|null}|null}
+   */
+  parseContract(symbol) {
+    const [exchange, name = ''] = symbol.toUpperCase().split(':');
+
+    const monthly = name.match(/^(.+?)(\d{2})(JAN|FEB|MAR|APR|MAY|JUN|JUL|AUG|SEP|OCT|NOV|DEC)(?:FUT|(\d+(?:\.\d+)?)(CE|PE))$/);
+    if (monthly) {
+      const [, underlying, yy, mon, strike, optionType] = monthly;
+      return {
+        underlying,
+        expiry: this.getMonthlyExpiry(exchange, 2000 + Number(yy), MONTHS.indexOf(mon) + 1),
+        strike: strike ? Number(strike) : null,
+        optionType: optionType || null
+      };
+    }
+
+    const weekly = name.match(/^(.+?)(\d{2})([1-9OND])(\d{2})(\d+(?:\.\d+)?)(CE|PE)$/);
+    if (weekly) {
+      const [, underlying, yy, m, dd, strike, optionType] = weekly;
+      const month = WEEKLY_MONTHS[m] || Number(m);
+      return {
+        underlying,
+        expiry: `20${yy}-${String(month).padStart(2, '0')}-${dd}`,
+        strike: Number(strike),
+        optionType
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Expiry of a monthly contract: the last expiry weekday of the month,
+   * moved to the previous trading day when that is a holiday
+   * @param {string} exchange - NSE, BSE
+   * @param {number} year
+   * @param {number} month - 1-12
+   * @returns {string|null} IST date, or null when the exchange has no fixed expiry day
+   */
+  getMonthlyExpiry(exchange, year, month) {
+    const monthStart = `${year}-${String(month).padStart(2, '0')}-01`;
+    const rule = (EXPIRY_WEEKDAYS[exchange] || []).find(r => monthStart >= r.from);
+    if (!rule) return null;
+
+    // Last day of the month, then back to the expiry weekday
+    const last = new Date(Date.UTC(year, month, 0));
+    last.setUTCDate(last.getUTCDate() - ((last.getUTCDay() - rule.weekday + 7) % 7));
+
+    let expiry = last.toISOString().slice(0, 10);
+    while (!marketCalendar.isTradingDay(expiry, exchange)) {
+      expiry = marketCalendar.addDays(expiry, -1);
+    }
+    return expiry;
+  }
+
   /**
    * Validate if a price is a valid tick multiple
    * @param {number} price 
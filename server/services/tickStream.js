@@ -0,0 +1,296 @@
+// File: Tick Stream
+// Path: server/services/tickStream.js
+//
+// Wraps the market data provider's WebSocket (the Fyers data socket, or
+// the replay provider's stand-in): subscribes to the symbols its sources
+// want (working paper orders, market data interest), keeps the latest
+// market snapshot per symbol and hands every tick to listeners in arrival
+// order.
+
+const dataProviders = require('./dataProviders');
+
+const DEPTH_LEVELS = 5;
+
+// How long the SDK's autoreconnect gets before the socket is recreated
+const RECONNECT_GRACE_MS = 30 * 1000;
+
+class TickStreamService {
+  constructor() {
+    this.socket = null;
+    this.accessToken = null;
+    this.connected = false;
+    this.symbols = new Set(); // Symbols we want ticks for (union of the sources)
+    this.sources = new Map(); // source -> Set of symbols it wants
+    this.closedAt = null;
+    this.connectingSince = null;
+    this.snapshots = new Map(); // symbol -> latest merged snapshot
+    this.listeners = [];
+    this.seq = 0;
+    this.stats = { ticks: 0, connects: 0, disconnects: 0, reconnects: 0, lastTickAt: null };
+  }
+
+  /**
+   * Connect the data socket with an access token. The SDK keeps a single
+   * socket per process, so a new token replaces the current connection.
+   * @param {string} accessToken - Fyers access token (unused when replaying)
+   */
+  connect(accessToken) {
+    if (this.socket && this.accessToken === accessToken) {
+      return;
+    }
+    if (this.socket) {
+      this.disconnect();
+    }
+
+    this.accessToken = accessToken;
+    this.connectingSince = Date.now();
+    this.socket = dataProviders.getDefault().createSocket(accessToken);
+
+    this.socket.on("connect", () => {
+      this.connected = true;
+      this.closedAt = null;
+      this.stats.connects++;
+      console.log(`Tick stream connected, subscribing ${this.symbols.size} symbols`);
+      this.subscribe([...this.symbols]);
+      this.socket.mode(this.socket.FullMode);
+    });
+
+    this.socket.on("message", (message) => {
+      this.handleMessage(message);
+    });
+
+    this.socket.on("error", (error) => {
+      console.error("Tick stream error:", error);
+    });
+
+    this.socket.on("close", () => {
+      this.connected = false;
+      this.closedAt = Date.now();
+      this.stats.disconnects++;
+      this.snapshots.clear(); // Stale once the feed stops
+      console.log("Tick stream closed");
+    });
+
+    this.socket.connect();
+    this.socket.autoreconnect();
+  }
+
+  /**
+   * Close the data socket
+   */
+  disconnect() {
+    if (!this.socket) return;
+
+    try {
+      if (typeof this.socket.close === 'function') {
+        this.socket.close();
+      }
+    } catch (error) {
+      console.error("Error closing tick stream:", error);
+    }
+
+    this.socket = null;
+    this.accessToken = null;
+    this.connected = false;
+    this.closedAt = null;
+    this.snapshots.clear();
+  }
+
+  /**
+   * Connect, or recreate a socket that has stayed closed past the SDK's
+   * autoreconnect grace period. Symbols are resubscribed on every connect.
+   * @param {string} accessToken - Fyers access token (unused when replaying)
+   */
+  ensureConnected(accessToken) {
+    if (this.connected && this.accessToken === accessToken) {
+      return;
+    }
+    if (this.socket && this.accessToken === accessToken) {
+      const downSince = this.closedAt || this.connectingSince;
+      if (Date.now() - downSince < RECONNECT_GRACE_MS) {
+        return; // Still connecting or reconnecting
+      }
+      this.stats.reconnects++;
+      console.log("Tick stream down, reconnecting");
+      this.disconnect();
+    }
+
+    this.connect(accessToken);
+  }
+
+  /**
+   * Whether the socket is connected
+   * @returns {boolean}
+   */
+  isConnected() {
+    return this.connected;
+  }
+
+  /**
+   * Whether ticks are flowing for a symbol, so matching can be left to the stream
+   * @param {string} symbol
+   * @param {string} source - Optional; only count the symbol if this source wants it
+   * @returns {boolean}
+   */
+  isStreaming(symbol, source = null) {
+    const symbols = source ? this.sources.get(source) : this.symbols;
+    return this.connected && !!symbols?.has(symbol);
+  }
+
+  /**
+   * Replace the symbols a source wants ticks for. The socket is subscribed
+   * to the union of every source's symbols.
+   * @param {Array<string>} symbols
+   * @param {string} source - e.g. 'orders' (paper matching) or 'market' (market data)
+   */
+  setSymbols(symbols, source = 'orders') {
+    this.sources.set(source, new Set(symbols));
+
+    const wanted = new Set();
+    for (const sourceSymbols of this.sources.values()) {
+      for (const symbol of sourceSymbols) wanted.add(symbol);
+    }
+    const added = [...wanted].filter(symbol => !this.symbols.has(symbol));
+    const removed = [...this.symbols].filter(symbol => !wanted.has(symbol));
+
+    this.symbols = wanted;
+    for (const symbol of removed) {
+      this.snapshots.delete(symbol);
+    }
+
+    if (this.connected) {
+      this.subscribe(added);
+      this.unsubscribe(removed);
+    }
+  }
+
+  /**
+   * Subscribe symbols to quote and depth ticks
+   * @param {Array<string>} symbols
+   */
+  subscribe(symbols) {
+    if (symbols.length === 0) return;
+    this.socket.subscribe(symbols);
+    this.socket.subscribe(symbols, true);
+  }
+
+  /**
+   * Unsubscribe symbols from quote and depth ticks
+   * @param {Array<string>} symbols
+   */
+  unsubscribe(symbols) {
+    if (symbols.length === 0) return;
+    this.socket.unsubscribe(symbols);
+    this.socket.unsubscribe(symbols, true);
+  }
+
+  /**
+   * Register a tick listener
+   * @param {Function} listener - Called with { symbol, seq, market }
+   */
+  onTick(listener) {
+    this.listeners.push(listener);
+  }
+
+  /**
+   * Remove a tick listener
+   * @param {Function} listener
+   */
+  offTick(listener) {
+    this.listeners = this.listeners.filter(l => l !== listener);
+  }
+
+  /**
+   * Merge a socket message into the symbol's snapshot and notify listeners.
+   * Quote ticks ("sf"/"if") carry LTP, touch and volume; depth ticks ("dp")
+   * carry the five-level ladder.
+   * @param {Object} message - Mapped socket message
+   */
+  handleMessage(message) {
+    const symbol = message?.symbol;
+    if (!symbol || !this.symbols.has(symbol)) {
+      return; // Control messages or symbols we no longer track
+    }
+
+    const snapshot = this.snapshots.get(symbol) || {
+      ltp: null, bid: 0, ask: 0, volume: 0, depth: { bids: [], asks: [] }
+    };
+
+    if (message.type === 'dp') {
+      snapshot.depth = this.parseDepth(message);
+    } else {
+      if (message.ltp) snapshot.ltp = message.ltp;
+      if (message.bid_price !== undefined) snapshot.bid = message.bid_price;
+      if (message.ask_price !== undefined) snapshot.ask = message.ask_price;
+      if (message.vol_traded_today !== undefined) snapshot.volume = message.vol_traded_today;
+    }
+    snapshot.timestamp = Date.now();
+    this.snapshots.set(symbol, snapshot);
+
+    if (!snapshot.ltp) {
+      return; // Nothing to match against until the first quote arrives
+    }
+
+    this.stats.ticks++;
+    this.stats.lastTickAt = new Date(snapshot.timestamp);
+
+    const tick = {
+      symbol,
+      seq: ++this.seq,
+      market: { ...snapshot, depth: { bids: [...snapshot.depth.bids], asks: [...snapshot.depth.asks] } }
+    };
+    for (const listener of this.listeners) {
+      try {
+        listener(tick);
+      } catch (error) {
+        console.error("Error in tick listener:", error);
+      }
+    }
+  }
+
+  /**
+   * Convert a depth message into bid/ask ladders
+   * @param {Object} message - "dp" message with bid_price1..5, bid_size1..5, ...
+   * @returns {{bids: Array<Object>, asks: Array<Object>}}
+   */
+  parseDepth(message) {
+    const bids = [];
+    const asks = [];
+
+    for (let i = 1; i <= DEPTH_LEVELS; i++) {
+      if (message[`bid_price${i}`] > 0) {
+        bids.push({ price: message[`bid_price${i}`], volume: message[`bid_size${i}`] || 0 });
+      }
+      if (message[`ask_price${i}`] > 0) {
+        asks.push({ price: message[`ask_price${i}`], volume: message[`ask_size${i}`] || 0 });
+      }
+    }
+
+    return { bids, asks };
+  }
+
+  /**
+   * Latest snapshot for a streaming symbol
+   * @param {string} symbol
+   * @returns {Object|null}
+   */
+  getSnapshot(symbol) {
+    if (!this.isStreaming(symbol)) return null;
+    return this.snapshots.get(symbol) || null;
+  }
+
+  /**
+   * Get stream statistics
+   * @returns {Object}
+   */
+  getStats() {
+    return {
+      connected: this.connected,
+      symbols: this.symbols.size,
+      sources: Object.fromEntries([...this.sources].map(([source, symbols]) => [source, symbols.size])),
+      ...this.stats
+    };
+  }
+}
+
+module.exports = new TickStreamService();
@@ -349,6 +349,8 @@ class WebhookService {
         stopPrice: this.parseFloatValue(alertData.stop_price || alertData.trigger_price || alertData.trigger),
         stopLoss: this.parseFloatValue(alertData.stop_loss || alertData.sl),
         takeProfit: this.parseFloatValue(alertData.take_profit || alertData.tp),
+        trailAmount: this.parseFloatValue(alertData.trail_amount || alertData.trailing_sl),
+        trailPercent: this.parseFloatValue(alertData.trail_percent),
         orderTag: alertData.order_tag || alertData.tag,
         validity: alertData.validity || "DAY",
         offlineOrder: alertData.offline_order || false,
@@ -407,7 +409,10 @@ class WebhookService {
       '3': 3,
       'STOP_LIMIT': 4,
       'stop_limit': 4,
-      '4': 4
+      '4': 4,
+      'TRAILING_STOP': 5,
+      'trailing_stop': 5,
+      '5': 5
     };
     
     return typeMap[type] || 2; // Default to market
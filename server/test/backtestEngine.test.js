@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const prisma = require('./support/prisma');
+const backtestEngine = require('../services/backtestEngine');
+
+const SYMBOL = 'NSE:SBIN-EQ';
+const meta = { tickSize: 0.05, lotSize: 1, segment: 'EQ', exchange: 'NSE' };
+
+prisma.symbolMeta = { findUnique: async () => ({ symbol: SYMBOL, ...meta }) };
+prisma.userSettings = { findUnique: async () => null };
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'backtest-'));
+process.env.BACKTEST_DATA_DIR = dataDir;
+test.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+// One flat 1m bar per price, from 09:15 IST on a trading day
+const writeCandles = (prices) => {
+  const rows = prices.map((price, i) => `2025-11-03 09:${15 + i}:00,${price},${price},${price},${price},100000`);
+  fs.writeFileSync(path.join(dataDir, 'NSE_SBIN-EQ.csv'), ['timestamp,open,high,low,close,volume', ...rows].join('\n'));
+};
+
+const simulate = (signals, config = {}) => backtestEngine.simulate('user-1', {
+  signals,
+  startingCapital: 100000,
+  charges: false,
+  slippage: { model: 'fixed_bps', params: { bps: 0 } },
+  ...config
+});
+
+const newState = () => ({
+  cash: 100000,
+  positions: new Map(),
+  lots: new Map(),
+  orders: [],
+  trades: [],
+  seq: 0,
+  execSeq: 0,
+  rates: null
+});
+
+test('FIFO scenario: position average stays on the open lots after a partial close', () => {
+  const state = newState();
+  const time = new Date('2025-11-03T03:45:00Z');
+  const fill = (side, price) => {
+    const order = backtestEngine.createOrder(state, { symbol: SYMBOL, side, type: 2, productType: 'CNC', qty: 1 }, time);
+    backtestEngine.applyFill(state, order, meta, { price, qty: 1, slippage: 0 }, time);
+  };
+
+  fill(1, 100);
+  fill(1, 200);
+  fill(-1, 150);
+
+  const position = state.positions.get(backtestEngine.positionKey(SYMBOL, 'CNC'));
+  assert.equal(position.qty, 1);
+  assert.equal(position.avgPrice, 200); // The 100 lot was closed first
+  assert.deepEqual(state.trades.map(t => [t.entryPrice, t.exitPrice, t.grossPnl]), [[100, 150, 50]]);
+
+  // Realized plus unrealized at 150 equals the change in equity
+  const unrealized = (150 - position.avgPrice) * position.qty;
+  const equityChange = state.cash + 150 * position.qty - 100000;
+  assert.equal(state.trades[0].grossPnl + unrealized, equityChange);
+});
+
+test('FIFO scenario: realized trades add up to the equity change', async () => {
+  writeCandles([100, 200, 150, 150]);
+
+  const result = await simulate([
+    { time: '2025-11-03 09:15:00', symbol: SYMBOL, side: 1, type: 2, qty: 1 },
+    { time: '2025-11-03 09:16:00', symbol: SYMBOL, side: 1, type: 2, qty: 1 },
+    { time: '2025-11-03 09:17:00', symbol: SYMBOL, side: -1, type: 2, qty: 1 }
+  ]);
+
+  assert.deepEqual(result.trades.map(t => [t.entryPrice, t.exitPrice, t.grossPnl]), [[100, 150, 50], [200, 150, -50]]);
+  assert.equal(result.summary.realizedPnl, 0);
+  assert.equal(result.summary.netPnl, 0);
+  assert.equal(result.summary.openPositions, 0);
+});
+
+test('CO/BO scenario: square-off closes the position without opening new legs', async () => {
+  writeCandles([100, 101, 102]);
+
+  const result = await simulate([
+    { time: '2025-11-03 09:15:00', symbol: SYMBOL, side: 1, type: 2, productType: 'CO', qty: 10, stopLoss: 5 },
+    { time: '2025-11-03 09:15:00', symbol: SYMBOL, side: -1, type: 2, productType: 'BO', qty: 5, stopLoss: 5, takeProfit: 10 }
+  ]);
+
+  const [co, bo, coStop, boStop, boTarget, ...exits] = result.orders;
+  assert.equal(co.state, 'filled');
+  assert.equal(bo.state, 'filled');
+  assert.deepEqual([coStop, boStop, boTarget].map(o => [o.parentOrderId, o.state, o.reason]), [
+    [co.id, 'cancelled', 'intraday_square_off'],
+    [bo.id, 'cancelled', 'intraday_square_off'],
+    [bo.id, 'cancelled', 'intraday_square_off']
+  ]);
+
+  assert.deepEqual(exits.map(o => [o.productType, o.side, o.qty, o.state, o.exitReason]), [
+    ['CO', -1, 10, 'filled', 'squareoff'],
+    ['BO', 1, 5, 'filled', 'squareoff']
+  ]);
+  assert.equal(result.orders.length, 7, 'square-off orders get no legs');
+  assert.equal(result.summary.openPositions, 0);
+  assert.deepEqual(result.trades.map(t => [t.productType, t.grossPnl]), [['CO', 20], ['BO', -10]]);
+});
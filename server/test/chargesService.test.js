@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+require('./support/prisma');
+const chargesService = require('../services/chargesService');
+
+const rates = chargesService.getDefaultRates();
+
+test('calculate charges an intraday equity buy', () => {
+  const charges = chargesService.calculate({ segment: 'EQ', productType: 'INTRADAY', side: 1, qty: 200, price: 500 }, rates);
+
+  assert.deepEqual(charges, {
+    rateKey: 'EQ_INTRADAY',
+    turnover: 100000,
+    brokerage: 20, // 0.03% capped at 20
+    stt: 0,
+    exchange: 2.97,
+    sebi: 0.1,
+    gst: 4.15,
+    stamp: 3,
+    total: 30.22
+  });
+});
+
+test('calculate charges STT but no stamp duty on a sell', () => {
+  const charges = chargesService.calculate({ segment: 'EQ', productType: 'INTRADAY', side: -1, qty: 200, price: 500 }, rates);
+
+  assert.equal(charges.stt, 25);
+  assert.equal(charges.stamp, 0);
+  assert.equal(charges.total, 52.22);
+});
+
+test('calculate shares one brokerage cap across partial fills', () => {
+  const fill = { segment: 'EQ', productType: 'INTRADAY', side: 1, qty: 100, price: 500 };
+  const first = chargesService.calculate(fill, rates);
+  const second = chargesService.calculate({ ...fill, priorTurnover: 50000, priorBrokerage: first.brokerage }, rates);
+  const third = chargesService.calculate({ ...fill, priorTurnover: 100000, priorBrokerage: 20 }, rates);
+
+  assert.equal(first.brokerage, 15);
+  assert.equal(second.brokerage, 5);
+  assert.equal(third.brokerage, 0);
+});
+
+test('calculate uses delivery rates for CNC and flat brokerage for options', () => {
+  assert.equal(chargesService.calculate({ segment: 'EQ', productType: 'CNC', side: 1, qty: 10, price: 100 }, rates).rateKey, 'EQ_DELIVERY');
+
+  const option = { segment: 'OPT', productType: 'MARGIN', side: 1, qty: 50, price: 10 };
+  assert.equal(chargesService.calculate(option, rates).brokerage, 20);
+  assert.equal(chargesService.calculate({ ...option, priorBrokerage: 20 }, rates).brokerage, 0);
+});
+
+test('calculate applies user overrides', () => {
+  const custom = chargesService.mergeRates({ gstPct: 0, segments: { EQ_INTRADAY: { brokerageMax: 0 } } });
+  const charges = chargesService.calculate({ segment: 'EQ', productType: 'INTRADAY', side: 1, qty: 200, price: 500 }, custom);
+
+  assert.equal(charges.brokerage, 0);
+  assert.equal(charges.gst, 0);
+  assert.equal(charges.exchange, 2.97);
+});
+
+test('calculateSettlement charges only STT on exercised long options', () => {
+  const exercised = chargesService.calculateSettlement({ segment: 'OPT', productType: 'MARGIN', side: -1, qty: 100, price: 50 }, rates);
+  assert.equal(exercised.stt, 6.25);
+  assert.equal(exercised.total, 6.25);
+  assert.equal(exercised.brokerage, 0);
+
+  const worthless = chargesService.calculateSettlement({ segment: 'OPT', productType: 'MARGIN', side: -1, qty: 100, price: 0 }, rates);
+  assert.equal(worthless.total, 0);
+
+  const future = chargesService.calculateSettlement({ segment: 'FUT', productType: 'MARGIN', side: -1, qty: 100, price: 50 }, rates);
+  assert.equal(future.total, 0);
+});
+
+test('validate accepts known non-negative rates', () => {
+  assert.deepEqual(chargesService.validate({}), []);
+  assert.deepEqual(chargesService.validate({ gstPct: 0, segments: { FUT: { brokerageMax: 10 } } }), []);
+});
+
+test('validate rejects unknown keys and bad values', () => {
+  assert.deepEqual(chargesService.validate(null), ['charges must be an object']);
+  assert.deepEqual(chargesService.validate({ gst: 18 }), ['Unknown charge rate: gst']);
+  assert.deepEqual(chargesService.validate({ sebiPct: -1 }), ['sebiPct must be a non-negative number']);
+  assert.deepEqual(chargesService.validate({ gstPct: '18' }), ['gstPct must be a non-negative number']);
+  assert.deepEqual(chargesService.validate({ segments: { EQ_INTRADAY: { brokerageMax: Infinity } } }), ['segments.EQ_INTRADAY.brokerageMax must be a non-negative number']);
+  assert.deepEqual(chargesService.validate({ segments: { OPT: { brokeragePct: 0.1 } } }), ['Unknown rate for OPT: brokeragePct']);
+  assert.match(chargesService.validate({ segments: { EQ: {} } })[0], /^Unknown charge segment: EQ/);
+});
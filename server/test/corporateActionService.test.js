@@ -0,0 +1,16 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const prisma = require('./support/prisma');
+const marketCalendar = require('../services/marketCalendar');
+const corporateActionService = require('../services/corporateActionService');
+
+test('applyDue finds due actions on the calendar clock', async (t) => {
+  const queries = [];
+  prisma.corporateAction = { findMany: async ({ where }) => queries.push(where) && [] };
+  marketCalendar.setClock(() => new Date('2024-03-04T10:00:00+05:30'));
+  t.after(() => marketCalendar.setClock(null));
+
+  await corporateActionService.applyDue();
+
+  assert.deepEqual(queries, [{ appliedAt: null, exDate: { lte: '2024-03-04' } }]);
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+require('./support/prisma');
+const fillSimulator = require('../services/fillSimulator');
+
+const noSlippage = { model: 'fixed_bps', params: { bps: 0 } };
+const tenBps = { model: 'fixed_bps', params: { bps: 10 } };
+const market = {
+  ltp: 100,
+  bid: 99.95,
+  ask: 100,
+  volume: 10000,
+  depth: {
+    bids: [{ price: 99.9, volume: 4 }, { price: 99.95, volume: 4 }],
+    asks: [{ price: 100.1, volume: 5 }, { price: 100, volume: 5 }]
+  }
+};
+
+test('computeFills walks the book from the best price', () => {
+  const fills = fillSimulator.computeFills({ side: 1, type: 2, qty: 8, tickSize: 0.05 }, market, noSlippage);
+
+  assert.deepEqual(fills.map(f => [f.price, f.qty]), [[100, 5], [100.1, 3]]);
+
+  const sells = fillSimulator.computeFills({ side: -1, type: 2, qty: 6, tickSize: 0.05 }, market, noSlippage);
+  assert.deepEqual(sells.map(f => [f.price, f.qty]), [[99.95, 4], [99.9, 2]]);
+});
+
+test('computeFills stops at the limit price', () => {
+  const fills = fillSimulator.computeFills({ side: 1, type: 1, qty: 8, limitPrice: 100.05, tickSize: 0.05 }, market, noSlippage);
+
+  assert.deepEqual(fills.map(f => [f.price, f.qty]), [[100, 5]]);
+});
+
+test('computeFills waits for a stop to trigger', () => {
+  assert.deepEqual(fillSimulator.computeFills({ side: 1, type: 3, qty: 1, stopPrice: 101 }, market, noSlippage), []);
+  assert.deepEqual(fillSimulator.computeFills({ side: -1, type: 4, qty: 1, stopPrice: 99, limitPrice: 98 }, market, noSlippage), []);
+
+  const triggered = fillSimulator.computeFills({ side: -1, type: 3, qty: 1, stopPrice: 100, tickSize: 0.05 }, market, noSlippage);
+  assert.deepEqual(triggered.map(f => [f.price, f.qty]), [[99.95, 1]]);
+});
+
+test('computeFills fills whole lots only', () => {
+  const book = { ltp: 100, depth: { asks: [{ price: 100, volume: 120 }, { price: 101, volume: 30 }] } };
+  const fills = fillSimulator.computeFills({ side: 1, type: 2, qty: 200, lotSize: 50 }, book, noSlippage);
+
+  assert.deepEqual(fills.map(f => [f.price, f.qty]), [[100, 100]]);
+});
+
+test('computeFills fills at the touch without a depth ladder', () => {
+  const quote = { ltp: 100, bid: 99.9, ask: 100.1 };
+
+  assert.deepEqual(fillSimulator.computeFills({ side: -1, type: 2, qty: 1000 }, quote, noSlippage).map(f => [f.price, f.qty]), [[99.9, 1000]]);
+  assert.deepEqual(fillSimulator.computeFills({ side: 1, type: 2, qty: 10 }, { ltp: 100 }, noSlippage).map(f => [f.price, f.qty]), [[100, 10]]);
+  assert.deepEqual(fillSimulator.computeFills({ side: 1, type: 2, qty: 10 }, { ltp: 0 }, noSlippage), []);
+});
+
+test('computeFills applies slippage against the order, never past the limit', () => {
+  const quote = { ltp: 100, bid: 100, ask: 100 };
+
+  const [buy] = fillSimulator.computeFills({ side: 1, type: 2, qty: 1, tickSize: 0.05 }, quote, tenBps);
+  assert.equal(buy.price, 100.1);
+  assert.equal(buy.basePrice, 100);
+  assert.equal(buy.slippage, 0.1);
+
+  const [sell] = fillSimulator.computeFills({ side: -1, type: 2, qty: 1, tickSize: 0.05 }, quote, tenBps);
+  assert.equal(sell.price, 99.9);
+
+  const [limit] = fillSimulator.computeFills({ side: 1, type: 1, qty: 1, limitPrice: 100.05, tickSize: 0.05 }, quote, tenBps);
+  assert.equal(limit.price, 100.05);
+});
@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const prisma = require('./support/prisma');
+const orderValidation = require('../services/orderValidation');
+const paperEngine = require('../services/paperEngine');
+const gttService = require('../services/gttService');
+
+test('triggerGtt places the order in the GTT\'s own simulation run', async (t) => {
+  const submitted = [];
+  prisma.gttOrder = {
+    updateMany: async () => ({ count: 1 }),
+    update: async () => ({})
+  };
+  prisma.event = { create: async () => ({}) };
+  t.mock.method(orderValidation, 'validateOrder', async () => ({ isValid: true, errors: [] }));
+  t.mock.method(paperEngine, 'submitOrder', async (orderData) => {
+    submitted.push(orderData);
+    return { id: 'order_1' };
+  });
+
+  await gttService.triggerGtt({
+    id: 'gtt_1',
+    userId: 'user_1',
+    mode: 'paper',
+    symbol: 'NSE:SBIN-EQ',
+    productType: 'CNC',
+    simulationId: 'sim_1',
+    legs: [{ triggerPrice: 600, condition: 'lte', side: 'buy', type: 'limit', qty: 1, limitPrice: 600 }]
+  }, 0, 599, 'token');
+
+  assert.equal(submitted.length, 1);
+  assert.equal(submitted[0].simulationId, 'sim_1');
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const prisma = require('./support/prisma');
+const historyService = require('../services/historyService');
+
+// Recorded fetches, filtered like the query in getMissingRanges
+const withRanges = (ranges) => {
+  prisma.historyRange = {
+    findMany: async ({ where }) => ranges
+      .filter(range => range.from <= where.from.lte && range.to >= where.to.gte)
+      .sort((a, b) => a.from.localeCompare(b.from))
+  };
+};
+
+const missing = (from, to) => historyService.getMissingRanges('NSE:SBIN-EQ', 'D', from, to);
+
+test('getMissingRanges returns the whole range when nothing was fetched', async () => {
+  withRanges([]);
+  assert.deepEqual(await missing('2025-01-01', '2025-01-31'), [{ from: '2025-01-01', to: '2025-01-31' }]);
+});
+
+test('getMissingRanges returns the gaps around a fetched range', async () => {
+  withRanges([{ from: '2025-01-10', to: '2025-01-20' }]);
+  assert.deepEqual(await missing('2025-01-01', '2025-01-31'), [
+    { from: '2025-01-01', to: '2025-01-09' },
+    { from: '2025-01-21', to: '2025-01-31' }
+  ]);
+});
+
+test('getMissingRanges merges overlapping and nested fetches', async () => {
+  withRanges([
+    { from: '2024-12-20', to: '2025-01-05' },
+    { from: '2025-01-03', to: '2025-01-15' },
+    { from: '2025-01-06', to: '2025-01-08' },
+    { from: '2025-01-16', to: '2025-01-20' }
+  ]);
+  assert.deepEqual(await missing('2025-01-01', '2025-01-31'), [{ from: '2025-01-21', to: '2025-01-31' }]);
+});
+
+test('getMissingRanges returns nothing when the range is covered', async () => {
+  withRanges([{ from: '2024-12-01', to: '2025-02-28' }]);
+  assert.deepEqual(await missing('2025-01-01', '2025-01-31'), []);
+});
+
+test('getMissingRanges crosses month and year ends', async () => {
+  withRanges([{ from: '2025-01-01', to: '2025-02-27' }]);
+  assert.deepEqual(await missing('2024-12-30', '2025-03-02'), [
+    { from: '2024-12-30', to: '2024-12-31' },
+    { from: '2025-02-28', to: '2025-03-02' }
+  ]);
+});
+
+test('getMaxRangeDays caps requests per resolution', () => {
+  assert.equal(historyService.getMaxRangeDays('1'), 100);
+  assert.equal(historyService.getMaxRangeDays('10'), 100);
+  assert.equal(historyService.getMaxRangeDays('15'), 366);
+  assert.equal(historyService.getMaxRangeDays('240'), 366);
+  assert.equal(historyService.getMaxRangeDays('D'), 3660);
+});
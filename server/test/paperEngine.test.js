@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const prisma = require('./support/prisma');
+const marketData = require('../services/marketData');
+const paperEngine = require('../services/paperEngine');
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-6, `${actual} != ${expected}`);
+
+const updates = [];
+prisma.order = { update: async ({ data }) => updates.push(data) };
+paperEngine.logEvent = async () => {};
+
+test('computePosition averages in fills on the same side', () => {
+  assert.deepEqual(paperEngine.computePosition(null, 1, 10, 100), { qty: 10, avgPrice: 100 });
+  assert.deepEqual(paperEngine.computePosition({ qty: 10, avgPrice: 100 }, 1, 30, 120), { qty: 40, avgPrice: 115 });
+  assert.deepEqual(paperEngine.computePosition({ qty: -10, avgPrice: 50 }, -1, 10, 60), { qty: -20, avgPrice: 55 });
+});
+
+test('computePosition keeps the average when reducing or closing', () => {
+  assert.deepEqual(paperEngine.computePosition({ qty: 10, avgPrice: 100 }, -1, 4, 130), { qty: 6, avgPrice: 100 });
+  assert.deepEqual(paperEngine.computePosition({ qty: 10, avgPrice: 100 }, -1, 10, 130), { qty: 0, avgPrice: 100 });
+});
+
+test('computePosition opens the new side at the fill price when flipping', () => {
+  assert.deepEqual(paperEngine.computePosition({ qty: 10, avgPrice: 100 }, -1, 15, 90), { qty: -5, avgPrice: 90 });
+  assert.deepEqual(paperEngine.computePosition({ qty: -5, avgPrice: 90 }, 1, 7, 80), { qty: 2, avgPrice: 80 });
+});
+
+// Ratchet a trailing stop against a fixed LTP
+const trail = (order, ltp) => {
+  marketData.getLTP = async () => ltp;
+  return paperEngine.updateTrailingStop({ id: 'O1', symbol: 'NSE:SBIN-EQ', ...order }, { tickSize: 0.05 }, 'token');
+};
+
+test('updateTrailingStop ratchets a sell stop up and never loosens it', async () => {
+  const order = { side: -1, trailAnchor: 100, stopPrice: 95, trailAmount: 5 };
+
+  const up = await trail(order, 110);
+  assert.equal(up.trailAnchor, 110);
+  close(up.stopPrice, 105);
+
+  const down = await trail({ ...order, ...up }, 104);
+  assert.equal(down.trailAnchor, 110);
+  close(down.stopPrice, 105);
+});
+
+test('updateTrailingStop trails a buy stop by percent from the low', async () => {
+  const first = await trail({ side: 1, trailPercent: 2 }, 200);
+  assert.equal(first.trailAnchor, 200);
+  close(first.stopPrice, 204);
+
+  const lower = await trail({ side: 1, trailPercent: 2, ...first }, 150);
+  assert.equal(lower.trailAnchor, 150);
+  close(lower.stopPrice, 153);
+
+  const bounce = await trail({ side: 1, trailPercent: 2, ...lower }, 152);
+  assert.equal(bounce.trailAnchor, 150);
+  close(bounce.stopPrice, 153);
+});
+
+test('updateTrailingStop rounds the trigger to ticks', async () => {
+  const { stopPrice } = await trail({ side: -1, trailAmount: 1.03 }, 100);
+  close(stopPrice, 98.95);
+});
+
+test('updateTrailingStop stores only changes', async () => {
+  updates.length = 0;
+  await trail({ side: -1, trailAnchor: 110, stopPrice: 105, trailAmount: 5 }, 108);
+  assert.equal(updates.length, 0);
+
+  await trail({ side: -1, trailAnchor: 110, stopPrice: 105, trailAmount: 5 }, 112);
+  assert.equal(updates.length, 1);
+  close(updates[0].stopPrice, 107);
+});
+
+test('updateTrailingStop keeps the stop without an LTP', async () => {
+  assert.deepEqual(await trail({ side: -1, trailAnchor: 110, stopPrice: 105, trailAmount: 5 }, null), { trailAnchor: 110, stopPrice: 105 });
+});
+
+test('isCOBOEntry recognises CO and BO entries only', () => {
+  assert.equal(paperEngine.isCOBOEntry({ productType: 'CO', stopLoss: 2 }), true);
+  assert.equal(paperEngine.isCOBOEntry({ productType: 'BO', stopLoss: 2, takeProfit: 4 }), true);
+
+  assert.equal(paperEngine.isCOBOEntry({ productType: 'INTRADAY', stopLoss: 2 }), false);
+  assert.equal(paperEngine.isCOBOEntry({ productType: 'BO', stopLoss: 2 }), false, 'BO needs a take-profit');
+  assert.equal(paperEngine.isCOBOEntry({ productType: 'CO', stopLoss: 0 }), false, 'no stop-loss');
+  assert.equal(paperEngine.isCOBOEntry({ productType: 'CO', stopLoss: 2, parentOrderId: 'P1' }), false, 'legs');
+  assert.equal(paperEngine.isCOBOEntry({ productType: 'CO', stopLoss: 2, exitReason: 'squareoff' }), false, 'square-off');
+  assert.equal(paperEngine.isCOBOEntry({ productType: 'BO', stopLoss: 2, takeProfit: 4, exitReason: 'expiry' }), false, 'settlement');
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+require('./support/prisma');
+const pnlLedger = require('../services/pnlLedger');
+
+const lot = (id, side, qty, price, chargesPerUnit = 0) => ({
+  id, side, qty, price, chargesPerUnit, openedAt: new Date(0), executionId: `E${id}`
+});
+
+test('matchFifo closes the oldest lots first', () => {
+  const lots = [lot(1, 1, 10, 100), lot(2, 1, 10, 110)];
+  const { lots: updated, trades, opened } = pnlLedger.matchFifo(lots, { side: -1, qty: 15, price: 120, executionId: 'X' });
+
+  assert.deepEqual(trades.map(t => [t.entryExecutionId, t.qty, t.grossPnl]), [['E1', 10, 200], ['E2', 5, 50]]);
+  assert.deepEqual(updated.map(l => l.qty), [0, 5]);
+  assert.equal(opened, null);
+  assert.equal(lots[0].qty, 10, 'input lots are not mutated');
+});
+
+test('matchFifo flips through zero and opens a lot for the rest', () => {
+  const { trades, opened } = pnlLedger.matchFifo([lot(1, -1, 5, 200)], { side: 1, qty: 8, price: 190, executionId: 'X' });
+
+  assert.equal(trades.length, 1);
+  assert.equal(trades[0].grossPnl, 50); // Short 5 @200 covered @190
+  assert.equal(opened.side, 1);
+  assert.equal(opened.qty, 3);
+  assert.equal(opened.price, 190);
+});
+
+test('matchFifo charges both legs per unit closed', () => {
+  const { trades } = pnlLedger.matchFifo([lot(1, 1, 10, 100, 0.2)], { side: -1, qty: 4, price: 101, chargesPerUnit: 0.3 });
+
+  assert.equal(trades[0].grossPnl, 4);
+  assert.ok(Math.abs(trades[0].charges - 2) < 1e-9);
+  assert.ok(Math.abs(trades[0].netPnl - 2) < 1e-9);
+});
+
+test('matchFifo skips lots on the same side', () => {
+  const { trades, opened } = pnlLedger.matchFifo([lot(1, 1, 10, 100)], { side: 1, qty: 5, price: 105 });
+
+  assert.equal(trades.length, 0);
+  assert.equal(opened.qty, 5);
+});
+
+test('getAveragePrice weights open quantity only', () => {
+  assert.equal(pnlLedger.getAveragePrice([lot(1, 1, 0, 100), lot(2, 1, 1, 200), lot(3, 1, 3, 300)]), 275);
+  assert.equal(pnlLedger.getAveragePrice([lot(1, 1, 0, 100)]), null);
+  assert.equal(pnlLedger.getAveragePrice([]), null);
+});
@@ -0,0 +1,15 @@
+// File: Prisma Test Stub
+// Path: server/test/support/prisma.js
+//
+// Replaces the Prisma client with an empty object so services load without
+// a database. Require this before any service; tests add the model
+// methods they need.
+
+const path = require('path');
+
+const prisma = {};
+const file = path.join(__dirname, '..', '..', 'prisma', 'client.js');
+
+require.cache[file] = { id: file, filename: file, loaded: true, exports: { prisma } };
+
+module.exports = prisma;
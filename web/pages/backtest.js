@@ -0,0 +1,666 @@
+// Page: Backtests (Replay signals against historical candles)
+// Path: web/pages/backtest.js
+
+import { useEffect, useState } from "react";
+import Link from "next/link";
+
+const API_BASE = process.env.NEXT_PUBLIC_API_BASE_URL;
+
+const SAMPLE_SIGNALS = `[
+  { "time": "2025-06-02 09:20", "symbol": "NSE:SBIN-EQ", "side": 1, "type": 2, "qty": 10, "productType": "INTRADAY" },
+  { "time": "2025-06-02 11:00", "symbol": "NSE:SBIN-EQ", "side": -1, "type": 2, "qty": 10, "productType": "INTRADAY" }
+]`;
+
+const cellStyle = { padding: "10px", textAlign: "left", border: "1px solid #e5e7eb" };
+
+const formatMoney = (value) =>
+  value === null || value === undefined ? '-' : `₹${Number(value).toLocaleString(undefined, { maximumFractionDigits: 2 })}`;
+
+const pnlColor = (value) => (value > 0 ? '#059669' : value < 0 ? '#dc2626' : '#374151');
+
+function EquityCurve({ points, startingCapital }) {
+  if (!points || points.length < 2) {
+    return <p style={{ color: "#64748b" }}>Not enough points to draw an equity curve</p>;
+  }
+
+  const width = 800;
+  const height = 220;
+  const values = points.map(p => p.equity);
+  const min = Math.min(...values, startingCapital);
+  const max = Math.max(...values, startingCapital);
+  const span = max - min || 1;
+  const x = (i) => (i / (points.length - 1)) * width;
+  const y = (value) => height - ((value - min) / span) * height;
+  const line = points.map((p, i) => `${x(i).toFixed(1)},${y(p.equity).toFixed(1)}`).join(' ');
+
+  return (
+    <svg viewBox={`0 0 ${width} ${height}`} style={{ width: "100%", height: "220px", background: "#f8fafc", borderRadius: "8px" }}>
+      <line x1="0" x2={width} y1={y(startingCapital)} y2={y(startingCapital)} stroke="#94a3b8" strokeDasharray="4 4" />
+      <polyline points={line} fill="none" stroke={values[values.length - 1] >= startingCapital ? "#10b981" : "#ef4444"} strokeWidth="2" />
+    </svg>
+  );
+}
+
+export default function Backtest() {
+  const [runs, setRuns] = useState([]);
+  const [dataFiles, setDataFiles] = useState([]);
+  const [selectedRun, setSelectedRun] = useState(null);
+  const [isRunning, setIsRunning] = useState(false);
+  const [error, setError] = useState(null);
+  const [form, setForm] = useState({
+    name: "",
+    startingCapital: 100000,
+    from: "",
+    to: "",
+    slippageModel: "",
+    signals: SAMPLE_SIGNALS
+  });
+  const [strategies, setStrategies] = useState([]);
+  const [replayForm, setReplayForm] = useState({ strategyId: "", from: "", to: "" });
+
+  const fetchRuns = async () => {
+    try {
+      const res = await fetch(`${API_BASE}/api/backtests`, {
+        credentials: "include"
+      });
+      if (res.ok) {
+        const data = await res.json();
+        setRuns(data.runs || []);
+      }
+    } catch (e) {
+      console.error("Error fetching backtests:", e);
+    }
+  };
+
+  const fetchDataFiles = async () => {
+    try {
+      const res = await fetch(`${API_BASE}/api/backtests/data`, {
+        credentials: "include"
+      });
+      if (res.ok) {
+        const data = await res.json();
+        setDataFiles(data.files || []);
+      }
+    } catch (e) {
+      console.error("Error fetching backtest data files:", e);
+    }
+  };
+
+  const fetchStrategies = async () => {
+    try {
+      const res = await fetch(`${API_BASE}/api/strategies`, {
+        credentials: "include"
+      });
+      if (res.ok) {
+        const data = await res.json();
+        setStrategies(data.strategies || []);
+      }
+    } catch (e) {
+      console.error("Error fetching strategies:", e);
+    }
+  };
+
+  const openRun = async (id) => {
+    try {
+      const res = await fetch(`${API_BASE}/api/backtests/${id}`, {
+        credentials: "include"
+      });
+      if (res.ok) {
+        const data = await res.json();
+        setSelectedRun(data.run);
+      }
+    } catch (e) {
+      console.error("Error fetching backtest:", e);
+    }
+  };
+
+  const deleteRun = async (id) => {
+    if (!confirm("Delete this backtest?")) return;
+
+    try {
+      const res = await fetch(`${API_BASE}/api/backtests/${id}`, {
+        method: "DELETE",
+        credentials: "include"
+      });
+      if (res.ok) {
+        if (selectedRun?.id === id) setSelectedRun(null);
+        fetchRuns();
+      }
+    } catch (e) {
+      console.error("Error deleting backtest:", e);
+    }
+  };
+
+  const runBacktest = async (e) => {
+    e.preventDefault();
+    setError(null);
+
+    let signals;
+    try {
+      signals = JSON.parse(form.signals);
+    } catch (parseError) {
+      setError(`Signals must be a JSON array: ${parseError.message}`);
+      return;
+    }
+
+    setIsRunning(true);
+    try {
+      const res = await fetch(`${API_BASE}/api/backtests`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        credentials: "include",
+        body: JSON.stringify({
+          name: form.name || undefined,
+          startingCapital: parseFloat(form.startingCapital),
+          from: form.from || undefined,
+          to: form.to || undefined,
+          slippage: form.slippageModel ? { model: form.slippageModel } : undefined,
+          signals
+        })
+      });
+      const data = await res.json();
+
+      if (data.run) {
+        setSelectedRun(data.run);
+        fetchRuns();
+      }
+      if (!res.ok) {
+        setError(data.details ? data.details.join(', ') : (data.run?.error || data.error));
+      }
+    } catch (e) {
+      setError(e.message);
+    } finally {
+      setIsRunning(false);
+    }
+  };
+
+  const replayAlerts = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setIsRunning(true);
+
+    try {
+      const res = await fetch(`${API_BASE}/api/backtests/replay`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        credentials: "include",
+        body: JSON.stringify({
+          strategyId: replayForm.strategyId,
+          from: replayForm.from,
+          to: replayForm.to,
+          startingCapital: parseFloat(form.startingCapital),
+          slippage: form.slippageModel ? { model: form.slippageModel } : undefined
+        })
+      });
+      const data = await res.json();
+
+      if (data.run) {
+        setSelectedRun(data.run);
+        fetchRuns();
+      }
+      if (!res.ok) {
+        setError(data.details ? data.details.join(', ') : (data.run?.error || data.error));
+      }
+    } catch (e) {
+      setError(e.message);
+    } finally {
+      setIsRunning(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchRuns();
+    fetchDataFiles();
+    fetchStrategies();
+  }, []);
+
+  const summary = selectedRun?.summary;
+  const comparison = selectedRun?.comparison;
+
+  return (
+    <div style={{
+      minHeight: "100vh",
+      background: "linear-gradient(to bottom, #f8fafc, #e2e8f0)",
+      padding: "20px"
+    }}>
+      <div style={{
+        maxWidth: "1200px",
+        margin: "0 auto"
+      }}>
+        <div style={{
+          background: "white",
+          borderRadius: "12px",
+          padding: "20px",
+          boxShadow: "0 2px 8px rgba(0,0,0,0.1)",
+          marginBottom: "20px"
+        }}>
+          <div style={{
+            display: "flex",
+            justifyContent: "space-between",
+            alignItems: "center",
+            marginBottom: "20px"
+          }}>
+            <div>
+              <h1 style={{ margin: "0 0 10px 0", color: "#1e293b" }}>
+                📈 Backtests
+              </h1>
+              <p style={{ margin: 0, color: "#64748b", fontSize: "14px" }}>
+                Replay timestamped signals against historical candles with the paper engine's order rules
+              </p>
+            </div>
+            <div>
+              <Link href="/" style={{
+                padding: "10px 20px",
+                background: "#3b82f6",
+                color: "white",
+                borderRadius: "8px",
+                textDecoration: "none",
+                marginRight: "10px"
+              }}>
+                ← Back to Home
+              </Link>
+            </div>
+          </div>
+
+          <form onSubmit={runBacktest}>
+            <div style={{
+              display: "grid",
+              gridTemplateColumns: "repeat(auto-fit, minmax(200px, 1fr))",
+              gap: "15px",
+              marginBottom: "15px"
+            }}>
+              <label style={{ display: "flex", flexDirection: "column", fontSize: "14px", color: "#374151" }}>
+                Name
+                <input
+                  value={form.name}
+                  onChange={(e) => setForm({ ...form, name: e.target.value })}
+                  placeholder="Breakout scan, June"
+                  style={{ padding: "8px", border: "1px solid #d1d5db", borderRadius: "6px", marginTop: "4px" }}
+                />
+              </label>
+              <label style={{ display: "flex", flexDirection: "column", fontSize: "14px", color: "#374151" }}>
+                Starting capital
+                <input
+                  type="number"
+                  value={form.startingCapital}
+                  onChange={(e) => setForm({ ...form, startingCapital: e.target.value })}
+                  style={{ padding: "8px", border: "1px solid #d1d5db", borderRadius: "6px", marginTop: "4px" }}
+                />
+              </label>
+              <label style={{ display: "flex", flexDirection: "column", fontSize: "14px", color: "#374151" }}>
+                From
+                <input
+                  type="date"
+                  value={form.from}
+                  onChange={(e) => setForm({ ...form, from: e.target.value })}
+                  style={{ padding: "8px", border: "1px solid #d1d5db", borderRadius: "6px", marginTop: "4px" }}
+                />
+              </label>
+              <label style={{ display: "flex", flexDirection: "column", fontSize: "14px", color: "#374151" }}>
+                To
+                <input
+                  type="date"
+                  value={form.to}
+                  onChange={(e) => setForm({ ...form, to: e.target.value })}
+                  style={{ padding: "8px", border: "1px solid #d1d5db", borderRadius: "6px", marginTop: "4px" }}
+                />
+              </label>
+              <label style={{ display: "flex", flexDirection: "column", fontSize: "14px", color: "#374151" }}>
+                Slippage model
+                <select
+                  value={form.slippageModel}
+                  onChange={(e) => setForm({ ...form, slippageModel: e.target.value })}
+                  style={{ padding: "8px", border: "1px solid #d1d5db", borderRadius: "6px", marginTop: "4px" }}
+                >
+                  <option value="">My paper settings</option>
+                  <option value="fixed_bps">Fixed bps</option>
+                  <option value="spread">Spread</option>
+                  <option value="volume">Volume impact</option>
+                </select>
+              </label>
+            </div>
+
+            <label style={{ display: "flex", flexDirection: "column", fontSize: "14px", color: "#374151" }}>
+              Signals (JSON array of orders with a time)
+              <textarea
+                value={form.signals}
+                onChange={(e) => setForm({ ...form, signals: e.target.value })}
+                rows={8}
+                style={{ padding: "8px", border: "1px solid #d1d5db", borderRadius: "6px", marginTop: "4px", fontFamily: "monospace", fontSize: "12px" }}
+              />
+            </label>
+
+            <p style={{ color: "#64748b", fontSize: "13px" }}>
+              Candle data available for: {dataFiles.length > 0 ? dataFiles.map(f => f.symbol).join(', ') : 'no symbols (add CSV files to the server data directory)'}
+            </p>
+
+            {error && (
+              <div style={{ padding: "10px", background: "#fee2e2", color: "#991b1b", borderRadius: "6px", marginBottom: "10px" }}>
+                {error}
+              </div>
+            )}
+
+            <button
+              type="submit"
+              disabled={isRunning}
+              style={{
+                padding: "10px 20px",
+                background: isRunning ? "#9ca3af" : "#10b981",
+                color: "white",
+                borderRadius: "8px",
+                border: "none",
+                cursor: isRunning ? "not-allowed" : "pointer"
+              }}
+            >
+              {isRunning ? "Running..." : "▶ Run Backtest"}
+            </button>
+          </form>
+        </div>
+
+        <div style={{
+          background: "white",
+          borderRadius: "12px",
+          padding: "20px",
+          boxShadow: "0 2px 8px rgba(0,0,0,0.1)",
+          marginBottom: "20px"
+        }}>
+          <h3 style={{ margin: "0 0 5px 0" }}>Replay stored alerts</h3>
+          <p style={{ margin: "0 0 15px 0", color: "#64748b", fontSize: "14px" }}>
+            Re-run a strategy's Chartlink alerts against historical candles and compare with what actually happened.
+            Uses the starting capital and slippage model above.
+          </p>
+
+          <form onSubmit={replayAlerts} style={{
+            display: "grid",
+            gridTemplateColumns: "repeat(auto-fit, minmax(200px, 1fr))",
+            gap: "15px",
+            alignItems: "end"
+          }}>
+            <label style={{ display: "flex", flexDirection: "column", fontSize: "14px", color: "#374151" }}>
+              Strategy
+              <select
+                value={replayForm.strategyId}
+                onChange={(e) => setReplayForm({ ...replayForm, strategyId: e.target.value })}
+                required
+                style={{ padding: "8px", border: "1px solid #d1d5db", borderRadius: "6px", marginTop: "4px" }}
+              >
+                <option value="">Select a strategy</option>
+                {strategies.map((strategy) => (
+                  <option key={strategy.id} value={strategy.id}>{strategy.name}</option>
+                ))}
+              </select>
+            </label>
+            <label style={{ display: "flex", flexDirection: "column", fontSize: "14px", color: "#374151" }}>
+              From
+              <input
+                type="date"
+                value={replayForm.from}
+                onChange={(e) => setReplayForm({ ...replayForm, from: e.target.value })}
+                required
+                style={{ padding: "8px", border: "1px solid #d1d5db", borderRadius: "6px", marginTop: "4px" }}
+              />
+            </label>
+            <label style={{ display: "flex", flexDirection: "column", fontSize: "14px", color: "#374151" }}>
+              To
+              <input
+                type="date"
+                value={replayForm.to}
+                onChange={(e) => setReplayForm({ ...replayForm, to: e.target.value })}
+                required
+                style={{ padding: "8px", border: "1px solid #d1d5db", borderRadius: "6px", marginTop: "4px" }}
+              />
+            </label>
+            <button
+              type="submit"
+              disabled={isRunning}
+              style={{
+                padding: "10px 20px",
+                background: isRunning ? "#9ca3af" : "#6366f1",
+                color: "white",
+                borderRadius: "8px",
+                border: "none",
+                cursor: isRunning ? "not-allowed" : "pointer"
+              }}
+            >
+              {isRunning ? "Running..." : "↺ Replay Alerts"}
+            </button>
+          </form>
+        </div>
+
+        <div style={{
+          background: "white",
+          borderRadius: "12px",
+          padding: "20px",
+          boxShadow: "0 2px 8px rgba(0,0,0,0.1)",
+          marginBottom: "20px"
+        }}>
+          <h3 style={{ margin: "0 0 15px 0" }}>Runs: {runs.length}</h3>
+          {runs.length > 0 ? (
+            <div style={{ overflowX: "auto" }}>
+              <table style={{ width: "100%", borderCollapse: "collapse", fontSize: "14px" }}>
+                <thead>
+                  <tr style={{ background: "#f8fafc" }}>
+                    <th style={cellStyle}>Name</th>
+                    <th style={cellStyle}>Status</th>
+                    <th style={cellStyle}>Net P&L</th>
+                    <th style={cellStyle}>Return</th>
+                    <th style={cellStyle}>Trades</th>
+                    <th style={cellStyle}>Max DD</th>
+                    <th style={cellStyle}>Started</th>
+                    <th style={cellStyle}></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {runs.map((run) => (
+                    <tr key={run.id} style={{ background: selectedRun?.id === run.id ? "#eff6ff" : "white" }}>
+                      <td style={cellStyle}>{run.name}</td>
+                      <td style={cellStyle}>
+                        <span style={{
+                          padding: "4px 8px",
+                          borderRadius: "4px",
+                          fontSize: "12px",
+                          background: run.status === 'completed' ? '#d1fae5' : run.status === 'running' ? '#fef3c7' : '#fee2e2',
+                          color: run.status === 'completed' ? '#065f46' : run.status === 'running' ? '#92400e' : '#991b1b'
+                        }}>
+                          {run.status}
+                        </span>
+                      </td>
+                      <td style={{ ...cellStyle, color: pnlColor(run.summary?.netPnl) }}>{formatMoney(run.summary?.netPnl)}</td>
+                      <td style={cellStyle}>{run.summary ? `${run.summary.returnPct}%` : '-'}</td>
+                      <td style={cellStyle}>{run.summary?.totalTrades ?? '-'}</td>
+                      <td style={cellStyle}>{run.summary ? `${run.summary.maxDrawdownPct}%` : '-'}</td>
+                      <td style={cellStyle}>{new Date(run.startedAt).toLocaleString()}</td>
+                      <td style={cellStyle}>
+                        <button onClick={() => openRun(run.id)} style={{ marginRight: "8px", cursor: "pointer" }}>View</button>
+                        <button onClick={() => deleteRun(run.id)} style={{ cursor: "pointer", color: "#dc2626" }}>Delete</button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ) : (
+            <p style={{ color: "#64748b" }}>No backtests yet</p>
+          )}
+        </div>
+
+        {selectedRun && (
+          <div style={{
+            background: "white",
+            borderRadius: "12px",
+            padding: "20px",
+            boxShadow: "0 2px 8px rgba(0,0,0,0.1)"
+          }}>
+            <h2 style={{ margin: "0 0 15px 0", color: "#1e293b" }}>{selectedRun.name}</h2>
+
+            {selectedRun.error && (
+              <div style={{ padding: "10px", background: "#fee2e2", color: "#991b1b", borderRadius: "6px", marginBottom: "15px" }}>
+                {selectedRun.error}
+              </div>
+            )}
+
+            {summary && (
+              <>
+                <div style={{
+                  display: "grid",
+                  gridTemplateColumns: "repeat(auto-fit, minmax(150px, 1fr))",
+                  gap: "10px",
+                  marginBottom: "20px"
+                }}>
+                  {[
+                    ["Final equity", formatMoney(summary.finalEquity)],
+                    ["Net P&L", formatMoney(summary.netPnl), pnlColor(summary.netPnl)],
+                    ["Return", `${summary.returnPct}%`, pnlColor(summary.returnPct)],
+                    ["Charges", formatMoney(summary.charges)],
+                    ["Trades", summary.totalTrades],
+                    ["Win rate", `${summary.winRate}%`],
+                    ["Profit factor", summary.profitFactor ?? '-'],
+                    ["Max drawdown", `${formatMoney(summary.maxDrawdown)} (${summary.maxDrawdownPct}%)`],
+                    ["Sharpe", summary.sharpe ?? '-'],
+                    ["Open positions", summary.openPositions]
+                  ].map(([label, value, color]) => (
+                    <div key={label} style={{ padding: "12px", background: "#f8fafc", borderRadius: "8px" }}>
+                      <div style={{ fontSize: "12px", color: "#64748b" }}>{label}</div>
+                      <div style={{ fontSize: "18px", fontWeight: "600", color: color || "#1e293b" }}>{value}</div>
+                    </div>
+                  ))}
+                </div>
+
+                <h3 style={{ margin: "0 0 10px 0" }}>Equity curve</h3>
+                <EquityCurve points={selectedRun.equityCurve} startingCapital={selectedRun.startingCapital} />
+              </>
+            )}
+
+            {comparison && (
+              <>
+                <h3 style={{ margin: "20px 0 10px 0" }}>
+                  Replay vs. actual: {comparison.summary.matched}/{comparison.summary.alerts} alerts matched
+                </h3>
+                <div style={{
+                  display: "grid",
+                  gridTemplateColumns: "repeat(auto-fit, minmax(150px, 1fr))",
+                  gap: "10px",
+                  marginBottom: "15px"
+                }}>
+                  {[
+                    ["Filled (replay / actual)", `${comparison.summary.replayFilled} / ${comparison.summary.actualFilled}`],
+                    ["Rejected (replay / actual)", `${comparison.summary.replayRejected} / ${comparison.summary.actualRejected}`],
+                    ["Avg price improvement", comparison.summary.avgPriceDiff ?? '-'],
+                    ["Replay net P&L", formatMoney(comparison.summary.replayNetPnl), pnlColor(comparison.summary.replayNetPnl)],
+                    [`Actual net P&L${comparison.summary.modes.length ? ` (${comparison.summary.modes.join('/')})` : ''}`, formatMoney(comparison.summary.actualNetPnl), pnlColor(comparison.summary.actualNetPnl)],
+                    ["Difference", formatMoney(comparison.summary.netPnlDiff), pnlColor(comparison.summary.netPnlDiff)]
+                  ].map(([label, value, color]) => (
+                    <div key={label} style={{ padding: "12px", background: "#f8fafc", borderRadius: "8px" }}>
+                      <div style={{ fontSize: "12px", color: "#64748b" }}>{label}</div>
+                      <div style={{ fontSize: "18px", fontWeight: "600", color: color || "#1e293b" }}>{value}</div>
+                    </div>
+                  ))}
+                </div>
+                <div style={{ overflowX: "auto" }}>
+                  <table style={{ width: "100%", borderCollapse: "collapse", fontSize: "13px" }}>
+                    <thead>
+                      <tr style={{ background: "#f8fafc" }}>
+                        <th style={cellStyle}>Alert time</th>
+                        <th style={cellStyle}>Symbol</th>
+                        <th style={cellStyle}>Side</th>
+                        <th style={cellStyle}>Replay</th>
+                        <th style={cellStyle}>Actual</th>
+                        <th style={cellStyle}>Price diff</th>
+                        <th style={cellStyle}>Differences</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {comparison.alerts.map((row) => (
+                        <tr key={row.alertId} style={{ background: row.matched ? "white" : "#fef3c7" }}>
+                          <td style={cellStyle}>{new Date(row.time).toLocaleString()}</td>
+                          <td style={cellStyle}>{row.symbol || '-'}</td>
+                          <td style={cellStyle}>{row.side === 1 ? 'BUY' : row.side === -1 ? 'SELL' : '-'}</td>
+                          <td style={cellStyle}>
+                            {row.replay ? `${row.replay.state} ${row.replay.filledQty} @ ${row.replay.avgFillPrice ?? '-'}` : 'not mapped'}
+                          </td>
+                          <td style={cellStyle}>
+                            {row.actual.orderId
+                              ? `${row.actual.mode} ${row.actual.state} ${row.actual.filledQty} @ ${row.actual.avgFillPrice ?? '-'}`
+                              : `alert ${row.actual.alertStatus}`}
+                          </td>
+                          <td style={{ ...cellStyle, color: pnlColor(row.priceDiff) }}>{row.priceDiff ?? '-'}</td>
+                          <td style={cellStyle}>{row.differences.join('; ') || '-'}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </>
+            )}
+
+            <h3 style={{ margin: "20px 0 10px 0" }}>Trades: {selectedRun.trades?.length || 0}</h3>
+            {selectedRun.trades?.length > 0 && (
+              <div style={{ overflowX: "auto" }}>
+                <table style={{ width: "100%", borderCollapse: "collapse", fontSize: "13px" }}>
+                  <thead>
+                    <tr style={{ background: "#f8fafc" }}>
+                      <th style={cellStyle}>Symbol</th>
+                      <th style={cellStyle}>Side</th>
+                      <th style={cellStyle}>Qty</th>
+                      <th style={cellStyle}>Entry</th>
+                      <th style={cellStyle}>Exit</th>
+                      <th style={cellStyle}>Charges</th>
+                      <th style={cellStyle}>Net P&L</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {selectedRun.trades.map((trade, i) => (
+                      <tr key={i}>
+                        <td style={cellStyle}>{trade.symbol}</td>
+                        <td style={cellStyle}>{trade.side === 1 ? 'LONG' : 'SHORT'}</td>
+                        <td style={cellStyle}>{trade.qty}</td>
+                        <td style={cellStyle}>{trade.entryPrice} @ {new Date(trade.entryTime).toLocaleString()}</td>
+                        <td style={cellStyle}>{trade.exitPrice} @ {new Date(trade.exitTime).toLocaleString()}</td>
+                        <td style={cellStyle}>{formatMoney(trade.charges)}</td>
+                        <td style={{ ...cellStyle, color: pnlColor(trade.netPnl) }}>{formatMoney(trade.netPnl)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+
+            <h3 style={{ margin: "20px 0 10px 0" }}>Orders: {selectedRun.orders?.length || 0}</h3>
+            {selectedRun.orders?.length > 0 && (
+              <div style={{ overflowX: "auto" }}>
+                <table style={{ width: "100%", borderCollapse: "collapse", fontSize: "13px" }}>
+                  <thead>
+                    <tr style={{ background: "#f8fafc" }}>
+                      <th style={cellStyle}>ID</th>
+                      <th style={cellStyle}>Symbol</th>
+                      <th style={cellStyle}>Side</th>
+                      <th style={cellStyle}>Type</th>
+                      <th style={cellStyle}>Qty</th>
+                      <th style={cellStyle}>State</th>
+                      <th style={cellStyle}>Avg fill</th>
+                      <th style={cellStyle}>Reason</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {selectedRun.orders.map((order) => (
+                      <tr key={order.id}>
+                        <td style={cellStyle}>{order.id}</td>
+                        <td style={cellStyle}>{order.symbol}</td>
+                        <td style={cellStyle}>{order.side === 1 ? 'BUY' : 'SELL'}</td>
+                        <td style={cellStyle}>{order.type}{order.parentOrderId ? ` (leg of ${order.parentOrderId})` : ''}</td>
+                        <td style={cellStyle}>{order.filledQty}/{order.qty}</td>
+                        <td style={cellStyle}>{order.state}</td>
+                        <td style={cellStyle}>{order.avgFillPrice ?? '-'}</td>
+                        <td style={cellStyle}>{order.reason || '-'}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -448,6 +448,24 @@ export default function Dashboard() {
                 🔍 Webhook Test
               </a>
             </Link>
+            <Link href="/backtest">
+              <a style={{
+                padding: "10px 20px",
+                background: "linear-gradient(135deg, #f59e0b, #d97706)",
+                color: "white",
+                textDecoration: "none",
+                borderRadius: "25px",
+                fontSize: "0.9rem",
+                fontWeight: "600",
+                boxShadow: "0 4px 6px rgba(245, 158, 11, 0.3)",
+                transition: "transform 0.2s ease"
+              }}
+              onMouseOver={(e) => e.target.style.transform = "translateY(-2px)"}
+              onMouseOut={(e) => e.target.style.transform = "translateY(0)"}
+              >
+                📈 Backtests
+              </a>
+            </Link>
             <button
               onClick={logout}
               style={{
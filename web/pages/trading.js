@@ -241,6 +241,7 @@ if (typeof document !== 'undefined') {
     .status-filled { background: #d1fae5; color: #065f46; }
     .status-cancelled { background: #f3f4f6; color: #374151; }
     .status-rejected { background: #fee2e2; color: #991b1b; }
+    .status-expired { background: #f3f4f6; color: #6b7280; }
     .tabs {
       display: flex;
       border-bottom: 2px solid #e5e7eb;
@@ -393,20 +394,37 @@ export default function TradingDashboard() {
     simulationPositions: [],
     testHistory: []
   });
+  const [compareIds, setCompareIds] = useState([]);
+  const [simulationComparison, setSimulationComparison] = useState(null);
   const [orderForm, setOrderForm] = useState({
     symbol: 'NSE:SBIN-EQ',
     side: 1,
     type: 2,
     productType: 'INTRADAY',
+    validity: 'DAY',
     qty: 100,
     limitPrice: '',
     stopPrice: '',
     stopLoss: '',
     takeProfit: '',
+    trailAmount: '',
+    trailPercent: '',
     orderTag: '',
     mode: 'paper'
   });
 
+  const [gtts, setGtts] = useState([]);
+  const [gttForm, setGttForm] = useState({
+    symbol: 'NSE:SBIN-EQ',
+    kind: 'single',
+    productType: 'CNC',
+    mode: 'paper',
+    legs: [
+      { triggerPrice: '', side: -1, type: 2, qty: 1, limitPrice: '' },
+      { triggerPrice: '', side: -1, type: 2, qty: 1, limitPrice: '' }
+    ]
+  });
+
   const fetchProfile = async () => {
     setLoading(true);
     try {
@@ -482,6 +500,20 @@ export default function TradingDashboard() {
     }
   };
 
+  const fetchGtts = async () => {
+    try {
+      const res = await fetch(`${API_BASE}/api/gtt?limit=50`, {
+        credentials: "include"
+      });
+      if (res.ok) {
+        const data = await res.json();
+        setGtts(data.gtts || []);
+      }
+    } catch (e) {
+      console.error("Error fetching GTT orders:", e);
+    }
+  };
+
   const fetchAlerts = async () => {
     try {
       const res = await fetch(`${API_BASE}/api/alerts?limit=50`, {
@@ -507,7 +539,9 @@ export default function TradingDashboard() {
       fetchPortfolio();
       fetchWebhookSettings();
       fetchAlerts();
+      fetchGtts();
       fetchSimulationData();
+      fetchSimulationHistory();
     }
   }, [profile]);
 
@@ -520,6 +554,8 @@ export default function TradingDashboard() {
         stopPrice: orderForm.stopPrice && orderForm.stopPrice !== '' ? parseFloat(orderForm.stopPrice) : null,
         stopLoss: orderForm.stopLoss && orderForm.stopLoss !== '' ? parseFloat(orderForm.stopLoss) : null,
         takeProfit: orderForm.takeProfit && orderForm.takeProfit !== '' ? parseFloat(orderForm.takeProfit) : null,
+        trailAmount: orderForm.trailAmount && orderForm.trailAmount !== '' ? parseFloat(orderForm.trailAmount) : null,
+        trailPercent: orderForm.trailPercent && orderForm.trailPercent !== '' ? parseFloat(orderForm.trailPercent) : null,
         orderTag: orderForm.orderTag && orderForm.orderTag !== '' ? orderForm.orderTag : null,
         qty: parseInt(orderForm.qty)
       };
@@ -569,6 +605,65 @@ export default function TradingDashboard() {
     }
   };
 
+  const updateGttLeg = (index, field, value) => {
+    const legs = gttForm.legs.map((leg, i) => i === index ? { ...leg, [field]: value } : leg);
+    setGttForm({ ...gttForm, legs });
+  };
+
+  const createGtt = async () => {
+    try {
+      const legs = gttForm.legs
+        .slice(0, gttForm.kind === 'oco' ? 2 : 1)
+        .map((leg) => ({
+          triggerPrice: parseFloat(leg.triggerPrice),
+          side: parseInt(leg.side),
+          type: parseInt(leg.type),
+          qty: parseInt(leg.qty),
+          limitPrice: leg.type === 1 && leg.limitPrice !== '' ? parseFloat(leg.limitPrice) : null
+        }));
+
+      const res = await fetch(`${API_BASE}/api/gtt`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        credentials: "include",
+        body: JSON.stringify({ ...gttForm, legs })
+      });
+
+      if (res.ok) {
+        alert("GTT created successfully");
+        fetchGtts();
+      } else {
+        const error = await res.json();
+        alert(`Error: ${error.error}${error.details ? `\n${error.details.join('\n')}` : ''}`);
+      }
+    } catch (e) {
+      console.error("Error creating GTT:", e);
+      alert("Error creating GTT");
+    }
+  };
+
+  const cancelGtt = async (gttId) => {
+    try {
+      const res = await fetch(`${API_BASE}/api/gtt/${gttId}/cancel`, {
+        method: 'POST',
+        credentials: "include"
+      });
+
+      if (res.ok) {
+        alert("GTT cancelled successfully");
+        fetchGtts();
+      } else {
+        const error = await res.json();
+        alert(`Error: ${error.error}`);
+      }
+    } catch (e) {
+      console.error("Error cancelling GTT:", e);
+      alert("Error cancelling GTT");
+    }
+  };
+
   const rotateWebhookCredentials = async () => {
     try {
       const res = await fetch(`${API_BASE}/api/settings/webhook/rotate`, {
@@ -647,6 +742,7 @@ export default function TradingDashboard() {
           winningTrades: data.winningTrades || prev.winningTrades,
           losingTrades: data.losingTrades || prev.losingTrades
         }));
+        fetchSimulationHistory();
         alert("Simulation stopped successfully!");
       } else {
         const error = await res.json();
@@ -669,7 +765,8 @@ export default function TradingDashboard() {
         setSimulationState(prev => ({
           ...prev,
           ...data,
-          isRunning: data.isRunning || false
+          isRunning: data.isRunning || false,
+          startTime: data.startTime ? new Date(data.startTime) : null
         }));
       }
     } catch (e) {
@@ -677,6 +774,52 @@ export default function TradingDashboard() {
     }
   };
 
+  const fetchSimulationHistory = async () => {
+    try {
+      const res = await fetch(`${API_BASE}/api/simulation`, {
+        credentials: "include"
+      });
+
+      if (res.ok) {
+        const data = await res.json();
+        setSimulationState(prev => ({
+          ...prev,
+          testHistory: (data.simulations || []).filter(run => !run.isRunning)
+        }));
+      }
+    } catch (e) {
+      console.error("Error fetching simulation history:", e);
+    }
+  };
+
+  const toggleCompare = (id) => {
+    setCompareIds(prev => prev.includes(id) ? prev.filter(x => x !== id) : [...prev, id]);
+  };
+
+  const compareSimulations = async () => {
+    try {
+      const res = await fetch(`${API_BASE}/api/simulation/compare?ids=${compareIds.join(',')}`, {
+        credentials: "include"
+      });
+      const data = await res.json();
+
+      if (res.ok) {
+        setSimulationComparison(data.runs);
+      } else {
+        alert(`Error comparing simulations: ${data.error}`);
+      }
+    } catch (e) {
+      console.error("Error comparing simulations:", e);
+      alert("Error comparing simulations");
+    }
+  };
+
+  const formatDuration = (start, end) => {
+    if (!start || !end) return 'N/A';
+    const minutes = Math.floor((new Date(end) - new Date(start)) / 1000 / 60);
+    return minutes >= 60 ? `${Math.floor(minutes / 60)}h ${minutes % 60}m` : `${minutes}m`;
+  };
+
   const resetSimulation = async () => {
     try {
       const res = await fetch(`${API_BASE}/api/simulation/reset`, {
@@ -696,8 +839,10 @@ export default function TradingDashboard() {
           startTime: null,
           strategies: [],
           simulationOrders: [],
-          simulationPositions: []
+          simulationPositions: [],
+          testHistory: []
         });
+        fetchSimulationHistory();
         alert("Simulation reset successfully!");
       } else {
         const error = await res.json();
@@ -722,9 +867,14 @@ export default function TradingDashboard() {
     const colors = {
       new: '#3b82f6',
       working: '#f59e0b',
+      partial: '#8b5cf6',
       filled: '#10b981',
       cancelled: '#6b7280',
       rejected: '#ef4444',
+      expired: '#9ca3af',
+      active: '#3b82f6',
+      triggered: '#10b981',
+      failed: '#ef4444',
       pending: '#f59e0b',
       processed: '#10b981'
     };
@@ -945,6 +1095,22 @@ export default function TradingDashboard() {
                   {formatCurrency(portfolio.cashBalance || 0)}
                 </div>
               </div>
+              {portfolio.availableFunds !== undefined && (
+                <div style={{ textAlign: "center" }}>
+                  <div style={{ color: "#64748b", fontSize: "0.9rem", marginBottom: "5px" }}>Available Funds</div>
+                  <div style={{ fontSize: "1.5rem", fontWeight: "600", color: "#1e293b" }}>
+                    {formatCurrency(portfolio.availableFunds || 0)}
+                  </div>
+                </div>
+              )}
+              {portfolio.blockedMargin !== undefined && (
+                <div style={{ textAlign: "center" }}>
+                  <div style={{ color: "#64748b", fontSize: "0.9rem", marginBottom: "5px" }}>Blocked Margin</div>
+                  <div style={{ fontSize: "1.5rem", fontWeight: "600", color: "#1e293b" }}>
+                    {formatCurrency(portfolio.blockedMargin || 0)}
+                  </div>
+                </div>
+              )}
               <div style={{ textAlign: "center" }}>
                 <div style={{ color: "#64748b", fontSize: "0.9rem", marginBottom: "5px" }}>Day P&L</div>
                 <div style={{ 
@@ -965,6 +1131,12 @@ export default function TradingDashboard() {
                   {formatCurrency(portfolio.totalPnl || 0)}
                 </div>
               </div>
+              <div style={{ textAlign: "center" }}>
+                <div style={{ color: "#64748b", fontSize: "0.9rem", marginBottom: "5px" }}>Charges Paid</div>
+                <div style={{ fontSize: "1.5rem", fontWeight: "600", color: "#1e293b" }}>
+                  {formatCurrency(portfolio.totalCharges || 0)}
+                </div>
+              </div>
             </div>
           </div>
         )}
@@ -979,6 +1151,7 @@ export default function TradingDashboard() {
             <option value="positions">💼 Positions</option>
             <option value="chartlink">📡 Chartlink Alerts</option>
             <option value="place-order">📝 Place Order</option>
+            <option value="gtt">⏳ GTT</option>
             <option value="paper-trading">🎯 Paper Trading Settings</option>
             <option value="settings">⚙️ Settings</option>
           </select>
@@ -1010,6 +1183,12 @@ export default function TradingDashboard() {
           >
             📝 Place Order
           </div>
+          <div 
+            className={`tab ${activeTab === 'gtt' ? 'active' : ''}`}
+            onClick={() => setActiveTab('gtt')}
+          >
+            ⏳ GTT
+          </div>
           {tradingMode === 'paper' && (
             <div 
               className={`tab ${activeTab === 'paper-trading' ? 'active' : ''}`}
@@ -1065,8 +1244,8 @@ export default function TradingDashboard() {
                       <tr key={order.id}>
                         <td>{order.symbol}</td>
                         <td>{order.side === 1 ? 'Buy' : 'Sell'}</td>
-                        <td>{order.type === 1 ? 'Limit' : order.type === 2 ? 'Market' : order.type === 3 ? 'Stop' : 'Stop-Limit'}</td>
-                        <td>{order.qty}</td>
+                        <td>{order.type === 1 ? 'Limit' : order.type === 2 ? 'Market' : order.type === 3 ? 'Stop' : order.type === 4 ? 'Stop-Limit' : 'Trailing Stop'}</td>
+                        <td>{order.filledQty > 0 && order.filledQty < order.qty ? `${order.filledQty}/${order.qty}` : order.qty}</td>
                         <td>{order.limitPrice ? formatCurrency(order.limitPrice) : '-'}</td>
                         <td>
                           <span className={`status-badge status-${order.mode}`}>
@@ -1083,10 +1262,15 @@ export default function TradingDashboard() {
                           >
                             {order.state}
                           </span>
+                          {order.stale && (
+                            <span className="status-badge" title="No market data session for this order's user">
+                              stale
+                            </span>
+                          )}
                         </td>
                         <td>{new Date(order.createdAt).toLocaleString()}</td>
                         <td>
-                          {['new', 'working'].includes(order.state) && (
+                          {['new', 'working', 'partial'].includes(order.state) && (
                             <button 
                               className="btn btn-danger"
                               style={{ padding: "5px 10px", fontSize: "12px" }}
@@ -1310,6 +1494,7 @@ export default function TradingDashboard() {
                   <option value={2}>Market</option>
                   <option value={3}>Stop</option>
                   <option value={4}>Stop-Limit</option>
+                  <option value={5}>Trailing Stop</option>
                 </select>
               </div>
               
@@ -1327,6 +1512,17 @@ export default function TradingDashboard() {
                 </select>
               </div>
               
+              <div className="form-group">
+                <label>Validity</label>
+                <select
+                  value={orderForm.validity}
+                  onChange={(e) => setOrderForm({...orderForm, validity: e.target.value})}
+                >
+                  <option value="DAY">DAY</option>
+                  <option value="IOC">IOC</option>
+                </select>
+              </div>
+              
               <div className="form-group">
                 <label>Quantity</label>
                 <input
@@ -1377,6 +1573,26 @@ export default function TradingDashboard() {
                 />
               </div>
               
+              <div className="form-group">
+                <label>Trail Amount</label>
+                <input
+                  type="number"
+                  value={orderForm.trailAmount}
+                  onChange={(e) => setOrderForm({...orderForm, trailAmount: parseFloat(e.target.value)})}
+                  step="0.05"
+                />
+              </div>
+              
+              <div className="form-group">
+                <label>Trail %</label>
+                <input
+                  type="number"
+                  value={orderForm.trailPercent}
+                  onChange={(e) => setOrderForm({...orderForm, trailPercent: parseFloat(e.target.value)})}
+                  step="0.1"
+                />
+              </div>
+              
               <div className="form-group">
                 <label>Order Tag</label>
                 <input
@@ -1409,6 +1625,218 @@ export default function TradingDashboard() {
           </div>
         )}
 
+        {/* GTT Tab */}
+        {activeTab === 'gtt' && (
+          <div className="trading-card">
+            <h3 style={{ margin: "0 0 20px 0", color: "#1e293b" }}>Create GTT</h3>
+            
+            <div className="order-form">
+              <div className="form-group">
+                <label>Symbol</label>
+                <input
+                  type="text"
+                  value={gttForm.symbol}
+                  onChange={(e) => setGttForm({...gttForm, symbol: e.target.value})}
+                  placeholder="NSE:SBIN-EQ"
+                />
+              </div>
+              
+              <div className="form-group">
+                <label>Trigger Type</label>
+                <select
+                  value={gttForm.kind}
+                  onChange={(e) => setGttForm({...gttForm, kind: e.target.value})}
+                >
+                  <option value="single">Single</option>
+                  <option value="oco">OCO (stop-loss + target)</option>
+                </select>
+              </div>
+              
+              <div className="form-group">
+                <label>Product Type</label>
+                <select
+                  value={gttForm.productType}
+                  onChange={(e) => setGttForm({...gttForm, productType: e.target.value})}
+                >
+                  <option value="CNC">CNC</option>
+                  <option value="MARGIN">MARGIN</option>
+                  <option value="INTRADAY">INTRADAY</option>
+                  <option value="MTF">MTF</option>
+                </select>
+              </div>
+              
+              <div className="form-group">
+                <label>Mode</label>
+                <select
+                  value={gttForm.mode}
+                  onChange={(e) => setGttForm({...gttForm, mode: e.target.value})}
+                >
+                  <option value="paper">Paper</option>
+                  <option value="live">Live</option>
+                </select>
+              </div>
+            </div>
+            
+            {gttForm.legs.slice(0, gttForm.kind === 'oco' ? 2 : 1).map((leg, index) => (
+              <div key={index}>
+                <h4 style={{ margin: "10px 0", color: "#475569" }}>
+                  {gttForm.kind === 'oco' ? `Leg ${index + 1}` : 'Trigger'}
+                </h4>
+                <div className="order-form">
+                  <div className="form-group">
+                    <label>Trigger Price</label>
+                    <input
+                      type="number"
+                      step="0.05"
+                      value={leg.triggerPrice}
+                      onChange={(e) => updateGttLeg(index, 'triggerPrice', e.target.value)}
+                    />
+                  </div>
+                  
+                  <div className="form-group">
+                    <label>Side</label>
+                    <select
+                      value={leg.side}
+                      onChange={(e) => updateGttLeg(index, 'side', parseInt(e.target.value))}
+                    >
+                      <option value={1}>Buy</option>
+                      <option value={-1}>Sell</option>
+                    </select>
+                  </div>
+                  
+                  <div className="form-group">
+                    <label>Order Type</label>
+                    <select
+                      value={leg.type}
+                      onChange={(e) => updateGttLeg(index, 'type', parseInt(e.target.value))}
+                    >
+                      <option value={2}>Market</option>
+                      <option value={1}>Limit</option>
+                    </select>
+                  </div>
+                  
+                  <div className="form-group">
+                    <label>Quantity</label>
+                    <input
+                      type="number"
+                      value={leg.qty}
+                      onChange={(e) => updateGttLeg(index, 'qty', e.target.value)}
+                      min="1"
+                    />
+                  </div>
+                  
+                  {leg.type === 1 && (
+                    <div className="form-group">
+                      <label>Limit Price</label>
+                      <input
+                        type="number"
+                        step="0.05"
+                        value={leg.limitPrice}
+                        onChange={(e) => updateGttLeg(index, 'limitPrice', e.target.value)}
+                      />
+                    </div>
+                  )}
+                </div>
+              </div>
+            ))}
+            
+            <button 
+              className="btn btn-success"
+              onClick={createGtt}
+              style={{ width: "100%", marginBottom: "30px" }}
+            >
+              Create GTT
+            </button>
+            
+            <div style={{
+              display: "flex",
+              justifyContent: "space-between",
+              alignItems: "center",
+              marginBottom: "20px"
+            }}>
+              <h3 style={{ margin: "0", color: "#1e293b" }}>GTT Orders</h3>
+              <button 
+                className="btn btn-primary"
+                onClick={fetchGtts}
+              >
+                Refresh
+              </button>
+            </div>
+            
+            {gtts.length > 0 ? (
+              <div className="table-container">
+                <table className="table">
+                  <thead>
+                    <tr>
+                      <th>Symbol</th>
+                      <th>Type</th>
+                      <th>Triggers</th>
+                      <th>Mode</th>
+                      <th>State</th>
+                      <th>Expires</th>
+                      <th>Actions</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {gtts.map((gtt) => (
+                      <tr key={gtt.id}>
+                        <td>{gtt.symbol}</td>
+                        <td>{gtt.kind === 'oco' ? 'OCO' : 'Single'}</td>
+                        <td>
+                          {gtt.legs.map((leg, index) => (
+                            <div key={index}>
+                              {leg.side === 1 ? 'Buy' : 'Sell'} {leg.qty} {leg.condition === 'gte' ? '≥' : '≤'} {formatCurrency(leg.triggerPrice)}
+                              {leg.type === 1 ? ` @ ${formatCurrency(leg.limitPrice)}` : ' @ Market'}
+                            </div>
+                          ))}
+                        </td>
+                        <td>
+                          <span className={`status-badge status-${gtt.mode}`}>
+                            {gtt.mode}
+                          </span>
+                        </td>
+                        <td>
+                          <span 
+                            className="status-badge"
+                            style={{ 
+                              background: getStatusColor(gtt.state) + '20',
+                              color: getStatusColor(gtt.state)
+                            }}
+                            title={gtt.failureReason || ''}
+                          >
+                            {gtt.state}
+                          </span>
+                        </td>
+                        <td>{new Date(gtt.expiresAt).toLocaleDateString()}</td>
+                        <td>
+                          {gtt.state === 'active' && (
+                            <button 
+                              className="btn btn-danger"
+                              style={{ padding: "5px 10px", fontSize: "12px" }}
+                              onClick={() => cancelGtt(gtt.id)}
+                            >
+                              Cancel
+                            </button>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            ) : (
+              <div style={{
+                textAlign: "center",
+                padding: "40px",
+                color: "#64748b"
+              }}>
+                <div style={{ fontSize: "2rem", marginBottom: "10px" }}>⏳</div>
+                <p>No GTT orders</p>
+              </div>
+            )}
+          </div>
+        )}
+
         {/* Paper Trading Tab */}
         {activeTab === 'paper-trading' && (
           <div className="trading-card">
@@ -1674,12 +2102,27 @@ export default function TradingDashboard() {
 
             {/* Test History */}
             <div style={{ marginTop: "40px" }}>
-              <h4 style={{ margin: "0 0 20px 0", color: "#1e293b" }}>Test History</h4>
+              <div style={{
+                display: "flex",
+                justifyContent: "space-between",
+                alignItems: "center",
+                marginBottom: "20px"
+              }}>
+                <h4 style={{ margin: "0", color: "#1e293b" }}>Test History</h4>
+                <button
+                  className="btn btn-primary"
+                  onClick={compareSimulations}
+                  disabled={compareIds.length < 2}
+                >
+                  ⚖️ Compare Selected ({compareIds.length})
+                </button>
+              </div>
               {simulationState.testHistory && simulationState.testHistory.length > 0 ? (
                 <div className="table-container">
                   <table className="table">
                     <thead>
                       <tr>
+                        <th></th>
                         <th>Test Name</th>
                         <th>Started</th>
                         <th>Duration</th>
@@ -1692,10 +2135,17 @@ export default function TradingDashboard() {
                     </thead>
                     <tbody>
                       {simulationState.testHistory.map((test, index) => (
-                        <tr key={index}>
+                        <tr key={test.id || index}>
+                          <td>
+                            <input
+                              type="checkbox"
+                              checked={compareIds.includes(test.id)}
+                              onChange={() => toggleCompare(test.id)}
+                            />
+                          </td>
                           <td><strong>{test.testName || `Test ${index + 1}`}</strong></td>
                           <td>{new Date(test.startTime).toLocaleString()}</td>
-                          <td>{test.duration || 'N/A'}</td>
+                          <td>{formatDuration(test.startTime, test.endTime)}</td>
                           <td>{formatCurrency(test.allocatedFunds)}</td>
                           <td>{test.totalTrades}</td>
                           <td>{test.totalTrades > 0 ? `${((test.winningTrades / test.totalTrades) * 100).toFixed(1)}%` : '0%'}</td>
@@ -1734,6 +2184,57 @@ export default function TradingDashboard() {
                   <p style={{ fontSize: "0.9rem", marginTop: "5px" }}>Completed tests will appear here</p>
                 </div>
               )}
+
+              {/* Run Comparison */}
+              {simulationComparison && simulationComparison.length > 0 && (
+                <div style={{ marginTop: "20px" }}>
+                  <div style={{
+                    display: "flex",
+                    justifyContent: "space-between",
+                    alignItems: "center",
+                    marginBottom: "15px"
+                  }}>
+                    <h4 style={{ margin: "0", color: "#1e293b" }}>Comparison</h4>
+                    <button className="btn btn-primary" onClick={() => setSimulationComparison(null)}>
+                      ✖ Close
+                    </button>
+                  </div>
+                  <div className="table-container">
+                    <table className="table">
+                      <thead>
+                        <tr>
+                          <th>Metric</th>
+                          {simulationComparison.map(run => (
+                            <th key={run.id}>{run.testName}</th>
+                          ))}
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {[
+                          ["Funds", run => formatCurrency(run.allocatedFunds)],
+                          ["Duration", run => formatDuration(run.startTime, run.endTime || new Date())],
+                          ["Strategies", run => run.strategies.join(', ') || '-'],
+                          ["Trades", run => run.stats?.totalTrades ?? 0],
+                          ["Win Rate", run => `${run.stats?.winRate ?? 0}%`],
+                          ["Net P&L", run => formatCurrency(run.stats?.netPnl ?? 0)],
+                          ["Return", run => `${run.stats?.returnPct ?? 0}%`],
+                          ["Charges", run => formatCurrency(run.stats?.charges ?? 0)],
+                          ["Avg Win / Loss", run => `${formatCurrency(run.stats?.avgWin ?? 0)} / ${formatCurrency(run.stats?.avgLoss ?? 0)}`],
+                          ["Profit Factor", run => run.stats?.profitFactor ?? '-'],
+                          ["Max Drawdown", run => `${formatCurrency(run.stats?.maxDrawdown ?? 0)} (${run.stats?.maxDrawdownPct ?? 0}%)`]
+                        ].map(([label, value]) => (
+                          <tr key={label}>
+                            <td><strong>{label}</strong></td>
+                            {simulationComparison.map(run => (
+                              <td key={run.id}>{value(run)}</td>
+                            ))}
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                </div>
+              )}
             </div>
           </div>
         )}